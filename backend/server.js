@@ -1,6 +1,5 @@
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
@@ -16,16 +15,13 @@ app.use(compression());
 app.use(express.json({ limit: '10mb' }));
 app.use(morgan('dev'));
 
-// Initialize OpenAI (with graceful handling for missing API key)
-let openai = null;
-const API_KEY = process.env.OPENAI_API_KEY;
-const isApiKeyConfigured = API_KEY && API_KEY !== 'sk-your-openai-api-key-here';
-
-if (isApiKeyConfigured) {
-  openai = new OpenAI({
-    apiKey: API_KEY
-  });
-}
+// Initialize LLM providers (with graceful handling for missing API keys)
+// Set LLM_PROVIDER=mock to run fully offline. Every call is recorded in the usage ledger.
+const LLMService = require('./services/llm');
+const UsageService = require('./services/usage');
+const usageService = new UsageService();
+const llm = new LLMService({ usage: usageService });
+const isLLMConfigured = llm.isConfigured();
 
 // Serve static frontend files
 app.use(express.static(path.join(__dirname, '../frontend')));
@@ -36,18 +32,128 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV,
-    openaiConfigured: isApiKeyConfigured
+    llmConfigured: isLLMConfigured,
+    providers: llm.getStatus(),
+    rateLimit: rateLimitService.describe()
   });
 });
 
+// Authentication: every /api route except login/registration needs a valid
+// session cookie or `Authorization: Bearer <token>`, and answers 503 while the
+// database is down. Only with AUTH_ENABLED=false do requests run as an unscoped
+// local user (userId null) that sees all data.
+const PUBLIC_API_PATHS = ['/auth/status', '/auth/login', '/auth/register'];
+const LOCAL_USER = { id: null, username: 'local', isAdmin: true, local: true };
+
+function getRequestToken(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  const cookies = (req.get('Cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === authConfig.cookieName) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+async function authenticate(req, res, next) {
+  if (!authService.enabled) {
+    req.user = LOCAL_USER;
+    return next();
+  }
+  if (PUBLIC_API_PATHS.includes(req.path)) {
+    return next();
+  }
+  if (!authService.available) {
+    return res.status(503).json({
+      error: 'Authentication unavailable',
+      message: 'Accounts need the database; start PostgreSQL or set AUTH_ENABLED=false for single-user mode'
+    });
+  }
+
+  try {
+    const auth = await authService.authenticate(getRequestToken(req));
+    if (!auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = auth.user;
+    req.auth = auth;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+app.use('/api', authenticate);
+
+// Attribute model calls made while handling a request to its user (see services/usage.js)
+app.use('/api', (req, res, next) => {
+  usageService.runWithContext({ userId: req.user?.id || null }, next);
+});
+
+// Per-user/IP request limits on chat, search, research and study (aiConfig.rateLimit)
+const RateLimitService = require('./services/rateLimiter');
+const rateLimitService = new RateLimitService();
+app.use('/api', rateLimitService.middleware());
+
+/**
+ * Open a Server-Sent Events stream on the response.
+ * Returns a send(event, data) function; compression is flushed after every event.
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+}
+
+/**
+ * Register a cancellable request: exposes its id in X-Request-Id and aborts
+ * it if the client disconnects before the response finishes.
+ */
+function trackRequest(req, res, type) {
+  const request = requestTracker.start(type, req.body?.requestId, req.user.id);
+  usageService.setContext({ requestId: request.id });
+  res.set('X-Request-Id', request.id);
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      requestTracker.cancel(request.id, 'client disconnected');
+    }
+  });
+  return request;
+}
+
 // Basic chat endpoint (with agent for tool use)
 // Now supports session-based chat with automatic summarization
+// Streams plan, tool progress and content deltas over SSE when
+// `stream: true` is sent or the client accepts text/event-stream
+// Cancellable via POST /api/requests/:id/cancel or by disconnecting
 app.post('/api/chat', async (req, res) => {
+  let sendEvent = null;
+  let request = null;
+  let currentSessionId = null;
+  let partialContent = '';
+
   try {
-    if (!openai) {
+    if (!isLLMConfigured) {
       return res.status(503).json({ 
-        error: 'OpenAI API not configured',
-        message: 'Please add your OpenAI API key to the .env file'
+        error: 'LLM provider not configured',
+        message: 'Please add your OpenAI API key (or configure LLM_PROVIDER) in the .env file'
       });
     }
 
@@ -56,20 +162,43 @@ app.post('/api/chat', async (req, res) => {
       messages,          // Legacy: array of messages (for non-session mode)
       sessionId,         // Session ID for persistent chat
       useAgent = true, 
-      enabledTools = [] 
+      enabledTools = [],
+      forceMode = null,  // Intent picked from a clarification (skips the planner)
+      useMemory = true,  // false leaves long-term memory out of this turn
+      stream = false
     } = req.body;
 
+    if (forceMode !== null && !Orchestrator.INTENTS.includes(forceMode)) {
+      return res.status(400).json({ error: `forceMode must be one of: ${Orchestrator.INTENTS.join(', ')}` });
+    }
+
+    const wantsStream = stream === true || (req.get('Accept') || '').includes('text/event-stream');
+
     let chatMessages;
-    let currentSessionId = sessionId;
+    let summary = null;
+    let previousIntent = null;
+    let memoryEnabled = useMemory !== false;
+    let memoryProject = null;
+    let userRecord = null;
+    currentSessionId = sessionId;
+
+    if (sessionId && sessionService && !(await sessionService.isOwnedBy(sessionId, req.user.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    usageService.setContext({ sessionId: sessionId || null });
 
     // Session-based chat
     if (sessionId && sessionService) {
       // Save user message to session
-      await sessionService.addMessage(sessionId, 'user', message || messages[messages.length - 1].content);
+      userRecord = await sessionService.addMessage(sessionId, 'user', message || messages[messages.length - 1].content);
 
       // Get context with automatic summarization
       const context = await sessionService.getContextForApiCall(sessionId);
-      chatMessages = context.messages;
+      chatMessages = context.history;
+      summary = context.summary;
+      previousIntent = context.previousIntent;
+      memoryEnabled = memoryEnabled && context.memoryEnabled;
+      memoryProject = context.project;
       
       console.log(`[Chat] Session ${sessionId}: ${context.activeMessageCount} active messages, summary: ${context.hasSummary}`);
     } else if (messages && Array.isArray(messages)) {
@@ -82,6 +211,25 @@ app.post('/api/chat', async (req, res) => {
       return res.status(400).json({ error: 'Message or messages array is required' });
     }
 
+    // Memories of this session and its project come before global ones
+    const memoryScopes = memoryService.contextScopes({ sessionId: currentSessionId, project: memoryProject });
+
+    // Register the request so it can be cancelled while running
+    request = trackRequest(req, res, 'chat');
+    const { signal } = request;
+
+    let onEvent = null;
+    if (wantsStream) {
+      sendEvent = openEventStream(res);
+      sendEvent('request', { requestId: request.id, sessionId: currentSessionId });
+      onEvent = (event) => {
+        if (event.type === 'delta') {
+          partialContent += event.content;
+        }
+        sendEvent(event.type, event);
+      };
+    }
+
     let result;
     
     // If tools are manually enabled, force those tools
@@ -91,28 +239,61 @@ app.post('/api/chat', async (req, res) => {
       console.log(`[Server] Manual tools enabled: ${enabledTools.join(', ')}`);
       result = await orchestrator.process(chatMessages, { 
         customInstructions: req.body.customInstructions,
-        forcedTools: enabledTools
+        forcedTools: enabledTools,
+        onEvent,
+        signal,
+        userId: req.user.id,
+        summary,
+        previousIntent,
+        useMemory: memoryEnabled,
+        memoryScopes
       });
-    } else if (useAgent && orchestrator) {
-      result = await orchestrator.process(chatMessages, { customInstructions: req.body.customInstructions });
-    } else {
-      const completion = await openai.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-        messages: chatMessages,
-        max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 2000,
-        temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7
+    } else if ((useAgent || forceMode) && orchestrator) {
+      result = await orchestrator.process(chatMessages, {
+        customInstructions: req.body.customInstructions,
+        forceMode,
+        onEvent,
+        signal,
+        userId: req.user.id,
+        summary,
+        previousIntent,
+        useMemory: memoryEnabled,
+        memoryScopes
       });
-      result = completion.choices[0].message;
+    } else {
+      const model = modelConfig.getModelForTask('chat');
+      const context = orchestrator.buildContext(chatMessages, { model, summary });
+      const completion = await orchestrator.createCompletion({
+        model: model.name,
+        messages: context.messages,
+        max_tokens: model.maxTokens,
+        temperature: model.temperature
+      }, { onEvent, signal });
+      result = {
+        ...completion.choices[0].message,
+        metadata: { model: completion.served.model, servedBy: completion.served, context: context.report }
+      };
     }
 
     // Save assistant response to session
     if (currentSessionId && sessionService) {
-      await sessionService.addMessage(currentSessionId, 'assistant', result.content, {
+      const assistantRecord = await sessionService.addMessage(currentSessionId, 'assistant', result.content, {
         toolUsed: result.toolUsed,
         sources: result.sources,
         extra: result.metadata
       });
 
+      // Look for durable facts in the exchange (not for clarifying questions)
+      if (memoryExtractor && aiConfig.memoryExtraction.trigger === 'turn' && memoryEnabled && !result.metadata?.clarification) {
+        memoryExtractor.extractFromTurn({
+          userId: req.user.id,
+          sessionId: currentSessionId,
+          project: memoryProject,
+          userMessage: userRecord,
+          assistantMessage: assistantRecord
+        }).catch(err => console.error('[Chat] Memory extraction error:', err.message));
+      }
+
       // Generate title if first response
       const session = await sessionService.getSession(currentSessionId, 2);
       if (!session.title && session.messages.length >= 2) {
@@ -120,6 +301,13 @@ app.post('/api/chat', async (req, res) => {
           console.error('[Chat] Title generation error:', err.message)
         );
       }
+
+      // Turns that no longer fit the window are folded into the session summary
+      if (result.metadata?.context?.dropped.some(entry => entry.index !== undefined)) {
+        summarizerService.generateSummary(currentSessionId).catch(err =>
+          console.error('[Chat] Summarization error:', err.message)
+        );
+      }
     }
 
     // Log tool usage
@@ -127,18 +315,83 @@ app.post('/api/chat', async (req, res) => {
       console.log(`[Agent] Tool used: ${result.toolUsed}`);
     }
 
+    if (sendEvent) {
+      sendEvent('done', { ...result, sessionId: currentSessionId, requestId: request.id });
+      return res.end();
+    }
+
     res.json({
       ...result,
-      sessionId: currentSessionId
+      sessionId: currentSessionId,
+      requestId: request.id
     });
   } catch (error) {
+    if (request?.signal.aborted) {
+      return handleCancelledChat(res, { request, sessionId: currentSessionId, partialContent, sendEvent });
+    }
+
     console.error('Chat error:', error);
-    res.status(500).json({ 
+    if (sendEvent) {
+      sendEvent('error', { error: error.message || 'An error occurred processing your request' });
+      return res.end();
+    }
+    res.status(errorStatus(error)).json({ 
       error: error.message || 'An error occurred processing your request' 
     });
+  } finally {
+    if (request) {
+      requestTracker.finish(request.id);
+    }
   }
 });
 
+/**
+ * HTTP status for a failed model-backed request: 402 when a usage budget blocked it,
+ * 413 when the prompt doesn't fit the model's context window, 503 when every
+ * model in the fallback chain kept failing
+ */
+function errorStatus(error) {
+  if (error instanceof UsageService.BudgetExceededError ||
+      error instanceof LLMService.ContextLengthError ||
+      error instanceof LLMService.ProviderUnavailableError) {
+    return error.status;
+  }
+  return 500;
+}
+
+/**
+ * Record a cancelled chat turn and tell the client (if it is still listening).
+ * Whatever was streamed before the abort is kept as a partial assistant message.
+ */
+async function handleCancelledChat(res, { request, sessionId, partialContent, sendEvent }) {
+  console.log(`[Chat] Request ${request.id} cancelled (${partialContent.length} chars generated)`);
+
+  const cancelled = {
+    role: 'assistant',
+    content: partialContent,
+    cancelled: true,
+    requestId: request.id,
+    sessionId
+  };
+
+  try {
+    if (sessionId && sessionService) {
+      await sessionService.addMessage(sessionId, 'assistant', partialContent || '_Cancelled before a response was generated._', {
+        extra: { cancelled: true, partial: partialContent.length > 0, requestId: request.id }
+      });
+    }
+  } catch (err) {
+    console.error('[Chat] Failed to record cancelled message:', err.message);
+  }
+
+  if (res.destroyed) return;
+  if (sendEvent) {
+    sendEvent('cancelled', cancelled);
+    return res.end();
+  }
+  res.status(499).json(cancelled);
+}
+
 // Initialize services
 const SearchService = require('./services/search');
 const ContentFetcher = require('./services/fetcher');
@@ -146,37 +399,261 @@ const StudyService = require('./services/study');
 const ResearchAgent = require('./services/research');
 const ExportService = require('./services/export');
 const MemoryService = require('./services/memory');
+const EmbeddingService = require('./services/embeddings');
+const MemoryExtractor = require('./services/memoryExtractor');
+const ConversationImporter = require('./services/conversationImporter');
+const ImportService = require('./services/import');
 const Orchestrator = require('./services/orchestrator');
 const SummarizerService = require('./services/summarizer');
 const SessionService = require('./services/session');
+const RequestTracker = require('./services/requests');
+const ToolRegistry = require('./services/toolRegistry');
+const CodeExecutor = require('./services/codeExecutor');
+const AuthService = require('./services/auth');
 const database = require('./services/storage/database');
+const aiConfig = require('../config/ai-config');
+const modelConfig = require('../config/models');
+const authConfig = require('../config/auth');
+const dbConfig = require('../config/database');
 
 const searchService = new SearchService();
 const contentFetcher = new ContentFetcher();
-const studyService = isApiKeyConfigured ? new StudyService(openai) : null;
-const researchAgent = isApiKeyConfigured ? new ResearchAgent(openai) : null;
+const studyService = isLLMConfigured ? new StudyService(llm) : null;
+const researchAgent = isLLMConfigured ? new ResearchAgent(llm) : null;
 const exportService = new ExportService();
-const memoryService = new MemoryService();
-const summarizerService = isApiKeyConfigured ? new SummarizerService(openai) : null;
-const sessionService = isApiKeyConfigured ? new SessionService(openai, summarizerService) : null;
+const embeddingService = new EmbeddingService(llm);
+const memoryService = new MemoryService({ embeddings: embeddingService, dataDir: process.env.DATA_DIR });
+const memoryExtractor = isLLMConfigured ? new MemoryExtractor(llm, memoryService) : null;
+const summarizerService = isLLMConfigured ? new SummarizerService(llm, {
+  // With the 'summary' trigger, memories are extracted from the messages a summary folds away
+  onSummarized: async ({ session, messages }) => {
+    if (aiConfig.memoryExtraction.trigger !== 'summary' || session?.metadata?.memoryEnabled === false) return;
+    await memoryExtractor.extractFromMessages({
+      userId: session.userId,
+      sessionId: session.id,
+      project: session.metadata?.project || null,
+      messages
+    });
+  }
+}) : null;
+const sessionService = isLLMConfigured ? new SessionService(llm, summarizerService) : null;
+const conversationImporter = sessionService ? new ConversationImporter(sessionService, memoryService) : null;
+const importService = sessionService ? new ImportService(sessionService) : null;
+const requestTracker = new RequestTracker();
+const codeExecutor = aiConfig.codeExec.enabled ? new CodeExecutor() : null;
+
+// The first account adopts memories, conversations and exports saved before accounts existed
+const authService = new AuthService({
+  onFirstUser: async (userId) => {
+    const memories = await memoryService.claimUnowned(userId);
+    const exports = await exportService.claimUnowned(userId);
+    console.log(`[Auth] Assigned ${memories} memory/conversation item(s) and ${exports} export(s) to the first user`);
+  }
+});
+
+// Tool registry: built-in tools + custom tools from plugins/
+const toolRegistry = new ToolRegistry({
+  search: searchService,
+  fetcher: contentFetcher,
+  study: studyService,
+  research: researchAgent,
+  memory: memoryService,
+  codeExecutor
+});
+toolRegistry.loadPlugins(path.join(__dirname, '../plugins'));
 
 // Orchestrator with planner → executor architecture
-const orchestrator = isApiKeyConfigured ? new Orchestrator(openai, {
+const orchestrator = isLLMConfigured ? new Orchestrator(llm, {
   search: searchService,
   fetcher: contentFetcher,
   study: studyService,
-  research: researchAgent
+  research: researchAgent,
+  memory: memoryService,
+  tools: toolRegistry
 }) : null;
 
-// Initialize database on startup
-(async () => {
+// Initialize database on startup. Accounts can't work without it, so keep
+// retrying while they are required (the API answers 503 meanwhile)
+const DATABASE_RETRY_MS = 30 * 1000;
+
+async function initializeDatabase() {
   try {
     await database.initialize();
   } catch (err) {
     console.error('[Server] Database initialization failed:', err.message);
-    console.log('[Server] Continuing without database - sessions will not be persisted');
+    if (authService.enabled) {
+      console.log(`[Server] Accounts need the database; API requests fail with 503 until it is reachable (retrying in ${DATABASE_RETRY_MS / 1000}s)`);
+      setTimeout(initializeDatabase, DATABASE_RETRY_MS);
+    } else {
+      console.log('[Server] Continuing without database - sessions will not be persisted, memories stay in data/memory.json');
+    }
+    return;
   }
-})();
+
+  try {
+    await memoryService.useDatabase();
+  } catch (err) {
+    console.error('[Memory] PostgreSQL store unavailable, keeping data/memory.json:', err.message);
+  }
+
+  try {
+    await rateLimitService.useDatabase(database.pool);
+  } catch (err) {
+    console.error('[RateLimit] PostgreSQL store unavailable, keeping in-memory limits:', err.message);
+  }
+
+  // Make messages stored before search existed searchable (runs in the background)
+  if (sessionService) {
+    sessionService.indexMessages().catch(err => console.error('[Session] Search indexing failed:', err.message));
+  }
+}
+
+initializeDatabase();
+
+// Memory upkeep: expiry, decay/promotion of short-term memories, consolidation
+if (aiConfig.memoryLifecycle.maintenanceMinutes > 0) {
+  setInterval(() => {
+    memoryService.runMaintenance().catch(err => console.error('[Memory] Maintenance error:', err.message));
+  }, aiConfig.memoryLifecycle.maintenanceMinutes * 60 * 1000).unref();
+}
+
+// ==================== AUTH ENDPOINTS ====================
+
+/**
+ * Set or clear the browser session cookie
+ */
+function setAuthCookie(req, res, token, expiresAt) {
+  res.cookie(authConfig.cookieName, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    expires: new Date(expiresAt),
+    path: '/'
+  });
+}
+
+function sendAuthError(res, error, label) {
+  if (error instanceof AuthService.AuthError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Public: whether accounts are on and whether sign-up is possible (for the login screen)
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    if (!authService.enabled) {
+      return res.json({ enabled: false, user: LOCAL_USER });
+    }
+    if (!authService.available) {
+      return res.json({ enabled: true, available: false });
+    }
+    const auth = await authService.authenticate(getRequestToken(req));
+    const needsSetup = (await database.countUsers()) === 0;
+    res.json({
+      enabled: true,
+      available: true,
+      needsSetup,
+      registrationOpen: needsSetup || authConfig.allowRegistration,
+      user: auth ? auth.user : null
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Auth status');
+  }
+});
+
+// Create an account (the first one becomes admin) and log in
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    if (!authService.enabled || !authService.available) {
+      return res.status(503).json({ error: 'Accounts are not available' });
+    }
+    const { username, password } = req.body;
+    await authService.register(username, password);
+    const session = await authService.login(username, password);
+    setAuthCookie(req, res, session.token, session.expiresAt);
+    res.status(201).json(session);
+  } catch (error) {
+    sendAuthError(res, error, 'Register');
+  }
+});
+
+// Log in: returns a session token and sets it as an HttpOnly cookie
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    if (!authService.enabled || !authService.available) {
+      return res.status(503).json({ error: 'Accounts are not available' });
+    }
+    const { username, password } = req.body;
+    const session = await authService.login(username, password);
+    setAuthCookie(req, res, session.token, session.expiresAt);
+    res.json(session);
+  } catch (error) {
+    sendAuthError(res, error, 'Login');
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.auth?.tokenKind === 'session') {
+      await authService.logout(getRequestToken(req));
+    }
+    res.clearCookie(authConfig.cookieName, { path: '/' });
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error, 'Logout');
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// API tokens for scripts (Authorization: Bearer <token>)
+app.get('/api/auth/tokens', async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(400).json({ error: 'API tokens require accounts (AUTH_ENABLED)' });
+    }
+    const tokens = await authService.listApiTokens(req.user.id);
+    res.json({ tokens });
+  } catch (error) {
+    sendAuthError(res, error, 'List tokens');
+  }
+});
+
+app.post('/api/auth/tokens', async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(400).json({ error: 'API tokens require accounts (AUTH_ENABLED)' });
+    }
+    const token = await authService.createApiToken(req.user.id, req.body.name);
+    res.status(201).json(token);
+  } catch (error) {
+    sendAuthError(res, error, 'Create token');
+  }
+});
+
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(400).json({ error: 'API tokens require accounts (AUTH_ENABLED)' });
+    }
+    const revoked = await authService.revokeApiToken(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error, 'Revoke token');
+  }
+});
+
+// List registered tools (built-in + plugins) for the UI and API clients
+app.get('/api/tools', (req, res) => {
+  res.json({ tools: toolRegistry.describe() });
+});
 
 // Search endpoint
 app.post('/api/search', async (req, res) => {
@@ -220,8 +697,8 @@ app.post('/api/fetch', async (req, res) => {
 // Search and summarize endpoint (combines search + AI summary)
 app.post('/api/search-summarize', async (req, res) => {
   try {
-    if (!openai) {
-      return res.status(503).json({ error: 'OpenAI not configured' });
+    if (!isLLMConfigured) {
+      return res.status(503).json({ error: 'LLM provider not configured' });
     }
 
     const { query, limit = 5 } = req.body;
@@ -245,14 +722,14 @@ app.post('/api/search-summarize', async (req, res) => {
 
     const systemPrompt = `You are a research assistant. Summarize the search results and provide a helpful answer with citations. Use [1], [2], etc. to cite sources.`;
     
-    const completion = await openai.chat.completions.create({
+    const completion = await llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: `Query: "${query}"\n\nSearch Results:\n${contentForAI}\n\nProvide a summary with citations.` }
       ],
       max_tokens: 1500
-    });
+    }, { purpose: 'search_summary' });
 
     res.json({
       query,
@@ -267,7 +744,7 @@ app.post('/api/search-summarize', async (req, res) => {
     });
   } catch (error) {
     console.error('Search-summarize error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -275,7 +752,7 @@ app.post('/api/search-summarize', async (req, res) => {
 app.post('/api/study/lesson', async (req, res) => {
   try {
     if (!studyService) {
-      return res.status(503).json({ error: 'OpenAI not configured' });
+      return res.status(503).json({ error: 'LLM provider not configured' });
     }
     const { topic, level = 'intermediate' } = req.body;
     if (!topic) {
@@ -285,14 +762,14 @@ app.post('/api/study/lesson', async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Study lesson error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
 app.post('/api/study/practice', async (req, res) => {
   try {
     if (!studyService) {
-      return res.status(503).json({ error: 'OpenAI not configured' });
+      return res.status(503).json({ error: 'LLM provider not configured' });
     }
     const { topic, level = 'intermediate' } = req.body;
     if (!topic) {
@@ -302,14 +779,14 @@ app.post('/api/study/practice', async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Study practice error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
 app.post('/api/study/flashcards', async (req, res) => {
   try {
     if (!studyService) {
-      return res.status(503).json({ error: 'OpenAI not configured' });
+      return res.status(503).json({ error: 'LLM provider not configured' });
     }
     const { topic } = req.body;
     if (!topic) {
@@ -319,14 +796,14 @@ app.post('/api/study/flashcards', async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Study flashcards error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
 app.post('/api/study/quiz', async (req, res) => {
   try {
     if (!studyService) {
-      return res.status(503).json({ error: 'OpenAI not configured' });
+      return res.status(503).json({ error: 'LLM provider not configured' });
     }
     const { topic } = req.body;
     if (!topic) {
@@ -336,14 +813,14 @@ app.post('/api/study/quiz', async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Study quiz error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
 app.post('/api/study/explain', async (req, res) => {
   try {
     if (!studyService) {
-      return res.status(503).json({ error: 'OpenAI not configured' });
+      return res.status(503).json({ error: 'LLM provider not configured' });
     }
     const { concept, context } = req.body;
     if (!concept) {
@@ -353,67 +830,103 @@ app.post('/api/study/explain', async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Study explain error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
 // Deep Research endpoints
 app.post('/api/research', async (req, res) => {
+  let request = null;
+
   try {
     if (!researchAgent) {
-      return res.status(503).json({ error: 'OpenAI not configured' });
+      return res.status(503).json({ error: 'LLM provider not configured' });
     }
     const { question, depth = 2, maxSources = 10 } = req.body;
     if (!question) {
       return res.status(400).json({ error: 'Question is required' });
     }
-    console.log(`[API] Starting deep research: "${question}"`);
-    const result = await researchAgent.research(question, { depth, maxSources });
-    res.json(result);
+
+    request = trackRequest(req, res, 'research');
+    console.log(`[API] Starting deep research: "${question}" (request ${request.id})`);
+    const result = await researchAgent.research(question, { depth, maxSources, signal: request.signal });
+    res.json({ ...result, requestId: request.id });
   } catch (error) {
+    if (request?.signal.aborted) {
+      console.log(`[API] Research request ${request.id} cancelled`);
+      if (!res.destroyed) res.status(499).json({ cancelled: true, requestId: request.id });
+      return;
+    }
     console.error('Research error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
+  } finally {
+    if (request) requestTracker.finish(request.id);
   }
 });
 
 app.post('/api/research/quick', async (req, res) => {
+  let request = null;
+
   try {
     if (!researchAgent) {
-      return res.status(503).json({ error: 'OpenAI not configured' });
+      return res.status(503).json({ error: 'LLM provider not configured' });
     }
     const { question } = req.body;
     if (!question) {
       return res.status(400).json({ error: 'Question is required' });
     }
-    const result = await researchAgent.quickResearch(question);
-    res.json(result);
+
+    request = trackRequest(req, res, 'research');
+    const result = await researchAgent.quickResearch(question, { signal: request.signal });
+    res.json({ ...result, requestId: request.id });
   } catch (error) {
+    if (request?.signal.aborted) {
+      console.log(`[API] Quick research request ${request.id} cancelled`);
+      if (!res.destroyed) res.status(499).json({ cancelled: true, requestId: request.id });
+      return;
+    }
     console.error('Quick research error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
+  } finally {
+    if (request) requestTracker.finish(request.id);
   }
 });
 
+// Cancel an in-flight chat or research request
+app.post('/api/requests/:id/cancel', (req, res) => {
+  const entry = requestTracker.get(req.params.id);
+  if (entry && req.user.id !== null && entry.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Request not found or already finished' });
+  }
+  const cancelled = requestTracker.cancel(req.params.id, 'cancelled by client');
+  if (!cancelled) {
+    return res.status(404).json({ error: 'Request not found or already finished' });
+  }
+  res.json({ success: true, requestId: req.params.id });
+});
+
 // Export endpoints
 app.post('/api/export', async (req, res) => {
   try {
     const { content, format = 'markdown', title = 'export', data } = req.body;
+    const exporter = exportService.forUser(req.user.id);
     
     let result;
     switch (format) {
       case 'pdf':
-        result = await exportService.exportToPDF(content, title);
+        result = await exporter.exportToPDF(content, title);
         break;
       case 'csv':
-        result = await exportService.exportToCSV(data || content, title);
+        result = await exporter.exportToCSV(data || content, title);
         break;
       case 'json':
-        result = await exportService.exportToJSON(data || { content }, title);
+        result = await exporter.exportToJSON(data || { content }, title);
         break;
       case 'text':
-        result = await exportService.exportToText(content, title);
+        result = await exporter.exportToText(content, title);
         break;
       default:
-        result = await exportService.exportToMarkdown(content, title);
+        result = await exporter.exportToMarkdown(content, title);
     }
     
     res.json(result);
@@ -429,7 +942,7 @@ app.post('/api/export/chat', async (req, res) => {
     if (!messages || !Array.isArray(messages)) {
       return res.status(400).json({ error: 'Messages array required' });
     }
-    const result = await exportService.exportChatHistory(messages, title);
+    const result = await exportService.forUser(req.user.id).exportChatHistory(messages, title);
     res.json(result);
   } catch (error) {
     console.error('Export chat error:', error);
@@ -443,7 +956,7 @@ app.post('/api/export/research', async (req, res) => {
     if (!research) {
       return res.status(400).json({ error: 'Research data required' });
     }
-    const result = await exportService.exportResearchReport(research, format);
+    const result = await exportService.forUser(req.user.id).exportResearchReport(research, format);
     res.json(result);
   } catch (error) {
     console.error('Export research error:', error);
@@ -453,7 +966,7 @@ app.post('/api/export/research', async (req, res) => {
 
 app.get('/api/exports', async (req, res) => {
   try {
-    const exports = await exportService.listExports();
+    const exports = await exportService.forUser(req.user.id).listExports();
     res.json({ exports });
   } catch (error) {
     console.error('List exports error:', error);
@@ -463,7 +976,7 @@ app.get('/api/exports', async (req, res) => {
 
 app.get('/api/exports/:filename', (req, res) => {
   try {
-    const filepath = exportService.getFilePath(req.params.filename);
+    const filepath = exportService.forUser(req.user.id).getFilePath(req.params.filename);
     res.download(filepath);
   } catch (error) {
     console.error('Download error:', error);
@@ -473,7 +986,7 @@ app.get('/api/exports/:filename', (req, res) => {
 
 app.delete('/api/exports/:filename', async (req, res) => {
   try {
-    const result = await exportService.deleteExport(req.params.filename);
+    const result = await exportService.forUser(req.user.id).deleteExport(req.params.filename);
     res.json(result);
   } catch (error) {
     console.error('Delete export error:', error);
@@ -482,18 +995,99 @@ app.delete('/api/exports/:filename', async (req, res) => {
 });
 
 // Memory endpoints
+
+/**
+ * Validate the editable memory fields in a request body (content, tags,
+ * importance, expiresAt, type, scope with scopeId). Returns { fields } with the
+ * ones present, or { error }
+ */
+function parseMemoryFields(body = {}) {
+  const fields = {};
+  const { content, tags, importance, expiresAt, type, scope, scopeId } = body;
+  
+  if (content !== undefined) {
+    if (typeof content !== 'string' || !content.trim()) return { error: 'content must be a non-empty string' };
+    fields.content = content.trim();
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && tag.trim())) {
+      return { error: 'tags must be an array of non-empty strings' };
+    }
+    fields.tags = [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+  }
+  if (importance !== undefined) {
+    if (typeof importance !== 'number' || importance < 0 || importance > 1) return { error: 'importance must be a number from 0 to 1' };
+    fields.importance = importance;
+  }
+  if (expiresAt !== undefined) {
+    if (expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) return { error: 'expiresAt must be a date or null' };
+    fields.expiresAt = expiresAt && new Date(expiresAt).toISOString();
+  }
+  if (type !== undefined) {
+    if (!['short_term', 'long_term'].includes(type)) return { error: 'type must be short_term or long_term' };
+    fields.type = type;
+  }
+  if (scope !== undefined || scopeId !== undefined) {
+    const parsed = parseScope(scope, scopeId);
+    if (parsed.error) return parsed;
+    fields.scope = parsed.scope;
+    fields.scopeId = parsed.scopeId;
+  }
+  return { fields };
+}
+
+/**
+ * Validate a memory scope: 'global', or 'session'/'project' with a scopeId
+ * (session id or project name). Returns { scope, scopeId } or { error }
+ */
+function parseScope(scope, scopeId) {
+  if (!MemoryService.SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${MemoryService.SCOPES.join(', ')}` };
+  }
+  if (scope === 'global') {
+    return { scope, scopeId: null };
+  }
+  if (typeof scopeId !== 'string' || !scopeId.trim()) {
+    return { error: `scopeId is required for ${scope} scope` };
+  }
+  return { scope, scopeId: scopeId.trim() };
+}
+
+/**
+ * Scope filter from query parameters: ?scope=global, ?scope=session&scopeId=<id>
+ * or ?scope=project&scopeId=<name>. Returns { scopes } (null without ?scope) or { error }
+ */
+function parseScopeFilter(query) {
+  if (query.scope === undefined) return { scopes: null };
+  const parsed = parseScope(query.scope, query.scopeId);
+  return parsed.error ? parsed : { scopes: [MemoryService.scopeKey(parsed)] };
+}
+
+// Session-scoped memories must belong to one of the user's sessions
+async function checkMemoryScope(fields, userId) {
+  if (fields.scope !== 'session' || !sessionService) return null;
+  return (await sessionService.isOwnedBy(fields.scopeId, userId)) ? null : 'Session not found for scopeId';
+}
+
 app.post('/api/memory', async (req, res) => {
   try {
-    const { content, type = 'short_term', metadata = {} } = req.body;
+    const { content, metadata = {} } = req.body;
     if (!content) {
       return res.status(400).json({ error: 'Content is required' });
     }
+    const { fields, error } = parseMemoryFields(req.body);
+    const scopeError = error || await checkMemoryScope(fields, req.user.id);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
     
+    const { tags, importance, expiresAt, scope, scopeId } = fields;
+    const options = { tags, importance, expiresAt, scope, scopeId };
     let result;
-    if (type === 'long_term') {
-      result = await memoryService.addLongTerm(content, metadata);
+    if (fields.type === 'long_term') {
+      result = await memoryService.addLongTerm(fields.content, metadata, req.user.id, options);
     } else {
-      result = await memoryService.addShortTerm(content, metadata);
+      result = await memoryService.addShortTerm(fields.content, metadata, req.user.id, options);
     }
     res.json(result);
   } catch (error) {
@@ -504,22 +1098,39 @@ app.post('/api/memory', async (req, res) => {
 
 app.get('/api/memory/search', async (req, res) => {
   try {
-    const { q, type = 'all', limit = 10 } = req.query;
+    const { q, type = 'all', limit = 10, tag } = req.query;
     if (!q) {
       return res.status(400).json({ error: 'Query (q) is required' });
     }
-    const results = await memoryService.search(q, { type, limit: parseInt(limit) });
+    if (!/^\d+$/.test(limit) || parseInt(limit) < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+    const { scopes, error } = parseScopeFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const results = await memoryService.search(q, {
+      type,
+      limit: parseInt(limit),
+      userId: req.user.id,
+      tag: tag?.toLowerCase(),
+      scopes
+    });
     res.json({ results, query: q });
   } catch (error) {
     console.error('Memory search error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 app.get('/api/memory/recent', async (req, res) => {
   try {
     const { count = 10, type = 'all' } = req.query;
-    const memories = await memoryService.getRecent(parseInt(count), type);
+    const { scopes, error } = parseScopeFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const memories = await memoryService.getRecent(parseInt(count), type, req.user.id, scopes);
     res.json({ memories });
   } catch (error) {
     console.error('Memory recent error:', error);
@@ -527,11 +1138,14 @@ app.get('/api/memory/recent', async (req, res) => {
   }
 });
 
+// The memory layer a chat would get; sessionId and project pick the scopes (global only without them).
+// A preview: memory access counts only change when a chat turn uses them
 app.get('/api/memory/context', async (req, res) => {
   try {
-    const { query = '' } = req.query;
-    const context = await memoryService.getContext(query);
-    res.json({ context });
+    const { query = '', sessionId = null, project = null } = req.query;
+    const scopes = memoryService.contextScopes({ sessionId, project });
+    const { text, ids } = await memoryService.getContext(query, undefined, req.user.id, scopes);
+    res.json({ context: text, memoryIds: ids });
   } catch (error) {
     console.error('Memory context error:', error);
     res.status(500).json({ error: error.message });
@@ -540,7 +1154,7 @@ app.get('/api/memory/context', async (req, res) => {
 
 app.get('/api/memory/stats', async (req, res) => {
   try {
-    const stats = await memoryService.getStats();
+    const stats = await memoryService.getStats(req.user.id);
     res.json(stats);
   } catch (error) {
     console.error('Memory stats error:', error);
@@ -548,9 +1162,119 @@ app.get('/api/memory/stats', async (req, res) => {
   }
 });
 
+// Embed memories saved before semantic search (or under another embedder); force re-embeds all
+app.post('/api/memory/reindex', async (req, res) => {
+  try {
+    const result = await memoryService.reindex({ userId: req.user.id, force: req.body?.force === true });
+    res.json(result);
+  } catch (error) {
+    console.error('Memory reindex error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Memories extracted from conversations, waiting for review
+app.get('/api/memory/pending', async (req, res) => {
+  try {
+    const { scopes, error } = parseScopeFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const pending = await memoryService.getPending(req.user.id, scopes);
+    res.json({ pending });
+  } catch (error) {
+    console.error('Memory pending error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept a pending memory (optionally with edited content); it becomes long-term
+app.post('/api/memory/pending/:id/accept', async (req, res) => {
+  try {
+    const { content } = req.body || {};
+    if (content !== undefined && (typeof content !== 'string' || !content.trim())) {
+      return res.status(400).json({ error: 'content must be a non-empty string' });
+    }
+    const memory = await memoryService.acceptPending(req.params.id, req.user.id, { content: content?.trim() });
+    if (!memory) {
+      return res.status(404).json({ error: 'Pending memory not found' });
+    }
+    res.json(memory);
+  } catch (error) {
+    console.error('Memory accept error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/memory/pending/:id/reject', async (req, res) => {
+  try {
+    const rejected = await memoryService.rejectPending(req.params.id, req.user.id);
+    if (!rejected) {
+      return res.status(404).json({ error: 'Pending memory not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Memory reject error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge the user's near-duplicate long-term memories (also part of the periodic maintenance)
+app.post('/api/memory/consolidate', async (req, res) => {
+  try {
+    const result = await memoryService.consolidate({ userId: req.user.id });
+    res.json(result);
+  } catch (error) {
+    console.error('Memory consolidate error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/memory/:id', async (req, res) => {
+  try {
+    const memory = await memoryService.getMemory(req.params.id, req.user.id);
+    if (!memory) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    res.json(memory);
+  } catch (error) {
+    console.error('Memory get error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit a memory's content, tags, importance, expiry or type; earlier values go to its history
+app.patch('/api/memory/:id', async (req, res) => {
+  try {
+    const { fields, error } = parseMemoryFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update (content, tags, importance, expiresAt, type or scope)' });
+    }
+    const scopeError = await checkMemoryScope(fields, req.user.id);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+    
+    const memory = await memoryService.updateMemory(req.params.id, req.user.id, fields);
+    if (!memory) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    res.json(memory);
+  } catch (error) {
+    console.error('Memory update error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 app.delete('/api/memory/:id', async (req, res) => {
   try {
-    const result = await memoryService.deleteMemory(req.params.id);
+    const result = await memoryService.deleteMemory(req.params.id, req.user.id);
+    if (!result.success) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
     res.json(result);
   } catch (error) {
     console.error('Memory delete error:', error);
@@ -561,11 +1285,15 @@ app.delete('/api/memory/:id', async (req, res) => {
 app.delete('/api/memory', async (req, res) => {
   try {
     const { type = 'short_term' } = req.query;
+    const { scopes, error } = parseScopeFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     let result;
     if (type === 'all') {
-      result = await memoryService.clearAll();
+      result = await memoryService.clearAll(req.user.id, scopes);
     } else {
-      result = await memoryService.clearShortTerm();
+      result = await memoryService.clearShortTerm(req.user.id, scopes);
     }
     res.json(result);
   } catch (error) {
@@ -574,22 +1302,60 @@ app.delete('/api/memory', async (req, res) => {
   }
 });
 
-// Conversation endpoints
+// Conversation endpoints (legacy)
+// Conversations now live in sessions. While the session store is up these routes
+// lead there, importing old data/conversations files on the way; without a
+// database they keep reading and writing the files.
+const sessionsAvailable = () => !!conversationImporter && database.initialized;
+
+// Same query string, new path
+const redirectPath = (req, pathname) => pathname + (req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '');
+
+// Import the user's legacy conversation files into sessions (also: npm run conversations:import)
+app.post('/api/conversations/import', async (req, res) => {
+  try {
+    if (!sessionsAvailable()) {
+      return res.status(503).json({ error: 'Session store not available' });
+    }
+    const result = await conversationImporter.importAll(req.user.id);
+    res.json(result);
+  } catch (error) {
+    console.error('Import conversations error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/conversations', async (req, res) => {
   try {
-    const { id, messages, metadata } = req.body;
+    const { id, messages, metadata = {} } = req.body;
     const convId = id || `conv_${Date.now()}`;
-    const result = await memoryService.saveConversation(convId, messages, metadata);
-    res.json(result);
+    
+    if (!sessionsAvailable()) {
+      const result = await memoryService.saveConversation(convId, messages, metadata, req.user.id);
+      return res.json(result);
+    }
+    
+    if (!Array.isArray(messages)) {
+      return res.status(400).json({ error: 'messages must be an array' });
+    }
+    const result = await conversationImporter.save(convId, messages, metadata, req.user.id);
+    res.status(result.created ? 201 : 200)
+      .location(`/api/sessions/${result.sessionId}`)
+      .json({ id: convId, ...result });
   } catch (error) {
     console.error('Save conversation error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 app.get('/api/conversations', async (req, res) => {
   try {
-    const conversations = await memoryService.listConversations();
+    if (sessionsAvailable()) {
+      await conversationImporter.importAll(req.user.id);
+      return res.redirect(308, redirectPath(req, '/api/sessions'));
+    }
+    
+    const conversations = await memoryService.listConversations(req.user.id);
     res.json({ conversations });
   } catch (error) {
     console.error('List conversations error:', error);
@@ -599,30 +1365,106 @@ app.get('/api/conversations', async (req, res) => {
 
 app.get('/api/conversations/:id', async (req, res) => {
   try {
-    const conversation = await memoryService.loadConversation(req.params.id);
+    if (sessionsAvailable()) {
+      const sessionId = await conversationImporter.findSession(req.params.id, req.user.id);
+      if (!sessionId) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      return res.redirect(308, redirectPath(req, `/api/sessions/${sessionId}`));
+    }
+    
+    const conversation = await memoryService.loadConversation(req.params.id, req.user.id);
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
     res.json(conversation);
   } catch (error) {
     console.error('Load conversation error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // ==================== SESSION ENDPOINTS ====================
 
-// List all sessions
+/**
+ * Parse a from/to query value: ISO date (2024-05-01) or epoch milliseconds
+ */
+function parseDateQuery(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Parse a true/false query value; undefined when absent, null when invalid
+ */
+function parseBooleanQuery(value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return null;
+}
+
+/**
+ * Parse limit/offset query values (defaults 20 and 0); null unless limit is a
+ * positive integer and offset a non-negative one
+ */
+function parsePageQuery({ limit = '20', offset = '0' }) {
+  if (!/^\d+$/.test(limit) || parseInt(limit) < 1 || !/^\d+$/.test(offset)) return null;
+  return { limit: parseInt(limit), offset: parseInt(offset) };
+}
+
+/**
+ * Validate the organization fields of a session update (project, tags, pinned,
+ * archived) plus memoryEnabled. Returns { changes } with the ones present, or { error }
+ */
+function parseSessionSettings(body = {}) {
+  const changes = {};
+  const { memoryEnabled, project, tags, pinned, archived } = body;
+
+  for (const [name, value] of Object.entries({ memoryEnabled, pinned, archived })) {
+    if (value === undefined) continue;
+    if (typeof value !== 'boolean') return { error: `${name} must be a boolean` };
+    changes[name] = value;
+  }
+  if (project !== undefined) {
+    if (project !== null && (typeof project !== 'string' || !project.trim())) {
+      return { error: 'project must be a non-empty string or null' };
+    }
+    changes.project = project && project.trim();
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && tag.trim())) {
+      return { error: 'tags must be an array of non-empty strings' };
+    }
+    changes.tags = [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+  }
+  return { changes };
+}
+
+// List sessions, pinned first; archived sessions only with ?archived=true
+// Filters: ?project=<name> (empty for sessions outside any project), ?tag=, ?pinned=true|false
 app.get('/api/sessions', async (req, res) => {
   try {
     if (!sessionService) {
       return res.status(503).json({ error: 'Session service not available' });
     }
     
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = parseInt(req.query.offset) || 0;
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'limit must be a positive integer and offset a non-negative integer' });
+    }
+    const pinned = parseBooleanQuery(req.query.pinned);
+    const archived = parseBooleanQuery(req.query.archived);
+    if (pinned === null || archived === null) {
+      return res.status(400).json({ error: 'pinned and archived must be true or false' });
+    }
     
-    const result = await sessionService.listSessions(limit, offset);
+    const result = await sessionService.listSessions(req.user.id, page.limit, page.offset, {
+      project: req.query.project === undefined ? undefined : req.query.project.trim() || null,
+      tag: req.query.tag ? req.query.tag.trim().toLowerCase() : undefined,
+      pinned,
+      archived: archived ?? false
+    });
     res.json(result);
   } catch (error) {
     console.error('List sessions error:', error);
@@ -630,6 +1472,44 @@ app.get('/api/sessions', async (req, res) => {
   }
 });
 
+// Full-text search across the user's sessions
+// ?q= (words, "phrases", OR, -word), optional from/to (ISO date or ms), role, tool
+app.get('/api/sessions/search', async (req, res) => {
+  try {
+    if (!sessionService || !database.initialized) {
+      return res.status(503).json({ error: 'Session search needs the database' });
+    }
+
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    const from = parseDateQuery(req.query.from, undefined);
+    const to = parseDateQuery(req.query.to, undefined);
+    if (from === null || to === null || (from !== undefined && to !== undefined && from > to)) {
+      return res.status(400).json({ error: 'from/to must be ISO dates or epoch milliseconds with from before to' });
+    }
+    const role = req.query.role || null;
+    if (role && !['user', 'assistant', 'system'].includes(role)) {
+      return res.status(400).json({ error: 'role must be user, assistant or system' });
+    }
+
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'limit must be a positive integer and offset a non-negative integer' });
+    }
+
+    const result = await sessionService.search(req.user.id, query, {
+      from: from ?? null, to: to ?? null, role, toolUsed: req.query.tool || null,
+      limit: page.limit, offset: page.offset
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Search sessions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create new session
 app.post('/api/sessions', async (req, res) => {
   try {
@@ -638,7 +1518,7 @@ app.post('/api/sessions', async (req, res) => {
     }
     
     const { title } = req.body;
-    const session = await sessionService.createSession(title);
+    const session = await sessionService.createSession(title, req.user.id);
     res.json(session);
   } catch (error) {
     console.error('Create session error:', error);
@@ -653,13 +1533,13 @@ app.get('/api/sessions/:id', async (req, res) => {
       return res.status(503).json({ error: 'Session service not available' });
     }
     
-    const pageSize = parseInt(req.query.pageSize) || undefined;
-    const session = await sessionService.getSession(req.params.id, pageSize);
-    
-    if (!session) {
+    if (!(await sessionService.isOwnedBy(req.params.id, req.user.id))) {
       return res.status(404).json({ error: 'Session not found' });
     }
     
+    const pageSize = parseInt(req.query.pageSize) || undefined;
+    const session = await sessionService.getSession(req.params.id, pageSize);
+    
     res.json(session);
   } catch (error) {
     console.error('Get session error:', error);
@@ -674,6 +1554,10 @@ app.get('/api/sessions/:id/messages', async (req, res) => {
       return res.status(503).json({ error: 'Session service not available' });
     }
     
+    if (!(await sessionService.isOwnedBy(req.params.id, req.user.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
     const limit = parseInt(req.query.limit) || 50;
     const beforeId = req.query.beforeId || null;
     
@@ -685,15 +1569,29 @@ app.get('/api/sessions/:id/messages', async (req, res) => {
   }
 });
 
-// Update session title
+// Update session title, settings and organization (project, tags, pinned, archived)
 app.patch('/api/sessions/:id', async (req, res) => {
   try {
     if (!sessionService) {
       return res.status(503).json({ error: 'Session service not available' });
     }
     
+    if (!(await sessionService.isOwnedBy(req.params.id, req.user.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
     const { title } = req.body;
-    await sessionService.updateTitle(req.params.id, title);
+    const { changes, error } = parseSessionSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    if (title !== undefined) {
+      await sessionService.updateTitle(req.params.id, title);
+    }
+    if (Object.keys(changes).length > 0) {
+      await sessionService.updateSettings(req.params.id, changes);
+    }
     res.json({ success: true });
   } catch (error) {
     console.error('Update session error:', error);
@@ -708,7 +1606,13 @@ app.delete('/api/sessions/:id', async (req, res) => {
       return res.status(503).json({ error: 'Session service not available' });
     }
     
+    if (!(await sessionService.isOwnedBy(req.params.id, req.user.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
     await sessionService.deleteSession(req.params.id);
+    // Memories scoped to the session go with it
+    await memoryService.clearAll(req.user.id, [MemoryService.scopeKey({ scope: 'session', scopeId: req.params.id })]);
     res.json({ success: true });
   } catch (error) {
     console.error('Delete session error:', error);
@@ -716,6 +1620,71 @@ app.delete('/api/sessions/:id', async (req, res) => {
   }
 });
 
+// ==================== IMPORT ENDPOINTS ====================
+
+// Recreate conversations from ChatGPT's conversations.json, other tools' JSON or
+// Markdown exports, or this app's own exports as sessions
+// ?format=auto|chatgpt|json|markdown, ?filename= titles an untitled Markdown file.
+// The body is the file: application/json up to 10 MB, anything larger (and
+// Markdown) as text/* or application/octet-stream up to IMPORT_MAX_MB
+app.post('/api/import',
+  express.text({ type: ['text/*', 'application/octet-stream'], limit: `${dbConfig.import.maxSizeMb}mb` }),
+  async (req, res) => {
+    try {
+      if (!importService || !database.initialized) {
+        return res.status(503).json({ error: 'Session store not available' });
+      }
+      const emptyJson = req.body && typeof req.body === 'object' && !Array.isArray(req.body) && Object.keys(req.body).length === 0;
+      if (!req.body || emptyJson) {
+        return res.status(400).json({ error: 'Send the export file as the request body' });
+      }
+
+      const result = await importService.import(req.body, {
+        format: req.query.format || 'auto',
+        filename: req.query.filename || null,
+        userId: req.user.id
+      });
+      res.status(result.imported.length > 0 ? 201 : 200).json(result);
+    } catch (error) {
+      if (error instanceof ImportService.ImportError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Import error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// ============================================
+// Usage & Cost
+// ============================================
+
+// Token usage and cost with daily/model/session/purpose breakdowns
+// Defaults to the current month; admins can pass ?all=true for every user
+app.get('/api/usage', async (req, res) => {
+  try {
+    if (!usageService.available) {
+      return res.status(503).json({ error: 'Usage tracking needs the database' });
+    }
+
+    const from = parseDateQuery(req.query.from, usageService.getMonthStart());
+    const to = parseDateQuery(req.query.to, Date.now() + 1);
+    if (from === null || to === null || from >= to) {
+      return res.status(400).json({ error: 'from/to must be ISO dates or epoch milliseconds with from before to' });
+    }
+
+    const all = req.query.all === 'true';
+    if (all && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Only admins can view usage for all users' });
+    }
+
+    res.json(await usageService.getSummary(all ? null : req.user.id, { from, to }));
+  } catch (error) {
+    console.error('Usage error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Global error:', err);
@@ -725,10 +1694,11 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
+// Start server (when run directly; tests import the app)
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`
 ╔══════════════════════════════════════╗
 ║   DIY ChatGPT Backend Server         ║
 ╠══════════════════════════════════════╣
@@ -738,9 +1708,13 @@ app.listen(PORT, () => {
 ║   Model: ${process.env.OPENAI_MODEL || 'gpt-4o-mini'}          ║
 ╚══════════════════════════════════════╝
   `);
-  
-  if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'sk-your-openai-api-key-here') {
-    console.log('⚠️  WARNING: OpenAI API key not configured!');
-    console.log('   Please edit .env and add your actual API key');
-  }
-});
+    
+    if (!isLLMConfigured) {
+      const missing = llm.getStatus().filter(p => !p.configured).map(p => p.name);
+      console.log(`⚠️  WARNING: LLM provider(s) not configured: ${missing.join(', ')}`);
+      console.log('   Please edit .env and add your API key (or set LLM_PROVIDER=mock to run offline)');
+    }
+  });
+}
+
+module.exports = app;
@@ -4,8 +4,8 @@
  */
 
 class AgentService {
-  constructor(openai, services) {
-    this.openai = openai;
+  constructor(llm, services) {
+    this.llm = llm;
     this.searchService = services.search;
     this.contentFetcher = services.fetcher;
     this.studyService = services.study;
@@ -164,7 +164,7 @@ ${searchContext}
 Fetched Content:
 ${fetchedContext}`;
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.llm.chat.completions.create({
         model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
         messages: [
           { role: 'system', content: systemPrompt },
@@ -172,7 +172,7 @@ ${fetchedContext}`;
         ],
         max_tokens: 2000,
         temperature: 0.7
-      });
+      }, { purpose: 'agent' });
 
       // Format sources
       const sources = searchResults.map((r, i) => ({
@@ -260,12 +260,12 @@ ${fetchedContext}`;
 
   // Regular chat without tools
   async regularChat(messages) {
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages,
       max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 2000,
       temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7
-    });
+    }, { purpose: 'agent' });
 
     return {
       role: 'assistant',
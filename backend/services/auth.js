@@ -0,0 +1,238 @@
+/**
+ * Auth Service
+ *
+ * Local accounts with scrypt-hashed passwords and bearer tokens:
+ * - session tokens: issued at login (cookie for the browser, expire after sessionTtlHours)
+ * - api tokens: named, long-lived tokens for scripts (Authorization: Bearer <token>)
+ * Tokens are random and only their SHA-256 hash is stored.
+ *
+ * The first account becomes admin and adopts data created before accounts existed.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { validate: isUuid } = require('uuid');
+const database = require('./storage/database');
+const authConfig = require('../../config/auth');
+
+const scrypt = promisify(crypto.scrypt);
+
+class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+class AuthService {
+  constructor(options = {}) {
+    this.config = authConfig;
+    // Called with the first user's id so other stores can adopt unowned data
+    this.onFirstUser = options.onFirstUser || null;
+    this.dummyHashPromise = null;
+    if (this.config.enabled) this.dummyHash();
+  }
+
+  /**
+   * Whether requests need an account (only AUTH_ENABLED=false turns this off)
+   */
+  get enabled() {
+    return this.config.enabled;
+  }
+
+  get available() {
+    return database.initialized;
+  }
+
+  // ==================== ACCOUNTS ====================
+
+  /**
+   * Create an account. The first account is always allowed and becomes admin;
+   * later ones require AUTH_ALLOW_REGISTRATION=true.
+   */
+  async register(username, password) {
+    this.validateCredentials(username, password);
+
+    const passwordHash = await this.hashPassword(password);
+    // Count and insert under one lock: concurrent sign-ups can't both become the first admin
+    const { user, isFirstUser } = await database.transaction(async (client) => {
+      await database.lockRegistration(client);
+      const isFirst = (await database.countUsers(client)) === 0;
+      if (!isFirst && !this.config.allowRegistration) {
+        throw new AuthError('Registration is closed', 403);
+      }
+      if (await database.getUserByUsername(username, client)) {
+        throw new AuthError('Username is already taken', 409);
+      }
+      const created = await database.createUser({ username, passwordHash, isAdmin: isFirst }, client);
+      return { user: created, isFirstUser: isFirst };
+    });
+    console.log(`[Auth] Registered ${isFirstUser ? 'admin ' : ''}user ${username}`);
+
+    if (isFirstUser) {
+      const claimed = await database.claimUnownedSessions(user.id);
+      if (claimed > 0) {
+        console.log(`[Auth] Assigned ${claimed} existing session(s) to ${username}`);
+      }
+      if (this.onFirstUser) {
+        await this.onFirstUser(user.id);
+      }
+    }
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Verify credentials and issue a session token
+   * Returns { user, token, expiresAt }
+   */
+  async login(username, password) {
+    this.checkCredentialTypes(username, password);
+
+    const user = username ? await database.getUserByUsername(username) : null;
+    // Unknown users are checked against a dummy hash so both cases take as long
+    const valid = await this.verifyPassword(password, user ? user.passwordHash : await this.dummyHash());
+    if (!user || !valid) {
+      throw new AuthError('Invalid username or password', 401);
+    }
+
+    const expiresAt = Date.now() + this.config.sessionTtlHours * 60 * 60 * 1000;
+    const { token } = await this.issueToken(user.id, { kind: 'session', expiresAt });
+    await database.recordLogin(user.id);
+    database.deleteExpiredAuthTokens().catch(err =>
+      console.error('[Auth] Token cleanup error:', err.message)
+    );
+
+    return { user: this.toPublicUser(user), token, expiresAt };
+  }
+
+  /**
+   * Revoke the token used for the current request
+   */
+  async logout(token) {
+    if (token) {
+      await database.deleteAuthTokenByHash(this.hashToken(token));
+    }
+  }
+
+  /**
+   * Resolve a bearer/cookie token to { user, tokenId, tokenKind } or null
+   */
+  async authenticate(token) {
+    if (!token || !token.startsWith(this.config.tokenPrefix)) return null;
+
+    const record = await database.getAuthToken(this.hashToken(token));
+    if (!record) return null;
+
+    database.touchAuthToken(record.id).catch(() => {});
+    return { user: record.user, tokenId: record.id, tokenKind: record.kind };
+  }
+
+  async getUser(userId) {
+    const user = await database.getUserById(userId);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  // ==================== API TOKENS ====================
+
+  /**
+   * Create a named API token; the plaintext token is only returned here
+   */
+  async createApiToken(userId, name) {
+    if (!name || !name.trim()) {
+      throw new AuthError('Token name is required');
+    }
+    return this.issueToken(userId, { kind: 'api', name: name.trim().substring(0, 100) });
+  }
+
+  async listApiTokens(userId) {
+    return database.listAuthTokens(userId, 'api');
+  }
+
+  async revokeApiToken(userId, tokenId) {
+    if (!isUuid(tokenId)) return false;
+    return database.deleteAuthToken(userId, tokenId);
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Reject non-string credentials (e.g. from a JSON body) before they reach
+   * scrypt or a query
+   */
+  checkCredentialTypes(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw new AuthError('Username and password must be strings');
+    }
+  }
+
+  validateCredentials(username, password) {
+    this.checkCredentialTypes(username, password);
+    if (!username || !this.config.username.pattern.test(username)) {
+      throw new AuthError(`Invalid username (${this.config.username.description})`);
+    }
+    if (!password || password.length < this.config.passwordMinLength) {
+      throw new AuthError(`Password must be at least ${this.config.passwordMinLength} characters`);
+    }
+  }
+
+  /**
+   * Generate and store a token; returns the stored record plus the plaintext token
+   */
+  async issueToken(userId, { kind, name = null, expiresAt = null }) {
+    const token = this.config.tokenPrefix + crypto.randomBytes(32).toString('base64url');
+    const record = await database.createAuthToken(userId, { tokenHash: this.hashToken(token), kind, name, expiresAt });
+    return { ...record, token };
+  }
+
+  /**
+   * Hash of a random password, made once, for login attempts on unknown users
+   */
+  dummyHash() {
+    if (!this.dummyHashPromise) {
+      this.dummyHashPromise = this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return this.dummyHashPromise;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Hash as scrypt$<N>$<r>$<p>$<salt>$<key> so parameters can change later
+   */
+  async hashPassword(password) {
+    const { keyLength, cost, blockSize, parallelization } = this.config.scrypt;
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, keyLength, { N: cost, r: blockSize, p: parallelization });
+    return ['scrypt', cost, blockSize, parallelization, salt.toString('base64'), key.toString('base64')].join('$');
+  }
+
+  async verifyPassword(password, stored) {
+    const [algorithm, cost, blockSize, parallelization, salt, key] = (stored || '').split('$');
+    if (algorithm !== 'scrypt') return false;
+
+    const expected = Buffer.from(key, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: parseInt(cost),
+      r: parseInt(blockSize),
+      p: parseInt(parallelization)
+    });
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      isAdmin: !!user.isAdmin,
+      createdAt: user.createdAt
+    };
+  }
+}
+
+AuthService.AuthError = AuthError;
+
+module.exports = AuthService;
@@ -0,0 +1,311 @@
+/**
+ * Code Executor Service
+ *
+ * Runs model-written code in a child process, only with OS isolation (Linux namespaces via
+ * unshare): a root holding just the language runtime and the scratch dir, an empty network
+ * namespace, no capabilities, RLIMIT_AS / RLIMIT_CPU / RLIMIT_NPROC. A language is left out
+ * when its sandbox can't be set up here.
+ * - JavaScript: limits set by prlimit (RLIMIT_NPROC allows Node's own threads), plus the Node
+ *   permission model (fs limited to the scratch dir, no child processes or workers), heap
+ *   limit and network guard preloaded
+ * - Python: limits set by pythonGuard.py, RLIMIT_NPROC 0 (no new processes or threads)
+ * - Wall-clock timeout (SIGKILL), empty environment (no API keys), scratch dir under temp/
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const aiConfig = require('../../config/ai-config');
+
+const SANDBOX_DIR = path.join(__dirname, 'sandbox');
+const SANDBOX_SCRIPT = path.join(SANDBOX_DIR, 'sandbox.sh');
+
+// Where the sandbox directory and the scratch dir appear inside the sandbox
+const GUARD_DIR = '/sandbox';
+const WORK_DIR = '/work';
+
+// User sandboxed code runs as when the server runs as root (nobody)
+const SANDBOX_UID = 65534;
+
+// Node reserves about 700 MB of address space before running any code; RLIMIT_AS
+// is the configured memory on top of this (it also caps Buffers, unlike the heap limit)
+const NODE_RESERVED_MB = 1024;
+
+// RLIMIT_NPROC for JavaScript: Node starts about a dozen threads of its own. When
+// the server runs as root this counts every process of the sandbox user
+const NODE_MAX_THREADS = 32;
+
+const SCRIPT_FILES = { javascript: 'main.js', python: 'main.py' };
+const PROBE_SCRIPTS = { javascript: 'console.log("ok")\n', python: 'print("ok")\n' };
+
+const isRoot = () => typeof process.getuid === 'function' && process.getuid() === 0;
+
+// Node 20 ships the permission model as --experimental-permission; later versions as --permission
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission')
+  ? '--permission'
+  : '--experimental-permission';
+
+class CodeExecutor {
+  constructor() {
+    this.config = aiConfig.codeExec;
+    this.tempDir = path.join(__dirname, '../../temp');
+    // Per language: { executable, dirs } once its sandbox works, null when it doesn't
+    this.runtimes = {};
+    this.namespaces = null;
+  }
+
+  /**
+   * Languages that can run on this machine
+   */
+  getLanguages() {
+    return ['javascript', 'python'].filter(language => this.getRuntime(language));
+  }
+
+  getRuntime(language) {
+    if (this.runtimes[language] === undefined) {
+      this.runtimes[language] = language === 'python'
+        ? (this.config.python ? this.probePython() : null)
+        : this.probeJavascript();
+    }
+    return this.runtimes[language];
+  }
+
+  /**
+   * Whether this process can create Linux namespaces (a user namespace too,
+   * unless it runs as root)
+   */
+  hasNamespaces() {
+    if (this.namespaces === null) {
+      const check = spawnSync('unshare', [...this.namespaceArgs(), '--net', 'true'], { timeout: 2000 });
+      this.namespaces = check.status === 0;
+    }
+    return this.namespaces;
+  }
+
+  namespaceArgs() {
+    return isRoot() ? [] : ['--user', '--map-root-user'];
+  }
+
+  /**
+   * The Node running this server, if the sandbox works with it
+   */
+  probeJavascript() {
+    const executable = fsSync.realpathSync(process.execPath);
+    return this.probeSandbox('javascript', { executable, dirs: [path.dirname(executable)] });
+  }
+
+  /**
+   * Find python3, if the sandbox works with it
+   */
+  probePython() {
+    const info = spawnSync('python3', ['-I', '-c', 'import os, sys; print(os.path.realpath(sys.executable)); print(sys.base_prefix)'], {
+      timeout: 5000,
+      encoding: 'utf8'
+    });
+    if (info.status !== 0) return null;
+
+    const [executable, prefix] = info.stdout.trim().split('\n');
+    return this.probeSandbox('python', { executable, dirs: [...new Set([prefix, path.dirname(executable)])] });
+  }
+
+  /**
+   * Check the sandbox works with a runtime by running a one-liner
+   * Returns the runtime or null (the language is then not offered)
+   */
+  probeSandbox(language, runtime) {
+    const name = language === 'python' ? 'Python' : 'JavaScript';
+    if (!this.hasNamespaces()) {
+      console.warn(`[CodeExec] ${name} disabled: Linux namespaces are not available for its sandbox`);
+      return null;
+    }
+
+    const runDir = path.join(this.tempDir, `exec_${uuidv4()}`);
+    try {
+      const workDir = this.prepareDirs(runDir);
+      const fileName = SCRIPT_FILES[language];
+      fsSync.writeFileSync(path.join(workDir, fileName), PROBE_SCRIPTS[language]);
+      if (isRoot()) fsSync.chownSync(path.join(workDir, fileName), SANDBOX_UID, SANDBOX_UID);
+
+      const { command, args } = this.buildCommand(language, runDir, fileName, runtime);
+      const check = spawnSync(command, args, { timeout: 10000, encoding: 'utf8', env: this.childEnv(WORK_DIR) });
+      if (check.stdout?.trim() !== 'ok') {
+        console.warn(`[CodeExec] ${name} disabled: its sandbox failed to start (${(check.stderr || check.error?.message || '').trim()})`);
+        return null;
+      }
+      return runtime;
+    } finally {
+      fsSync.rmSync(runDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Create a run's directories; returns the scratch dir the code works in:
+   * work/ (owned by the sandbox user) next to root/ for the chroot
+   */
+  prepareDirs(runDir) {
+    const workDir = path.join(runDir, 'work');
+    fsSync.mkdirSync(workDir, { recursive: true });
+    fsSync.mkdirSync(path.join(runDir, 'root'));
+    if (isRoot()) fsSync.chownSync(workDir, SANDBOX_UID, SANDBOX_UID);
+    return workDir;
+  }
+
+  childEnv(homeDir) {
+    return { PATH: process.env.PATH, HOME: homeDir, LANG: 'C.UTF-8' };
+  }
+
+  /**
+   * Execute a snippet
+   * Returns { language, exitCode, signal, timedOut, stdout, stderr, truncated, durationMs }
+   */
+  async execute(language, code, options = {}) {
+    const { signal = null } = options;
+
+    const languages = this.getLanguages();
+    if (!languages.includes(language)) {
+      throw new Error(languages.length > 0
+        ? `Unsupported language "${language}" (available: ${languages.join(', ')})`
+        : 'Code execution is unavailable: its sandbox needs Linux namespaces');
+    }
+    if (!code || !code.trim()) {
+      throw new Error('No code to execute');
+    }
+
+    const runDir = path.join(this.tempDir, `exec_${uuidv4()}`);
+
+    try {
+      const workDir = this.prepareDirs(runDir);
+      const fileName = SCRIPT_FILES[language];
+      await fs.writeFile(path.join(workDir, fileName), code, 'utf8');
+      if (isRoot()) {
+        await fs.chown(path.join(workDir, fileName), SANDBOX_UID, SANDBOX_UID);
+      }
+
+      const { command, args } = this.buildCommand(language, runDir, fileName, this.getRuntime(language));
+      console.log(`[CodeExec] Running ${language} (${code.length} chars) in ${path.basename(runDir)}`);
+
+      return await this.run(command, args, workDir, language, signal);
+    } finally {
+      // The sandbox's mounts only exist in its own mount namespace, so this never reaches them
+      await fs.rm(runDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Command line for a run: the language's command inside sandbox.sh, in new
+   * mount, network and PID namespaces
+   */
+  buildCommand(language, runDir, fileName, runtime) {
+    const cpuSeconds = Math.max(1, Math.ceil(this.config.timeoutMs / 1000));
+    const script = `${WORK_DIR}/${fileName}`;
+    const command = language === 'python'
+      ? [
+        runtime.executable, '-I', `${GUARD_DIR}/pythonGuard.py`,
+        script,
+        String(this.config.memoryMb * 1024 * 1024),
+        String(cpuSeconds)
+      ]
+      : [
+        'prlimit',
+        `--as=${(this.config.memoryMb + NODE_RESERVED_MB) * 1024 * 1024}`,
+        `--cpu=${cpuSeconds}`,
+        `--nproc=${NODE_MAX_THREADS}`,
+        '--',
+        runtime.executable,
+        PERMISSION_FLAG,
+        `--allow-fs-read=${WORK_DIR}`,
+        `--allow-fs-read=${GUARD_DIR}/networkGuard.js`,
+        `--allow-fs-write=${WORK_DIR}`,
+        `--max-old-space-size=${this.config.memoryMb}`,
+        '--disable-warning=ExperimentalWarning',
+        '--require', `${GUARD_DIR}/networkGuard.js`,
+        script
+      ];
+
+    return {
+      command: 'unshare',
+      args: [
+        ...this.namespaceArgs(),
+        '--mount', '--net', '--pid', '--fork', '--kill-child', '--propagation', 'private',
+        'sh', SANDBOX_SCRIPT,
+        path.join(runDir, 'root'),
+        path.join(runDir, 'work'),
+        isRoot() ? String(SANDBOX_UID) : '-',
+        ...runtime.dirs,
+        '--',
+        ...command
+      ]
+    };
+  }
+
+  run(command, args, workDir, language, signal) {
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const maxChars = this.config.maxOutputChars;
+      let stdout = '';
+      let stderr = '';
+      let truncated = false;
+      let timedOut = false;
+
+      const child = spawn(command, args, {
+        cwd: workDir,
+        env: this.childEnv(WORK_DIR),
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      const collect = (current, chunk) => {
+        if (current.length >= maxChars) {
+          truncated = true;
+          return current;
+        }
+        const next = current + chunk.toString('utf8');
+        if (next.length > maxChars) {
+          truncated = true;
+          return next.substring(0, maxChars);
+        }
+        return next;
+      };
+
+      child.stdout.on('data', chunk => { stdout = collect(stdout, chunk); });
+      child.stderr.on('data', chunk => { stderr = collect(stderr, chunk); });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, this.config.timeoutMs);
+
+      const onAbort = () => child.kill('SIGKILL');
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      });
+
+      child.on('close', (exitCode, exitSignal) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+
+        if (signal?.aborted) {
+          return reject(signal.reason);
+        }
+
+        resolve({
+          language,
+          exitCode,
+          signal: exitSignal,
+          timedOut,
+          stdout,
+          stderr: stderr.replaceAll(`${WORK_DIR}/`, ''),
+          truncated,
+          durationMs: Date.now() - startedAt
+        });
+      });
+    });
+  }
+}
+
+module.exports = CodeExecutor;
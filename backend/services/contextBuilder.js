@@ -0,0 +1,157 @@
+/**
+ * Context Builder
+ *
+ * Fits a request into the selected model's context window. Sections are added in
+ * priority order, each measured with the model's tokenizer:
+ * 1. System prompt (base + tool patches + custom instructions) - always kept
+ * 2. Latest user message - trimmed (start and end kept) only if it can't fit whole
+ * 3. Conversation summary and memory - each capped at a share of the window
+ * 4. Earlier messages, newest first, until the budget runs out; any single message
+ *    over its cap (long pasted documents) is trimmed, and older ones are dropped
+ *
+ * The same input always produces the same context. The report lists token use per
+ * section and everything that was trimmed or dropped (messages by index into the
+ * input, summary/memory by section).
+ */
+
+const tokenizer = require('./tokenizer');
+const modelRegistry = require('../../config/model-registry');
+const aiConfig = require('../../config/ai-config');
+
+class ContextBuilder {
+  constructor(config = aiConfig.context) {
+    this.config = config;
+  }
+
+  /**
+   * @param {Object} input
+   * @param {string} input.model - Model the request will be sent to
+   * @param {string} input.systemPrompt - Full system prompt (counted, not returned)
+   * @param {Array} input.messages - Conversation, oldest first; the last one is the new user turn
+   * @param {string|null} input.summary - Summary of earlier, already summarized turns
+   * @param {string|null} input.memory - Memory context to include
+   * @param {number} input.maxOutput - Completion tokens to reserve
+   * @param {number} input.reservedTokens - Prompt tokens the handler adds later (e.g. step results)
+   * @returns {{ messages: Array, report: Object }} messages to send after the system prompt
+   */
+  build({ model, systemPrompt = '', messages = [], summary = null, memory = null, maxOutput = 0, reservedTokens = 0 }) {
+    const { contextWindow } = modelRegistry.getModelInfo(model);
+    const systemTokens = tokenizer.countMessages([{ role: 'system', content: systemPrompt }], model);
+    const available = contextWindow - maxOutput - reservedTokens - this.config.safetyMarginTokens - systemTokens;
+
+    const report = {
+      model,
+      contextWindow,
+      reservedOutput: maxOutput,
+      reservedInput: reservedTokens,
+      tokens: { system: systemTokens, summary: 0, memory: 0, history: 0, total: systemTokens },
+      trimmed: [],
+      dropped: []
+    };
+
+    if (available <= 0) {
+      // Nothing but the system prompt fits; send the latest turn and let the LLM service reject it
+      const latest = messages.slice(-1);
+      report.dropped = messages.slice(0, -1).map((message, index) => this.describe(message, index, model));
+      return { messages: latest, report };
+    }
+
+    let remaining = available;
+    const history = [];
+
+    // Latest user turn: always sent, trimmed to whatever room there is
+    const lastIndex = messages.length - 1;
+    if (lastIndex >= 0) {
+      const latest = messages[lastIndex];
+      const fitted = this.fitText(latest, remaining, model, 'both', 1) ||
+        { message: latest, tokens: tokenizer.countMessage(latest, model), trimmed: false };
+      if (fitted.trimmed) {
+        report.trimmed.push({ index: lastIndex, role: latest.role, from: fitted.originalTokens, to: fitted.tokens });
+      }
+      history.push(fitted.message);
+      remaining -= fitted.tokens;
+    }
+
+    // Summary and memory go before the history
+    const preamble = [];
+    for (const [section, content, share] of [
+      ['summary', summary, this.config.summaryShare],
+      ['memory', memory, this.config.memoryShare]
+    ]) {
+      if (!content || remaining <= this.config.minTrimmedTokens) continue;
+
+      const message = {
+        role: 'system',
+        content: section === 'summary'
+          ? `## Previous Conversation Summary\n${content}\n\nContinue the conversation based on this context.`
+          : content
+      };
+      const cap = Math.min(remaining, Math.floor(available * share));
+      const fitted = this.fitText(message, cap, model, 'head');
+      if (!fitted) {
+        report.dropped.push({ section, tokens: tokenizer.countMessage(message, model) });
+        continue;
+      }
+      if (fitted.trimmed) {
+        report.trimmed.push({ section, from: fitted.originalTokens, to: fitted.tokens });
+      }
+      preamble.push(fitted.message);
+      report.tokens[section] = fitted.tokens;
+      remaining -= fitted.tokens;
+    }
+
+    // Earlier turns, newest first
+    const messageCap = Math.floor(available * this.config.messageShare);
+    for (let index = lastIndex - 1; index >= 0; index--) {
+      const cap = Math.min(remaining, messageCap);
+      const fitted = this.fitText(messages[index], cap, model, 'both');
+      if (!fitted) {
+        // Everything older goes too, so the history stays contiguous
+        for (let older = 0; older <= index; older++) {
+          report.dropped.push(this.describe(messages[older], older, model));
+        }
+        break;
+      }
+      if (fitted.trimmed) {
+        report.trimmed.push({ index, role: messages[index].role, from: fitted.originalTokens, to: fitted.tokens });
+      }
+      history.unshift(fitted.message);
+      remaining -= fitted.tokens;
+    }
+
+    report.tokens.history = available - remaining - report.tokens.summary - report.tokens.memory;
+    report.tokens.total = systemTokens + available - remaining;
+
+    return { messages: [...preamble, ...history], report };
+  }
+
+  /**
+   * Message within cap tokens: unchanged, trimmed, or null when a trimmed version
+   * would be smaller than minTokens (defaults to config.minTrimmedTokens)
+   */
+  fitText(message, cap, model, keep, minTokens = this.config.minTrimmedTokens) {
+    const tokens = tokenizer.countMessage(message, model);
+    if (tokens <= cap) {
+      return { message, tokens, originalTokens: tokens, trimmed: false };
+    }
+    if (typeof message.content !== 'string') return null;
+
+    const overhead = tokens - tokenizer.count(message.content, model);
+    const contentBudget = cap - overhead;
+    if (contentBudget < minTokens) return null;
+
+    const truncated = tokenizer.truncate(message.content, contentBudget, model, { keep });
+    return {
+      message: { ...message, content: truncated.text },
+      tokens: truncated.tokens + overhead,
+      originalTokens: tokens,
+      trimmed: true
+    };
+  }
+
+  describe(message, index, model) {
+    return { index, role: message.role, tokens: tokenizer.countMessage(message, model) };
+  }
+}
+
+module.exports = ContextBuilder;
@@ -0,0 +1,184 @@
+/**
+ * Conversation Importer
+ *
+ * Moves conversations saved through the legacy /api/conversations endpoints
+ * (data/conversations/*.json, written by MemoryService.saveConversation) into the
+ * session store, so there is one chat history. Each conversation becomes a session
+ * with its title, messages and timestamps. The session's metadata.legacyConversationId
+ * records where it came from, which is how old conversation ids are redirected to
+ * their session; metadata.legacyMessageCount is how many of its legacy messages
+ * have been taken. An imported file is renamed to <id>.json.imported, so running the
+ * import again only picks up new files.
+ *
+ * Imports run one at a time, so a conversation can't be imported twice by
+ * concurrent requests.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const database = require('./storage/database');
+
+// Title for a conversation without one: the start of its first user message
+const TITLE_LENGTH = 50;
+
+class ConversationImporter {
+  /**
+   * @param {SessionService} sessions - Creates the sessions
+   * @param {MemoryService} memory - Reads the legacy conversation files
+   */
+  constructor(sessions, memory) {
+    this.sessions = sessions;
+    this.memory = memory;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Import every legacy conversation visible to the user (all of them with null)
+   * Returns { imported: [{ conversationId, sessionId, messageCount }], failed: [{ conversationId, error }] }
+   */
+  async importAll(userId = null) {
+    return this.run(async () => {
+      const imported = [];
+      const failed = [];
+
+      for (const conversation of await this.readLegacy(userId)) {
+        try {
+          // Already a session (saved through the redirected endpoint, or a rename that failed)
+          if (await database.findSessionByLegacyId(conversation.id, conversation.userId || null)) {
+            await this.retireFile(conversation.id);
+            continue;
+          }
+          imported.push(await this.importConversation(conversation));
+        } catch (error) {
+          console.error(`[Import] Conversation ${conversation.id} failed:`, error.message);
+          failed.push({ conversationId: conversation.id, error: error.message });
+        }
+      }
+
+      if (imported.length > 0) {
+        console.log(`[Import] Imported ${imported.length} legacy conversation(s) into sessions`);
+      }
+      return { imported, failed };
+    });
+  }
+
+  /**
+   * Session id for a legacy conversation id, importing the conversation first if
+   * it is still a file. null when the user has no such conversation
+   */
+  async findSession(conversationId, userId = null) {
+    return this.run(async () => {
+      const sessionId = await database.findSessionByLegacyId(conversationId, userId);
+      if (sessionId) return sessionId;
+
+      const conversation = await this.memory.loadConversation(conversationId, userId);
+      return conversation ? (await this.importConversation(conversation)).sessionId : null;
+    });
+  }
+
+  /**
+   * Save a conversation the legacy way (POST /api/conversations) into the session
+   * store. Legacy clients send the whole message list each time, so for a known
+   * id only the messages beyond those already taken are added. That count is kept
+   * apart from the session's messages, which skipped messages and chat turns change.
+   * Returns { sessionId, created, added }
+   */
+  async save(conversationId, messages, metadata = {}, userId = null) {
+    return this.run(async () => {
+      const sessionId = await database.findSessionByLegacyId(conversationId, userId);
+
+      if (!sessionId) {
+        const { sessionId: created, messageCount } = await this.importConversation({
+          id: conversationId,
+          userId,
+          messages,
+          metadata,
+          createdAt: metadata.createdAt
+        }, { fromFile: false });
+        return { sessionId: created, created: true, added: messageCount };
+      }
+
+      // Sessions imported before the count was kept fall back to the stored messages
+      const session = await database.getSession(sessionId);
+      const taken = session.metadata?.legacyMessageCount ?? await database.countMessages(sessionId);
+      const added = await this.sessions.appendMessages(sessionId, messages.slice(taken));
+      if (messages.length > taken) {
+        await database.updateSession(sessionId, {
+          metadataChanges: { legacyMessageCount: messages.length },
+          updateActivity: false
+        });
+      }
+      if (metadata.title) {
+        await this.sessions.updateTitle(sessionId, metadata.title);
+      }
+      return { sessionId, created: false, added };
+    });
+  }
+
+  /**
+   * Turn one legacy conversation into a session and retire its file (unless it
+   * didn't come from one)
+   */
+  async importConversation(conversation, { fromFile = true } = {}) {
+    const messages = (conversation.messages || []).map(m => ({
+      role: m.role,
+      content: m.content,
+      createdAt: m.createdAt || m.timestamp
+    }));
+    const createdAt = Date.parse(conversation.createdAt) || null;
+
+    const session = await this.sessions.importSession({
+      title: this.titleFor(conversation),
+      userId: conversation.userId || null,
+      createdAt,
+      metadata: {
+        importedFrom: 'legacy_conversation',
+        legacyConversationId: conversation.id,
+        legacyMessageCount: messages.length
+      },
+      messages
+    });
+
+    if (fromFile) {
+      await this.retireFile(conversation.id);
+    }
+    return { conversationId: conversation.id, sessionId: session.id, messageCount: session.messageCount };
+  }
+
+  titleFor(conversation) {
+    const title = conversation.metadata?.title;
+    if (title) return title;
+
+    const firstUser = (conversation.messages || []).find(m => m.role === 'user' && m.content);
+    return firstUser ? firstUser.content.substring(0, TITLE_LENGTH) : null;
+  }
+
+  // Legacy conversation files visible to the user
+  async readLegacy(userId) {
+    const files = await fs.readdir(this.memory.conversationsDir).catch(() => []);
+    const conversations = [];
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const conversation = await this.memory.loadConversation(path.basename(file, '.json'), userId);
+      if (conversation) conversations.push(conversation);
+    }
+    return conversations;
+  }
+
+  // Rename an imported file so it isn't listed or imported again
+  async retireFile(conversationId) {
+    const filePath = this.memory.getConversationPath(conversationId);
+    await fs.rename(filePath, `${filePath}.imported`).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  // Run fn after every earlier import has finished
+  run(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = ConversationImporter;
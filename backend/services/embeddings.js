@@ -0,0 +1,143 @@
+/**
+ * Embedding Service
+ *
+ * Turns text into vectors for semantic memory search. The embedder is pluggable
+ * (aiConfig.embeddings.embedder):
+ * - provider: the embeddings API of a configured provider (OpenAI or compatible)
+ * - local: offline feature hashing of words and character trigrams. No API calls
+ *   and deterministic, so it suits tests and keyless setups; it matches related
+ *   wording, not meaning
+ * - auto (default): provider when its type has an embeddings API, else local
+ * Any object with { id, embed(texts) } can also be passed in as options.embedder.
+ *
+ * `id` names the embedder and model. Vectors from different embedders can't be
+ * compared, so the vector index is rebuilt when it changes.
+ */
+
+const crypto = require('crypto');
+const aiConfig = require('../../config/ai-config');
+const tokenizer = require('./tokenizer');
+
+class LocalEmbedder {
+  constructor(dimensions = 512) {
+    this.dimensions = dimensions;
+    this.id = `local-hash-${dimensions}`;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  // Each word and trigram adds ±1 to a hashed bucket; words count double
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+      this.add(vector, `w:${word}`, 2);
+      const padded = ` ${word} `;
+      for (let i = 0; i < padded.length - 2; i++) {
+        this.add(vector, `t:${padded.slice(i, i + 3)}`, 1);
+      }
+    }
+    return normalize(vector);
+  }
+
+  add(vector, feature, weight) {
+    const hash = crypto.createHash('md5').update(feature).digest();
+    const bucket = hash.readUInt32LE(0) % this.dimensions;
+    vector[bucket] += (hash[4] & 1 ? 1 : -1) * weight;
+  }
+}
+
+class ProviderEmbedder {
+  /**
+   * @param {LLMService} llm - Routes the call and records usage
+   */
+  constructor(llm, { provider, model, batchSize = 64 }) {
+    this.llm = llm;
+    this.provider = provider;
+    this.model = model;
+    this.batchSize = batchSize;
+    this.id = `${provider}:${model}`;
+  }
+
+  async embed(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const response = await this.llm.embeddings.create({
+        model: this.model,
+        input: texts.slice(i, i + this.batchSize)
+      }, { provider: this.provider, purpose: 'embedding' });
+
+      const batch = [...response.data].sort((a, b) => a.index - b.index);
+      vectors.push(...batch.map(item => normalize(item.embedding)));
+    }
+    return vectors;
+  }
+}
+
+class EmbeddingService {
+  /**
+   * @param {LLMService|null} llm - Needed for the provider embedder
+   * @param {Object} options
+   * @param {Object} options.embedder - Custom embedder ({ id, embed(texts) }), overrides config
+   */
+  constructor(llm, options = {}, config = aiConfig.embeddings) {
+    this.config = config;
+    this.embedder = options.embedder || this.createEmbedder(llm);
+    this.id = this.embedder.id;
+  }
+
+  createEmbedder(llm) {
+    const { embedder, provider, model, localDimensions, batchSize } = this.config;
+    const useProvider = embedder === 'provider' ||
+      (embedder === 'auto' && llm?.supportsEmbeddings(provider));
+
+    if (useProvider) {
+      return new ProviderEmbedder(llm, { provider, model, batchSize });
+    }
+    return new LocalEmbedder(localDimensions);
+  }
+
+  /**
+   * Embed texts (cut to config.inputTokens each); returns unit vectors in input order
+   */
+  async embed(texts) {
+    if (texts.length === 0) return [];
+    const inputs = texts.map(text => tokenizer.truncate(text || ' ', this.config.inputTokens, this.config.model, { keep: 'head' }).text);
+    return this.embedder.embed(inputs);
+  }
+
+  async embedOne(text) {
+    const [vector] = await this.embed([text]);
+    return vector;
+  }
+
+  /**
+   * Cosine similarity of two vectors (-1..1)
+   */
+  static similarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+}
+
+// Scale to unit length (a zero vector stays zero)
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map(value => value / norm) : vector;
+}
+
+EmbeddingService.LocalEmbedder = LocalEmbedder;
+EmbeddingService.ProviderEmbedder = ProviderEmbedder;
+
+module.exports = EmbeddingService;
@@ -5,10 +5,37 @@ const { promisify } = require('util');
 
 const execAsync = promisify(exec);
 
+const BASE_EXPORT_DIR = path.join(__dirname, '../../exports');
+
 class ExportService {
-  constructor() {
-    this.exportDir = path.join(__dirname, '../../exports');
-    this.ensureExportDir();
+  constructor(exportDir = BASE_EXPORT_DIR) {
+    this.exportDir = exportDir;
+  }
+
+  /**
+   * Exporter writing to the user's own directory (exports/<userId>/)
+   * A null userId (auth disabled) uses the shared base directory
+   */
+  forUser(userId) {
+    if (!userId) return this;
+    return new ExportService(path.join(BASE_EXPORT_DIR, userId));
+  }
+
+  /**
+   * Move exports created before accounts existed into a user's directory
+   */
+  async claimUnowned(userId) {
+    const target = this.forUser(userId);
+    await target.ensureExportDir();
+
+    const entries = await fs.readdir(BASE_EXPORT_DIR, { withFileTypes: true }).catch(() => []);
+    let claimed = 0;
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name === '.gitkeep') continue;
+      await fs.rename(path.join(BASE_EXPORT_DIR, entry.name), path.join(target.exportDir, entry.name));
+      claimed++;
+    }
+    return claimed;
   }
 
   async ensureExportDir() {
@@ -27,6 +54,7 @@ class ExportService {
 
   // Export to Markdown
   async exportToMarkdown(content, title = 'export') {
+    await this.ensureExportDir();
     const filename = this.generateFilename(title, 'md');
     const filepath = path.join(this.exportDir, filename);
     
@@ -49,6 +77,7 @@ class ExportService {
 
   // Export to PDF (requires pandoc)
   async exportToPDF(content, title = 'export') {
+    await this.ensureExportDir();
     const mdFilename = this.generateFilename(title, 'md');
     const pdfFilename = mdFilename.replace('.md', '.pdf');
     const mdPath = path.join(this.exportDir, mdFilename);
@@ -96,6 +125,7 @@ class ExportService {
 
   // Export to CSV
   async exportToCSV(data, title = 'export') {
+    await this.ensureExportDir();
     const filename = this.generateFilename(title, 'csv');
     const filepath = path.join(this.exportDir, filename);
 
@@ -134,6 +164,7 @@ class ExportService {
 
   // Export to JSON
   async exportToJSON(data, title = 'export') {
+    await this.ensureExportDir();
     const filename = this.generateFilename(title, 'json');
     const filepath = path.join(this.exportDir, filename);
 
@@ -151,6 +182,7 @@ class ExportService {
 
   // Export to plain text
   async exportToText(content, title = 'export') {
+    await this.ensureExportDir();
     const filename = this.generateFilename(title, 'txt');
     const filepath = path.join(this.exportDir, filename);
 
@@ -221,6 +253,8 @@ class ExportService {
       for (const file of files) {
         const filepath = path.join(this.exportDir, file);
         const stats = await fs.stat(filepath);
+        // Skip per-user subdirectories and placeholders
+        if (!stats.isFile() || file === '.gitkeep') continue;
         exports.push({
           filename: file,
           size: stats.size,
@@ -239,8 +273,8 @@ class ExportService {
   async deleteExport(filename) {
     const filepath = path.join(this.exportDir, filename);
     
-    // Security: ensure file is in export directory
-    if (!filepath.startsWith(this.exportDir)) {
+    // Security: ensure file is directly in export directory
+    if (path.dirname(filepath) !== this.exportDir) {
       throw new Error('Invalid filename');
     }
 
@@ -253,7 +287,7 @@ class ExportService {
     const filepath = path.join(this.exportDir, filename);
     
     // Security check
-    if (!filepath.startsWith(this.exportDir)) {
+    if (path.dirname(filepath) !== this.exportDir) {
       throw new Error('Invalid filename');
     }
 
@@ -1,27 +1,113 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// URLs come from models and from fetched pages, so only public internet
+// addresses may be fetched: no loopback, private (RFC 1918 / ULA), link-local
+// (cloud metadata at 169.254.169.254), CGNAT, multicast or reserved ranges.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const MAX_REDIRECTS = 5;
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that fails for hosts resolving to a non-public address. Used by
+ * the fetch agents, so the address is checked when each connection (including
+ * every redirect) is made, not just once up front
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Blocked: ${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Throw unless url is http(s) to a host that isn't a non-public IP literal
+ * (hostnames are checked when they are resolved)
+ */
+function checkUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Only http(s) URLs can be fetched');
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(`Blocked: ${host} is not a public address`);
+  }
+  return parsed;
+}
 
 class ContentFetcher {
   constructor() {
     this.timeout = 10000;
     this.maxContentLength = 100000; // 100KB max
+    this.httpAgent = new http.Agent({ lookup: publicLookup });
+    this.httpsAgent = new https.Agent({ lookup: publicLookup });
   }
 
-  async fetch(url) {
-    console.log(`[Fetcher] Fetching: ${url}`);
-    
-    try {
-      const response = await axios.get(url, {
+  /**
+   * GET a public URL, following redirects by hand so each hop is checked
+   * Bodies over maxContentLength are cut off with an error
+   */
+  async request(url, signal) {
+    let current = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      checkUrl(current);
+      const response = await axios.get(current, {
         timeout: this.timeout,
         maxContentLength: this.maxContentLength,
+        maxRedirects: 0,
+        proxy: false,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
           'Accept-Language': 'en-US,en;q=0.5'
         },
-        validateStatus: (status) => status < 400
+        validateStatus: (status) => status < 400,
+        signal
       });
 
+      if (response.status < 300 || response.status >= 400 || !response.headers.location) {
+        return response;
+      }
+      current = new URL(response.headers.location, current).href;
+    }
+    throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+  }
+
+  async fetch(url, { signal } = {}) {
+    console.log(`[Fetcher] Fetching: ${url}`);
+    
+    try {
+      const response = await this.request(url, signal);
+
       // Parse HTML with cheerio
       const $ = cheerio.load(response.data);
       
@@ -72,9 +158,9 @@ class ContentFetcher {
     }
   }
 
-  async fetchMultiple(urls) {
+  async fetchMultiple(urls, options = {}) {
     const results = await Promise.allSettled(
-      urls.map(url => this.fetch(url))
+      urls.map(url => this.fetch(url, options))
     );
 
     return results.map((result, index) => {
@@ -90,4 +176,6 @@ class ContentFetcher {
   }
 }
 
+ContentFetcher.isPublicAddress = isPublicAddress;
+
 module.exports = ContentFetcher;
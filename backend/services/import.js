@@ -0,0 +1,144 @@
+/**
+ * Import Service
+ *
+ * Recreates conversations exported from other assistants as sessions (POST /api/import).
+ * Formats (parsers in importers/):
+ * - chatgpt: ChatGPT's conversations.json; branched conversations keep only the
+ *   branch that was on screen
+ * - json: message-list JSON from other tools, and this app's own sessions
+ * - markdown: transcripts with "User:" / "Assistant:" speakers, including this
+ *   app's chat exports
+ * 'auto' picks the format from the content.
+ *
+ * Sessions keep the original titles and timestamps. metadata.importedFrom names
+ * the format and metadata.importId the source conversation, so importing the same
+ * file again skips conversations that are already there. Conversations that can't
+ * be read or stored are reported in `skipped` instead of failing the import.
+ */
+
+const crypto = require('crypto');
+const database = require('./storage/database');
+const chatgpt = require('./importers/chatgpt');
+const json = require('./importers/json');
+const markdown = require('./importers/markdown');
+
+const FORMATS = ['auto', 'chatgpt', 'json', 'markdown'];
+
+// Title for an untitled conversation: the start of its first user message
+const TITLE_LENGTH = 50;
+
+class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = status;
+  }
+}
+
+class ImportService {
+  /**
+   * @param {SessionService} sessions - Stores the imported sessions
+   */
+  constructor(sessions) {
+    this.sessions = sessions;
+  }
+
+  /**
+   * Import a file's conversations for a user
+   * @param {string|Object} input - File text, or JSON already parsed
+   * @param {Object} options
+   * @param {string} options.format - One of FORMATS (default auto)
+   * @param {string|null} options.filename - Title for a Markdown file without a "# " heading
+   * @returns {{ format, imported: [{ index, title, sessionId, messageCount, skippedMessages }], skipped: [{ index, title, reason }] }}
+   */
+  async import(input, { format = 'auto', filename = null, userId = null } = {}) {
+    const parsed = this.parse(input, format);
+    const imported = [];
+    const skipped = [...parsed.skipped];
+
+    for (const conversation of parsed.conversations) {
+      const { index, messages, skippedMessages } = conversation;
+      const title = conversation.title || titleFromFilename(filename, parsed.format) || firstUserLine(messages);
+      const importId = `${parsed.format}:${conversation.sourceId ?? fingerprint(messages)}`;
+
+      try {
+        if (await database.findSessionByImportId(importId, userId)) {
+          skipped.push({ index, title, reason: 'Already imported' });
+          continue;
+        }
+
+        const session = await this.sessions.importSession({
+          title,
+          userId,
+          createdAt: conversation.createdAt,
+          metadata: { importedFrom: parsed.format, importId },
+          messages
+        });
+        imported.push({ index, title, sessionId: session.id, messageCount: session.messageCount, skippedMessages });
+      } catch (error) {
+        console.error(`[Import] Conversation ${index} (${title}) failed:`, error.message);
+        skipped.push({ index, title, reason: error.message });
+      }
+    }
+
+    console.log(`[Import] ${parsed.format}: imported ${imported.length}, skipped ${skipped.length}`);
+    return { format: parsed.format, imported, skipped: skipped.sort((a, b) => a.index - b.index) };
+  }
+
+  /**
+   * Read the conversations out of a file
+   * Returns { format, conversations, skipped }; throws ImportError if the file can't be read
+   */
+  parse(input, format = 'auto') {
+    if (!FORMATS.includes(format)) {
+      throw new ImportError(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    let data = input;
+    if (typeof input === 'string') {
+      if (format === 'markdown') return { format, ...markdown.parse(input) };
+
+      const text = input.trim();
+      if (!text) throw new ImportError('The file is empty');
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        if (format !== 'auto') throw new ImportError(`Not valid JSON: ${e.message}`);
+        return { format: 'markdown', ...markdown.parse(input) };
+      }
+    }
+
+    if (format === 'markdown') {
+      throw new ImportError('Markdown imports must be sent as text');
+    }
+    if (format === 'chatgpt' || (format === 'auto' && chatgpt.detect(data))) {
+      return { format: 'chatgpt', ...chatgpt.parse(data) };
+    }
+    if (format === 'json' || json.detect(data)) {
+      return { format: 'json', ...json.parse(data) };
+    }
+    throw new ImportError('Unrecognized export: expected ChatGPT conversations.json, conversations with messages, or Markdown');
+  }
+}
+
+function titleFromFilename(filename, format) {
+  if (!filename || format !== 'markdown') return null;
+  return filename.replace(/^.*[\\/]/, '').replace(/\.(md|markdown|txt)$/i, '') || null;
+}
+
+function firstUserLine(messages) {
+  const first = messages.find(m => m.role === 'user');
+  return first ? first.content.split('\n')[0].substring(0, TITLE_LENGTH) : null;
+}
+
+// Stands in for a source id, so re-importing a file without ids still finds its conversations
+function fingerprint(messages) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify(messages.map(m => [m.role, m.content])))
+    .digest('hex');
+}
+
+ImportService.ImportError = ImportError;
+ImportService.FORMATS = FORMATS;
+
+module.exports = ImportService;
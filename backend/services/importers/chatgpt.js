@@ -0,0 +1,106 @@
+/**
+ * ChatGPT export parser (conversations.json from "Export data")
+ *
+ * Each conversation stores its messages as a tree (`mapping`): editing a message
+ * or regenerating a reply starts a new branch. Only the branch that was on screen
+ * is imported, found by walking up from `current_node` (or, without one, down the
+ * newest children). Tool calls, tool output, hidden context messages and
+ * non-text parts are left out and counted in skippedMessages.
+ */
+
+const { toMillis, textOf } = require('./common');
+
+// Content types that hold conversation text
+const TEXT_TYPES = ['text', 'multimodal_text'];
+
+/**
+ * Whether parsed JSON looks like a ChatGPT export (malformed entries are reported by parse)
+ */
+function detect(data) {
+  const items = Array.isArray(data) ? data : [data];
+  return items.some(item => item && typeof item === 'object' && item.mapping && typeof item.mapping === 'object');
+}
+
+function parse(data) {
+  const items = Array.isArray(data) ? data : [data];
+  const conversations = [];
+  const skipped = [];
+
+  items.forEach((item, index) => {
+    const title = typeof item?.title === 'string' ? item.title : null;
+    if (!item || typeof item.mapping !== 'object' || item.mapping === null) {
+      skipped.push({ index, title, reason: 'Not a ChatGPT conversation (no mapping)' });
+      return;
+    }
+
+    const messages = [];
+    let skippedMessages = 0;
+    for (const node of selectedPath(item.mapping, item.current_node)) {
+      const message = toMessage(node.message);
+      if (message) {
+        messages.push(message);
+      } else if (hasContent(node.message)) {
+        skippedMessages++;
+      }
+    }
+
+    if (messages.length === 0) {
+      skipped.push({ index, title, reason: 'No user or assistant messages' });
+      return;
+    }
+    conversations.push({
+      index,
+      sourceId: item.conversation_id || item.id || null,
+      title,
+      createdAt: toMillis(item.create_time) ?? messages[0].createdAt,
+      messages,
+      skippedMessages
+    });
+  });
+
+  return { conversations, skipped };
+}
+
+/**
+ * Nodes from the root to the selected leaf
+ */
+function selectedPath(mapping, currentNode) {
+  let leaf = mapping[currentNode] ? currentNode : null;
+
+  // No current node: follow the newest child from the root
+  if (!leaf) {
+    const root = Object.keys(mapping).find(id => !mapping[id]?.parent || !mapping[mapping[id].parent]);
+    leaf = root;
+    while (leaf && mapping[leaf]?.children?.length) {
+      leaf = mapping[leaf].children[mapping[leaf].children.length - 1];
+    }
+  }
+
+  const path = [];
+  const seen = new Set();
+  for (let id = leaf; id && mapping[id] && !seen.has(id); id = mapping[id].parent) {
+    seen.add(id);
+    path.push(mapping[id]);
+  }
+  return path.reverse();
+}
+
+// A session message, or null for messages that aren't part of the visible conversation
+function toMessage(message) {
+  const role = message?.author?.role;
+  if (role !== 'user' && role !== 'assistant') return null;
+  if (message.recipient && message.recipient !== 'all') return null;
+  if (message.metadata?.is_visually_hidden_from_conversation) return null;
+  if (!TEXT_TYPES.includes(message.content?.content_type)) return null;
+
+  const content = textOf(message.content.parts).trim();
+  if (!content) return null;
+  return { role, content, createdAt: toMillis(message.create_time) };
+}
+
+function hasContent(message) {
+  const content = message?.content;
+  return !!content && (textOf(content.parts).trim() !== '' || !!content.text);
+}
+
+module.exports = { name: 'chatgpt', detect, parse };
@@ -0,0 +1,62 @@
+/**
+ * Helpers shared by the conversation import parsers
+ *
+ * Every parser turns a file into { conversations, skipped }:
+ *   conversations: [{ index, sourceId, title, createdAt, messages, skippedMessages }]
+ *     messages: [{ role: 'user'|'assistant'|'system', content, createdAt }] in order
+ *   skipped: [{ index, title, reason }] for items that couldn't be read
+ * Times are epoch milliseconds or null.
+ */
+
+// Speaker names used by other tools → session roles
+const ROLE_ALIASES = {
+  user: 'user',
+  human: 'user',
+  you: 'user',
+  me: 'user',
+  assistant: 'assistant',
+  ai: 'assistant',
+  bot: 'assistant',
+  model: 'assistant',
+  chatgpt: 'assistant',
+  claude: 'assistant',
+  gemini: 'assistant',
+  system: 'system'
+};
+
+function normalizeRole(role) {
+  if (typeof role !== 'string') return null;
+  const name = role.trim().toLowerCase();
+  if (ROLE_ALIASES[name]) return ROLE_ALIASES[name];
+  return /^gpt[\w.-]*$/.test(name) ? 'assistant' : null;
+}
+
+/**
+ * Epoch ms from epoch seconds, epoch ms or a date string; null if unreadable
+ */
+function toMillis(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value <= 0) return null;
+    // Below 1e11 it is seconds (1e11 ms is in 1973)
+    return Math.round(value < 1e11 ? value * 1000 : value);
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Text of a message's content: a string, or an array of strings / { type: 'text', text } parts
+ */
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part?.type === 'text' && typeof part.text === 'string' ? part.text : ''))
+      .filter(Boolean)
+      .join('\n');
+  }
+  return '';
+}
+
+module.exports = { normalizeRole, toMillis, textOf };
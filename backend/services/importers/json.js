@@ -0,0 +1,82 @@
+/**
+ * Generic JSON conversation parser
+ *
+ * Reads the message-list shape most assistants export, including this app's own
+ * sessions (GET /api/sessions/:id) and legacy conversation files. Accepts one
+ * conversation, an array of them, or { conversations: [...] }. Per conversation:
+ *   messages | chat_messages: [{ role | sender | author, content | text, createdAt | created_at | timestamp | create_time }]
+ *   title | name, id | uuid, createdAt | created_at | create_time
+ * Content can be a string or an array of text parts.
+ */
+
+const { normalizeRole, toMillis, textOf } = require('./common');
+
+const messagesOf = (item) => item.messages || item.chat_messages;
+
+/**
+ * Whether parsed JSON looks like conversations with message lists
+ */
+function detect(data) {
+  const items = listOf(data);
+  return !!items && items.length > 0 && items.some(item => Array.isArray(item && messagesOf(item)));
+}
+
+function parse(data) {
+  const items = listOf(data) || [];
+  const conversations = [];
+  const skipped = [];
+
+  items.forEach((item, index) => {
+    const title = titleOf(item);
+    if (!item || typeof item !== 'object' || !Array.isArray(messagesOf(item))) {
+      skipped.push({ index, title, reason: 'No messages array' });
+      return;
+    }
+
+    const messages = [];
+    let skippedMessages = 0;
+    for (const entry of messagesOf(item)) {
+      const role = normalizeRole(entry?.role || entry?.sender || entry?.author?.role || entry?.author);
+      const content = (textOf(entry?.content) || (typeof entry?.text === 'string' ? entry.text : '')).trim();
+      if (!role || !content) {
+        skippedMessages++;
+        continue;
+      }
+      messages.push({
+        role,
+        content,
+        createdAt: toMillis(entry.createdAt ?? entry.created_at ?? entry.timestamp ?? entry.create_time)
+      });
+    }
+
+    if (messages.length === 0) {
+      skipped.push({ index, title, reason: 'No readable messages' });
+      return;
+    }
+    conversations.push({
+      index,
+      sourceId: item.id ?? item.uuid ?? null,
+      title,
+      createdAt: toMillis(item.createdAt ?? item.created_at ?? item.create_time) ?? messages[0].createdAt,
+      messages,
+      skippedMessages
+    });
+  });
+
+  return { conversations, skipped };
+}
+
+// The conversations in a parsed file, or null if it isn't a list or a conversation
+function listOf(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.conversations)) return data.conversations;
+  if (data && typeof data === 'object' && messagesOf(data)) return [data];
+  return null;
+}
+
+function titleOf(item) {
+  const title = item?.title ?? item?.name ?? item?.metadata?.title;
+  return typeof title === 'string' && title.trim() ? title.trim() : null;
+}
+
+module.exports = { name: 'json', detect, parse };
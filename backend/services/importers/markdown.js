@@ -0,0 +1,87 @@
+/**
+ * Markdown transcript parser
+ *
+ * One conversation per file. A message starts at a line naming the speaker,
+ * either as a heading ("## User", "## 🤖 Assistant", as in this app's
+ * /api/export/chat files) or as a label ("User: ...", "**ChatGPT:** ...").
+ * Everything up to the next speaker line is the message; lines inside code
+ * fences never start a message. The first "# " heading is the title, and an
+ * "Exported: <date>" line dates the conversation (Markdown has no message times).
+ */
+
+const { normalizeRole, toMillis } = require('./common');
+
+const SPEAKER = "(user|you|human|me|assistant|chatgpt|ai|bot|claude|gemini|system|gpt[\\w.-]*)";
+
+// "## User", "### 🤖 Assistant:"
+const HEADING = new RegExp(`^#{1,6}\\s+(?:\\p{Extended_Pictographic}\\uFE0F?\\s*)?${SPEAKER}\\s*:?\\s*$`, 'iu');
+// "User: text", "**User:** text", "**User**: text"
+const LABEL = new RegExp(`^(?:\\*\\*|__)?${SPEAKER}(?:\\*\\*|__)?\\s*:\\s*(?:\\*\\*|__)?\\s*(.*)$`, 'iu');
+
+const FENCE = /^\s*(```|~~~)/;
+const SEPARATOR = /^\s*(-{3,}|\*{3,}|_{3,})\s*$/;
+
+function parse(text) {
+  const messages = [];
+  let title = null;
+  let createdAt = null;
+  let current = null;
+  let inFence = false;
+
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    if (FENCE.test(line)) inFence = !inFence;
+
+    const speaker = inFence ? null : speakerOf(line);
+    if (speaker) {
+      current = { role: speaker.role, lines: speaker.rest ? [speaker.rest] : [] };
+      messages.push(current);
+      continue;
+    }
+
+    if (current) {
+      current.lines.push(line);
+    } else if (!title && /^#\s+/.test(line)) {
+      title = line.replace(/^#\s+/, '').trim();
+    } else if (!createdAt && /^exported:/i.test(line.trim())) {
+      createdAt = toMillis(line.trim().replace(/^exported:\s*/i, ''));
+    }
+  }
+
+  const parsed = messages
+    .map(m => ({ role: m.role, content: trimMessage(m.lines), createdAt: null }))
+    .filter(m => m.content);
+
+  if (parsed.length === 0) {
+    return { conversations: [], skipped: [{ index: 0, title, reason: 'No "User:" / "Assistant:" messages found' }] };
+  }
+  return {
+    conversations: [{
+      index: 0,
+      sourceId: null,
+      title,
+      createdAt,
+      messages: parsed,
+      skippedMessages: messages.length - parsed.length
+    }],
+    skipped: []
+  };
+}
+
+function speakerOf(line) {
+  const heading = line.match(HEADING);
+  if (heading) return { role: normalizeRole(heading[1]), rest: '' };
+
+  const label = line.match(LABEL);
+  if (label) return { role: normalizeRole(label[1]), rest: label[2].trim() };
+  return null;
+}
+
+// Message text without the blank lines and --- separators around it
+function trimMessage(lines) {
+  const kept = [...lines];
+  while (kept.length && (!kept[kept.length - 1].trim() || SEPARATOR.test(kept[kept.length - 1]))) kept.pop();
+  while (kept.length && !kept[0].trim()) kept.shift();
+  return kept.join('\n').trim();
+}
+
+module.exports = { name: 'markdown', parse };
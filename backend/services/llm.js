@@ -0,0 +1,361 @@
+/**
+ * LLM Service
+ *
+ * Provider-agnostic entry point for every model call. Routes each request to the
+ * provider configured for its model (config/models.js → config/providers.js).
+ *
+ * Exposes the OpenAI-compatible `chat.completions.create(params, options)` shape
+ * so services don't care which backend answers. `options.purpose` labels the call
+ * in the usage ledger (see services/usage.js), which also enforces budgets here.
+ *
+ * Requests are checked against the model's registry entry (config/model-registry.js):
+ * max_tokens is capped at the model's max output and prompts that can't fit its
+ * context window are rejected with ContextLengthError (413) before reaching the provider.
+ *
+ * Transient provider errors (429, 5xx, dropped connections) are retried with
+ * exponential backoff and jitter, honouring Retry-After (aiConfig.retry). When a
+ * model keeps failing the call moves along its fallback chain (config/models.js);
+ * if every model fails, ProviderUnavailableError (503) is thrown. The model that
+ * answered is reported in response.served.
+ *
+ * `embeddings.create(params, options)` embeds text with a provider's embeddings
+ * API (used for semantic memory search, see services/embeddings.js).
+ */
+
+const modelConfig = require('../../config/models');
+const modelRegistry = require('../../config/model-registry');
+const providerConfig = require('../../config/providers');
+const aiConfig = require('../../config/ai-config');
+const tokenizer = require('./tokenizer');
+const OpenAIProvider = require('./providers/openai');
+const AnthropicProvider = require('./providers/anthropic');
+const MockProvider = require('./providers/mock');
+
+class ContextLengthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContextLengthError';
+    this.code = 'CONTEXT_LENGTH_EXCEEDED';
+    this.status = 413;
+  }
+}
+
+class ProviderUnavailableError extends Error {
+  constructor(message, attempts) {
+    super(message);
+    this.name = 'ProviderUnavailableError';
+    this.code = 'PROVIDER_UNAVAILABLE';
+    this.status = 503;
+    this.attempts = attempts;
+  }
+}
+
+// Worth retrying on the same model: rate limits, overload, server errors, timeouts
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']);
+const CONNECTION_ERRORS = new Set(['APIConnectionError', 'APIConnectionTimeoutError']);
+
+// Not worth retrying, but another model or provider may work
+const FAILOVER_STATUS = new Set([401, 403, 404]);
+
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  mock: MockProvider
+};
+
+class LLMService {
+  constructor(options = {}) {
+    this.providers = new Map();
+    this.usage = options.usage || null;
+
+    this.chat = {
+      completions: {
+        create: (params, options) => this.createChatCompletion(params, options)
+      }
+    };
+    this.embeddings = {
+      create: (params, options) => this.createEmbeddings(params, options)
+    };
+  }
+
+  /**
+   * True when every provider referenced by a model is usable
+   */
+  isConfigured() {
+    return modelConfig.getActiveProviders().every(name => providerConfig.isConfigured(name));
+  }
+
+  /**
+   * Configuration status per active provider (for /health)
+   */
+  getStatus() {
+    return modelConfig.getActiveProviders().map(name => ({
+      name,
+      type: providerConfig.providers[name]?.type || 'unknown',
+      configured: providerConfig.isConfigured(name)
+    }));
+  }
+
+  /**
+   * Get (or lazily create) a provider client by name
+   */
+  getProvider(name) {
+    if (this.providers.has(name)) {
+      return this.providers.get(name);
+    }
+
+    const config = providerConfig.providers[name];
+    if (!config) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    if (!providerConfig.isConfigured(name)) {
+      throw new Error(`LLM provider "${name}" is not configured`);
+    }
+
+    const Provider = PROVIDER_TYPES[config.type];
+    if (!Provider) {
+      throw new Error(`Unsupported provider type "${config.type}" for ${name}`);
+    }
+
+    const provider = new Provider(name, config);
+    this.providers.set(name, provider);
+    return provider;
+  }
+
+  /**
+   * Route a chat completion to the model's provider and record its usage,
+   * retrying and failing over as needed (see the header comment)
+   */
+  async createChatCompletion(params, options = {}) {
+    const { purpose, ...requestOptions } = options;
+    if (this.usage) {
+      params = await this.usage.applyBudget(params);
+    }
+    // The requested model must fit; fallbacks that can't are skipped
+    const requested = this.fitToModel(params);
+
+    const attempts = [];
+    let lastError = null;
+    for (const model of [requested.model, ...modelConfig.getFallbackModels(requested.model)]) {
+      const request = model === requested.model ? requested : this.prepareFallback(params, model);
+      if (!request) continue;
+
+      if (lastError) {
+        console.log(`[LLM] Failing over from ${attempts[attempts.length - 1].model} to ${model}: ${lastError.message}`);
+      }
+
+      let providerName;
+      let response;
+      try {
+        providerName = modelConfig.getProviderForModel(model);
+        response = await this.callWithRetry(this.getProvider(providerName), request, requestOptions, attempts, providerName);
+      } catch (error) {
+        if (requestOptions.signal?.aborted || !this.canFailOver(error)) throw error;
+        lastError = error;
+        continue;
+      }
+
+      const served = {
+        model,
+        provider: providerName,
+        requestedModel: params.model,
+        attempts: attempts.length + 1  // Failed tries plus the one that answered
+      };
+      return this.finish(response, request, served, purpose);
+    }
+
+    if (lastError && !this.isRetryable(lastError)) throw lastError;
+    throw new ProviderUnavailableError(
+      `No model could answer (${attempts.map(attempt => `${attempt.model}: ${attempt.error}`).join('; ')})`,
+      attempts
+    );
+  }
+
+  /**
+   * Whether a provider is configured and its type has an embeddings API
+   */
+  supportsEmbeddings(name) {
+    const Provider = PROVIDER_TYPES[providerConfig.providers[name]?.type];
+    return !!Provider && typeof Provider.prototype.createEmbeddings === 'function' && providerConfig.isConfigured(name);
+  }
+
+  /**
+   * Embed text ({ model, input } → { data: [{ embedding }], usage }) and record its usage.
+   * options.provider picks the provider (default: the model's). Transient errors are
+   * retried like chat calls; embedding models have no fallback chain.
+   */
+  async createEmbeddings(params, options = {}) {
+    const { purpose = 'embedding', provider: name, ...requestOptions } = options;
+    const providerName = name || modelConfig.getProviderForModel(params.model);
+    if (!this.supportsEmbeddings(providerName)) {
+      throw new Error(`LLM provider "${providerName}" does not support embeddings`);
+    }
+
+    const response = await this.callWithRetry(
+      this.getProvider(providerName), params, requestOptions, [], providerName, 'createEmbeddings'
+    );
+    if (this.usage) {
+      this.usage.record({ purpose, model: params.model, provider: providerName, usage: response.usage });
+    }
+    return response;
+  }
+
+  /**
+   * Call the provider, retrying transient errors with backoff. Every try is
+   * appended to attempts ({ model, provider, error }).
+   */
+  async callWithRetry(provider, request, requestOptions, attempts, providerName, method = 'createChatCompletion') {
+    const { maxRetries } = aiConfig.retry;
+
+    for (let retry = 0; ; retry++) {
+      try {
+        return await provider[method](request, requestOptions);
+      } catch (error) {
+        attempts.push({ model: request.model, provider: providerName, error: error.status || error.code || error.message });
+        if (requestOptions.signal?.aborted || !this.isRetryable(error) || retry >= maxRetries) throw error;
+
+        const delay = this.retryDelay(error, retry);
+        if (delay === null) throw error;
+        console.log(`[LLM] ${request.model} failed (${error.status || error.code || error.message}), retrying in ${delay}ms`);
+        await sleep(delay, requestOptions.signal);
+      }
+    }
+  }
+
+  /**
+   * Params for a fallback model, or null when it lacks a capability the request
+   * uses or the prompt doesn't fit its window
+   */
+  prepareFallback(params, model) {
+    const required = {
+      tools: !!params.tools,
+      json: !!params.response_format,
+      vision: params.messages.some(m => Array.isArray(m.content) && m.content.some(part => part.type === 'image_url'))
+    };
+    if (!modelRegistry.supports(model, required) || !providerConfig.isConfigured(modelConfig.getProviderForModel(model))) {
+      return null;
+    }
+
+    try {
+      return this.fitToModel({ ...params, model });
+    } catch (error) {
+      if (error instanceof ContextLengthError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Record usage for the model that answered and attach served
+   */
+  finish(response, request, served, purpose) {
+    const details = { purpose, model: served.model, provider: served.provider };
+    let result = response;
+    if (this.usage) {
+      if (request.stream) {
+        result = this.usage.recordStream(response, details);
+      } else {
+        this.usage.record({ ...details, usage: response.usage });
+      }
+    }
+    result.served = served;
+    return result;
+  }
+
+  isRetryable(error) {
+    if (error instanceof ContextLengthError) return false;
+    if (error.status) {
+      return RETRYABLE_STATUS.has(error.status) && error.code !== 'insufficient_quota';
+    }
+    return RETRYABLE_CODES.has(error.code) || CONNECTION_ERRORS.has(error.constructor?.name);
+  }
+
+  canFailOver(error) {
+    return this.isRetryable(error) || FAILOVER_STATUS.has(error.status) || error.code === 'insufficient_quota';
+  }
+
+  /**
+   * Wait before retry number `retry` (0-based): the provider's Retry-After when
+   * given (null if it's longer than we're willing to wait), else exponential
+   * backoff with jitter (between half and all of base * 2^retry)
+   */
+  retryDelay(error, retry) {
+    const { baseDelayMs, maxDelayMs, maxRetryAfterMs } = aiConfig.retry;
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter !== null) {
+      return retryAfter > maxRetryAfterMs ? null : retryAfter;
+    }
+
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** retry);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Cap max_tokens at the model's max output and reject prompts that overflow its window
+   */
+  fitToModel(params) {
+    const info = modelRegistry.getModelInfo(params.model);
+    if (params.max_tokens > info.maxOutput) {
+      params = { ...params, max_tokens: info.maxOutput };
+    }
+
+    const promptTokens = this.estimatePromptTokens(params);
+    const completionTokens = params.max_tokens || 0;
+    if (promptTokens + completionTokens > info.contextWindow) {
+      throw new ContextLengthError(
+        `Request needs ~${promptTokens + completionTokens} tokens (${promptTokens} prompt + ${completionTokens} completion) ` +
+        `but ${params.model} has a ${info.contextWindow}-token context window`
+      );
+    }
+    return params;
+  }
+
+  /**
+   * Prompt size with the model's tokenizer: messages plus tool schemas
+   */
+  estimatePromptTokens(params) {
+    const toolTokens = params.tools ? tokenizer.count(JSON.stringify(params.tools), params.model) : 0;
+    return tokenizer.countMessages(params.messages, params.model) + toolTokens;
+  }
+}
+
+/**
+ * Retry-After from an error's response headers in ms (retry-after-ms, or
+ * retry-after as seconds or an HTTP date), or null
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers;
+  if (!headers) return null;
+  const header = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) ?? null;
+
+  const ms = parseFloat(header('retry-after-ms'));
+  if (!isNaN(ms)) return Math.max(0, Math.round(ms));
+
+  const value = header('retry-after');
+  if (value === null) return null;
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return Math.max(0, Math.round(seconds * 1000));
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// setTimeout that rejects when the request is cancelled
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+LLMService.ContextLengthError = ContextLengthError;
+LLMService.ProviderUnavailableError = ProviderUnavailableError;
+
+module.exports = LLMService;
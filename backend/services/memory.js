@@ -1,14 +1,53 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const tokenizer = require('./tokenizer');
+const database = require('./storage/database');
+const VectorIndex = require('./storage/vectorIndex');
+const EmbeddingService = require('./embeddings');
+const { FileMemoryStore, DatabaseMemoryStore, scopeKey } = require('./storage/memoryStore');
+const aiConfig = require('../../config/ai-config');
+
+// Memories and conversations carry the owning userId; a null userId
+// (auth disabled) reads and writes without scoping
+const visibleTo = (userId) => (item) => userId === null || item.userId === userId;
+
+// Where a memory applies: everywhere, one session (scopeId = session id) or a named project
+const SCOPES = ['global', 'session', 'project'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lowercased words of a memory, for duplicate detection
+const words = (text) => new Set(text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(word => word.length > 1));
+
+// Share of words two texts have in common (Jaccard, 0..1)
+function wordOverlap(a, b) {
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
 
 class MemoryService {
-  constructor() {
-    this.dataDir = path.join(__dirname, '../../data');
+  /**
+   * Memories live in data/memory.json until useDatabase() moves them to PostgreSQL
+   * (see storage/memoryStore.js)
+   * @param {Object} options
+   * @param {EmbeddingService} options.embeddings - Enables semantic search (keyword-only without it)
+   * @param {string} options.dataDir - Where memory.json, the vector index and conversations live (default data/)
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../../data');
     this.memoryFile = path.join(this.dataDir, 'memory.json');
     this.conversationsDir = path.join(this.dataDir, 'conversations');
+    this.embeddings = options.embeddings || null;
+    this.vectorIndex = new VectorIndex(path.join(this.dataDir, 'memory-vectors.json'));
     this.maxShortTermMemory = 50;
-    this.shortTermMemory = [];
-    this.longTermMemory = [];
+    this.lifecycle = aiConfig.memoryLifecycle;
+    this.store = null;
     this.initialized = false;
   }
 
@@ -19,121 +58,514 @@ class MemoryService {
       await fs.mkdir(this.dataDir, { recursive: true });
       await fs.mkdir(this.conversationsDir, { recursive: true });
       
-      // Load existing memory
-      try {
-        const data = await fs.readFile(this.memoryFile, 'utf8');
-        const parsed = JSON.parse(data);
-        this.shortTermMemory = parsed.shortTerm || [];
-        this.longTermMemory = parsed.longTerm || [];
-      } catch (e) {
-        // No existing memory file
-        this.shortTermMemory = [];
-        this.longTermMemory = [];
+      this.store = this.store || new FileMemoryStore(this.memoryFile);
+      const memories = await this.store.list();
+      
+      // Once memory.json has been migrated the file store only stands in until
+      // useDatabase(); its empty list must not prune the database memories' vectors
+      if (this.embeddings) {
+        await this.loadVectorIndex(await this.isMigrated() ? null : memories);
       }
       
       this.initialized = true;
-      console.log(`[Memory] Initialized with ${this.shortTermMemory.length} short-term and ${this.longTermMemory.length} long-term memories`);
+      const count = (type) => memories.filter(m => m.type === type).length;
+      console.log(`[Memory] Initialized with ${count('short_term')} short-term and ${count('long_term')} long-term memories (${this.store.name} store)`);
     } catch (error) {
       console.error('[Memory] Initialization error:', error);
     }
   }
 
-  async persist() {
-    try {
-      await fs.writeFile(this.memoryFile, JSON.stringify({
-        shortTerm: this.shortTermMemory,
-        longTerm: this.longTermMemory,
-        lastUpdated: new Date().toISOString()
-      }, null, 2));
-    } catch (error) {
-      console.error('[Memory] Persist error:', error);
+  // Vectors from another embedder can't be compared with new ones, so they are dropped.
+  // memories: everything in the store in use, whose vectors are kept (null skips pruning)
+  async loadVectorIndex(memories) {
+    await this.vectorIndex.load();
+    if (this.vectorIndex.embedder !== this.embeddings.id) {
+      if (this.vectorIndex.vectors.size > 0) {
+        console.log(`[Memory] Embedder changed (${this.vectorIndex.embedder} → ${this.embeddings.id}), vector index cleared`);
+      }
+      this.vectorIndex.reset(this.embeddings.id);
+    }
+    if (!memories) return;
+    
+    const searchable = memories.filter(m => m.type !== 'pending');
+    if (this.vectorIndex.retain(new Set(searchable.map(m => m.id))) > 0) {
+      await this.vectorIndex.persist();
+    }
+    
+    const missing = searchable.filter(m => !this.vectorIndex.has(m.id)).length;
+    if (missing > 0) {
+      console.log(`[Memory] ${missing} memories have no embedding yet; reindex to include them in semantic search`);
     }
   }
 
-  // Add to short-term memory
-  async addShortTerm(content, metadata = {}) {
+  /**
+   * Move to the PostgreSQL store once the database is up. Memories still in
+   * memory.json are copied over in one transaction (legacy ids become UUIDs, their
+   * vectors follow) and the file is renamed to memory.json.migrated
+   */
+  async useDatabase() {
     await this.initialize();
+    if (this.store.name === 'postgres') return;
+    
+    // Inside a file transaction so no write lands in memory.json mid-migration;
+    // writes queued behind it are forwarded to the database by retire()
+    const fileStore = this.store;
+    await fileStore.transaction(async (file) => {
+      const memories = await file.list();
+      if (memories.length > 0) {
+        const ids = new Map();
+        await database.transaction(async (client) => {
+          const target = new DatabaseMemoryStore(client);
+          for (const memory of memories) {
+            const id = UUID_PATTERN.test(memory.id) ? memory.id : uuidv4();
+            ids.set(memory.id, id);
+            await target.insert({ ...memory, id, metadata: { ...memory.metadata, legacyId: memory.id } });
+          }
+        });
+        
+        await fs.rename(this.memoryFile, `${this.memoryFile}.migrated`);
+        if (this.embeddings && this.vectorIndex.rename(ids) > 0) {
+          await this.vectorIndex.persist();
+        }
+        console.log(`[Memory] Migrated ${memories.length} memories from memory.json to PostgreSQL`);
+      }
+      this.store = new DatabaseMemoryStore();
+      fileStore.retire(this.store);
+    });
     
-    const memory = {
-      id: `stm_${Date.now()}`,
+    if (this.embeddings) {
+      await this.loadVectorIndex(await this.store.list());
+    }
+  }
+
+  async isMigrated() {
+    return fs.access(`${this.memoryFile}.migrated`).then(() => true, () => false);
+  }
+
+  /**
+   * A new memory record
+   * @param {Object} options - tags, importance (0..1, default from metadata.important or config),
+   *   expiresAt (ISO date), scope and scopeId (default global)
+   */
+  newMemory(type, content, metadata, userId, { tags = [], importance, expiresAt = null, scope = 'global', scopeId = null } = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: uuidv4(),
+      userId,
       content,
       metadata,
-      timestamp: new Date().toISOString(),
-      type: 'short_term'
+      tags,
+      importance: importance ?? (metadata.important ? 1 : this.lifecycle.defaultImportance),
+      expiresAt,
+      accessCount: 0,
+      lastAccessedAt: null,
+      history: [],
+      scope,
+      scopeId: scope === 'global' ? null : scopeId,
+      timestamp: now,
+      updatedAt: now,
+      type
     };
+  }
+
+  // Add to short-term memory
+  async addShortTerm(content, metadata = {}, userId = null, options = {}) {
+    await this.initialize();
     
-    this.shortTermMemory.push(memory);
+    const memory = this.newMemory('short_term', content, metadata, userId, options);
     
-    // Limit size
-    if (this.shortTermMemory.length > this.maxShortTermMemory) {
-      // Move oldest to long-term if important
-      const oldest = this.shortTermMemory.shift();
-      if (oldest.metadata?.important) {
-        this.longTermMemory.push({ ...oldest, type: 'long_term' });
+    const removed = await this.store.transaction(async (tx) => {
+      await tx.lockOwner(userId);
+      await tx.insert(memory);
+      
+      // Limit size (per user): the least valuable memory goes, unless it is important enough to keep
+      const owned = (await tx.list({ userId, types: ['short_term'] }))
+        .filter(m => m.userId === userId && m.id !== memory.id);
+      if (owned.length < this.maxShortTermMemory) return null;
+      
+      const [weakest] = owned.sort((a, b) =>
+        this.retention(a) - this.retention(b) || new Date(a.timestamp) - new Date(b.timestamp));
+      if (weakest.importance >= this.lifecycle.importantThreshold) {
+        await tx.update(weakest.id, this.promotion(weakest, 'important'));
+        return null;
       }
+      await tx.delete([weakest.id]);
+      console.log(`[Memory] Short-term memory full, dropped ${weakest.id}`);
+      return weakest.id;
+    });
+    if (removed) {
+      await this.dropVectors([removed]);
     }
     
-    await this.persist();
+    await this.indexMemories([memory]).catch(error => console.error('[Memory] Embedding error:', error.message));
     return memory;
   }
 
   // Add to long-term memory (explicit save)
-  async addLongTerm(content, metadata = {}) {
+  async addLongTerm(content, metadata = {}, userId = null, options = {}) {
     await this.initialize();
     
-    const memory = {
-      id: `ltm_${Date.now()}`,
-      content,
-      metadata,
-      timestamp: new Date().toISOString(),
-      type: 'long_term'
-    };
+    const memory = this.newMemory('long_term', content, metadata, userId, options);
+    await this.store.insert(memory);
+    await this.indexMemories([memory]).catch(error => console.error('[Memory] Embedding error:', error.message));
+    return memory;
+  }
+
+  // Embed memories into the vector index (throws if the embedder fails)
+  async indexMemories(memories) {
+    if (!this.embeddings || memories.length === 0) return 0;
+    
+    const vectors = await this.embeddings.embed(memories.map(m => m.content));
+    memories.forEach((m, i) => this.vectorIndex.set(m.id, vectors[i]));
+    await this.vectorIndex.persist();
+    return memories.length;
+  }
+
+  async dropVectors(ids) {
+    if (this.embeddings && this.vectorIndex.delete(ids) > 0) {
+      await this.vectorIndex.persist();
+    }
+  }
+
+  // Embed memories that have no vector yet (every memory with force), e.g. ones saved
+  // before semantic search or under another embedder. Returns { embedder, indexed, total }
+  async reindex({ userId = null, force = false } = {}) {
+    await this.initialize();
+    if (!this.embeddings) {
+      throw new Error('Semantic search is not configured (no embedder)');
+    }
     
-    this.longTermMemory.push(memory);
-    await this.persist();
+    const memories = await this.getMemories('all', userId);
+    const todo = force ? memories : memories.filter(m => !this.vectorIndex.has(m.id));
+    const indexed = await this.indexMemories(todo);
+    console.log(`[Memory] Reindexed ${indexed} of ${memories.length} memories with ${this.embeddings.id}`);
+    
+    return { embedder: this.embeddings.id, indexed, total: memories.length };
+  }
+
+  // Queue an automatically extracted memory until the user accepts or rejects it
+  async addPending(content, metadata = {}, userId = null, options = {}) {
+    await this.initialize();
+    
+    const memory = this.newMemory('pending', content, metadata, userId, options);
+    await this.store.insert(memory);
     return memory;
   }
 
-  // Search memories (simple keyword search)
-  async search(query, options = {}) {
+  // Pending memories visible to a user, oldest first
+  async getPending(userId = null, scopes = null) {
+    await this.initialize();
+    return this.store.list({ userId, types: ['pending'], scopes });
+  }
+
+  // Move a pending memory to long-term (optionally with edited content); null if not found
+  async acceptPending(memoryId, userId = null, { content } = {}) {
     await this.initialize();
     
-    const { type = 'all', limit = 10 } = options;
-    const queryLower = query.toLowerCase();
+    const memory = await this.store.transaction(async (tx) => {
+      const pending = await this.findOwned(tx, memoryId, userId);
+      if (pending?.type !== 'pending') return null;
+      
+      const accepted = this.newMemory('long_term', content || pending.content, {
+        ...pending.metadata,
+        acceptedAt: new Date().toISOString()
+      }, pending.userId, pending);
+      await tx.delete([pending.id]);
+      await tx.insert(accepted);
+      return accepted;
+    });
+    
+    if (memory) {
+      await this.indexMemories([memory]).catch(error => console.error('[Memory] Embedding error:', error.message));
+    }
+    return memory;
+  }
+
+  // Drop a pending memory; false if not found
+  async rejectPending(memoryId, userId = null) {
+    await this.initialize();
+    
+    return this.store.transaction(async (tx) => {
+      const pending = await this.findOwned(tx, memoryId, userId);
+      if (pending?.type !== 'pending') return false;
+      
+      await tx.delete([pending.id]);
+      return true;
+    });
+  }
+
+  // A memory by id if the user may see it, else null (ids that aren't UUIDs can't match in Postgres)
+  async findOwned(store, memoryId, userId) {
+    if (store.name === 'postgres' && !UUID_PATTERN.test(memoryId)) return null;
+    const memory = await store.get(memoryId);
+    return memory && visibleTo(userId)(memory) ? memory : null;
+  }
+
+  // A memory the user may see, with its history; null if not found
+  async getMemory(memoryId, userId = null) {
+    await this.initialize();
+    return this.findOwned(this.store, memoryId, userId);
+  }
+
+  // An existing long-term or pending memory saying (nearly) the same thing, or null
+  // Similarity is word overlap (Jaccard) between the two texts
+  async findDuplicate(content, userId = null, threshold = 0.8) {
+    await this.initialize();
     
-    let memories = [];
+    const memories = await this.store.list({ userId, types: ['long_term', 'pending'] });
+    return memories.find(memory => wordOverlap(content, memory.content) >= threshold) || null;
+  }
+
+  // How much a short-term memory is worth keeping: importance plus a bonus for use
+  retention(memory) {
+    return memory.importance + Math.min(memory.accessCount, 5) * 0.1;
+  }
+
+  // History with an entry appended (capped at lifecycle.historyLimit)
+  appendHistory(history, entry) {
+    return [...(history || []), { ...entry, at: new Date().toISOString() }].slice(-this.lifecycle.historyLimit);
+  }
+
+  // Updates that move a short-term memory to long-term
+  promotion(memory, reason) {
+    return {
+      type: 'long_term',
+      updatedAt: new Date().toISOString(),
+      history: this.appendHistory(memory.history, { action: 'promoted', reason })
+    };
+  }
+
+  /**
+   * Edit a memory: content, tags, importance, expiresAt, type (short_term or
+   * long_term) and/or scope with scopeId. The previous values go into its history. Returns the memory, or
+   * null if the user has no such memory. A pending memory's type only changes through
+   * acceptPending, so review can't be skipped (throws with status 400)
+   */
+  async updateMemory(memoryId, userId = null, changes = {}) {
+    await this.initialize();
+    
+    const updated = await this.store.transaction(async (tx) => {
+      const memory = await this.findOwned(tx, memoryId, userId);
+      if (!memory) return null;
+      if (memory.type === 'pending' && changes.type !== undefined && changes.type !== 'pending') {
+        const error = new Error('Pending memories must be accepted or rejected, not retyped');
+        error.status = 400;
+        throw error;
+      }
+      
+      const fields = Object.keys(changes).filter(key =>
+        changes[key] !== undefined && JSON.stringify(changes[key]) !== JSON.stringify(memory[key]));
+      if (fields.length === 0) return memory;
+      
+      const updates = Object.fromEntries(fields.map(key => [key, changes[key]]));
+      const previous = Object.fromEntries(fields.map(key => [key, memory[key]]));
+      return tx.update(memory.id, {
+        ...updates,
+        updatedAt: new Date().toISOString(),
+        history: this.appendHistory(memory.history, { action: 'edited', previous })
+      });
+    });
     
-    if (type === 'all' || type === 'short_term') {
-      memories = memories.concat(this.shortTermMemory);
+    if (updated && changes.content !== undefined) {
+      await this.indexMemories([updated]).catch(error => console.error('[Memory] Embedding error:', error.message));
     }
-    if (type === 'all' || type === 'long_term') {
-      memories = memories.concat(this.longTermMemory);
+    return updated;
+  }
+
+  // Count a use of memories added to a prompt; short-term ones used often enough move to long-term
+  async recordAccess(ids) {
+    if (ids.length === 0) return;
+    
+    const now = new Date().toISOString();
+    await this.store.transaction(async (tx) => {
+      for (const id of ids) {
+        const memory = await tx.get(id);
+        if (!memory) continue;
+        
+        const accessCount = memory.accessCount + 1;
+        const promote = memory.type === 'short_term' && accessCount >= this.lifecycle.promoteAfterUses;
+        await tx.update(id, {
+          accessCount,
+          lastAccessedAt: now,
+          ...(promote ? this.promotion(memory, `used ${accessCount} times`) : {})
+        });
+      }
+    });
+  }
+
+  /**
+   * Periodic upkeep (aiConfig.memoryLifecycle): delete expired memories, let short-term
+   * memories unused for shortTermDays decay (important ones are promoted instead), then
+   * consolidate near-duplicates. Returns { expired, decayed, promoted, merged } counts
+   */
+  async runMaintenance() {
+    await this.initialize();
+    
+    const now = Date.now();
+    const cutoff = now - this.lifecycle.shortTermDays * DAY_MS;
+    
+    const result = await this.store.transaction(async (tx) => {
+      const memories = await tx.list({ includeExpired: true });
+      const expired = memories.filter(m => m.expiresAt && new Date(m.expiresAt).getTime() <= now);
+      const stale = memories.filter(m => m.type === 'short_term' && !expired.includes(m) &&
+        new Date(m.lastAccessedAt || m.timestamp).getTime() < cutoff);
+      const promoted = stale.filter(m => m.importance >= this.lifecycle.importantThreshold);
+      const decayed = stale.filter(m => !promoted.includes(m));
+      
+      for (const memory of promoted) {
+        await tx.update(memory.id, this.promotion(memory, 'important'));
+      }
+      const removed = [...expired, ...decayed].map(m => m.id);
+      await tx.delete(removed);
+      return { removed, expired: expired.length, decayed: decayed.length, promoted: promoted.length };
+    });
+    await this.dropVectors(result.removed);
+    
+    const { merged } = await this.consolidate();
+    const summary = { expired: result.expired, decayed: result.decayed, promoted: result.promoted, merged };
+    if (Object.values(summary).some(count => count > 0)) {
+      console.log('[Memory] Maintenance:', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Merge near-duplicate long-term memories of each owner and scope into one. The memory kept
+   * (most important, then oldest) takes the longest wording, every tag, the highest
+   * importance and the combined use count; the merged memories are recorded in its
+   * history. Returns { merged: memories removed, memories: ids kept }
+   */
+  async consolidate({ userId = null } = {}) {
+    await this.initialize();
+    
+    const merges = await this.store.transaction(async (tx) => {
+      const memories = await tx.list({ userId, types: ['long_term'] });
+      const results = [];
+      
+      for (const group of this.findDuplicateGroups(memories)) {
+        const [keep, ...rest] = group;
+        const content = group.reduce((longest, m) => (m.content.length > longest.length ? m.content : longest), keep.content);
+        const expiries = group.map(m => m.expiresAt);
+        
+        await tx.update(keep.id, {
+          content,
+          tags: [...new Set(group.flatMap(m => m.tags))],
+          importance: Math.max(...group.map(m => m.importance)),
+          accessCount: group.reduce((sum, m) => sum + m.accessCount, 0),
+          expiresAt: expiries.includes(null) ? null : expiries.sort().pop(),
+          updatedAt: new Date().toISOString(),
+          history: this.appendHistory([...keep.history, ...rest.flatMap(m => m.history)], {
+            action: 'merged',
+            ...(content !== keep.content && { previous: { content: keep.content } }),
+            merged: rest.map(m => ({ id: m.id, content: m.content, timestamp: m.timestamp }))
+          })
+        });
+        await tx.delete(rest.map(m => m.id));
+        results.push({ id: keep.id, content, changed: content !== keep.content, removed: rest.map(m => m.id) });
+      }
+      return results;
+    });
+    
+    await this.dropVectors(merges.flatMap(m => m.removed));
+    await this.indexMemories(merges.filter(m => m.changed))
+      .catch(error => console.error('[Memory] Embedding error:', error.message));
+    
+    return { merged: merges.reduce((sum, m) => sum + m.removed.length, 0), memories: merges.map(m => m.id) };
+  }
+
+  // Groups of near-duplicate memories with the same owner and scope, the one to keep first
+  findDuplicateGroups(memories) {
+    const ordered = [...memories].sort((a, b) =>
+      b.importance - a.importance || new Date(a.timestamp) - new Date(b.timestamp));
+    const grouped = new Set();
+    const groups = [];
+    
+    for (const memory of ordered) {
+      if (grouped.has(memory.id)) continue;
+      const group = [memory, ...ordered.filter(other =>
+        other.id !== memory.id && !grouped.has(other.id) && other.userId === memory.userId &&
+        scopeKey(other) === scopeKey(memory) && this.isNearDuplicate(memory, other))];
+      group.forEach(m => grouped.add(m.id));
+      if (group.length > 1) groups.push(group);
+    }
+    return groups;
+  }
+
+  // Cosine similarity when both memories have vectors, word overlap otherwise
+  isNearDuplicate(a, b) {
+    const vectorA = this.embeddings && this.vectorIndex.get(a.id);
+    const vectorB = this.embeddings && this.vectorIndex.get(b.id);
+    if (vectorA && vectorB) {
+      return EmbeddingService.similarity(vectorA, vectorB) >= this.lifecycle.mergeSimilarity;
     }
+    return wordOverlap(a.content, b.content) >= this.lifecycle.mergeWordOverlap;
+  }
+
+  // Search memories: keyword matching blended with semantic similarity when an
+  // embedder is configured (aiConfig.memorySearch). Memories without a vector yet
+  // rank by keywords alone. requireMatch drops memories that only score on recency;
+  // tag limits results to memories with that tag, scopes to those scope keys.
+  // limit must be a positive integer (or Infinity), anything else is a 400
+  async search(query, options = {}) {
+    await this.initialize();
+    
+    const { type = 'all', limit = 10, userId = null, requireMatch = false, tag = null, scopes = null } = options;
+    if (limit !== Infinity && !(Number.isInteger(limit) && limit >= 1)) {
+      const error = new Error('limit must be a positive integer');
+      error.status = 400;
+      throw error;
+    }
+    const { semanticWeight, minSimilarity, minRelevance, importanceWeight } = aiConfig.memorySearch;
+    const queryLower = query.toLowerCase();
+    const queryWords = queryLower.split(/\s+/).filter(word => word.length > 2);
+    const maxKeywordScore = 10 + 2 * queryWords.length;
+    
+    const memories = (await this.getMemories(type, userId, scopes)).filter(m => !tag || m.tags.includes(tag));
+    const similarities = await this.semanticScores(query, memories);
     
-    // Simple relevance scoring
     const scored = memories.map(m => {
       const contentLower = m.content.toLowerCase();
-      let score = 0;
+      let keywordScore = 0;
       
       // Exact phrase match
       if (contentLower.includes(queryLower)) {
-        score += 10;
+        keywordScore += 10;
       }
       
       // Word matches
-      const queryWords = queryLower.split(/\s+/);
       for (const word of queryWords) {
-        if (word.length > 2 && contentLower.includes(word)) {
-          score += 2;
+        if (contentLower.includes(word)) {
+          keywordScore += 2;
         }
       }
       
-      // Recency bonus
+      const keyword = keywordScore / maxKeywordScore;
+      const similarity = similarities.get(m.id);
+      const semanticMatch = similarity >= minSimilarity;
+      if (requireMatch && keywordScore === 0 && !semanticMatch) {
+        return { ...m, relevanceScore: 0 };
+      }
+      
+      let score = similarity === undefined
+        ? keyword
+        : semanticWeight * (semanticMatch ? similarity : 0) + (1 - semanticWeight) * keyword;
+      // The bonuses below only rank matches; they must not make an unrelated memory one
+      if (score < minRelevance) {
+        return { ...m, relevanceScore: 0 };
+      }
+      
+      // Recency bonus (up to 0.1 for memories from the last few days)
       const age = Date.now() - new Date(m.timestamp).getTime();
       const daysSinceCreation = age / (1000 * 60 * 60 * 24);
-      score += Math.max(0, 5 - daysSinceCreation);
+      score += Math.max(0, 5 - daysSinceCreation) / 50;
+      score += m.importance * importanceWeight;
       
-      return { ...m, relevanceScore: score };
+      return {
+        ...m,
+        relevanceScore: score,
+        keywordScore: keyword,
+        semanticScore: similarity ?? null
+      };
     });
     
     return scored
@@ -142,92 +574,151 @@ class MemoryService {
       .slice(0, limit);
   }
 
-  // Get recent memories
-  async getRecent(count = 10, type = 'all') {
-    await this.initialize();
-    
-    let memories = [];
-    
-    if (type === 'all' || type === 'short_term') {
-      memories = memories.concat(this.shortTermMemory);
+  // Similarity of the query to each memory with a vector: Map(id → cosine)
+  // Empty without an embedder or when embedding the query fails (keyword-only search)
+  async semanticScores(query, memories) {
+    if (!this.embeddings || !query.trim() || memories.length === 0) {
+      return new Map();
     }
-    if (type === 'all' || type === 'long_term') {
-      memories = memories.concat(this.longTermMemory);
+    
+    try {
+      const queryVector = await this.embeddings.embedOne(query);
+      return this.vectorIndex.similarities(queryVector, memories.map(m => m.id));
+    } catch (error) {
+      console.error('[Memory] Semantic search unavailable:', error.message);
+      return new Map();
     }
+  }
+
+  // Get recent memories (optionally only from the given scope keys)
+  async getRecent(count = 10, type = 'all', userId = null, scopes = null) {
+    await this.initialize();
     
-    return memories
+    return (await this.getMemories(type, userId, scopes))
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
       .slice(0, count);
   }
 
-  // Get context for AI (formatted recent + relevant memories)
-  async getContext(currentQuery, maxTokens = 1000) {
+  // Searchable memories of a type ('short_term', 'long_term' or 'all') visible to a user
+  // scopes: scope keys to include ('global', 'session:<id>', 'project:<name>'), null for all
+  async getMemories(type = 'all', userId = null, scopes = null) {
+    const types = type === 'all' ? ['short_term', 'long_term'] : [type];
+    return this.store.list({ userId, types, scopes });
+  }
+
+  // Scope keys a chat can draw on, most specific first: its session, its project, then global
+  contextScopes({ sessionId = null, project = null } = {}) {
+    return [
+      sessionId && scopeKey({ scope: 'session', scopeId: sessionId }),
+      project && scopeKey({ scope: 'project', scopeId: project }),
+      'global'
+    ].filter(Boolean);
+  }
+
+  // Memories reordered so earlier scopes come first (stable, so order within a scope is kept)
+  preferScopes(memories, scopes) {
+    if (!scopes) return memories;
+    return [...memories].sort((a, b) => scopes.indexOf(scopeKey(a)) - scopes.indexOf(scopeKey(b)));
+  }
+
+  // Get context for AI (formatted relevant + recent memories)
+  // Returns { text, ids, matchedIds }: memories are added whole, most relevant first, while they
+  // fit maxTokens; matchedIds are the included ones that matched the query. Read-only: the
+  // caller that puts the text in a prompt passes matchedIds to recordAccess
+  // scopes (see contextScopes) limits which memories are used and ranks earlier scopes first
+  async getContext(currentQuery, maxTokens = 1000, userId = null, scopes = null) {
     await this.initialize();
     
-    // Get recent memories
-    const recent = await this.getRecent(5, 'short_term');
+    // Get relevant memories (only ones that actually match the query)
+    const matches = currentQuery
+      ? await this.search(currentQuery, { type: 'all', limit: Infinity, userId, requireMatch: true, scopes })
+      : [];
+    const relevant = this.preferScopes(matches, scopes).slice(0, 3);
     
-    // Get relevant long-term memories
-    const relevant = await this.search(currentQuery, { type: 'long_term', limit: 3 });
+    // Get recent memories
+    const relevantIds = new Set(relevant.map(m => m.id));
+    const recent = this.preferScopes(await this.getRecent(this.maxShortTermMemory, 'short_term', userId, scopes), scopes)
+      .filter(m => !relevantIds.has(m.id))
+      .slice(0, 5);
     
     // Format for AI context
-    let context = '';
-    
-    if (relevant.length > 0) {
-      context += 'Relevant saved information:\n';
-      relevant.forEach(m => {
-        context += `- ${m.content}\n`;
-      });
-      context += '\n';
-    }
+    let text = '';
+    const ids = [];
+    let tokens = 0;
     
-    if (recent.length > 0) {
-      context += 'Recent conversation context:\n';
-      recent.forEach(m => {
-        context += `- ${m.content}\n`;
-      });
-    }
-    
-    // Truncate if too long (rough estimate)
-    if (context.length > maxTokens * 4) {
-      context = context.substring(0, maxTokens * 4) + '...';
+    for (const [heading, memories] of [
+      ['Relevant saved information:', relevant],
+      ['Recent conversation context:', recent]
+    ]) {
+      let section = '';
+      for (const m of memories) {
+        const line = `- ${m.content}\n`;
+        const lineTokens = tokenizer.count((section ? '' : heading + '\n') + line, aiConfig.model);
+        if (tokens + lineTokens > maxTokens) break;
+        
+        section += line;
+        ids.push(m.id);
+        tokens += lineTokens;
+      }
+      if (section) {
+        text += `${heading}\n${section}\n`;
+      }
     }
     
-    return context;
+    return { text: text.trim(), ids, matchedIds: ids.filter(id => relevantIds.has(id)) };
   }
 
-  // Save a conversation
-  async saveConversation(conversationId, messages, metadata = {}) {
+  // Save a conversation (ids are per-file, so another user's id can't be overwritten)
+  async saveConversation(conversationId, messages, metadata = {}, userId = null) {
     await this.initialize();
     
+    const existing = await this.readConversation(conversationId);
+    if (existing && !visibleTo(userId)(existing)) {
+      const error = new Error('Conversation id is already in use');
+      error.status = 409;
+      throw error;
+    }
+    
     const conversation = {
       id: conversationId,
+      userId: existing ? existing.userId : userId,
       messages,
       metadata,
       createdAt: metadata.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     
-    const filepath = path.join(this.conversationsDir, `${conversationId}.json`);
-    await fs.writeFile(filepath, JSON.stringify(conversation, null, 2));
+    await fs.writeFile(this.getConversationPath(conversationId), JSON.stringify(conversation, null, 2));
     
     return conversation;
   }
 
   // Load a conversation
-  async loadConversation(conversationId) {
-    const filepath = path.join(this.conversationsDir, `${conversationId}.json`);
-    
+  async loadConversation(conversationId, userId = null) {
+    const conversation = await this.readConversation(conversationId);
+    return conversation && visibleTo(userId)(conversation) ? conversation : null;
+  }
+
+  async readConversation(conversationId) {
     try {
-      const data = await fs.readFile(filepath, 'utf8');
+      const data = await fs.readFile(this.getConversationPath(conversationId), 'utf8');
       return JSON.parse(data);
     } catch (error) {
       return null;
     }
   }
 
-  // List all conversations
-  async listConversations() {
+  getConversationPath(conversationId) {
+    if (!/^[a-zA-Z0-9_-]{1,100}$/.test(conversationId)) {
+      const error = new Error('Invalid conversation id');
+      error.status = 400;
+      throw error;
+    }
+    return path.join(this.conversationsDir, `${conversationId}.json`);
+  }
+
+  // List a user's conversations
+  async listConversations(userId = null) {
     await this.initialize();
     
     try {
@@ -239,6 +730,7 @@ class MemoryService {
           const filepath = path.join(this.conversationsDir, file);
           const data = await fs.readFile(filepath, 'utf8');
           const conv = JSON.parse(data);
+          if (!visibleTo(userId)(conv)) continue;
           conversations.push({
             id: conv.id,
             messageCount: conv.messages?.length || 0,
@@ -255,47 +747,91 @@ class MemoryService {
     }
   }
 
-  // Delete a memory
-  async deleteMemory(memoryId) {
+  // Delete a memory (only the owner's)
+  async deleteMemory(memoryId, userId = null) {
     await this.initialize();
     
-    this.shortTermMemory = this.shortTermMemory.filter(m => m.id !== memoryId);
-    this.longTermMemory = this.longTermMemory.filter(m => m.id !== memoryId);
+    const deleted = await this.store.transaction(async (tx) => {
+      const memory = await this.findOwned(tx, memoryId, userId);
+      return memory ? tx.delete([memory.id]) : 0;
+    });
+    if (!deleted) {
+      return { success: false, deleted: null };
+    }
     
-    await this.persist();
+    await this.dropVectors([memoryId]);
     return { success: true, deleted: memoryId };
   }
 
-  // Clear all short-term memory
-  async clearShortTerm() {
+  // Delete a user's memories of the given types (only in the given scope keys, if any)
+  async clearTypes(types, userId, scopes = null) {
     await this.initialize();
-    this.shortTermMemory = [];
-    await this.persist();
+    
+    const ids = await this.store.transaction(async (tx) => {
+      const memories = await tx.list({ userId, types, scopes, includeExpired: true });
+      await tx.delete(memories.map(m => m.id));
+      return memories.map(m => m.id);
+    });
+    await this.dropVectors(ids);
+  }
+
+  // Clear a user's short-term memory
+  async clearShortTerm(userId = null, scopes = null) {
+    await this.clearTypes(['short_term'], userId, scopes);
     return { success: true, cleared: 'short_term' };
   }
 
-  // Clear all memory
-  async clearAll() {
-    await this.initialize();
-    this.shortTermMemory = [];
-    this.longTermMemory = [];
-    await this.persist();
+  // Clear all of a user's memory
+  async clearAll(userId = null, scopes = null) {
+    await this.clearTypes(['short_term', 'long_term', 'pending'], userId, scopes);
     return { success: true, cleared: 'all' };
   }
 
+  // Assign memories and conversations saved before accounts existed to a user
+  async claimUnowned(userId) {
+    await this.initialize();
+    
+    let claimed = await this.store.claimUnowned(userId);
+    
+    const files = await fs.readdir(this.conversationsDir).catch(() => []);
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const filepath = path.join(this.conversationsDir, file);
+      const conversation = JSON.parse(await fs.readFile(filepath, 'utf8'));
+      if (!conversation.userId) {
+        conversation.userId = userId;
+        await fs.writeFile(filepath, JSON.stringify(conversation, null, 2));
+        claimed++;
+      }
+    }
+    
+    return claimed;
+  }
+
   // Get memory stats
-  async getStats() {
+  async getStats(userId = null) {
     await this.initialize();
     
+    const memories = await this.store.list({ userId });
+    const shortTerm = memories.filter(m => m.type === 'short_term');
+    const longTerm = memories.filter(m => m.type === 'long_term');
+    
     return {
-      shortTermCount: this.shortTermMemory.length,
-      longTermCount: this.longTermMemory.length,
+      shortTermCount: shortTerm.length,
+      longTermCount: longTerm.length,
+      pendingCount: memories.filter(m => m.type === 'pending').length,
+      scopes: memories.reduce((counts, m) => ({ ...counts, [scopeKey(m)]: (counts[scopeKey(m)] || 0) + 1 }), {}),
+      indexedCount: this.embeddings ? [...shortTerm, ...longTerm].filter(m => this.vectorIndex.has(m.id)).length : 0,
+      embedder: this.embeddings?.id || null,
+      store: this.store.name,
       maxShortTerm: this.maxShortTermMemory,
-      oldestShortTerm: this.shortTermMemory[0]?.timestamp,
-      newestMemory: this.shortTermMemory[this.shortTermMemory.length - 1]?.timestamp ||
-                    this.longTermMemory[this.longTermMemory.length - 1]?.timestamp
+      oldestShortTerm: shortTerm[0]?.timestamp,
+      newestMemory: shortTerm[shortTerm.length - 1]?.timestamp ||
+                    longTerm[longTerm.length - 1]?.timestamp
     };
   }
 }
 
+MemoryService.SCOPES = SCOPES;
+MemoryService.scopeKey = scopeKey;
+
 module.exports = MemoryService;
@@ -0,0 +1,163 @@
+/**
+ * Memory Extractor
+ *
+ * Picks durable facts and preferences out of a conversation and saves them to
+ * MemoryService. Runs in the background after each assistant turn, or when the
+ * summarizer folds a session into a summary (aiConfig.memoryExtraction.trigger).
+ *
+ * The planner model reads the new messages (memory_extraction prompt) next to
+ * what is already saved. Candidates below minConfidence, or that repeat an
+ * existing memory, are dropped. The rest go to the pending queue for the user
+ * to accept or reject (/api/memory/pending), or straight to long-term memory
+ * with autoAccept. Each memory records the session and messages it came from,
+ * and is scoped to the session's project when it has one (global otherwise).
+ */
+
+const modelConfig = require('../../config/models');
+const promptConfig = require('../../config/prompts');
+const aiConfig = require('../../config/ai-config');
+const tokenizer = require('./tokenizer');
+
+const CATEGORIES = ['fact', 'preference', 'goal', 'context'];
+
+// Cheap gate: the user has to say something about themselves before a model call is worth it
+const SELF_REFERENCE = /\b(i|i'm|i've|i'd|i'll|im|my|me|mine|we|our|us)\b/i;
+
+// Saved memories shown to the model so it doesn't suggest them again
+const KNOWN_MEMORIES = 20;
+
+class MemoryExtractor {
+  /**
+   * @param {LLMService} llm - Client for the extraction call
+   * @param {MemoryService} memory - Where extracted memories are stored
+   */
+  constructor(llm, memory, config = aiConfig.memoryExtraction) {
+    this.llm = llm;
+    this.memory = memory;
+    this.config = config;
+  }
+
+  /**
+   * Extract from one exchange (the 'turn' trigger)
+   * @param {Object} turn
+   * @param {string|null} turn.userId
+   * @param {string} turn.sessionId
+   * @param {string|null} turn.project - Project of the session (scopes the memories)
+   * @param {{id, content}} turn.userMessage
+   * @param {{id, content}} turn.assistantMessage
+   */
+  async extractFromTurn({ userId = null, sessionId, project = null, userMessage, assistantMessage }) {
+    return this.extract({
+      userId,
+      sessionId,
+      project,
+      messages: [
+        { ...userMessage, role: 'user' },
+        { ...assistantMessage, role: 'assistant' }
+      ]
+    });
+  }
+
+  /**
+   * Extract from a batch of messages (the 'summary' trigger)
+   * @param {Object} batch
+   * @param {Array<{id, role, content}>} batch.messages
+   */
+  async extractFromMessages({ userId = null, sessionId, project = null, messages }) {
+    return this.extract({ userId, sessionId, project, messages });
+  }
+
+  /**
+   * Run extraction and store what survives filtering
+   * Returns the stored memories (pending or long-term)
+   */
+  async extract({ userId, sessionId, project = null, messages }) {
+    if (!this.config.enabled) return [];
+
+    const userMessages = messages.filter(m => m.role === 'user' && m.content);
+    if (!userMessages.some(m => SELF_REFERENCE.test(m.content))) return [];
+
+    const candidates = await this.callModel(messages, userId);
+    const stored = [];
+
+    for (const candidate of candidates) {
+      if (stored.length >= this.config.maxPerTurn) break;
+
+      const duplicate = await this.memory.findDuplicate(candidate.content, userId, this.config.similarityThreshold);
+      if (duplicate) continue;
+
+      const metadata = {
+        source: 'extraction',
+        category: candidate.category,
+        confidence: candidate.confidence,
+        sessionId: sessionId || null,
+        messageIds: userMessages.map(m => m.id).filter(Boolean)
+      };
+      const options = {
+        tags: [candidate.category],
+        ...(project ? { scope: 'project', scopeId: project } : {})
+      };
+      stored.push(this.config.autoAccept
+        ? await this.memory.addLongTerm(candidate.content, metadata, userId, options)
+        : await this.memory.addPending(candidate.content, metadata, userId, options));
+    }
+
+    if (stored.length > 0) {
+      console.log(`[MemoryExtractor] ${this.config.autoAccept ? 'Saved' : 'Queued'} ${stored.length} memories from session ${sessionId}`);
+    }
+    return stored;
+  }
+
+  /**
+   * Ask the planner model for candidate memories
+   * Returns [{content, category, confidence}] above minConfidence, most confident first
+   */
+  async callModel(messages, userId) {
+    const model = modelConfig.getPlannerModel();
+
+    const known = [
+      ...await this.memory.getRecent(KNOWN_MEMORIES, 'long_term', userId),
+      ...await this.memory.getPending(userId)
+    ];
+    const sections = [];
+    if (known.length > 0) {
+      sections.push(`## Already Saved\n${known.map(m => `- ${m.content}`).join('\n')}`);
+    }
+    const transcript = messages.map(m => {
+      const role = m.role === 'user' ? 'User' : 'Assistant';
+      return `${role}: ${tokenizer.truncate(m.content || '', this.config.messageTokens, model.name).text}`;
+    });
+    sections.push(`## Conversation\n${transcript.join('\n\n')}`);
+
+    const response = await this.llm.chat.completions.create({
+      model: model.name,
+      messages: [
+        { role: 'system', content: promptConfig.tasks.memory_extraction },
+        { role: 'user', content: sections.join('\n\n') }
+      ],
+      max_tokens: model.maxTokens,
+      temperature: 0.2,
+      response_format: { type: 'json_object' }
+    }, { purpose: 'memory_extraction' });
+
+    let parsed;
+    try {
+      parsed = JSON.parse(response.choices[0].message.content);
+    } catch (e) {
+      console.warn('[MemoryExtractor] Unparseable extraction response');
+      return [];
+    }
+
+    return (Array.isArray(parsed.memories) ? parsed.memories : [])
+      .filter(m => typeof m?.content === 'string' && m.content.trim())
+      .map(m => ({
+        content: m.content.trim(),
+        category: CATEGORIES.includes(m.category) ? m.category : 'fact',
+        confidence: typeof m.confidence === 'number' ? m.confidence : 0
+      }))
+      .filter(m => m.confidence >= this.config.minConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+}
+
+module.exports = MemoryExtractor;
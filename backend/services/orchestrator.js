@@ -10,11 +10,21 @@
 
 const modelConfig = require('../../config/models');
 const promptConfig = require('../../config/prompts');
+const aiConfig = require('../../config/ai-config');
+const tokenizer = require('./tokenizer');
+const ContextBuilder = require('./contextBuilder');
+const PlanExecutor = require('./planExecutor');
+
+// Intents the planner can pick (and a client can force with forceMode)
+const INTENTS = ['chat', 'search', 'research', 'study', 'code', 'creative', 'agent'];
 
 class Orchestrator {
-  constructor(openai, services) {
-    this.openai = openai;
+  constructor(llm, services) {
+    this.llm = llm;
     this.services = services;
+    this.tools = services.tools;
+    this.contextBuilder = new ContextBuilder();
+    this.planExecutor = new PlanExecutor(this);
     this.debug = process.env.DEBUG_ORCHESTRATOR === 'true';
   }
 
@@ -32,12 +42,21 @@ class Orchestrator {
    * @param {Array} messages - Chat messages
    * @param {Object} options - Processing options
    * @param {string} options.customInstructions - Custom user instructions
-   * @param {string} options.forceMode - Force a specific intent mode
+   * @param {string} options.forceMode - Force a specific intent mode (e.g. the choice picked from a clarification)
    * @param {Array} options.forcedTools - Manually enabled tools (adds patches constructively)
+   * @param {Function} options.onEvent - Streaming callback; receives plan, tool progress and content deltas
+   * @param {AbortSignal} options.signal - Cancels planner, tools and model calls when aborted
+   * @param {string|null} options.userId - Account the request runs for (scopes memory tools)
+   * @param {string|null} options.summary - Summary of earlier session turns (fitted with the history)
+   * @param {string|null} options.previousIntent - Intent of the previous turn (planner keeps it for follow-ups)
+   * @param {boolean} options.useMemory - Add relevant long-term memories to the system prompt
+   * @param {Array<string>|null} options.memoryScopes - Memory scope keys the request may use, preferred first (null for all)
    */
   async process(messages, options = {}) {
-    const { customInstructions = '', forceMode = null, forcedTools = [] } = options;
+    const { customInstructions = '', forceMode = null, forcedTools = [], onEvent = null, signal = null, userId = null, summary = null, previousIntent = null, useMemory = true, memoryScopes = null } = options;
     const userMessage = messages[messages.length - 1]?.content || '';
+    const run = { onEvent, signal, userId, memoryScopes };
+    const conversation = { history: messages.slice(0, -1), summary, previousIntent };
 
     let plan;
     
@@ -46,45 +65,72 @@ class Orchestrator {
       this.log('forced_tools', forcedTools);
       
       // Still run planner to get intent, but override tools
-      const basePlan = await this.runPlanner(userMessage);
+      const basePlan = await this.runPlanner(userMessage, run, conversation);
       plan = {
         ...basePlan,
         needsTools: forcedTools, // Override with forced tools
         forcedTools: true
       };
+
+      // Plugin tools only run inside the function-calling loop
+      if (forcedTools.some(tool => this.tools.isPlugin(tool))) {
+        plan.intent = 'agent';
+      }
     } else if (forceMode) {
       plan = { intent: forceMode, confidence: 1.0, needsTools: [forceMode], complexity: 'moderate' };
     } else {
       // Stage 1: Planner - Classify intent and plan execution
-      plan = await this.runPlanner(userMessage);
+      plan = await this.runPlanner(userMessage, run, conversation);
+
+      // Ask instead of guessing; the user's pick comes back as forceMode
+      if (this.needsClarification(plan)) {
+        return this.clarify(userMessage, plan, run);
+      }
     }
     
-    this.log('plan', { intent: plan.intent, confidence: plan.confidence, tools: plan.needsTools, forced: !!plan.forcedTools });
+    this.log('plan', { intent: plan.intent, confidence: plan.confidence, tools: plan.needsTools, forced: !!plan.forcedTools, query: plan.extractedQuery });
+    this.emit(run, {
+      type: 'plan',
+      intent: plan.intent,
+      confidence: plan.confidence,
+      tools: plan.needsTools,
+      complexity: plan.complexity,
+      query: plan.extractedQuery
+    });
 
     // Stage 2: Execute based on plan
-    const result = await this.execute(messages, plan, customInstructions);
+    const result = await this.execute(messages, plan, customInstructions, run, { summary, useMemory });
     
     return result;
   }
 
   /**
    * Stage 1: Planner Model
-   * Uses small, fast model to classify intent and decide execution strategy
+   * Uses small, fast model to classify intent and decide execution strategy.
+   * Sees a compact window of the conversation (recent turns, summary, previous intent)
+   * so follow-ups are resolved and rewritten into standalone queries.
    */
-  async runPlanner(userMessage) {
-    const plannerModel = modelConfig.getPlannerModel();
+  async runPlanner(userMessage, run = {}, conversation = {}) {
+    const plannerMessages = [
+      {
+        role: 'system',
+        content: promptConfig.tasks.classify_intent + '\n\nAvailable tools:\n' + this.tools.describeForPlanner()
+      },
+      { role: 'user', content: this.buildPlannerInput(userMessage, conversation) }
+    ];
+    const plannerModel = modelConfig.selectModel('planning', {
+      capabilities: { json: true },
+      promptTokens: tokenizer.countMessages(plannerMessages, modelConfig.getPlannerModel().name)
+    }) || modelConfig.getPlannerModel();
     
     try {
-      const response = await this.openai.chat.completions.create({
+      const response = await this.llm.chat.completions.create({
         model: plannerModel.name,
-        messages: [
-          { role: 'system', content: promptConfig.tasks.classify_intent },
-          { role: 'user', content: userMessage }
-        ],
+        messages: plannerMessages,
         max_tokens: plannerModel.maxTokens,
         temperature: plannerModel.temperature,
         response_format: { type: 'json_object' }
-      });
+      }, { signal: run.signal, purpose: 'planner' });
 
       const classification = JSON.parse(response.choices[0].message.content);
       
@@ -94,19 +140,101 @@ class Orchestrator {
         needsTools: classification.needs_tools || [],
         complexity: classification.complexity || 'simple',
         extractedQuery: classification.extracted_query || userMessage,
+        topicChanged: classification.topic_changed ?? null,
+        alternatives: Array.isArray(classification.alternatives) ? classification.alternatives : [],
+        clarifyingQuestion: classification.clarifying_question || null,
         plannerTokens: response.usage?.total_tokens || 0
       };
     } catch (error) {
+      if (run.signal?.aborted) throw error;
       this.log('planner_error', error.message);
       // Fallback to pattern-based detection
-      return this.fallbackClassification(userMessage);
+      return { ...this.fallbackClassification(userMessage, conversation.previousIntent), fallback: true };
+    }
+  }
+
+  /**
+   * Whether the planner was too unsure of the intent to act on it
+   * (pattern fallbacks never ask: there was no real classification to doubt)
+   */
+  needsClarification(plan) {
+    const { enabled, confidenceThreshold } = aiConfig.clarification;
+    return enabled && !plan.fallback && plan.confidence < confidenceThreshold;
+  }
+
+  /**
+   * Clarification turn: a question plus choices, each mapping to an intent the
+   * client sends back as forceMode together with the original question (query)
+   */
+  clarify(userMessage, plan, run = {}) {
+    const { maxChoices, labels } = aiConfig.clarification;
+    const intents = [...new Set([plan.intent, ...plan.alternatives, 'search', 'chat'])]
+      .filter(intent => INTENTS.includes(intent))
+      .slice(0, maxChoices);
+
+    const clarification = {
+      question: plan.clarifyingQuestion || 'What kind of help are you looking for?',
+      choices: intents.map(intent => ({ label: labels[intent] || intent, mode: intent })),
+      query: userMessage,
+      confidence: plan.confidence
+    };
+
+    this.log('clarification', { summary: `${plan.intent} at ${plan.confidence} → ${intents.join(', ')}` });
+    this.emit(run, { type: 'clarification', ...clarification });
+    this.emit(run, { type: 'delta', content: clarification.question });
+
+    return {
+      role: 'assistant',
+      content: clarification.question,
+      toolUsed: null,
+      metadata: {
+        clarification,
+        plannerTokens: plan.plannerTokens
+      }
+    };
+  }
+
+  /**
+   * Planner prompt for the current message: the message alone for a new
+   * conversation, otherwise prefixed with the summary, the last few turns and
+   * the previous intent (each cut to a few hundred tokens, see aiConfig.planner)
+   */
+  buildPlannerInput(userMessage, { history = [], summary = null, previousIntent = null } = {}) {
+    const plannerModel = modelConfig.getPlannerModel().name;
+    const { historyMessages, messageTokens, summaryTokens } = aiConfig.planner;
+    // Classification only needs the gist of very long messages
+    const current = tokenizer.truncate(userMessage, aiConfig.context.plannerMessageTokens, plannerModel, { keep: 'head' }).text;
+
+    const recent = history.slice(-historyMessages);
+    if (!summary && recent.length === 0) {
+      return current;
+    }
+
+    const sections = [];
+    if (summary) {
+      sections.push(`## Conversation Summary\n${tokenizer.truncate(summary, summaryTokens, plannerModel, { keep: 'head' }).text}`);
+    }
+    if (recent.length > 0) {
+      const turns = recent.map(message => {
+        const role = message.role === 'user' ? 'User' : 'Assistant';
+        const content = typeof message.content === 'string' ? message.content : '';
+        return `${role}: ${tokenizer.truncate(content, messageTokens, plannerModel).text}`;
+      });
+      sections.push(`## Recent Conversation\n${turns.join('\n\n')}`);
     }
+    if (previousIntent) {
+      sections.push(`## Previous Intent\n${previousIntent}`);
+    }
+    sections.push(`## Current Message\n${current}`);
+
+    return sections.join('\n\n');
   }
 
   /**
    * Fallback classification using patterns (if planner fails)
+   * A message matching no pattern stays in the previous turn's mode
    */
-  fallbackClassification(message) {
+  fallbackClassification(message, previousIntent = null) {
     const lower = message.toLowerCase();
     
     if (/search|look up|find|current|latest|news|weather|price/i.test(lower)) {
@@ -125,6 +253,11 @@ class Orchestrator {
       return { intent: 'creative', confidence: 0.7, needsTools: [], complexity: 'moderate' };
     }
     
+    if (previousIntent && previousIntent !== 'chat') {
+      const needsTools = ['search', 'research'].includes(previousIntent) ? ['web_search'] : [];
+      return { intent: previousIntent, confidence: 0.5, needsTools, complexity: 'moderate' };
+    }
+    
     return { intent: 'chat', confidence: 0.8, needsTools: [], complexity: 'simple' };
   }
 
@@ -134,65 +267,199 @@ class Orchestrator {
    * 
    * System prompt is built CONSTRUCTIVELY:
    * Base + Tool Patches (for all enabled tools) + Custom Instructions
+   *
+   * Summary and history are then fitted into the selected model's window
+   * (see ContextBuilder); the report is returned in metadata.context.
+   * Complex requests run as a multi-step plan when the planner can make one.
+   * Memories used are listed in metadata.memoryIds.
    */
-  async execute(messages, plan, customInstructions) {
+  async execute(messages, plan, customInstructions, run = {}, { summary = null, useMemory = false } = {}) {
     const { intent, needsTools, complexity, extractedQuery } = plan;
-    
-    // Select model based on task
-    const modelKey = modelConfig.taskMapping[intent] || 'chat';
-    const model = modelConfig.models[modelKey];
-    
-    this.log('executor', { model: model.name, intent, complexity, tools: needsTools });
+
+    // Code requests can run their snippets when the sandbox is available
+    const runsCode = intent === 'code' && this.canExecuteCode();
+    const promptTools = runsCode && !needsTools.includes('code_exec')
+      ? [...needsTools, 'code_exec']
+      : needsTools;
+
+    // Long-term memories matching the (standalone) query for this turn
+    const lastContent = messages[messages.length - 1]?.content;
+    const memory = useMemory
+      ? await this.retrieveMemory(extractedQuery || (typeof lastContent === 'string' ? lastContent : ''), run)
+      : null;
 
     // Build system prompt with ALL tool patches (constructive)
     // This applies patches for every enabled tool, tilting behavior
     const systemPrompt = promptConfig.buildSystemPrompt({
-      tools: needsTools, // Pass all enabled tools for patching
+      tools: promptTools, // Pass all enabled tools for patching
+      memory: memory?.text,
       customInstructions
     });
+    if (memory) {
+      await this.recordMemoryAccess(memory);
+    }
     
     this.log('prompt_tokens', promptConfig.estimateTokens(systemPrompt));
 
-    // Route to appropriate handler
-    // All handlers receive systemPrompt which has base + all enabled tool patches
+    // Select model based on task, moving to another role's model when the task's own
+    // lacks a needed capability or its context window can't hold the conversation.
+    // If none qualifies the task's model is used and the history is trimmed to fit.
+    const countModel = modelConfig.getModelForTask(intent).name;
+    const promptTokens = tokenizer.countMessages([
+      { role: 'system', content: systemPrompt },
+      ...(summary ? [{ role: 'system', content: summary }] : []),
+      ...messages
+    ], countModel);
+    const model = modelConfig.selectModel(intent, {
+      capabilities: {
+        tools: intent === 'agent' || runsCode,
+        vision: messages.some(m => Array.isArray(m.content) && m.content.some(part => part.type === 'image_url'))
+      },
+      promptTokens
+    }) || modelConfig.getModelForTask(intent);
+
+    if (model.substitutedFor) {
+      this.log('model_substituted', `${model.substitutedFor} → ${model.name} (${promptTokens} prompt tokens)`);
+    }
+    this.log('executor', { model: model.name, intent, complexity, tools: needsTools });
+
+    const multiStep = this.planExecutor.appliesTo(plan);
+    const context = this.buildContext(messages, {
+      model,
+      systemPrompt,
+      summary,
+      reservedTokens: multiStep ? aiConfig.execution.resultTokens : 0
+    });
+    if (context.report.trimmed.length || context.report.dropped.length) {
+      this.log('context', `trimmed ${context.report.trimmed.length}, dropped ${context.report.dropped.length} (${context.report.tokens.total}/${context.report.contextWindow} tokens)`);
+      this.emit(run, { type: 'context', ...context.report });
+    }
+
+    const result = (multiStep && await this.handleMultiStep(context.messages, plan, systemPrompt, model, run)) ||
+      await this.runHandler(intent, context.messages, plan, systemPrompt, model, run);
+
+    // Report the model that actually answered (after any retries or failover)
+    const served = run.served ? { model: run.served.model, servedBy: run.served } : {};
+    return {
+      ...result,
+      metadata: { ...result.metadata, ...served, memoryIds: memory?.ids || [], context: context.report }
+    };
+  }
+
+  /**
+   * Memory layer for the system prompt ({ text, ids }), or null when nothing
+   * relevant is saved. A memory failure never fails the turn.
+   */
+  async retrieveMemory(query, run = {}) {
+    if (!aiConfig.memory.enabled || !this.services.memory) return null;
+
+    try {
+      const memory = await this.services.memory.getContext(query, aiConfig.memory.contextTokens, run.userId ?? null, run.memoryScopes ?? null);
+      if (!memory.text) return null;
+
+      this.log('memory', { summary: `${memory.ids.length} memories` });
+      return memory;
+    } catch (error) {
+      this.log('memory_error', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Count a use of the matched memories put in this turn's prompt (retrieving a
+   * short-term memory often enough promotes it to long-term). Never fails the turn.
+   */
+  async recordMemoryAccess(memory) {
+    try {
+      await this.services.memory.recordAccess(memory.matchedIds);
+    } catch (error) {
+      this.log('memory_error', error.message);
+    }
+  }
+
+  /**
+   * Fit summary + history into the model's window after systemPrompt
+   * Returns { messages, report } (see ContextBuilder.build)
+   */
+  buildContext(messages, { model, systemPrompt = '', summary = null, reservedTokens = 0 }) {
+    return this.contextBuilder.build({
+      model: model.name,
+      systemPrompt,
+      messages,
+      summary,
+      maxOutput: model.maxTokens,
+      reservedTokens
+    });
+  }
+
+  /**
+   * Route to appropriate handler
+   * All handlers receive systemPrompt which has base + all enabled tool patches
+   */
+  runHandler(intent, messages, plan, systemPrompt, model, run) {
     switch (intent) {
       case 'search':
-        return this.handleSearch(messages, plan, systemPrompt, model);
+        return this.handleSearch(messages, plan, systemPrompt, model, run);
       
       case 'research':
-        return this.handleResearch(messages, plan, systemPrompt, model);
+        return this.handleResearch(messages, plan, systemPrompt, model, run);
       
       case 'study':
-        return this.handleStudy(messages, plan, systemPrompt, model);
+        return this.handleStudy(messages, plan, systemPrompt, model, run);
       
       case 'code':
-        return this.handleCode(messages, systemPrompt, model);
+        return this.handleCode(messages, plan, systemPrompt, model, run);
       
       case 'creative':
-        return this.handleCreative(messages, systemPrompt, model);
+        return this.handleCreative(messages, systemPrompt, model, run);
+      
+      case 'agent':
+        return this.handleAgent(messages, plan, systemPrompt, model, run);
       
       default:
-        return this.handleChat(messages, systemPrompt, model);
+        return this.handleChat(messages, systemPrompt, model, run);
     }
   }
 
+  /**
+   * Handler: Multi-step plan (complex requests)
+   * Returns null when no usable plan was produced, so the intent's own handler runs
+   */
+  async handleMultiStep(messages, plan, systemPrompt, model, run = {}) {
+    const content = messages[messages.length - 1]?.content;
+    const userMessage = typeof content === 'string' ? content : plan.extractedQuery || '';
+    const executionPlan = await this.planExecutor.createPlan(userMessage, plan, run);
+    if (!executionPlan) return null;
+
+    this.emit(run, {
+      type: 'execution_plan',
+      steps: executionPlan.steps.map(({ id, action, dependsOn }) => ({ id, action, dependsOn }))
+    });
+    return this.planExecutor.execute(executionPlan, { messages, plan, systemPrompt, model }, run);
+  }
+
   /**
    * Handler: Web Search
    */
-  async handleSearch(messages, plan, systemPrompt, model) {
+  async handleSearch(messages, plan, systemPrompt, model, run = {}) {
     const query = plan.extractedQuery || messages[messages.length - 1].content;
     
     // Perform search
-    const searchResults = await this.services.search.search(query, 5);
+    this.emit(run, { type: 'tool', tool: 'web_search', status: 'started', query });
+    const searchResults = await this.services.search.search(query, 5, { signal: run.signal });
+    this.emit(run, { type: 'tool', tool: 'web_search', status: 'completed', count: searchResults.length });
     
     if (searchResults.length === 0) {
-      return this.handleChat(messages, systemPrompt, model);
+      return this.handleChat(messages, systemPrompt, model, run);
     }
 
     // Fetch top results
     const urls = searchResults.slice(0, 3).map(r => r.url);
-    const contents = await this.services.fetcher.fetchMultiple(urls);
+    this.emit(run, { type: 'tool', tool: 'fetch_url', status: 'started', urls });
+    const contents = await this.services.fetcher.fetchMultiple(urls, { signal: run.signal });
+    run.signal?.throwIfAborted();
     const successfulContents = contents.filter(c => c.success);
+    this.emit(run, { type: 'tool', tool: 'fetch_url', status: 'completed', count: successfulContents.length });
 
     // Build context
     const searchContext = this.formatSearchContext(searchResults, successfulContents);
@@ -202,7 +469,7 @@ class Orchestrator {
       '\n\nSearch Results:\n' + searchContext;
 
     // Generate response
-    const response = await this.openai.chat.completions.create({
+    const response = await this.createCompletion({
       model: model.name,
       messages: [
         { role: 'system', content: enhancedPrompt },
@@ -210,7 +477,7 @@ class Orchestrator {
       ],
       max_tokens: model.maxTokens,
       temperature: model.temperature
-    });
+    }, run);
 
     return {
       role: 'assistant',
@@ -229,13 +496,21 @@ class Orchestrator {
   /**
    * Handler: Deep Research
    */
-  async handleResearch(messages, plan, systemPrompt, model) {
+  async handleResearch(messages, plan, systemPrompt, model, run = {}) {
     const query = plan.extractedQuery || messages[messages.length - 1].content;
     
     try {
       // Use research agent for deep research
-      const result = await this.services.research.research(query, { depth: 2, maxSources: 8 });
+      const result = await this.services.research.research(query, {
+        depth: 2,
+        maxSources: 8,
+        signal: run.signal,
+        onProgress: (step) => this.emit(run, { type: 'tool', tool: 'research', ...step })
+      });
       
+      // Research synthesis isn't streamed by the agent, so send it as a single delta
+      this.emit(run, { type: 'delta', content: result.synthesis });
+
       return {
         role: 'assistant',
         content: result.synthesis,
@@ -248,9 +523,10 @@ class Orchestrator {
         }
       };
     } catch (error) {
+      if (run.signal?.aborted) throw error;
       this.log('research_error', error.message);
       // Fallback to search
-      return this.handleSearch(messages, plan, systemPrompt, model);
+      return this.handleSearch(messages, plan, systemPrompt, model, run);
     }
   }
 
@@ -259,21 +535,27 @@ class Orchestrator {
    * Uses study service for lessons, flashcards, quizzes
    * systemPrompt includes study patch if enabled
    */
-  async handleStudy(messages, plan, systemPrompt, model) {
+  async handleStudy(messages, plan, systemPrompt, model, run = {}) {
     const userMessage = messages[messages.length - 1].content;
     const lower = userMessage.toLowerCase();
     
     // Determine study type
+    this.emit(run, { type: 'tool', tool: 'study', status: 'started' });
+    const topic = plan.extractedQuery || userMessage;
+    const options = { signal: run.signal };
     let result;
     if (lower.includes('flashcard')) {
-      result = await this.services.study.generateFlashcards(plan.extractedQuery || userMessage);
+      result = await this.services.study.generateFlashcards(topic, options);
     } else if (lower.includes('quiz') || lower.includes('test me')) {
-      result = await this.services.study.generateQuiz(plan.extractedQuery || userMessage);
+      result = await this.services.study.generateQuiz(topic, options);
     } else if (lower.includes('practice') || lower.includes('question')) {
-      result = await this.services.study.generatePractice(plan.extractedQuery || userMessage);
+      result = await this.services.study.generatePractice(topic, 'intermediate', options);
     } else {
-      result = await this.services.study.explain(plan.extractedQuery || userMessage);
+      result = await this.services.study.explain(topic, '', options);
     }
+    run.signal?.throwIfAborted();
+    this.emit(run, { type: 'tool', tool: 'study', status: 'completed', studyType: result.type });
+    this.emit(run, { type: 'delta', content: result.content });
 
     return {
       role: 'assistant',
@@ -289,10 +571,19 @@ class Orchestrator {
 
   /**
    * Handler: Code
-   * Uses the systemPrompt which already includes code patch if enabled
+   * Uses the systemPrompt which already includes code patch if enabled.
+   * With the sandbox available the model can run its code through code_exec
+   * (agent loop restricted to that tool); executions are returned in metadata.
    */
-  async handleCode(messages, systemPrompt, model) {
-    const response = await this.openai.chat.completions.create({
+  async handleCode(messages, plan, systemPrompt, model, run = {}) {
+    if (this.canExecuteCode()) {
+      return this.handleAgent(messages, plan, systemPrompt, model, run, {
+        toolNames: ['code_exec'],
+        intent: 'code'
+      });
+    }
+
+    const response = await this.createCompletion({
       model: model.name,
       messages: [
         { role: 'system', content: systemPrompt },
@@ -300,7 +591,7 @@ class Orchestrator {
       ],
       max_tokens: model.maxTokens,
       temperature: model.temperature
-    });
+    }, run);
 
     return {
       role: 'assistant',
@@ -318,8 +609,8 @@ class Orchestrator {
    * Handler: Creative
    * Uses the systemPrompt which already includes creative patch if enabled
    */
-  async handleCreative(messages, systemPrompt, model) {
-    const response = await this.openai.chat.completions.create({
+  async handleCreative(messages, systemPrompt, model, run = {}) {
+    const response = await this.createCompletion({
       model: model.name,
       messages: [
         { role: 'system', content: systemPrompt },
@@ -327,7 +618,7 @@ class Orchestrator {
       ],
       max_tokens: model.maxTokens,
       temperature: model.temperature
-    });
+    }, run);
 
     return {
       role: 'assistant',
@@ -341,11 +632,178 @@ class Orchestrator {
     };
   }
 
+  /**
+   * Handler: Agent (function-calling loop)
+   * The model calls tools in sequence until it can answer, bounded by
+   * aiConfig.agent.maxIterations and tokenBudget. Every call is recorded in metadata.
+   * options.toolNames restricts the loop to a subset of tools; options.intent
+   * labels the result (e.g. 'code' when used by handleCode).
+   */
+  async handleAgent(messages, plan, systemPrompt, model, run = {}, options = {}) {
+    const { toolNames = null, intent = 'agent' } = options;
+    const { maxIterations, tokenBudget, maxToolResultChars } = aiConfig.agent;
+    const tools = this.tools.getDefinitions(toolNames);
+
+    const conversation = [
+      { role: 'system', content: systemPrompt + '\n\n' + promptConfig.tasks.agent_loop },
+      ...messages
+    ];
+    const toolCalls = [];
+    const executions = [];
+    const sources = [];
+    let tokensUsed = 0;
+    let iterations = 0;
+    let content = null;
+    let stopReason = 'completed';
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      iterations = iteration;
+      // Not streamed: a turn may be tool calls rather than answer text
+      const response = await this.createCompletion({
+        model: model.name,
+        messages: conversation,
+        tools,
+        tool_choice: 'auto',
+        max_tokens: model.maxTokens,
+        temperature: model.temperature
+      }, run, { stream: false });
+
+      tokensUsed += response.usage?.total_tokens || 0;
+      const reply = response.choices[0].message;
+
+      if (!reply.tool_calls?.length) {
+        content = reply.content || '';
+        break;
+      }
+
+      conversation.push({ role: 'assistant', content: reply.content || null, tool_calls: reply.tool_calls });
+
+      for (const call of reply.tool_calls) {
+        const record = await this.runToolCall(call, iteration, run, toolNames);
+        toolCalls.push(record.entry);
+        sources.push(...record.sources);
+        if (record.entry.name === 'code_exec' && record.result) {
+          executions.push({ code: record.entry.arguments.code, ...record.result });
+        }
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: record.output.substring(0, maxToolResultChars)
+        });
+      }
+
+      if (tokensUsed >= tokenBudget) {
+        stopReason = 'token_budget';
+        break;
+      }
+      if (iteration === maxIterations) {
+        stopReason = 'max_iterations';
+      }
+    }
+
+    if (content === null) {
+      // Out of iterations or budget: answer with what has been gathered
+      this.log('agent_stop', stopReason);
+      const response = await this.createCompletion({
+        model: model.name,
+        messages: [
+          ...conversation,
+          { role: 'system', content: 'Tool budget exhausted. Answer now using the tool results above; do not request more tools.' }
+        ],
+        tools,
+        tool_choice: 'none',
+        max_tokens: model.maxTokens,
+        temperature: model.temperature
+      }, run);
+      tokensUsed += response.usage?.total_tokens || 0;
+      content = response.choices[0].message.content;
+    } else {
+      this.emit(run, { type: 'delta', content });
+    }
+
+    const uniqueSources = [...new Map(sources.map(s => [s.url, s])).values()]
+      .map((s, i) => ({ id: i + 1, title: s.title, url: s.url }));
+
+    const metadata = {
+      intent,
+      model: model.name,
+      plannerTokens: plan.plannerTokens,
+      executorTokens: tokensUsed,
+      iterations,
+      stopReason,
+      toolCalls
+    };
+    if (executions.length > 0) {
+      metadata.executions = executions;
+    }
+
+    return {
+      role: 'assistant',
+      content,
+      toolUsed: intent,
+      sources: uniqueSources,
+      metadata
+    };
+  }
+
+  /**
+   * Run one tool call from the agent loop
+   * Failures are returned to the model as an error result instead of aborting the loop
+   */
+  async runToolCall(call, iteration, run = {}, allowedTools = null) {
+    const name = call.function?.name;
+    const startedAt = Date.now();
+    let args = {};
+    let output;
+    let result = null;
+    let error = null;
+    let sources = [];
+
+    this.emit(run, { type: 'tool', tool: name, status: 'started', iteration });
+
+    try {
+      args = JSON.parse(call.function?.arguments || '{}');
+      if (allowedTools && !allowedTools.includes(name)) {
+        throw new Error(`Tool "${name}" is not available here (use: ${allowedTools.join(', ')})`);
+      }
+      const execution = await this.tools.execute(name, args, run);
+      result = execution.result;
+      output = JSON.stringify(result);
+      sources = execution.sources || [];
+    } catch (err) {
+      if (run.signal?.aborted) throw err;
+      error = err.message;
+      output = JSON.stringify({ error: err.message });
+    }
+
+    this.emit(run, { type: 'tool', tool: name, status: error ? 'failed' : 'completed', iteration });
+    this.log('agent_tool', { summary: `${name} (${error ? 'failed' : 'ok'}, ${Date.now() - startedAt}ms)` });
+
+    return {
+      output,
+      result,
+      sources,
+      entry: {
+        id: call.id,
+        iteration,
+        name,
+        arguments: args,
+        result: output.substring(0, 500),
+        error,
+        durationMs: Date.now() - startedAt
+      }
+    };
+  }
+
+  canExecuteCode() {
+    return !!this.tools?.has('code_exec');
+  }
+
   /**
    * Handler: General Chat
    */
-  async handleChat(messages, systemPrompt, model) {
-    const response = await this.openai.chat.completions.create({
+  async handleChat(messages, systemPrompt, model, run = {}) {
+    const response = await this.createCompletion({
       model: model.name,
       messages: [
         { role: 'system', content: systemPrompt },
@@ -353,7 +811,7 @@ class Orchestrator {
       ],
       max_tokens: model.maxTokens,
       temperature: model.temperature
-    });
+    }, run);
 
     return {
       role: 'assistant',
@@ -367,6 +825,57 @@ class Orchestrator {
     };
   }
 
+  /**
+   * Run a chat completion, streaming content deltas when the caller subscribed to events
+   * (unless options.stream is false). Always resolves to the non-streaming response
+   * shape so handlers stay identical.
+   * The model that answered is kept in run.served for the response metadata.
+   */
+  async createCompletion(params, run = {}, { stream: streamDeltas = true } = {}) {
+    const requestOptions = { signal: run.signal, purpose: 'executor' };
+
+    if (!run.onEvent || !streamDeltas) {
+      const response = await this.llm.chat.completions.create(params, requestOptions);
+      run.served = response.served;
+      return response;
+    }
+
+    const stream = await this.llm.chat.completions.create({
+      ...params,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, requestOptions);
+    run.served = stream.served;
+
+    let content = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        this.emit(run, { type: 'delta', content: delta });
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    return {
+      choices: [{ message: { role: 'assistant', content } }],
+      usage,
+      served: stream.served
+    };
+  }
+
+  /**
+   * Send a streaming event to the caller (no-op for non-streaming requests)
+   */
+  emit(run, event) {
+    if (run?.onEvent) {
+      run.onEvent(event);
+    }
+  }
+
   /**
    * Format search results for context
    */
@@ -387,4 +896,6 @@ class Orchestrator {
   }
 }
 
+Orchestrator.INTENTS = INTENTS;
+
 module.exports = Orchestrator;
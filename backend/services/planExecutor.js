@@ -0,0 +1,406 @@
+/**
+ * Plan Executor
+ *
+ * Multi-step execution for complex requests. A planning call (plan_execution
+ * prompt) breaks the request into steps - search_web, fetch_content,
+ * analyze_content, generate_response, generate_code - each naming the model role
+ * it needs and the earlier steps whose output it uses. Steps run in waves: every
+ * step whose dependencies have finished runs in parallel with the others, and
+ * their outputs are passed on (cut to aiConfig.execution.stepOutputTokens).
+ *
+ * The last step writes the answer for the user and streams like any handler's
+ * response. A failed step is recorded and its dependents run without its output.
+ * The executed plan is returned for metadata.executionPlan.
+ */
+
+const modelConfig = require('../../config/models');
+const promptConfig = require('../../config/prompts');
+const aiConfig = require('../../config/ai-config');
+const tokenizer = require('./tokenizer');
+
+const ACTIONS = ['search_web', 'fetch_content', 'analyze_content', 'generate_response', 'generate_code'];
+const FINAL_ACTIONS = ['generate_response', 'generate_code'];
+
+// Step model roles (from the plan) → task names in config/models.js
+const ROLE_TASKS = { chat: 'chat', reasoning: 'analysis', code: 'code' };
+
+class PlanExecutor {
+  /**
+   * @param {Orchestrator} orchestrator - Provides the LLM client, services, streaming and logging
+   */
+  constructor(orchestrator, config = aiConfig.execution) {
+    this.orchestrator = orchestrator;
+    this.config = config;
+  }
+
+  /**
+   * Whether a planner classification should run as a multi-step plan
+   */
+  appliesTo(plan) {
+    return this.config.enabled &&
+      plan.complexity === 'complex' &&
+      !plan.forcedTools &&
+      !this.config.skipIntents.includes(plan.intent);
+  }
+
+  // ==================== PLANNING ====================
+
+  /**
+   * Ask the planner model for a step list
+   * Returns { steps, estimatedTokens, requiresFollowup } or null when the plan is
+   * unusable or has nothing to do before the answer (the normal handler runs instead)
+   */
+  async createPlan(userMessage, plan, run = {}) {
+    const plannerModel = modelConfig.getPlannerModel();
+    const request = tokenizer.truncate(userMessage, aiConfig.context.plannerMessageTokens, plannerModel.name).text;
+    const query = plan.extractedQuery && plan.extractedQuery !== userMessage
+      ? `\n\nStandalone query: ${plan.extractedQuery}`
+      : '';
+    const messages = [
+      { role: 'system', content: promptConfig.tasks.plan_execution },
+      { role: 'user', content: `Intent: ${plan.intent}${query}\n\nRequest:\n${request}` }
+    ];
+    const model = modelConfig.selectModel('planning', {
+      capabilities: { json: true },
+      promptTokens: tokenizer.countMessages(messages, plannerModel.name)
+    }) || plannerModel;
+
+    try {
+      const response = await this.orchestrator.llm.chat.completions.create({
+        model: model.name,
+        messages,
+        max_tokens: this.config.planTokens,
+        temperature: model.temperature,
+        response_format: { type: 'json_object' }
+      }, { signal: run.signal, purpose: 'plan_execution' });
+
+      const parsed = JSON.parse(response.choices[0].message.content);
+      const steps = this.normalizeSteps(parsed.steps);
+      if (!steps) return null;
+
+      return {
+        steps,
+        estimatedTokens: parseInt(parsed.estimated_tokens) || null,
+        requiresFollowup: !!parsed.requires_followup,
+        planTokens: response.usage?.total_tokens || 0
+      };
+    } catch (error) {
+      if (run.signal?.aborted) throw error;
+      this.orchestrator.log('execution_plan_error', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Validate the planner's steps: known actions only, at most maxSteps, ids
+   * renumbered 1..n, dependencies only on earlier steps (so the plan can't cycle),
+   * and exactly one final generate step that sees every otherwise unused output.
+   * Returns null when nothing would run before the answer.
+   */
+  normalizeSteps(rawSteps) {
+    if (!Array.isArray(rawSteps)) return null;
+
+    let valid = rawSteps.filter(step => step && ACTIONS.includes(step.action));
+    const finalIndex = valid.findIndex(step => FINAL_ACTIONS.includes(step.action));
+    const final = finalIndex >= 0 ? valid[finalIndex] : { action: 'generate_response', params: {} };
+    valid = valid.filter((step, index) => index !== finalIndex && !FINAL_ACTIONS.includes(step.action))
+      .slice(0, this.config.maxSteps - 1);
+    if (valid.length === 0) return null;
+
+    const ids = new Map();
+    const steps = [...valid, final].map((raw, index) => {
+      const id = index + 1;
+      if (raw.id !== undefined && !ids.has(String(raw.id))) {
+        ids.set(String(raw.id), id);
+      }
+      return {
+        id,
+        action: raw.action,
+        params: raw.params && typeof raw.params === 'object' ? raw.params : {},
+        role: ROLE_TASKS[raw.model] ? raw.model : (raw.action === 'generate_code' ? 'code' : 'chat'),
+        rawDependsOn: Array.isArray(raw.depends_on) ? raw.depends_on : null
+      };
+    });
+
+    for (const step of steps) {
+      const dependsOn = step.rawDependsOn === null
+        ? this.defaultDependencies(step, steps)
+        : step.rawDependsOn.map(ref => ids.get(String(ref))).filter(id => id && id < step.id);
+      delete step.rawDependsOn;
+      step.dependsOn = [...new Set(dependsOn)];
+    }
+
+    // The answer sees everything no other step consumed
+    const finalStep = steps[steps.length - 1];
+    const consumed = new Set(steps.slice(0, -1).flatMap(step => step.dependsOn));
+    for (const step of steps.slice(0, -1)) {
+      if (!consumed.has(step.id) && !finalStep.dependsOn.includes(step.id)) {
+        finalStep.dependsOn.push(step.id);
+      }
+    }
+    finalStep.dependsOn.sort((a, b) => a - b);
+
+    return steps;
+  }
+
+  /**
+   * Dependencies for a step that didn't list any: fetches read the searches
+   * before them, analysis reads everything before it, searches stand alone
+   */
+  defaultDependencies(step, steps) {
+    const earlier = steps.filter(other => other.id < step.id);
+    if (step.action === 'search_web') return [];
+    if (step.action === 'fetch_content') {
+      return earlier.filter(other => other.action === 'search_web').map(other => other.id);
+    }
+    return earlier.map(other => other.id);
+  }
+
+  // ==================== EXECUTION ====================
+
+  /**
+   * Run the steps and return the handler result (content, sources, metadata)
+   *
+   * @param {Object} executionPlan - From createPlan
+   * @param {Object} input
+   * @param {Array} input.messages - Fitted conversation (see Orchestrator.buildContext)
+   * @param {Object} input.plan - Planner classification
+   * @param {string} input.systemPrompt - Base + tool patches + custom instructions
+   * @param {Object} input.model - Executor model the conversation was fitted to
+   */
+  async execute(executionPlan, { messages, plan, systemPrompt, model }, run = {}) {
+    const startedAt = Date.now();
+    const content = messages[messages.length - 1]?.content;
+    const userMessage = typeof content === 'string' ? content : plan.extractedQuery || '';
+    const steps = executionPlan.steps.map(step => ({ ...step, status: 'pending' }));
+    const outputs = new Map();
+    const total = steps.length;
+
+    this.orchestrator.log('execution_plan', { summary: steps.map(step => `${step.id}:${step.action}[${step.dependsOn.join(',')}]`).join(' ') });
+
+    let answer = null;
+    while (steps.some(step => step.status === 'pending')) {
+      run.signal?.throwIfAborted();
+      const finished = new Set(steps.filter(step => step.status !== 'pending').map(step => step.id));
+      const wave = steps.filter(step => step.status === 'pending' && step.dependsOn.every(id => finished.has(id)));
+
+      await Promise.all(wave.map(async step => {
+        const isFinal = step.id === total;
+        const stepStartedAt = Date.now();
+        this.orchestrator.emit(run, { type: 'step', id: step.id, total, action: step.action, status: 'started' });
+
+        try {
+          const inputs = this.collectInputs(step, steps, outputs);
+          const sources = this.sourceIndex(steps, outputs);
+          if (isFinal) {
+            answer = await this.runFinalStep(step, inputs, sources, { messages, systemPrompt, model }, run);
+            step.model = answer.model;
+            step.preview = answer.content.substring(0, 300);
+          } else {
+            const output = await this.runStep(step, inputs, sources, { userMessage, plan }, run);
+            outputs.set(step.id, output);
+            step.model = output.model || null;
+            step.preview = this.formatOutput(step, output, this.sourceIndex(steps, outputs)).substring(0, 300);
+          }
+          step.status = 'completed';
+        } catch (error) {
+          if (run.signal?.aborted || isFinal) throw error;
+          step.status = 'failed';
+          step.error = error.message;
+          this.orchestrator.log('execution_step_error', `${step.id} ${step.action}: ${error.message}`);
+        }
+
+        step.durationMs = Date.now() - stepStartedAt;
+        this.orchestrator.emit(run, { type: 'step', id: step.id, total, action: step.action, status: step.status });
+      }));
+    }
+
+    const sourceIndex = this.sourceIndex(steps, outputs);
+    return {
+      role: 'assistant',
+      content: answer.content,
+      toolUsed: 'multi_step',
+      sources: [...sourceIndex.values()],
+      metadata: {
+        intent: plan.intent,
+        model: answer.model,
+        plannerTokens: plan.plannerTokens,
+        executorTokens: answer.tokens,
+        executionPlan: {
+          steps: steps.map(({ id, action, params, role, model: stepModel, dependsOn, status, error, durationMs, preview }) =>
+            ({ id, action, params, role, model: stepModel, dependsOn, status, error: error || null, durationMs, preview: preview || null })),
+          estimatedTokens: executionPlan.estimatedTokens,
+          requiresFollowup: executionPlan.requiresFollowup,
+          planTokens: executionPlan.planTokens,
+          durationMs: Date.now() - startedAt
+        }
+      }
+    };
+  }
+
+  /**
+   * Run an intermediate step; returns its structured output
+   */
+  async runStep(step, inputs, sources, { userMessage, plan }, run) {
+    const { search, fetcher } = this.orchestrator.services;
+
+    switch (step.action) {
+      case 'search_web': {
+        const query = typeof step.params.query === 'string' && step.params.query.trim()
+          ? step.params.query.trim()
+          : plan.extractedQuery || userMessage;
+        const results = await search.search(query, this.config.searchResults, { signal: run.signal });
+        return { query, results };
+      }
+
+      case 'fetch_content': {
+        const urls = this.fetchUrls(step, inputs);
+        if (urls.length === 0) {
+          throw new Error('No URLs to fetch');
+        }
+        const contents = (await fetcher.fetchMultiple(urls, { signal: run.signal })).filter(c => c.success);
+        if (contents.length === 0) {
+          throw new Error(`Could not fetch any of ${urls.length} pages`);
+        }
+        return { contents };
+      }
+
+      default: {
+        // analyze_content (and any extra generate step before the last one)
+        const model = this.stepModel(step.role);
+        const response = await this.orchestrator.llm.chat.completions.create({
+          model: model.name,
+          messages: [
+            { role: 'system', content: promptConfig.tasks.plan_step },
+            { role: 'user', content: this.buildStepPrompt(step, inputs, sources, userMessage) }
+          ],
+          max_tokens: Math.min(model.maxTokens, this.config.stepOutputTokens),
+          temperature: model.temperature
+        }, { signal: run.signal, purpose: 'plan_step' });
+
+        return { text: response.choices[0].message.content, model: model.name };
+      }
+    }
+  }
+
+  /**
+   * The answer: system prompt plus every step result it depends on, then the
+   * conversation. Streams through the orchestrator like other handlers.
+   */
+  async runFinalStep(step, inputs, sources, { messages, systemPrompt, model }, run) {
+    const results = this.formatInputs(inputs, sources, this.config.resultTokens, model.name);
+    const instruction = step.params.instruction || (step.action === 'generate_code'
+      ? 'Write the code the user asked for.'
+      : 'Answer the user\'s request.');
+
+    let prompt = systemPrompt +
+      `\n\n## Results of Earlier Steps\n${results || '(no step produced output)'}` +
+      `\n\n## Instruction\n${instruction} Base the answer on the results above.`;
+    if (sources.size > 0) {
+      prompt += ' Cite web sources as [1], [2], etc. using the numbers above.';
+    }
+
+    const promptMessages = [{ role: 'system', content: prompt }, ...messages];
+    const selected = modelConfig.selectModel(ROLE_TASKS[step.role], {
+      promptTokens: tokenizer.countMessages(promptMessages, model.name)
+    }) || model;
+
+    const response = await this.orchestrator.createCompletion({
+      model: selected.name,
+      messages: promptMessages,
+      max_tokens: selected.maxTokens,
+      temperature: selected.temperature
+    }, run);
+
+    return {
+      content: response.choices[0].message.content,
+      model: selected.name,
+      tokens: response.usage?.total_tokens
+    };
+  }
+
+  // ==================== INPUTS AND OUTPUTS ====================
+
+  /**
+   * Completed dependencies of a step with their outputs ({ step, output })
+   */
+  collectInputs(step, steps, outputs) {
+    return step.dependsOn
+      .filter(id => outputs.has(id))
+      .map(id => ({ step: steps.find(other => other.id === id), output: outputs.get(id) }));
+  }
+
+  /**
+   * URLs for fetch_content: its own params, else the top results of its searches
+   */
+  fetchUrls(step, inputs) {
+    const requested = Array.isArray(step.params.urls)
+      ? step.params.urls.filter(url => typeof url === 'string' && /^https?:\/\//i.test(url))
+      : [];
+    if (requested.length > 0) {
+      return [...new Set(requested)].slice(0, this.config.fetchUrls);
+    }
+
+    const found = inputs
+      .filter(input => input.output.results)
+      .flatMap(input => input.output.results.map(result => result.url));
+    return [...new Set(found)].slice(0, this.config.fetchUrls);
+  }
+
+  /**
+   * Pages found or read so far, numbered in step order so citations stay stable
+   * across steps: url → { id, title, url }
+   */
+  sourceIndex(steps, outputs) {
+    const index = new Map();
+    for (const step of steps) {
+      const output = outputs.get(step.id);
+      for (const page of output?.results || output?.contents || []) {
+        if (!index.has(page.url)) {
+          index.set(page.url, { id: index.size + 1, title: page.title || page.url, url: page.url });
+        }
+      }
+    }
+    return index;
+  }
+
+  buildStepPrompt(step, inputs, sources, userMessage) {
+    const model = this.stepModel(step.role).name;
+    const request = tokenizer.truncate(userMessage, aiConfig.context.plannerMessageTokens, model).text;
+    const instruction = step.params.instruction || 'Extract the information relevant to the request.';
+
+    return `## User Request\n${request}\n\n## Step\n${instruction}\n\n## Inputs\n` +
+      (this.formatInputs(inputs, sources, this.config.resultTokens, model) || '(none - earlier steps failed)');
+  }
+
+  /**
+   * Join step outputs under headings, each cut to stepOutputTokens and all to maxTokens
+   */
+  formatInputs(inputs, sourceIndex, maxTokens, model) {
+    const sections = inputs.map(({ step, output }) => {
+      const text = tokenizer.truncate(this.formatOutput(step, output, sourceIndex), this.config.stepOutputTokens, model).text;
+      return `### Step ${step.id}: ${step.action}\n${text}`;
+    });
+    return tokenizer.truncate(sections.join('\n\n'), maxTokens, model, { keep: 'head' }).text;
+  }
+
+  formatOutput(step, output, sources) {
+    if (output.results) {
+      const lines = output.results.map(result =>
+        `[${sources.get(result.url)?.id}] ${result.title}\nURL: ${result.url}\nSnippet: ${result.snippet}`);
+      return `Search: "${output.query}"\n${lines.join('\n') || 'No results.'}`;
+    }
+    if (output.contents) {
+      return output.contents
+        .map(content => `[${sources.get(content.url)?.id}] ${content.title || content.url}\nURL: ${content.url}\n${content.content || ''}`)
+        .join('\n\n');
+    }
+    return output.text || '';
+  }
+
+  stepModel(role) {
+    return modelConfig.getModelForTask(ROLE_TASKS[role] || 'chat');
+  }
+}
+
+module.exports = PlanExecutor;
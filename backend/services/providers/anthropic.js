@@ -0,0 +1,227 @@
+/**
+ * Anthropic Provider
+ * Translates OpenAI-style chat completion params to the Messages API
+ * and maps responses (and streaming events) back to the OpenAI shape
+ */
+
+const axios = require('axios');
+
+const STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
+
+const TOOL_CHOICES = {
+  auto: 'auto',
+  none: 'none',
+  required: 'any'
+};
+
+class AnthropicProvider {
+  constructor(name, config) {
+    this.name = name;
+    this.baseURL = config.baseURL.replace(/\/$/, '');
+    this.headers = {
+      'x-api-key': config.apiKey,
+      'anthropic-version': config.version,
+      'content-type': 'application/json'
+    };
+  }
+
+  /**
+   * Create a chat completion (returns an async iterable of chunks when params.stream is set)
+   */
+  async createChatCompletion(params, options = {}) {
+    const body = this.buildRequest(params);
+
+    try {
+      const response = await axios.post(`${this.baseURL}/v1/messages`, body, {
+        headers: this.headers,
+        signal: options.signal,
+        responseType: params.stream ? 'stream' : 'json'
+      });
+
+      if (params.stream) {
+        return this.streamChunks(response.data, params.model);
+      }
+      return this.toCompletion(response.data);
+    } catch (error) {
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Map OpenAI params to a Messages API request
+   * System messages are hoisted; consecutive same-role messages are merged;
+   * tool calls and tool results become tool_use / tool_result blocks
+   */
+  buildRequest(params) {
+    const systemParts = [];
+    const messages = [];
+
+    for (const msg of params.messages) {
+      if (msg.role === 'system') {
+        systemParts.push(msg.content);
+        continue;
+      }
+      const role = msg.role === 'tool' ? 'user' : msg.role;
+      const blocks = this.toContentBlocks(msg);
+      const last = messages[messages.length - 1];
+      if (last && last.role === role) {
+        last.content.push(...blocks);
+      } else {
+        messages.push({ role, content: blocks });
+      }
+    }
+
+    // Messages API requires the conversation to start with a user turn
+    if (messages.length === 0 || messages[0].role !== 'user') {
+      messages.unshift({ role: 'user', content: [{ type: 'text', text: '(continue)' }] });
+    }
+
+    if (params.response_format?.type === 'json_object') {
+      systemParts.push('Respond with a single valid JSON object and nothing else.');
+    }
+
+    const body = {
+      model: params.model,
+      messages,
+      max_tokens: params.max_tokens || 1024
+    };
+    if (systemParts.length > 0) body.system = systemParts.join('\n\n');
+    if (params.temperature !== undefined) body.temperature = Math.min(params.temperature, 1);
+    if (params.stream) body.stream = true;
+
+    if (params.tools?.length) {
+      body.tools = params.tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters
+      }));
+      body.tool_choice = { type: TOOL_CHOICES[params.tool_choice] || 'auto' };
+    }
+
+    return body;
+  }
+
+  /**
+   * Convert one chat message to Messages API content blocks
+   */
+  toContentBlocks(msg) {
+    if (msg.role === 'tool') {
+      return [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content }];
+    }
+
+    const blocks = [];
+    if (msg.content) {
+      blocks.push({ type: 'text', text: msg.content });
+    }
+    for (const call of msg.tool_calls || []) {
+      blocks.push({
+        type: 'tool_use',
+        id: call.id,
+        name: call.function.name,
+        input: JSON.parse(call.function.arguments || '{}')
+      });
+    }
+    return blocks;
+  }
+
+  /**
+   * Map a Messages API response to the chat completion shape
+   */
+  toCompletion(data) {
+    const blocks = data.content || [];
+    const content = blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const toolCalls = blocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+
+    const message = { role: 'assistant', content };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+
+    return {
+      id: data.id,
+      model: data.model,
+      choices: [{
+        index: 0,
+        message,
+        finish_reason: STOP_REASONS[data.stop_reason] || data.stop_reason
+      }],
+      usage: this.toUsage(data.usage)
+    };
+  }
+
+  /**
+   * Parse the SSE body into OpenAI-style chunks; the final chunk carries usage
+   */
+  async *streamChunks(stream, model) {
+    let buffer = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    for await (const data of stream) {
+      buffer += data.toString('utf-8');
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const raw of events) {
+        const dataLine = raw.split('\n').find(line => line.startsWith('data:'));
+        if (!dataLine) continue;
+        const event = JSON.parse(dataLine.slice(5).trim());
+
+        if (event.type === 'message_start') {
+          inputTokens = event.message?.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          yield { model, choices: [{ index: 0, delta: { content: event.delta.text } }] };
+        } else if (event.type === 'message_delta') {
+          outputTokens = event.usage?.output_tokens || outputTokens;
+        } else if (event.type === 'error') {
+          throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown'}`);
+        }
+      }
+    }
+
+    yield {
+      model,
+      choices: [],
+      usage: this.toUsage({ input_tokens: inputTokens, output_tokens: outputTokens })
+    };
+  }
+
+  toUsage(usage = {}) {
+    const prompt = usage.input_tokens || 0;
+    const completion = usage.output_tokens || 0;
+    return {
+      prompt_tokens: prompt,
+      completion_tokens: completion,
+      total_tokens: prompt + completion
+    };
+  }
+
+  /**
+   * Normalize axios errors, keeping the HTTP status and headers for callers
+   */
+  toError(error) {
+    if (!error.response) return error;
+
+    const message = error.response.data?.error?.message || error.message;
+    const normalized = new Error(`Anthropic API error (${error.response.status}): ${message}`);
+    normalized.status = error.response.status;
+    normalized.headers = error.response.headers;
+    return normalized;
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,78 @@
+/**
+ * Mock Provider
+ * Deterministic, offline responses so the app runs (and can be tested) without an API key.
+ * The same input always produces the same output; nothing leaves the process.
+ */
+
+class MockProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Create a chat completion (returns an async iterable of chunks when params.stream is set)
+   */
+  async createChatCompletion(params, options = {}) {
+    options.signal?.throwIfAborted();
+
+    const content = this.respond(params);
+    const promptTokens = this.countTokens(params.messages.map(m => m.content || '').join(' '));
+    const completionTokens = this.countTokens(content);
+    const usage = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+
+    if (params.stream) {
+      return this.streamChunks(content, params.model, usage, options.signal);
+    }
+
+    return {
+      id: 'mock-completion',
+      model: params.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }],
+      usage
+    };
+  }
+
+  /**
+   * Build the response text for a request
+   */
+  respond(params) {
+    const lastUser = [...params.messages].reverse().find(m => m.role === 'user');
+    const userText = (lastUser?.content || '').trim();
+
+    if (params.response_format?.type === 'json_object') {
+      return JSON.stringify({
+        intent: 'chat',
+        confidence: 0.9,
+        needs_tools: [],
+        complexity: 'simple',
+        extracted_query: userText.substring(0, 200)
+      });
+    }
+
+    return `Mock response from ${params.model}: ${userText.substring(0, 200)}`;
+  }
+
+  async *streamChunks(content, model, usage, signal) {
+    // Word-sized chunks keep streaming behaviour realistic
+    const pieces = content.match(/\S+\s*/g) || [];
+    for (const piece of pieces) {
+      signal?.throwIfAborted();
+      yield { model, choices: [{ index: 0, delta: { content: piece } }] };
+    }
+    yield { model, choices: [], usage };
+  }
+
+  countTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,34 @@
+/**
+ * OpenAI Provider
+ * Wraps the official SDK; also used for OpenAI-compatible servers via baseURL
+ */
+
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  constructor(name, config) {
+    this.name = name;
+    this.client = new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL,
+      organization: config.organization,
+      maxRetries: 0 // LLMService retries and fails over (see services/llm.js)
+    });
+  }
+
+  /**
+   * Create a chat completion (returns an async iterable of chunks when params.stream is set)
+   */
+  async createChatCompletion(params, options = {}) {
+    return this.client.chat.completions.create(params, options);
+  }
+
+  /**
+   * Create embeddings ({ model, input } → { data: [{ embedding }], usage })
+   */
+  async createEmbeddings(params, options = {}) {
+    return this.client.embeddings.create(params, options);
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,139 @@
+/**
+ * Rate Limit Service
+ *
+ * Enforces the per-minute limits from aiConfig.rateLimit on expensive routes.
+ * Requests are keyed by user id (or client IP when auth is disabled) and bucketed
+ * by route group (chat, search, research, study). Counters live in memory, or in
+ * Postgres (table rate_limits) when RATE_LIMIT_STORE=postgres and the database is up,
+ * with the in-memory limiter as insurance if Postgres fails.
+ *
+ * Responses carry X-RateLimit-Limit / -Remaining / -Reset; rejections are 429 with Retry-After.
+ */
+
+const { RateLimiterMemory, RateLimiterPostgres, RateLimiterRes } = require('rate-limiter-flexible');
+const aiConfig = require('../../config/ai-config');
+
+class RateLimitService {
+  constructor(config = aiConfig.rateLimit) {
+    this.config = config;
+    this.limiters = new Map();
+    this.storeType = 'memory';
+
+    for (const bucket of Object.keys(config.routes)) {
+      const points = config[bucket];
+      if (!Number.isInteger(points)) {
+        console.warn(`[RateLimit] Invalid limit for "${bucket}" (${points}) - not limited`);
+        continue;
+      }
+      if (points > 0) {
+        this.limiters.set(bucket, this.createMemoryLimiter(bucket, points));
+      }
+    }
+  }
+
+  createMemoryLimiter(bucket, points) {
+    return new RateLimiterMemory({
+      keyPrefix: `rl_${bucket}`,
+      points,
+      duration: this.config.windowSeconds
+    });
+  }
+
+  /**
+   * Move counters to Postgres (called once the database is connected)
+   */
+  async useDatabase(pool) {
+    if (this.config.store !== 'postgres') return;
+
+    for (const [bucket, insurance] of this.limiters) {
+      const limiter = await new Promise((resolve, reject) => {
+        const created = new RateLimiterPostgres({
+          storeClient: pool,
+          tableName: 'rate_limits',
+          keyPrefix: `rl_${bucket}`,
+          points: insurance.points,
+          duration: this.config.windowSeconds,
+          insuranceLimiter: insurance
+        }, (err) => err ? reject(err) : resolve(created));
+      });
+      this.limiters.set(bucket, limiter);
+    }
+
+    this.storeType = 'postgres';
+    console.log('[RateLimit] Using PostgreSQL store');
+  }
+
+  /**
+   * Route group for an /api path, or null if it isn't limited
+   */
+  getBucket(apiPath) {
+    for (const [bucket, prefixes] of Object.entries(this.config.routes)) {
+      if (prefixes.some(prefix => apiPath.startsWith(prefix))) {
+        return this.limiters.has(bucket) ? bucket : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Express middleware (mount on /api, after authentication)
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (!this.config.enabled) return next();
+
+      const bucket = this.getBucket(req.path);
+      if (!bucket) return next();
+
+      const limiter = this.limiters.get(bucket);
+      const key = req.user?.id || req.ip;
+
+      try {
+        const result = await limiter.consume(key);
+        this.setHeaders(res, limiter.points, result);
+        next();
+      } catch (error) {
+        if (!(error instanceof RateLimiterRes)) {
+          // Store failure without insurance: don't block traffic over it
+          console.error('[RateLimit] Limiter error:', error.message);
+          return next();
+        }
+
+        const retryAfter = Math.ceil(error.msBeforeNext / 1000);
+        this.setHeaders(res, limiter.points, error);
+        res.set('Retry-After', String(retryAfter));
+        console.log(`[RateLimit] ${bucket} limit hit by ${req.user?.username || key}`);
+        res.status(429).json({
+          error: 'Too many requests',
+          message: `Rate limit of ${limiter.points} ${bucket} requests per ${this.config.windowSeconds}s exceeded. Retry in ${retryAfter}s.`,
+          limit: bucket,
+          retryAfter
+        });
+      }
+    };
+  }
+
+  setHeaders(res, points, result) {
+    res.set({
+      'X-RateLimit-Limit': String(points),
+      'X-RateLimit-Remaining': String(Math.max(0, result.remainingPoints)),
+      'X-RateLimit-Reset': String(Math.ceil((Date.now() + result.msBeforeNext) / 1000))
+    });
+  }
+
+  /**
+   * Current limits for /health and docs
+   */
+  describe() {
+    return {
+      enabled: this.config.enabled,
+      store: this.storeType,
+      windowSeconds: this.config.windowSeconds,
+      limits: Object.fromEntries(
+        Array.from(this.limiters.entries()).map(([bucket, limiter]) => [bucket, limiter.points])
+      )
+    };
+  }
+}
+
+module.exports = RateLimitService;
@@ -0,0 +1,77 @@
+/**
+ * Request Tracker Service
+ *
+ * Keeps an AbortController per in-flight chat/research request so it can be
+ * cancelled explicitly (POST /api/requests/:id/cancel) or when the client disconnects.
+ * The signal is threaded through the orchestrator, search, fetcher and OpenAI calls.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+class RequestTracker {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  /**
+   * Register a new in-flight request for a user
+   * Returns { id, signal }
+   */
+  start(type, requestId = null, userId = null) {
+    const id = requestId && !this.requests.has(requestId) ? requestId : uuidv4();
+    const controller = new AbortController();
+
+    this.requests.set(id, {
+      id,
+      type,
+      userId,
+      controller,
+      startedAt: Date.now()
+    });
+
+    return { id, signal: controller.signal };
+  }
+
+  /**
+   * Cancel an in-flight request
+   * Returns false if the request is unknown or already finished
+   */
+  cancel(requestId, reason = 'cancelled') {
+    const entry = this.requests.get(requestId);
+    if (!entry) return false;
+
+    if (!entry.controller.signal.aborted) {
+      console.log(`[Requests] Cancelling ${entry.type} request ${requestId} (${reason})`);
+      entry.controller.abort();
+    }
+    return true;
+  }
+
+  /**
+   * Get a tracked request (to check ownership before cancelling)
+   */
+  get(requestId) {
+    return this.requests.get(requestId) || null;
+  }
+
+  /**
+   * Forget a request once it has completed
+   */
+  finish(requestId) {
+    this.requests.delete(requestId);
+  }
+
+  /**
+   * List in-flight requests
+   */
+  list() {
+    return Array.from(this.requests.values()).map(({ id, type, startedAt, controller }) => ({
+      id,
+      type,
+      startedAt,
+      cancelled: controller.signal.aborted
+    }));
+  }
+}
+
+module.exports = RequestTracker;
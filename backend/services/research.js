@@ -2,8 +2,8 @@ const SearchService = require('./search');
 const ContentFetcher = require('./fetcher');
 
 class ResearchAgent {
-  constructor(openai) {
-    this.openai = openai;
+  constructor(llm) {
+    this.llm = llm;
     this.searchService = new SearchService();
     this.contentFetcher = new ContentFetcher();
     this.maxDepth = 3;
@@ -11,40 +11,54 @@ class ResearchAgent {
   }
 
   async research(question, options = {}) {
-    const { depth = 2, maxSources = 10 } = options;
+    const { depth = 2, maxSources = 10, onProgress = null, signal = null } = options;
     console.log(`[Research] Starting research: "${question}"`);
 
     const steps = [];
+    const report = (index) => {
+      if (onProgress) onProgress({ ...steps[index] });
+    };
     
     // Step 1: Create research plan
     steps.push({ step: 'planning', status: 'started' });
-    const plan = await this.createResearchPlan(question);
+    report(0);
+    const plan = await this.createResearchPlan(question, signal);
     steps[0].status = 'completed';
     steps[0].queries = plan.queries;
+    report(0);
 
     // Step 2: Execute searches
     steps.push({ step: 'searching', status: 'started' });
-    const searchResults = await this.executeSearches(plan.queries);
+    report(1);
+    const searchResults = await this.executeSearches(plan.queries, signal);
     steps[1].status = 'completed';
     steps[1].resultsCount = searchResults.flat().length;
+    report(1);
 
     // Step 3: Fetch and extract content
     steps.push({ step: 'fetching', status: 'started' });
+    report(2);
     const urls = this.extractUniqueUrls(searchResults, maxSources);
-    const fetchedContent = await this.contentFetcher.fetchMultiple(urls);
+    const fetchedContent = await this.contentFetcher.fetchMultiple(urls, { signal });
+    signal?.throwIfAborted();
     const successfulFetches = fetchedContent.filter(c => c.success);
     steps[2].status = 'completed';
     steps[2].fetchedCount = successfulFetches.length;
+    report(2);
 
     // Step 4: Analyze and extract key information
     steps.push({ step: 'analyzing', status: 'started' });
-    const analysis = await this.analyzeContent(question, successfulFetches);
+    report(3);
+    const analysis = await this.analyzeContent(question, successfulFetches, signal);
     steps[3].status = 'completed';
+    report(3);
 
     // Step 5: Synthesize final report
     steps.push({ step: 'synthesizing', status: 'started' });
-    const synthesis = await this.synthesize(question, analysis, successfulFetches);
+    report(4);
+    const synthesis = await this.synthesize(question, analysis, successfulFetches, signal);
     steps[4].status = 'completed';
+    report(4);
 
     return {
       question,
@@ -56,7 +70,7 @@ class ResearchAgent {
     };
   }
 
-  async createResearchPlan(question) {
+  async createResearchPlan(question, signal = null) {
     const prompt = `You are a research planner. Given this research question, generate 3-5 focused search queries that would help thoroughly investigate it.
 
 Question: "${question}"
@@ -64,12 +78,12 @@ Question: "${question}"
 Return ONLY a JSON array of search query strings, nothing else. Example:
 ["query 1", "query 2", "query 3"]`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages: [{ role: 'user', content: prompt }],
       max_tokens: 300,
       temperature: 0.7
-    });
+    }, { signal, purpose: 'research_queries' });
 
     let queries;
     try {
@@ -84,11 +98,13 @@ Return ONLY a JSON array of search query strings, nothing else. Example:
     return { question, queries };
   }
 
-  async executeSearches(queries) {
+  async executeSearches(queries, signal = null) {
     const results = [];
     for (const query of queries) {
+      // Stop issuing searches once the request has been cancelled
+      signal?.throwIfAborted();
       try {
-        const searchResults = await this.searchService.search(query, this.maxResultsPerQuery);
+        const searchResults = await this.searchService.search(query, this.maxResultsPerQuery, { signal });
         results.push({ query, results: searchResults });
       } catch (error) {
         console.error(`[Research] Search failed for "${query}":`, error.message);
@@ -110,7 +126,7 @@ Return ONLY a JSON array of search query strings, nothing else. Example:
     return Array.from(urls);
   }
 
-  async analyzeContent(question, contents) {
+  async analyzeContent(question, contents, signal = null) {
     if (contents.length === 0) {
       return { findings: [], error: 'No content to analyze' };
     }
@@ -131,7 +147,7 @@ Extract key findings. For each finding, note:
 
 Be thorough but concise.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages: [
         { role: 'system', content: 'You are a research analyst. Extract and organize key findings from sources.' },
@@ -139,7 +155,7 @@ Be thorough but concise.`;
       ],
       max_tokens: 1500,
       temperature: 0.5
-    });
+    }, { signal, purpose: 'research_analysis' });
 
     return {
       findings: response.choices[0].message.content,
@@ -147,7 +163,7 @@ Be thorough but concise.`;
     };
   }
 
-  async synthesize(question, analysis, sources) {
+  async synthesize(question, analysis, sources, signal = null) {
     const prompt = `Create a comprehensive research report answering: "${question}"
 
 Analysis findings:
@@ -162,7 +178,7 @@ Instructions:
 
 Format in Markdown.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages: [
         { role: 'system', content: 'You are a research synthesizer. Create clear, well-cited reports.' },
@@ -170,7 +186,7 @@ Format in Markdown.`;
       ],
       max_tokens: 2000,
       temperature: 0.7
-    });
+    }, { signal, purpose: 'research_synthesis' });
 
     return {
       content: response.choices[0].message.content,
@@ -188,15 +204,17 @@ Format in Markdown.`;
   }
 
   // Quick research - less thorough but faster
-  async quickResearch(question) {
+  async quickResearch(question, options = {}) {
+    const { signal = null } = options;
     console.log(`[Research] Quick research: "${question}"`);
 
     // Single search
-    const searchResults = await this.searchService.search(question, 5);
+    const searchResults = await this.searchService.search(question, 5, { signal });
     
     // Fetch top 3 results
     const urls = searchResults.slice(0, 3).map(r => r.url);
-    const contents = await this.contentFetcher.fetchMultiple(urls);
+    const contents = await this.contentFetcher.fetchMultiple(urls, { signal });
+    signal?.throwIfAborted();
     const successful = contents.filter(c => c.success);
 
     // Quick synthesis
@@ -204,7 +222,7 @@ Format in Markdown.`;
       .map((c, i) => `[${i + 1}] ${c.title}: ${c.excerpt || c.content?.substring(0, 300)}`)
       .join('\n\n');
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages: [
         { role: 'system', content: 'Provide a concise answer with citations [1], [2], etc.' },
@@ -212,7 +230,7 @@ Format in Markdown.`;
       ],
       max_tokens: 1000,
       temperature: 0.7
-    });
+    }, { signal, purpose: 'research_quick' });
 
     return {
       question,
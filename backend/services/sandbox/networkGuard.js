@@ -0,0 +1,22 @@
+/**
+ * Network Guard (preloaded into sandboxed JavaScript runs)
+ * Makes every outbound connection attempt fail before any code runs.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const dns = require('dns');
+
+const deny = () => {
+  throw new Error('Network access is disabled in the sandbox');
+};
+
+net.Socket.prototype.connect = deny;
+net.connect = deny;
+net.createConnection = deny;
+tls.connect = deny;
+dns.lookup = deny;
+dns.resolve = deny;
+dns.promises.lookup = async () => deny();
+dns.promises.resolve = async () => deny();
+globalThis.fetch = async () => deny();
@@ -0,0 +1,23 @@
+"""
+Python sandbox bootstrap (runs inside the root built by sandbox.sh):
+applies CPU/memory limits, forbids new processes, then runs the user script
+as __main__ from its scratch directory.
+
+Usage: python3 -I pythonGuard.py <script> <memory_bytes> <cpu_seconds>
+"""
+
+import os
+import resource
+import runpy
+import sys
+
+script, memory_bytes, cpu_seconds = sys.argv[1], int(sys.argv[2]), int(sys.argv[3])
+
+resource.setrlimit(resource.RLIMIT_AS, (memory_bytes, memory_bytes))
+resource.setrlimit(resource.RLIMIT_CPU, (cpu_seconds, cpu_seconds))
+# fork/clone fail with EAGAIN: no subprocess, os.system or threads
+resource.setrlimit(resource.RLIMIT_NPROC, (0, 0))
+
+os.chdir(os.path.dirname(script))
+sys.argv = [script]
+runpy.run_path(script, run_name='__main__')
@@ -0,0 +1,55 @@
+#!/bin/sh
+# Code sandbox root (run by codeExecutor.js inside new mount, network and PID
+# namespaces). Builds a root that holds only the language runtime, system
+# libraries and this directory (read-only, as /sandbox) and the scratch dir
+# (/work), then runs the command from /work without capabilities. When the server
+# runs as root the code runs as <uid>; "-" keeps the (unprivileged) user. The
+# command applies the resource limits itself (pythonGuard.py, prlimit); the
+# empty network namespace stops connections.
+#
+# Usage: sandbox.sh <root> <work dir> <uid|-> <runtime dir>... -- <command>...
+set -eu
+
+root=$1 work=$2 uid=$3
+shift 3
+
+# Mirror a host path into the root: symlinks as symlinks, everything else as a read-only bind
+expose() {
+  host=$1 target=$root${2:-$1}
+  if [ -L "$host" ]; then
+    mkdir -p "$(dirname "$target")"
+    ln -sfn "$(readlink "$host")" "$target"
+    return
+  fi
+  [ -e "$host" ] || return 0
+  if [ -d "$host" ]; then
+    mkdir -p "$target"
+  else
+    mkdir -p "$(dirname "$target")"
+    touch "$target"
+  fi
+  mount --bind "$host" "$target"
+  mount -o remount,bind,ro "$target"
+}
+
+for path in /usr /bin /lib /lib32 /lib64 /sbin /etc/ld.so.cache; do
+  expose "$path"
+done
+while [ "$1" != "--" ]; do
+  expose "$1"
+  shift
+done
+shift
+
+expose "$(dirname "$0")" /sandbox
+mkdir -p "$root/work"
+mount --bind "$work" "$root/work"
+
+if [ "$uid" = "-" ]; then
+  ids="--keep-groups"
+else
+  ids="--reuid=$uid --regid=$uid --clear-groups"
+fi
+
+exec chroot "$root" setpriv $ids --inh-caps=-all --bounding-set=-all --no-new-privs \
+  env --chdir=/work "$@"
@@ -6,21 +6,22 @@ class SearchService {
     this.provider = process.env.SEARCH_PROVIDER || 'duckduckgo';
   }
 
-  async search(query, limit = 5) {
+  // options.signal (AbortSignal) cancels the underlying HTTP request
+  async search(query, limit = 5, options = {}) {
     console.log(`[Search] Provider: ${this.provider}, Query: "${query}"`);
     
     switch (this.provider) {
       case 'serpapi':
-        return this.searchSerpAPI(query, limit);
+        return this.searchSerpAPI(query, limit, options);
       case 'bing':
-        return this.searchBing(query, limit);
+        return this.searchBing(query, limit, options);
       default:
-        return this.searchDuckDuckGo(query, limit);
+        return this.searchDuckDuckGo(query, limit, options);
     }
   }
 
   // DuckDuckGo search (free, no API key needed)
-  async searchDuckDuckGo(query, limit) {
+  async searchDuckDuckGo(query, limit, { signal } = {}) {
     try {
       // Use DuckDuckGo's HTML interface
       const response = await axios.get('https://html.duckduckgo.com/html/', {
@@ -28,7 +29,8 @@ class SearchService {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
         },
-        timeout: 10000
+        timeout: 10000,
+        signal
       });
 
       const $ = cheerio.load(response.data);
@@ -75,7 +77,7 @@ class SearchService {
   }
 
   // SerpAPI search (requires API key)
-  async searchSerpAPI(query, limit) {
+  async searchSerpAPI(query, limit, { signal } = {}) {
     if (!process.env.SERPAPI_KEY || process.env.SERPAPI_KEY === 'your-serpapi-key-if-using') {
       throw new Error('SerpAPI key not configured');
     }
@@ -88,7 +90,8 @@ class SearchService {
           num: limit,
           engine: 'google'
         },
-        timeout: 15000
+        timeout: 15000,
+        signal
       });
 
       const results = (response.data.organic_results || []).slice(0, limit).map(r => ({
@@ -108,7 +111,7 @@ class SearchService {
   }
 
   // Bing search (requires API key)
-  async searchBing(query, limit) {
+  async searchBing(query, limit, { signal } = {}) {
     if (!process.env.BING_API_KEY || process.env.BING_API_KEY === 'your-bing-key-if-using') {
       throw new Error('Bing API key not configured');
     }
@@ -122,7 +125,8 @@ class SearchService {
         headers: {
           'Ocp-Apim-Subscription-Key': process.env.BING_API_KEY
         },
-        timeout: 10000
+        timeout: 10000,
+        signal
       });
 
       const results = (response.data.webPages?.value || []).map(r => ({
@@ -6,24 +6,32 @@
  * - PostgreSQL metadata
  * - Automatic summarization on cache expiry
  * - Auto-generated titles
+ * - Full-text search across sessions (message text indexed as it is added)
  */
 
 const database = require('./storage/database');
 const fileStorage = require('./storage/fileStorage');
+const tokenizer = require('./tokenizer');
 const dbConfig = require('../../config/database');
+const aiConfig = require('../../config/ai-config');
+const { validate: isUuid } = require('uuid');
+
+// Message roles sessions store
+const IMPORT_ROLES = ['user', 'assistant', 'system'];
 
 class SessionService {
-  constructor(openai, summarizer) {
-    this.openai = openai;
+  constructor(llm, summarizer) {
+    this.llm = llm;
     this.summarizer = summarizer;
     this.config = dbConfig.session;
+    this.searchConfig = dbConfig.search;
   }
 
   /**
    * Create a new session
    */
-  async createSession(title = null) {
-    const session = await database.createSession(title);
+  async createSession(title = null, userId = null) {
+    const session = await database.createSession(title, userId);
     console.log(`[Session] Created new session: ${session.id}`);
     return session;
   }
@@ -45,10 +53,22 @@ class SessionService {
   }
 
   /**
-   * List all sessions
+   * Check that a session exists and belongs to the user
+   * userId null (auth disabled) matches any session
+   */
+  async isOwnedBy(sessionId, userId) {
+    if (!isUuid(sessionId)) return false;
+    const session = await database.getSession(sessionId);
+    if (!session) return false;
+    return userId === null || session.userId === userId;
+  }
+
+  /**
+   * List a user's sessions (all sessions when userId is null), pinned first
+   * filters: project, tag, pinned, archived (see database.listSessions)
    */
-  async listSessions(limit = 20, offset = 0) {
-    return database.listSessions(limit, offset);
+  async listSessions(userId, limit = 20, offset = 0, filters = {}) {
+    return database.listSessions(userId, limit, offset, filters);
   }
 
   /**
@@ -64,13 +84,15 @@ class SessionService {
 
   /**
    * Add a message to session
+   * metadata: toolUsed, sources, extra (stored with the message) and createdAt
+   * (original time of an imported message)
    */
   async addMessage(sessionId, role, content, metadata = {}) {
     const { v4: uuidv4 } = require('uuid');
     const messageId = uuidv4();
 
-    // Estimate tokens (rough: ~4 chars per token)
-    const tokens = Math.ceil(content.length / 4);
+    // Count with the default chat model's tokenizer
+    const tokens = tokenizer.count(content, aiConfig.model);
 
     // Save content to file
     const filePath = await fileStorage.saveMessage(sessionId, messageId, {
@@ -79,7 +101,7 @@ class SessionService {
       toolUsed: metadata.toolUsed,
       sources: metadata.sources,
       metadata: metadata.extra,
-      createdAt: Date.now()
+      createdAt: metadata.createdAt || Date.now()
     });
 
     // Save reference to database (use same ID as file)
@@ -87,7 +109,10 @@ class SessionService {
       id: messageId,
       role,
       filePath: fileStorage.getRelativePath(filePath),
-      tokens
+      tokens,
+      createdAt: metadata.createdAt,
+      content,
+      toolUsed: metadata.toolUsed
     });
 
     console.log(`[Session] Added ${role} message to ${sessionId} (${tokens} tokens)`);
@@ -95,6 +120,84 @@ class SessionService {
     return { id: messageId, role, content, tokens };
   }
 
+  /**
+   * Create a session from an existing conversation (legacy conversations, imports)
+   * keeping its title and timestamps. Messages are { role, content, createdAt?,
+   * metadata? }; roles other than user, assistant and system are skipped. If
+   * storing a message fails the half-built session is removed.
+   * Returns the session with the number of messages stored
+   */
+  async importSession({ title = null, userId = null, createdAt = null, metadata = {}, messages = [] }) {
+    const session = await database.createSession(title, userId, { createdAt, metadata });
+
+    try {
+      const count = await this.appendMessages(session.id, messages, createdAt);
+      console.log(`[Session] Imported session ${session.id} with ${count} messages`);
+      return { ...session, messageCount: count };
+    } catch (err) {
+      await this.deleteSession(session.id).catch(() => {});
+      throw err;
+    }
+  }
+
+  /**
+   * Add imported messages in order; a message without a time gets the one
+   * before it (or fallbackTime), plus a millisecond so the order is kept
+   */
+  async appendMessages(sessionId, messages, fallbackTime = null) {
+    let previousTime = fallbackTime || Date.now();
+    let count = 0;
+
+    for (const message of messages) {
+      if (!IMPORT_ROLES.includes(message.role) || typeof message.content !== 'string') continue;
+
+      const time = new Date(message.createdAt).getTime();
+      const createdAt = Number.isNaN(time) || time <= previousTime ? previousTime + 1 : time;
+      await this.addMessage(sessionId, message.role, message.content, {
+        extra: message.metadata,
+        createdAt
+      });
+      previousTime = createdAt;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Index messages stored before search existed, reading their text from the
+   * message files. Returns the number indexed
+   */
+  async indexMessages(batchSize = 200) {
+    let indexed = 0;
+    let batch;
+    do {
+      batch = await database.getUnindexedMessages(batchSize);
+      for (const { id, sessionId } of batch) {
+        const message = await fileStorage.getMessage(sessionId, id);
+        await database.setMessageSearchText(id, message?.content || '', message?.tool_used || null);
+        indexed++;
+      }
+    } while (batch.length === batchSize);
+
+    if (indexed > 0) console.log(`[Session] Indexed ${indexed} messages for search`);
+    return indexed;
+  }
+
+  /**
+   * Search a user's sessions (all sessions when userId is null) by message text
+   * filters: from, to (ms), role, toolUsed; see database.searchMessages
+   * limit is kept between 1 and search.maxResults, offset at 0 or more
+   */
+  async search(userId, query, { from = null, to = null, role = null, toolUsed = null, limit = 20, offset = 0 } = {}) {
+    limit = Math.min(Math.max(parseInt(limit) || 20, 1), this.searchConfig.maxResults);
+    offset = Math.max(parseInt(offset) || 0, 0);
+    const result = await database.searchMessages(userId, {
+      query, from, to, role, toolUsed, limit, offset,
+      snippets: this.searchConfig.snippetsPerSession
+    });
+    return { query, ...result, limit, offset };
+  }
+
   /**
    * Get messages for session with pagination
    */
@@ -111,6 +214,7 @@ class SessionService {
           content: content?.content || '',
           toolUsed: content?.tool_used,
           sources: content?.sources,
+          metadata: content?.metadata,
           createdAt: ref.createdAt,
           isSummarized: ref.isSummarized
         };
@@ -122,10 +226,17 @@ class SessionService {
 
   /**
    * Get context for API call
-   * Returns summary (if any) + active messages formatted for OpenAI
+   * Returns summary (if any) + active messages formatted for OpenAI in `messages`,
+   * and the two separately (`summary`, `history`) for the orchestrator's context builder.
+   * `previousIntent` is the planner intent of the latest answered turn (for follow-ups).
+   * `memoryEnabled` is false when long-term memory was turned off for the session;
+   * `project` names the project its memories are shared with (null if none).
    */
   async getContextForApiCall(sessionId) {
+    const session = await database.getSession(sessionId);
     const context = await this.summarizer.getSessionContext(sessionId);
+    const history = context.messages.map(msg => ({ role: msg.role, content: msg.content }));
+    const previousIntent = context.messages.filter(msg => msg.intent).pop()?.intent || null;
     
     const apiMessages = [];
 
@@ -138,15 +249,15 @@ class SessionService {
     }
 
     // Add active messages
-    for (const msg of context.messages) {
-      apiMessages.push({
-        role: msg.role,
-        content: msg.content
-      });
-    }
+    apiMessages.push(...history);
 
     return {
       messages: apiMessages,
+      summary: context.summary,
+      history,
+      previousIntent,
+      memoryEnabled: session?.metadata?.memoryEnabled !== false,
+      project: session?.metadata?.project || null,
       hasSummary: context.hasSummary,
       activeMessageCount: context.activeMessageCount,
       cachedTokens: context.hasSummary ? 'summarized' : context.activeMessageCount * 100 // rough estimate
@@ -164,7 +275,7 @@ class SessionService {
     if (!firstUserMessage) return null;
 
     try {
-      const response = await this.openai.chat.completions.create({
+      const response = await this.llm.chat.completions.create({
         model: this.config.titleModel,
         messages: [
           {
@@ -187,7 +298,7 @@ Example inputs and outputs:
         ],
         max_tokens: 20,
         temperature: 0.5
-      });
+      }, { purpose: 'title' });
 
       const title = response.choices[0].message.content
         .replace(/["']/g, '')
@@ -210,6 +321,22 @@ Example inputs and outputs:
   async updateTitle(sessionId, title) {
     await database.updateSession(sessionId, { title, updateActivity: false });
   }
+
+  /**
+   * Change session settings kept in metadata, leaving the others as they are:
+   * - memoryEnabled: whether chats use long-term memory
+   * - project: the project (sidebar folder) it belongs to, null for none; chats
+   *   in it also use memories scoped to that project
+   * - tags: free-form labels
+   * - pinned: listed first
+   * - archived: hidden from the session list unless asked for
+   */
+  async updateSettings(sessionId, changes) {
+    await database.updateSession(sessionId, {
+      metadataChanges: changes,
+      updateActivity: false
+    });
+  }
 }
 
 module.exports = SessionService;
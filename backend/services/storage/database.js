@@ -2,12 +2,67 @@
  * PostgreSQL Database Service
  * Handles session and message metadata (not content)
  * Content is stored in filesystem, only references stored here
+ * (memories are the exception: small enough to live in the table, and messages
+ * keep a copy of their text for full-text search)
  */
 
 const { Pool } = require('pg');
 const { v4: uuidv4 } = require('uuid');
 const dbConfig = require('../../../config/database');
 
+// Memory fields that updateMemory can set → columns
+const MEMORY_COLUMNS = {
+  type: 'type',
+  content: 'content',
+  metadata: 'metadata',
+  tags: 'tags',
+  importance: 'importance',
+  expiresAt: 'expires_at',
+  accessCount: 'access_count',
+  lastAccessedAt: 'last_accessed_at',
+  history: 'history',
+  scope: 'scope',
+  scopeId: 'scope_id',
+  updatedAt: 'updated_at'
+};
+
+// Full-text search: text search configuration, and the longest message text indexed
+// (a tsvector can't exceed 1 MB)
+const SEARCH_CONFIG = 'english';
+const SEARCH_TEXT_MAX = 200000;
+
+// Marks ts_headline puts around matched words; splitHighlights turns them into offsets
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// ISO date (or ms) → ms, null stays null
+const toMillis = (value) => (value === null || value === undefined ? null : new Date(value).getTime());
+
+// Message text as stored for search, without the highlight marks
+function searchText(content) {
+  if (typeof content !== 'string') return '';
+  return content.substring(0, SEARCH_TEXT_MAX).replace(/[\u0002\u0003]/g, '');
+}
+
+// ts_headline output → { text, highlights: [[start, end]] } (offsets into text)
+function splitHighlights(headline) {
+  const highlights = [];
+  let text = '';
+  let start = null;
+  for (const char of headline || '') {
+    if (char === HIGHLIGHT_START) {
+      start = text.length;
+    } else if (char === HIGHLIGHT_STOP) {
+      if (start !== null) highlights.push([start, text.length]);
+      start = null;
+    } else {
+      text += char;
+    }
+  }
+  return { text, highlights };
+}
+
 class Database {
   constructor() {
     this.pool = null;
@@ -29,6 +84,9 @@ class Database {
       client.release();
     } catch (err) {
       console.error('[Database] Connection failed:', err.message);
+      // Drop the pool so a later initialize() starts fresh
+      this.pool.end().catch(() => {});
+      this.pool = null;
       throw err;
     }
 
@@ -42,6 +100,28 @@ class Database {
    */
   async createSchema() {
     const schema = `
+      -- Users table (local accounts)
+      CREATE TABLE IF NOT EXISTS users (
+        id UUID PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        is_admin BOOLEAN DEFAULT FALSE,
+        created_at BIGINT NOT NULL,
+        last_login_at BIGINT
+      );
+
+      -- Auth tokens (browser sessions and API tokens); only the SHA-256 hash is stored
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id UUID PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        kind TEXT NOT NULL CHECK (kind IN ('session', 'api')),
+        name TEXT,
+        created_at BIGINT NOT NULL,
+        last_used_at BIGINT,
+        expires_at BIGINT
+      );
+
       -- Sessions table
       CREATE TABLE IF NOT EXISTS sessions (
         id UUID PRIMARY KEY,
@@ -74,7 +154,81 @@ class Database {
         created_at BIGINT NOT NULL
       );
 
+      -- Session ownership (NULL for sessions created before accounts existed)
+      ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+      -- Usage ledger: one row per model call (kept when its session is deleted)
+      CREATE TABLE IF NOT EXISTS usage_events (
+        id UUID PRIMARY KEY,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        session_id UUID REFERENCES sessions(id) ON DELETE SET NULL,
+        request_id TEXT,
+        purpose TEXT NOT NULL,
+        model TEXT NOT NULL,
+        provider TEXT,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        total_tokens INTEGER DEFAULT 0,
+        cost_usd NUMERIC(14, 8) DEFAULT 0,
+        created_at BIGINT NOT NULL
+      );
+
+      -- Memories (short-term, long-term and pending review); embeddings stay in data/memory-vectors.json
+      CREATE TABLE IF NOT EXISTS memories (
+        id UUID PRIMARY KEY,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT NOT NULL CHECK (type IN ('short_term', 'long_term', 'pending')),
+        content TEXT NOT NULL,
+        metadata JSONB DEFAULT '{}'::jsonb,
+        created_at BIGINT NOT NULL
+      );
+
+      -- Memory lifecycle: tags, importance, expiry, use counts and edit/merge history
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS importance REAL DEFAULT 0.5;
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS expires_at BIGINT;
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS access_count INTEGER DEFAULT 0;
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS last_accessed_at BIGINT;
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS history JSONB DEFAULT '[]'::jsonb;
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS updated_at BIGINT;
+
+      -- Memory scope: global, one session (scope_id = session id) or a named project
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS scope TEXT NOT NULL DEFAULT 'global'
+        CHECK (scope IN ('global', 'session', 'project'));
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS scope_id TEXT;
+
+      -- Full-text search over messages: a copy of the text (content stays in the
+      -- message files) and the tool that answered
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_text TEXT;
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS tool_used TEXT;
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (to_tsvector('${SEARCH_CONFIG}', coalesce(search_text, ''))) STORED;
+
       -- Indexes
+      CREATE INDEX IF NOT EXISTS idx_messages_search
+        ON messages USING GIN (search_vector);
+      CREATE INDEX IF NOT EXISTS idx_messages_unindexed
+        ON messages(created_at) WHERE search_text IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_memories_expires
+        ON memories(expires_at) WHERE expires_at IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_memories_tags
+        ON memories USING GIN (tags);
+      CREATE INDEX IF NOT EXISTS idx_memories_user_scope
+        ON memories(user_id, scope, scope_id);
+      CREATE INDEX IF NOT EXISTS idx_memories_user_type_created
+        ON memories(user_id, type, created_at);
+      CREATE INDEX IF NOT EXISTS idx_memories_type_created
+        ON memories(type, created_at);
+      CREATE INDEX IF NOT EXISTS idx_sessions_user_activity
+        ON sessions(user_id, last_activity_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_sessions_metadata
+        ON sessions USING GIN (metadata jsonb_path_ops);
+      CREATE INDEX IF NOT EXISTS idx_sessions_legacy_conversation
+        ON sessions ((metadata->>'legacyConversationId')) WHERE metadata ? 'legacyConversationId';
+      CREATE INDEX IF NOT EXISTS idx_sessions_import_id
+        ON sessions ((metadata->>'importId')) WHERE metadata ? 'importId';
+      CREATE INDEX IF NOT EXISTS idx_auth_tokens_user
+        ON auth_tokens(user_id, kind);
       CREATE INDEX IF NOT EXISTS idx_messages_session_created 
         ON messages(session_id, created_at);
       CREATE INDEX IF NOT EXISTS idx_sessions_updated 
@@ -83,6 +237,10 @@ class Database {
         ON sessions(last_activity_at DESC);
       CREATE INDEX IF NOT EXISTS idx_summaries_session 
         ON summaries(session_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_usage_user_created
+        ON usage_events(user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_usage_session
+        ON usage_events(session_id);
     `;
 
     try {
@@ -94,22 +252,171 @@ class Database {
     }
   }
 
+  // ==================== USER OPERATIONS ====================
+
+  /**
+   * Create a user (password must already be hashed)
+   */
+  async createUser({ username, passwordHash, isAdmin = false }, client = this.pool) {
+    const id = uuidv4();
+    const now = Date.now();
+
+    await client.query(
+      `INSERT INTO users (id, username, password_hash, is_admin, created_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [id, username, passwordHash, isAdmin, now]
+    );
+
+    return { id, username, isAdmin, createdAt: now };
+  }
+
+  async getUserById(userId) {
+    const result = await this.pool.query(
+      `SELECT id, username, password_hash, is_admin, created_at, last_login_at
+       FROM users WHERE id = $1`,
+      [userId]
+    );
+    return result.rows.length > 0 ? this.toUser(result.rows[0]) : null;
+  }
+
+  async getUserByUsername(username, client = this.pool) {
+    const result = await client.query(
+      `SELECT id, username, password_hash, is_admin, created_at, last_login_at
+       FROM users WHERE LOWER(username) = LOWER($1)`,
+      [username]
+    );
+    return result.rows.length > 0 ? this.toUser(result.rows[0]) : null;
+  }
+
+  async countUsers(client = this.pool) {
+    const result = await client.query('SELECT COUNT(*) FROM users');
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Serialize registrations until the transaction ends, so only one can be the first (admin) user
+   */
+  async lockRegistration(client) {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('users:register'))`);
+  }
+
+  async recordLogin(userId) {
+    await this.pool.query('UPDATE users SET last_login_at = $1 WHERE id = $2', [Date.now(), userId]);
+  }
+
+  toUser(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      passwordHash: row.password_hash,
+      isAdmin: row.is_admin,
+      createdAt: parseInt(row.created_at),
+      lastLoginAt: row.last_login_at ? parseInt(row.last_login_at) : null
+    };
+  }
+
+  // ==================== AUTH TOKEN OPERATIONS ====================
+
+  /**
+   * Store an auth token by hash
+   */
+  async createAuthToken(userId, { tokenHash, kind, name = null, expiresAt = null }) {
+    const id = uuidv4();
+    const now = Date.now();
+
+    await this.pool.query(
+      `INSERT INTO auth_tokens (id, user_id, token_hash, kind, name, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [id, userId, tokenHash, kind, name, now, expiresAt]
+    );
+
+    return { id, kind, name, createdAt: now, expiresAt };
+  }
+
+  /**
+   * Look up an unexpired token and its user
+   */
+  async getAuthToken(tokenHash) {
+    const result = await this.pool.query(
+      `SELECT t.id, t.kind, t.user_id, u.username, u.is_admin
+       FROM auth_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1 AND (t.expires_at IS NULL OR t.expires_at > $2)`,
+      [tokenHash, Date.now()]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return {
+      id: row.id,
+      kind: row.kind,
+      user: { id: row.user_id, username: row.username, isAdmin: row.is_admin }
+    };
+  }
+
+  async touchAuthToken(tokenId) {
+    await this.pool.query('UPDATE auth_tokens SET last_used_at = $1 WHERE id = $2', [Date.now(), tokenId]);
+  }
+
+  /**
+   * List a user's API tokens (never returns the hash)
+   */
+  async listAuthTokens(userId, kind = 'api') {
+    const result = await this.pool.query(
+      `SELECT id, kind, name, created_at, last_used_at, expires_at
+       FROM auth_tokens
+       WHERE user_id = $1 AND kind = $2
+       ORDER BY created_at DESC`,
+      [userId, kind]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      kind: row.kind,
+      name: row.name,
+      createdAt: parseInt(row.created_at),
+      lastUsedAt: row.last_used_at ? parseInt(row.last_used_at) : null,
+      expiresAt: row.expires_at ? parseInt(row.expires_at) : null
+    }));
+  }
+
+  /**
+   * Delete a token by id (scoped to its owner); returns true if deleted
+   */
+  async deleteAuthToken(userId, tokenId) {
+    const result = await this.pool.query(
+      'DELETE FROM auth_tokens WHERE id = $1 AND user_id = $2',
+      [tokenId, userId]
+    );
+    return result.rowCount > 0;
+  }
+
+  async deleteAuthTokenByHash(tokenHash) {
+    await this.pool.query('DELETE FROM auth_tokens WHERE token_hash = $1', [tokenHash]);
+  }
+
+  async deleteExpiredAuthTokens() {
+    await this.pool.query('DELETE FROM auth_tokens WHERE expires_at IS NOT NULL AND expires_at <= $1', [Date.now()]);
+  }
+
   // ==================== SESSION OPERATIONS ====================
 
   /**
    * Create a new session
+   * createdAt backdates it (imported conversations keep their original time)
    */
-  async createSession(title = null) {
+  async createSession(title = null, userId = null, { createdAt = null, metadata = {} } = {}) {
     const id = uuidv4();
-    const now = Date.now();
+    const now = createdAt || Date.now();
     
     await this.pool.query(
-      `INSERT INTO sessions (id, title, created_at, updated_at, last_activity_at)
-       VALUES ($1, $2, $3, $3, $3)`,
-      [id, title, now]
+      `INSERT INTO sessions (id, title, created_at, updated_at, last_activity_at, user_id, metadata)
+       VALUES ($1, $2, $3, $3, $3, $4, $5)`,
+      [id, title, now, userId, JSON.stringify(metadata)]
     );
     
-    return { id, title, createdAt: now, updatedAt: now, lastActivityAt: now };
+    return { id, title, userId, createdAt: now, updatedAt: now, lastActivityAt: now, metadata };
   }
 
   /**
@@ -118,7 +425,7 @@ class Database {
   async getSession(sessionId) {
     const result = await this.pool.query(
       `SELECT id, title, created_at, updated_at, last_activity_at, 
-              current_summary_id, metadata
+              current_summary_id, metadata, user_id
        FROM sessions WHERE id = $1`,
       [sessionId]
     );
@@ -133,23 +440,48 @@ class Database {
       updatedAt: parseInt(row.updated_at),
       lastActivityAt: parseInt(row.last_activity_at),
       currentSummaryId: row.current_summary_id,
-      metadata: row.metadata
+      metadata: row.metadata,
+      userId: row.user_id
     };
   }
 
   /**
-   * List sessions with pagination
+   * List sessions with pagination, pinned sessions first
+   * userId null lists every session (auth disabled)
+   * filters (from metadata): project (null for sessions outside any project),
+   * tag, pinned and archived (true/false; undefined doesn't filter)
    */
-  async listSessions(limit = 20, offset = 0) {
+  async listSessions(userId, limit = 20, offset = 0, { project, tag, pinned, archived } = {}) {
+    const conditions = ['($1::uuid IS NULL OR user_id = $1)'];
+    const params = [userId];
+
+    const contains = {};
+    if (project) contains.project = project;
+    if (tag) contains.tags = [tag];
+    if (pinned === true) contains.pinned = true;
+    if (archived === true) contains.archived = true;
+    if (Object.keys(contains).length > 0) {
+      params.push(JSON.stringify(contains));
+      conditions.push(`metadata @> $${params.length}::jsonb`);
+    }
+    if (project === null) conditions.push(`COALESCE(metadata->>'project', '') = ''`);
+    if (pinned === false) conditions.push(`NOT metadata @> '{"pinned": true}'`);
+    if (archived === false) conditions.push(`NOT metadata @> '{"archived": true}'`);
+    const where = conditions.join(' AND ');
+
     const result = await this.pool.query(
       `SELECT id, title, created_at, updated_at, last_activity_at, metadata
        FROM sessions
-       ORDER BY last_activity_at DESC
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
+       WHERE ${where}
+       ORDER BY metadata @> '{"pinned": true}' DESC, last_activity_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
     );
     
-    const countResult = await this.pool.query('SELECT COUNT(*) FROM sessions');
+    const countResult = await this.pool.query(
+      `SELECT COUNT(*) FROM sessions WHERE ${where}`,
+      params
+    );
     const total = parseInt(countResult.rows[0].count);
     
     return {
@@ -169,6 +501,8 @@ class Database {
 
   /**
    * Update session
+   * updates.metadata replaces the metadata; updates.metadataChanges merges
+   * keys into it (in one statement, so concurrent changes to other keys are kept)
    */
   async updateSession(sessionId, updates) {
     const fields = [];
@@ -186,6 +520,9 @@ class Database {
     if (updates.metadata !== undefined) {
       fields.push(`metadata = $${paramIndex++}`);
       values.push(JSON.stringify(updates.metadata));
+    } else if (updates.metadataChanges !== undefined) {
+      fields.push(`metadata = COALESCE(metadata, '{}'::jsonb) || $${paramIndex++}::jsonb`);
+      values.push(JSON.stringify(updates.metadataChanges));
     }
 
     fields.push(`updated_at = $${paramIndex++}`);
@@ -204,6 +541,34 @@ class Database {
     );
   }
 
+  /**
+   * Id of the session a legacy conversation was imported into, or null
+   * userId null matches any owner (auth disabled)
+   */
+  async findSessionByLegacyId(conversationId, userId) {
+    const result = await this.pool.query(
+      `SELECT id FROM sessions
+       WHERE metadata->>'legacyConversationId' = $1 AND ($2::uuid IS NULL OR user_id = $2)
+       LIMIT 1`,
+      [conversationId, userId]
+    );
+    return result.rows[0]?.id || null;
+  }
+
+  /**
+   * Id of the session an imported conversation became (metadata.importId), or null
+   * userId null matches any owner (auth disabled)
+   */
+  async findSessionByImportId(importId, userId) {
+    const result = await this.pool.query(
+      `SELECT id FROM sessions
+       WHERE metadata->>'importId' = $1 AND ($2::uuid IS NULL OR user_id = $2)
+       LIMIT 1`,
+      [importId, userId]
+    );
+    return result.rows[0]?.id || null;
+  }
+
   /**
    * Delete session
    */
@@ -211,19 +576,33 @@ class Database {
     await this.pool.query('DELETE FROM sessions WHERE id = $1', [sessionId]);
   }
 
+  /**
+   * Assign sessions created before accounts existed to a user
+   * Returns the number of sessions claimed
+   */
+  async claimUnownedSessions(userId) {
+    const result = await this.pool.query(
+      'UPDATE sessions SET user_id = $1 WHERE user_id IS NULL',
+      [userId]
+    );
+    return result.rowCount;
+  }
+
   // ==================== MESSAGE OPERATIONS ====================
 
   /**
    * Create message reference
+   * data.createdAt keeps the original time of an imported message;
+   * data.content and data.toolUsed are indexed for search
    */
   async createMessage(sessionId, data) {
     const id = data.id || uuidv4();  // Use provided ID or generate new one
-    const now = Date.now();
+    const now = data.createdAt || Date.now();
     
     await this.pool.query(
-      `INSERT INTO messages (id, session_id, role, file_path, tokens, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [id, sessionId, data.role, data.filePath, data.tokens || 0, now]
+      `INSERT INTO messages (id, session_id, role, file_path, tokens, created_at, search_text, tool_used)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [id, sessionId, data.role, data.filePath, data.tokens || 0, now, searchText(data.content), data.toolUsed || null]
     );
 
     // Update session activity
@@ -302,6 +681,14 @@ class Database {
     );
   }
 
+  /**
+   * Count all messages in a session
+   */
+  async countMessages(sessionId) {
+    const result = await this.pool.query('SELECT COUNT(*) FROM messages WHERE session_id = $1', [sessionId]);
+    return parseInt(result.rows[0].count);
+  }
+
   /**
    * Count meaningful messages (assistant responses, not system)
    */
@@ -314,6 +701,110 @@ class Database {
     return parseInt(result.rows[0].count);
   }
 
+  /**
+   * Messages stored before search existed (no search text yet), oldest first
+   */
+  async getUnindexedMessages(limit = 100) {
+    const result = await this.pool.query(
+      `SELECT id, session_id FROM messages
+       WHERE search_text IS NULL
+       ORDER BY created_at
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows.map(row => ({ id: row.id, sessionId: row.session_id }));
+  }
+
+  /**
+   * Store a message's text (and tool) for search
+   */
+  async setMessageSearchText(messageId, content, toolUsed = null) {
+    await this.pool.query(
+      'UPDATE messages SET search_text = $1, tool_used = $2 WHERE id = $3',
+      [searchText(content), toolUsed, messageId]
+    );
+  }
+
+  /**
+   * Full-text search over a user's messages (every user's when userId is null)
+   * query uses web search syntax: words, "exact phrases", OR, -excluded.
+   * Filters: from/to (ms, inclusive), role, toolUsed. Returns the matching
+   * sessions, best match first, each with its best `snippets` messages:
+   * { total, sessions: [{ id, title, createdAt, lastActivityAt, matchCount,
+   *   snippets: [{ messageId, role, toolUsed, createdAt, text, highlights: [[start, end]] }] }] }
+   */
+  async searchMessages(userId, { query, from = null, to = null, role = null, toolUsed = null, limit = 20, offset = 0, snippets = 3 }) {
+    const hits = `
+      WITH q AS (SELECT websearch_to_tsquery('${SEARCH_CONFIG}', $1) AS query),
+      hits AS (
+        SELECT m.id, m.session_id, m.role, m.tool_used, m.created_at, m.search_text,
+               ts_rank(m.search_vector, q.query) AS rank
+        FROM messages m
+        JOIN sessions s ON s.id = m.session_id
+        CROSS JOIN q
+        WHERE m.search_vector @@ q.query
+          AND ($2::uuid IS NULL OR s.user_id = $2)
+          AND ($3::bigint IS NULL OR m.created_at >= $3)
+          AND ($4::bigint IS NULL OR m.created_at <= $4)
+          AND ($5::text IS NULL OR m.role = $5)
+          AND ($6::text IS NULL OR m.tool_used = $6)
+      )`;
+    const params = [query, userId, from, to, role, toolUsed];
+
+    const countResult = await this.pool.query(
+      `${hits} SELECT COUNT(DISTINCT session_id) FROM hits`,
+      params
+    );
+
+    const result = await this.pool.query(
+      `${hits},
+      page AS (
+        SELECT session_id, COUNT(*) AS match_count, MAX(rank) AS best_rank, MAX(created_at) AS last_match_at
+        FROM hits
+        GROUP BY session_id
+        ORDER BY best_rank DESC, last_match_at DESC
+        LIMIT $7 OFFSET $8
+      ),
+      best AS (
+        SELECT h.*, ROW_NUMBER() OVER (PARTITION BY h.session_id ORDER BY h.rank DESC, h.created_at DESC) AS n
+        FROM hits h
+        JOIN page p ON p.session_id = h.session_id
+      )
+      SELECT p.session_id, p.match_count, s.title, s.created_at AS session_created_at, s.last_activity_at,
+             b.id, b.role, b.tool_used, b.created_at,
+             ts_headline('${SEARCH_CONFIG}', b.search_text, q.query, $10) AS headline
+      FROM page p
+      JOIN sessions s ON s.id = p.session_id
+      JOIN best b ON b.session_id = p.session_id AND b.n <= $9
+      CROSS JOIN q
+      ORDER BY p.best_rank DESC, p.last_match_at DESC, b.n`,
+      [...params, limit, offset, snippets, HEADLINE_OPTIONS]
+    );
+
+    const sessions = new Map();
+    for (const row of result.rows) {
+      if (!sessions.has(row.session_id)) {
+        sessions.set(row.session_id, {
+          id: row.session_id,
+          title: row.title,
+          createdAt: parseInt(row.session_created_at),
+          lastActivityAt: parseInt(row.last_activity_at),
+          matchCount: parseInt(row.match_count),
+          snippets: []
+        });
+      }
+      sessions.get(row.session_id).snippets.push({
+        messageId: row.id,
+        role: row.role,
+        toolUsed: row.tool_used,
+        createdAt: parseInt(row.created_at),
+        ...splitHighlights(row.headline)
+      });
+    }
+
+    return { total: parseInt(countResult.rows[0].count), sessions: [...sessions.values()] };
+  }
+
   // ==================== SUMMARY OPERATIONS ====================
 
   /**
@@ -363,6 +854,239 @@ class Database {
     };
   }
 
+  // ==================== USAGE OPERATIONS ====================
+
+  /**
+   * Record one model call
+   */
+  async insertUsage(event) {
+    const id = uuidv4();
+    const now = Date.now();
+
+    await this.pool.query(
+      `INSERT INTO usage_events (id, user_id, session_id, request_id, purpose, model, provider,
+                                 prompt_tokens, completion_tokens, total_tokens, cost_usd, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        id, event.userId, event.sessionId, event.requestId, event.purpose, event.model, event.provider,
+        event.promptTokens, event.completionTokens, event.promptTokens + event.completionTokens,
+        event.costUsd, now
+      ]
+    );
+
+    return { id, createdAt: now };
+  }
+
+  /**
+   * Usage totals and breakdowns (by UTC day, model, session and purpose) for a time range
+   * userId null covers every user
+   */
+  async getUsageSummary(userId, from, to) {
+    const params = [userId, from, to];
+    const where = `($1::uuid IS NULL OR u.user_id = $1) AND u.created_at >= $2 AND u.created_at < $3`;
+    const totals = `COUNT(*) AS calls,
+                    COALESCE(SUM(u.prompt_tokens), 0) AS prompt_tokens,
+                    COALESCE(SUM(u.completion_tokens), 0) AS completion_tokens,
+                    COALESCE(SUM(u.total_tokens), 0) AS total_tokens,
+                    COALESCE(SUM(u.cost_usd), 0) AS cost_usd`;
+
+    const [total, byDay, byModel, bySession, byPurpose] = await Promise.all([
+      this.pool.query(`SELECT ${totals} FROM usage_events u WHERE ${where}`, params),
+      this.pool.query(
+        `SELECT to_char(to_timestamp(u.created_at / 1000.0) AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day, ${totals}
+         FROM usage_events u WHERE ${where}
+         GROUP BY day ORDER BY day`,
+        params
+      ),
+      this.pool.query(
+        `SELECT u.model, ${totals}
+         FROM usage_events u WHERE ${where}
+         GROUP BY u.model ORDER BY cost_usd DESC`,
+        params
+      ),
+      this.pool.query(
+        `SELECT u.session_id, s.title, ${totals}
+         FROM usage_events u LEFT JOIN sessions s ON s.id = u.session_id
+         WHERE ${where} AND u.session_id IS NOT NULL
+         GROUP BY u.session_id, s.title ORDER BY cost_usd DESC
+         LIMIT 50`,
+        params
+      ),
+      this.pool.query(
+        `SELECT u.purpose, ${totals}
+         FROM usage_events u WHERE ${where}
+         GROUP BY u.purpose ORDER BY cost_usd DESC`,
+        params
+      )
+    ]);
+
+    const toTotals = row => ({
+      calls: parseInt(row.calls),
+      promptTokens: parseInt(row.prompt_tokens),
+      completionTokens: parseInt(row.completion_tokens),
+      totalTokens: parseInt(row.total_tokens),
+      costUsd: parseFloat(row.cost_usd)
+    });
+
+    return {
+      totals: toTotals(total.rows[0]),
+      byDay: byDay.rows.map(row => ({ day: row.day, ...toTotals(row) })),
+      byModel: byModel.rows.map(row => ({ model: row.model, ...toTotals(row) })),
+      bySession: bySession.rows.map(row => ({ sessionId: row.session_id, title: row.title, ...toTotals(row) })),
+      byPurpose: byPurpose.rows.map(row => ({ purpose: row.purpose, ...toTotals(row) }))
+    };
+  }
+
+  /**
+   * Total spend (USD) since a timestamp; userId null sums every user
+   */
+  async getSpendSince(userId, since) {
+    const result = await this.pool.query(
+      `SELECT COALESCE(SUM(cost_usd), 0) AS cost_usd
+       FROM usage_events
+       WHERE ($1::uuid IS NULL OR user_id = $1) AND created_at >= $2`,
+      [userId, since]
+    );
+    return parseFloat(result.rows[0].cost_usd);
+  }
+
+  // ==================== MEMORY OPERATIONS ====================
+  // Each takes an optional client so it can run inside transaction()
+
+  /**
+   * Memories of the given types (all types when null), oldest first
+   * userId null lists every user's memories (auth disabled); expired memories are
+   * left out unless includeExpired is set. scopes limits the list to scope keys
+   * ('global', 'session:<id>', 'project:<name>')
+   */
+  async listMemories({ userId = null, types = null, includeExpired = false, scopes = null } = {}, client = this.pool) {
+    const result = await client.query(
+      `SELECT * FROM memories
+       WHERE ($1::uuid IS NULL OR user_id = $1) AND ($2::text[] IS NULL OR type = ANY($2))
+         AND ($3::boolean OR expires_at IS NULL OR expires_at > $4)
+         AND ($5::text[] IS NULL OR
+              (CASE WHEN scope = 'global' THEN 'global' ELSE scope || ':' || scope_id END) = ANY($5))
+       ORDER BY created_at, id`,
+      [userId, types, includeExpired, Date.now(), scopes]
+    );
+    return result.rows.map(row => this.toMemory(row));
+  }
+
+  async getMemory(memoryId, client = this.pool) {
+    const result = await client.query('SELECT * FROM memories WHERE id = $1', [memoryId]);
+    return result.rows.length ? this.toMemory(result.rows[0]) : null;
+  }
+
+  /**
+   * Insert a memory; an owner that no longer exists is stored as NULL
+   * (memories migrated from memory.json can outlive their account)
+   */
+  async insertMemory(memory, client = this.pool) {
+    await client.query(
+      `INSERT INTO memories (id, user_id, type, content, metadata, tags, importance, expires_at,
+                             access_count, last_accessed_at, history, scope, scope_id, created_at, updated_at)
+       VALUES ($1, (SELECT id FROM users WHERE id = $2), $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       ON CONFLICT (id) DO NOTHING`,
+      [
+        memory.id, memory.userId, memory.type, memory.content, JSON.stringify(memory.metadata || {}),
+        memory.tags || [], memory.importance ?? 0.5, toMillis(memory.expiresAt),
+        memory.accessCount || 0, toMillis(memory.lastAccessedAt), JSON.stringify(memory.history || []),
+        memory.scope || 'global', memory.scopeId ?? null,
+        new Date(memory.timestamp).getTime(), toMillis(memory.updatedAt || memory.timestamp)
+      ]
+    );
+    return memory;
+  }
+
+  /**
+   * Update memory fields (type, content, metadata, tags, importance, expiresAt,
+   * accessCount, lastAccessedAt, history, scope, scopeId, updatedAt); returns the memory or null
+   */
+  async updateMemory(memoryId, updates, client = this.pool) {
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, column] of Object.entries(MEMORY_COLUMNS)) {
+      if (updates[key] === undefined) continue;
+      let value = updates[key];
+      if (key === 'metadata' || key === 'history') value = JSON.stringify(value);
+      if (key === 'expiresAt' || key === 'lastAccessedAt' || key === 'updatedAt') value = toMillis(value);
+      fields.push(`${column} = $${paramIndex++}`);
+      values.push(value);
+    }
+    if (fields.length === 0) return this.getMemory(memoryId, client);
+
+    values.push(memoryId);
+    const result = await client.query(
+      `UPDATE memories SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+    return result.rows.length ? this.toMemory(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete memories by id; returns how many were deleted
+   */
+  async deleteMemories(memoryIds, client = this.pool) {
+    if (memoryIds.length === 0) return 0;
+    const result = await client.query('DELETE FROM memories WHERE id = ANY($1::uuid[])', [memoryIds]);
+    return result.rowCount;
+  }
+
+  async claimUnownedMemories(userId, client = this.pool) {
+    const result = await client.query('UPDATE memories SET user_id = $1 WHERE user_id IS NULL', [userId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Serialize memory writes for one owner until the transaction ends
+   */
+  async lockMemoryOwner(userId, client) {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('memories:' || COALESCE($1::text, '')))`, [userId]);
+  }
+
+  toMemory(row) {
+    const toIso = (ms) => (ms ? new Date(parseInt(ms)).toISOString() : null);
+    return {
+      id: row.id,
+      userId: row.user_id,
+      content: row.content,
+      metadata: row.metadata || {},
+      tags: row.tags || [],
+      importance: row.importance ?? 0.5,
+      expiresAt: toIso(row.expires_at),
+      accessCount: row.access_count || 0,
+      lastAccessedAt: toIso(row.last_accessed_at),
+      history: row.history || [],
+      scope: row.scope || 'global',
+      scopeId: row.scope_id ?? null,
+      timestamp: toIso(row.created_at),
+      updatedAt: toIso(row.updated_at || row.created_at),
+      type: row.type
+    };
+  }
+
+  // ==================== TRANSACTIONS ====================
+
+  /**
+   * Run fn(client) in a transaction: committed when it resolves, rolled back when it throws
+   */
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Close database connection
    */
@@ -0,0 +1,203 @@
+/**
+ * Memory Stores
+ * Where MemoryService keeps memories: PostgreSQL (table memories) when the
+ * database is up, otherwise data/memory.json. Both expose the same async interface:
+ *
+ *   list({ userId, types, includeExpired, scopes }), get(id), insert(memory), update(id, updates),
+ *   delete(ids), claimUnowned(userId), lockOwner(userId), transaction(fn)
+ *
+ * transaction(fn) calls fn(store) with a store whose operations commit together
+ * or not at all. In Postgres that is a database transaction (lockOwner takes an
+ * advisory lock); the file store runs transactions one at a time, writes the
+ * file once at the end (atomically, via a temp file) and restores its previous
+ * state if fn throws. Once retired (its memories moved to the database), it
+ * hands every later transaction, including ones already queued, to its successor.
+ *
+ * A memory's scope is 'global', 'session' (scopeId = session id) or 'project'
+ * (scopeId = project name); list() filters on scope keys (see scopeKey).
+ */
+
+const fs = require('fs').promises;
+const database = require('./database');
+
+const TYPES = ['short_term', 'long_term', 'pending'];
+
+// memory.json keeps one array per type
+const FILE_KEYS = { short_term: 'shortTerm', long_term: 'longTerm', pending: 'pending' };
+
+// Fields update() can set (the same ones the database store updates)
+const UPDATABLE = ['type', 'content', 'metadata', 'tags', 'importance', 'expiresAt', 'accessCount', 'lastAccessedAt', 'history', 'scope', 'scopeId', 'updatedAt'];
+
+// 'global', 'session:<id>' or 'project:<name>'
+const scopeKey = ({ scope = 'global', scopeId = null }) => (scope === 'global' ? 'global' : `${scope}:${scopeId}`);
+
+// Lifecycle fields for memories saved before they existed
+function withDefaults(memory) {
+  return {
+    ...memory,
+    tags: memory.tags ?? [],
+    importance: memory.importance ?? (memory.metadata?.important ? 1 : 0.5),
+    expiresAt: memory.expiresAt ?? null,
+    accessCount: memory.accessCount ?? 0,
+    lastAccessedAt: memory.lastAccessedAt ?? null,
+    history: memory.history ?? [],
+    scope: memory.scope ?? 'global',
+    scopeId: memory.scopeId ?? null,
+    updatedAt: memory.updatedAt ?? memory.timestamp
+  };
+}
+
+const isExpired = (memory, now) => !!memory.expiresAt && new Date(memory.expiresAt).getTime() <= now;
+
+class FileMemoryStore {
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.memories = null;
+    this.dirty = false;
+    this.queue = Promise.resolve();
+    this.view = new FileMemoryView(this);
+    this.successor = null;
+  }
+
+  async load() {
+    if (this.memories) return;
+
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.memories = TYPES.flatMap(type => (parsed[FILE_KEYS[type]] || []).map(m => withDefaults({ ...m, type })));
+    } catch (e) {
+      // No existing memory file
+      this.memories = [];
+    }
+  }
+
+  async save() {
+    const data = { lastUpdated: new Date().toISOString() };
+    for (const type of TYPES) {
+      data[FILE_KEYS[type]] = this.memories.filter(m => m.type === type);
+    }
+
+    const tempFile = `${this.filePath}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+    await fs.rename(tempFile, this.filePath);
+  }
+
+  /**
+   * Run fn(view) after every earlier transaction has finished
+   */
+  transaction(fn) {
+    const run = this.queue.then(async () => {
+      if (this.successor) return this.successor.transaction(fn);
+      await this.load();
+      const snapshot = this.memories.map(m => ({ ...m }));
+      this.dirty = false;
+      try {
+        const result = await fn(this.view);
+        if (this.dirty) await this.save();
+        return result;
+      } catch (error) {
+        this.memories = snapshot;
+        throw error;
+      }
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Forward all later transactions to another store
+   * Callers that picked this store before the switch may still be queued behind it
+   */
+  retire(successor) {
+    this.successor = successor;
+  }
+
+  list(filter) { return this.transaction(view => view.list(filter)); }
+  get(id) { return this.transaction(view => view.get(id)); }
+  insert(memory) { return this.transaction(view => view.insert(memory)); }
+  update(id, updates) { return this.transaction(view => view.update(id, updates)); }
+  delete(ids) { return this.transaction(view => view.delete(ids)); }
+  claimUnowned(userId) { return this.transaction(view => view.claimUnowned(userId)); }
+  async lockOwner() {}
+}
+
+// Operations on the file store's loaded memories, used inside its transactions
+class FileMemoryView {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async list({ userId = null, types = null, includeExpired = false, scopes = null } = {}) {
+    const now = Date.now();
+    return this.store.memories
+      .filter(m => (userId === null || m.userId === userId) && (!types || types.includes(m.type)))
+      .filter(m => (includeExpired || !isExpired(m, now)) && (!scopes || scopes.includes(scopeKey(m))))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(m => ({ ...m }));
+  }
+
+  async get(id) {
+    const memory = this.store.memories.find(m => m.id === id);
+    return memory ? { ...memory } : null;
+  }
+
+  async insert(memory) {
+    this.store.memories.push(withDefaults(memory));
+    this.store.dirty = true;
+    return memory;
+  }
+
+  async update(id, updates) {
+    const memory = this.store.memories.find(m => m.id === id);
+    if (!memory) return null;
+
+    for (const field of UPDATABLE) {
+      if (updates[field] !== undefined) memory[field] = updates[field];
+    }
+    this.store.dirty = true;
+    return { ...memory };
+  }
+
+  async delete(ids) {
+    const before = this.store.memories.length;
+    this.store.memories = this.store.memories.filter(m => !ids.includes(m.id));
+    const deleted = before - this.store.memories.length;
+    if (deleted > 0) this.store.dirty = true;
+    return deleted;
+  }
+
+  async claimUnowned(userId) {
+    const unowned = this.store.memories.filter(m => !m.userId);
+    unowned.forEach(m => { m.userId = userId; });
+    if (unowned.length > 0) this.store.dirty = true;
+    return unowned.length;
+  }
+
+  // Transactions already run one at a time
+  async lockOwner() {}
+}
+
+class DatabaseMemoryStore {
+  /**
+   * @param {Pool|PoolClient} client - The pool, or a client inside a transaction
+   */
+  constructor(client = database.pool) {
+    this.name = 'postgres';
+    this.client = client;
+  }
+
+  list(filter) { return database.listMemories(filter, this.client); }
+  get(id) { return database.getMemory(id, this.client); }
+  insert(memory) { return database.insertMemory(memory, this.client); }
+  update(id, updates) { return database.updateMemory(id, updates, this.client); }
+  delete(ids) { return database.deleteMemories(ids, this.client); }
+  claimUnowned(userId) { return database.claimUnownedMemories(userId, this.client); }
+  lockOwner(userId) { return database.lockMemoryOwner(userId, this.client); }
+
+  transaction(fn) {
+    return database.transaction(client => fn(new DatabaseMemoryStore(client)));
+  }
+}
+
+module.exports = { FileMemoryStore, DatabaseMemoryStore, scopeKey };
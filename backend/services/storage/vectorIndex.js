@@ -0,0 +1,140 @@
+/**
+ * Vector Index
+ * Embedding vectors keyed by id, kept in memory and saved to a JSON file
+ *
+ * File shape: { embedder, dimensions, vectors: { [id]: number[] }, lastUpdated }
+ * The index records which embedder made its vectors; reset() empties it when
+ * the embedder changes so vectors from different models are never compared.
+ * Search is a linear cosine scan, fine for thousands of entries.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const EmbeddingService = require('../embeddings');
+
+class VectorIndex {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.embedder = null;
+    this.dimensions = null;
+    this.vectors = new Map();
+    this.loaded = false;
+    this.writes = 0;
+  }
+
+  /**
+   * Read the index file (once); a missing or unreadable file starts an empty index
+   */
+  async load() {
+    if (this.loaded) return;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      this.embedder = data.embedder || null;
+      this.dimensions = data.dimensions || null;
+      this.vectors = new Map(Object.entries(data.vectors || {}));
+    } catch (e) {
+      // No index yet
+      this.vectors = new Map();
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Write the index to a temp file and rename it over the old one, so a crash
+   * mid-write never leaves a truncated index (each call gets its own temp file)
+   */
+  async persist() {
+    const tempFile = `${this.filePath}.${process.pid}-${++this.writes}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify({
+        embedder: this.embedder,
+        dimensions: this.dimensions,
+        vectors: Object.fromEntries(this.vectors),
+        lastUpdated: new Date().toISOString()
+      }));
+      await fs.rename(tempFile, this.filePath);
+    } catch (error) {
+      console.error('[VectorIndex] Persist error:', error);
+      await fs.unlink(tempFile).catch(() => {});
+    }
+  }
+
+  /**
+   * Empty the index for a new embedder
+   */
+  reset(embedder) {
+    this.embedder = embedder;
+    this.dimensions = null;
+    this.vectors.clear();
+  }
+
+  has(id) {
+    return this.vectors.has(id);
+  }
+
+  get(id) {
+    return this.vectors.get(id) || null;
+  }
+
+  set(id, vector) {
+    this.dimensions = vector.length;
+    // 6 decimals keep the file small without changing rankings
+    this.vectors.set(id, vector.map(value => Math.round(value * 1e6) / 1e6));
+  }
+
+  /**
+   * Drop vectors by id; returns how many were removed
+   */
+  delete(ids) {
+    return ids.filter(id => this.vectors.delete(id)).length;
+  }
+
+  /**
+   * Move vectors to new ids (Map old → new); returns how many moved
+   */
+  rename(idMap) {
+    let moved = 0;
+    for (const [oldId, newId] of idMap) {
+      const vector = this.vectors.get(oldId);
+      if (vector && oldId !== newId) {
+        this.vectors.delete(oldId);
+        this.vectors.set(newId, vector);
+        moved++;
+      }
+    }
+    return moved;
+  }
+
+  /**
+   * Drop vectors whose id isn't in keepIds; returns how many were removed
+   */
+  retain(keepIds) {
+    let removed = 0;
+    for (const id of this.vectors.keys()) {
+      if (!keepIds.has(id)) {
+        this.vectors.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Cosine similarity of the query vector to each listed id that has a vector
+   * Returns Map(id → similarity)
+   */
+  similarities(queryVector, ids) {
+    const scores = new Map();
+    for (const id of ids) {
+      const vector = this.vectors.get(id);
+      if (vector) {
+        scores.set(id, EmbeddingService.similarity(queryVector, vector));
+      }
+    }
+    return scores;
+  }
+}
+
+module.exports = VectorIndex;
@@ -65,16 +65,16 @@ Make questions test real understanding, not just memorization.`
 };
 
 class StudyService {
-  constructor(openai) {
-    this.openai = openai;
+  constructor(llm) {
+    this.llm = llm;
   }
 
-  async generateLesson(topic, level = 'intermediate') {
+  async generateLesson(topic, level = 'intermediate', { signal = null } = {}) {
     const prompt = prompts.lesson
       .replace('{topic}', topic)
       .replace('{level}', level);
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages: [
         { role: 'system', content: prompts.system },
@@ -82,7 +82,7 @@ class StudyService {
       ],
       max_tokens: 2000,
       temperature: 0.7
-    });
+    }, { signal, purpose: 'study' });
 
     return {
       type: 'lesson',
@@ -93,12 +93,12 @@ class StudyService {
     };
   }
 
-  async generatePractice(topic, level = 'intermediate') {
+  async generatePractice(topic, level = 'intermediate', { signal = null } = {}) {
     const prompt = prompts.practice
       .replace('{topic}', topic)
       .replace('{level}', level);
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages: [
         { role: 'system', content: prompts.system },
@@ -106,7 +106,7 @@ class StudyService {
       ],
       max_tokens: 2000,
       temperature: 0.7
-    });
+    }, { signal, purpose: 'study' });
 
     return {
       type: 'practice',
@@ -117,10 +117,10 @@ class StudyService {
     };
   }
 
-  async generateFlashcards(topic) {
+  async generateFlashcards(topic, { signal = null } = {}) {
     const prompt = prompts.flashcards.replace('{topic}', topic);
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages: [
         { role: 'system', content: prompts.system },
@@ -128,7 +128,7 @@ class StudyService {
       ],
       max_tokens: 1500,
       temperature: 0.7
-    });
+    }, { signal, purpose: 'study' });
 
     // Parse flashcards into structured format
     const content = response.choices[0].message.content;
@@ -144,10 +144,10 @@ class StudyService {
     };
   }
 
-  async generateQuiz(topic) {
+  async generateQuiz(topic, { signal = null } = {}) {
     const prompt = prompts.quiz.replace('{topic}', topic);
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages: [
         { role: 'system', content: prompts.system },
@@ -155,7 +155,7 @@ class StudyService {
       ],
       max_tokens: 2000,
       temperature: 0.7
-    });
+    }, { signal, purpose: 'study' });
 
     return {
       type: 'quiz',
@@ -194,7 +194,7 @@ class StudyService {
   }
 
   // Explain a concept in simple terms
-  async explain(concept, context = '') {
+  async explain(concept, context = '', { signal = null } = {}) {
     const prompt = `Explain "${concept}" in simple terms.${context ? `\n\nContext: ${context}` : ''}
     
 Use the Feynman technique:
@@ -203,7 +203,7 @@ Use the Feynman technique:
 3. Use analogies
 4. Simplify further if needed`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       messages: [
         { role: 'system', content: prompts.system },
@@ -211,7 +211,7 @@ Use the Feynman technique:
       ],
       max_tokens: 1000,
       temperature: 0.7
-    });
+    }, { signal, purpose: 'study' });
 
     return {
       type: 'explanation',
@@ -6,16 +6,22 @@
  * 2. Generate recency-weighted summary
  * 3. Mark old messages as summarized
  * 4. Continue with summary + new messages
+ *
+ * options.onSummarized({ session, messages }) is called after each summary with the
+ * messages it covered (used for memory extraction); it runs in the background.
  */
 
 const dbConfig = require('../../config/database');
+const aiConfig = require('../../config/ai-config');
 const database = require('./storage/database');
 const fileStorage = require('./storage/fileStorage');
+const tokenizer = require('./tokenizer');
 
 class SummarizerService {
-  constructor(openai) {
-    this.openai = openai;
+  constructor(llm, options = {}) {
+    this.llm = llm;
     this.config = dbConfig.session;
+    this.onSummarized = options.onSummarized || null;
   }
 
   /**
@@ -97,7 +103,7 @@ class SummarizerService {
     const summaryPrompt = this.buildSummaryPrompt(previousSummaryText, messageContents);
 
     // Generate summary using cheap model
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat.completions.create({
       model: this.config.summaryModel,
       messages: [
         { role: 'system', content: this.getSummarizerSystemPrompt() },
@@ -105,7 +111,7 @@ class SummarizerService {
       ],
       max_tokens: 1000, // Summaries should be concise
       temperature: 0.3  // Low temperature for consistency
-    });
+    }, { purpose: 'summary' });
 
     const summaryText = response.choices[0].message.content;
     const summaryTokens = response.usage?.total_tokens || 0;
@@ -135,6 +141,12 @@ class SummarizerService {
     // Mark messages as summarized
     await database.markMessagesSummarized(messages.map(m => m.id));
 
+    if (this.onSummarized) {
+      database.getSession(sessionId)
+        .then(session => this.onSummarized({ session, messages: messageContents }))
+        .catch(err => console.error('[Summarizer] onSummarized error:', err.message));
+    }
+
     return {
       summary: summaryText,
       coveredMessages: messages.length,
@@ -155,12 +167,13 @@ class SummarizerService {
       prompt += `## Conversation to Summarize\n`;
     }
 
-    // Add messages with recency indicators
+    // Add messages with recency indicators; long pastes are cut so the prompt fits the summary model
     const total = messages.length;
     messages.forEach((msg, index) => {
       const recencyWeight = index >= total - 3 ? '[RECENT]' : '';
       const role = msg.role === 'user' ? 'User' : 'Assistant';
-      prompt += `${recencyWeight} ${role}: ${msg.content}\n\n`;
+      const content = tokenizer.truncate(msg.content, aiConfig.context.summarizerMessageTokens, this.config.summaryModel).text;
+      prompt += `${recencyWeight} ${role}: ${content}\n\n`;
     });
 
     prompt += `\nGenerate a comprehensive summary following the guidelines.`;
@@ -231,7 +244,8 @@ Brief description of what this conversation is about (1-2 sentences)
       if (content) {
         activeMessages.push({
           role: content.role,
-          content: content.content
+          content: content.content,
+          intent: content.metadata?.intent || null
         });
       }
     }
@@ -0,0 +1,139 @@
+/**
+ * Tokenizer
+ *
+ * BPE token counts for the model families in config/model-registry.js
+ * (o200k_base for GPT-4o/4.1/o-series, cl100k_base for older GPT and as an
+ * approximation for Claude). Vocabularies load lazily on first use.
+ *
+ * BPE merging is quadratic in the length of a single pre-token, so unbroken runs
+ * (minified code, long hashes, "xxxxx...") are encoded in fixed-size pieces;
+ * this can shift a count by a token at each cut but keeps large inputs fast.
+ * Counts for long texts are cached since the same history is counted on every turn.
+ */
+
+const { getEncoding } = require('js-tiktoken');
+const modelRegistry = require('../../config/model-registry');
+
+// Chat format framing: tokens per message (role, separators) and to prime the reply
+const MESSAGE_OVERHEAD = 3;
+const REPLY_PRIMING = 3;
+
+const MAX_RUN_LENGTH = 64;
+const LONG_RUN = new RegExp(`(\\S{${MAX_RUN_LENGTH}})`);
+const CACHE_MIN_LENGTH = 2000;
+const CACHE_SIZE = 500;
+
+class Tokenizer {
+  constructor() {
+    this.encodings = new Map();
+    this.cache = new Map();
+  }
+
+  /**
+   * Encoding for a model name (defaults to the registry's fallback for unknown models)
+   */
+  getEncoding(model) {
+    const name = modelRegistry.getModelInfo(model).encoding || modelRegistry.defaults.encoding;
+    if (!this.encodings.has(name)) {
+      this.encodings.set(name, getEncoding(name));
+    }
+    return { name, encoding: this.encodings.get(name) };
+  }
+
+  /**
+   * Token ids for text
+   */
+  encode(text, model) {
+    const { encoding } = this.getEncoding(model);
+    if (!LONG_RUN.test(text)) {
+      return encoding.encode(text);
+    }
+
+    const tokens = [];
+    for (const part of text.split(LONG_RUN)) {
+      if (part) tokens.push(...encoding.encode(part));
+    }
+    return tokens;
+  }
+
+  /**
+   * Number of tokens in text
+   */
+  count(text, model) {
+    if (!text) return 0;
+    if (text.length < CACHE_MIN_LENGTH) {
+      return this.encode(text, model).length;
+    }
+
+    const key = `${this.getEncoding(model).name}:${text}`;
+    if (this.cache.has(key)) {
+      // Re-insert to keep recently used entries at the end
+      const cached = this.cache.get(key);
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached;
+    }
+
+    const tokens = this.encode(text, model).length;
+    this.cache.set(key, tokens);
+    if (this.cache.size > CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return tokens;
+  }
+
+  /**
+   * Tokens for one chat message: content (text parts), tool calls and framing
+   */
+  countMessage(message, model) {
+    const content = Array.isArray(message.content)
+      ? message.content.map(part => part.text || '').join('')
+      : message.content || '';
+    const toolCalls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+    return this.count(content, model) + this.count(toolCalls, model) + MESSAGE_OVERHEAD;
+  }
+
+  /**
+   * Tokens for a full prompt (message list plus reply priming)
+   */
+  countMessages(messages = [], model) {
+    return messages.reduce((total, message) => total + this.countMessage(message, model), REPLY_PRIMING);
+  }
+
+  /**
+   * Cut text to at most maxTokens, keeping the start and end with a marker between
+   * them (or only the start with keep: 'head'). Returns { text, tokens, trimmed }.
+   */
+  truncate(text, maxTokens, model, { keep = 'both' } = {}) {
+    const tokens = this.encode(text || '', model);
+    if (tokens.length <= maxTokens) {
+      return { text, tokens: tokens.length, trimmed: false };
+    }
+
+    const { encoding } = this.getEncoding(model);
+    const removed = tokens.length - maxTokens;
+    const marker = `\n\n[... ${removed} tokens omitted ...]\n\n`;
+    let available = Math.max(0, maxTokens - encoding.encode(marker).length);
+
+    // Re-encoding around the cut can merge differently, so shrink until it fits
+    for (;;) {
+      let result;
+      if (keep === 'head') {
+        result = encoding.decode(tokens.slice(0, available)) + marker;
+      } else {
+        const head = Math.ceil(available * 2 / 3);
+        const tail = available - head;
+        result = encoding.decode(tokens.slice(0, head)) + marker +
+          (tail > 0 ? encoding.decode(tokens.slice(tokens.length - tail)) : '');
+      }
+
+      const count = this.count(result, model);
+      if (count <= maxTokens || available === 0) {
+        return { text: result, tokens: count, trimmed: true };
+      }
+      available = Math.max(0, available - (count - maxTokens));
+    }
+  }
+}
+
+module.exports = new Tokenizer();
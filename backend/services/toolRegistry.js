@@ -0,0 +1,370 @@
+/**
+ * Tool Registry
+ *
+ * Single source of truth for tools. Each tool declares:
+ * - name, description
+ * - parameters: JSON schema for function calling (omit for prompt-only modes like "code")
+ * - patch: system prompt patch added when the tool is enabled
+ * - handler(args, context): runs the tool, returns { result, sources }
+ *   context: { services, signal, userId } - userId scopes per-user data (null when auth is disabled)
+ * - ui: { label, icon, toggle, order } for the frontend toggle bar
+ *
+ * Built-in tools are registered here; custom tools are loaded from plugins/ at startup.
+ * Registered tools show up in GET /api/tools, the planner prompt, the agent loop and the UI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const promptConfig = require('../../config/prompts');
+
+const STUDY_TYPES = ['lesson', 'practice', 'flashcards', 'quiz', 'explain'];
+const CODE_LANGUAGES = ['javascript', 'python'];
+
+// SVG path markup for built-in toggle icons (24x24 viewBox, stroked)
+const ICONS = {
+  search: '<circle cx="11" cy="11" r="8"/><path d="M21 21l-4.35-4.35"/>',
+  research: '<path d="M12 6.042A8.967 8.967 0 006 3.75c-1.052 0-2.062.18-3 .512v14.25A8.987 8.987 0 016 18c2.305 0 4.408.867 6 2.292m0-14.25a8.966 8.966 0 016-2.292c1.052 0 2.062.18 3 .512v14.25A8.987 8.987 0 0018 18a8.967 8.967 0 00-6 2.292m0-14.25v14.25"/>',
+  study: '<path d="M4.26 10.147a60.436 60.436 0 00-.491 6.347A48.627 48.627 0 0112 20.904a48.627 48.627 0 018.232-4.41 60.46 60.46 0 00-.491-6.347m-15.482 0a50.57 50.57 0 00-2.658-.813A59.905 59.905 0 0112 3.493a59.902 59.902 0 0110.399 5.84c-.896.248-1.783.52-2.658.814m-15.482 0A50.697 50.697 0 0112 13.489a50.702 50.702 0 017.74-3.342"/>',
+  code: '<path d="M17.25 6.75L22.5 12l-5.25 5.25m-10.5 0L1.5 12l5.25-5.25m7.5-3l-4.5 16.5"/>',
+  creative: '<path d="M9.53 16.122a3 3 0 00-5.78 1.128 2.25 2.25 0 01-2.4 2.245 4.5 4.5 0 008.4-2.245c0-.399-.078-.78-.22-1.128zm0 0a15.998 15.998 0 003.388-1.62m-5.043-.025a15.994 15.994 0 011.622-3.395m3.42 3.42a15.995 15.995 0 004.764-4.648l3.876-5.814a1.151 1.151 0 00-1.597-1.597L14.146 6.32a15.996 15.996 0 00-4.649 4.763m3.42 3.42a6.776 6.776 0 00-3.42-3.42"/>',
+  plugin: '<path d="M14.25 6.087c0-.355.186-.676.401-.959.221-.29.349-.634.349-1.003 0-1.036-1.007-1.875-2.25-1.875s-2.25.84-2.25 1.875c0 .369.128.713.349 1.003.215.283.401.604.401.959v0a.64.64 0 01-.657.643 48.39 48.39 0 01-4.163-.3c.186 1.613.293 3.25.315 4.907a.656.656 0 01-.658.663v0c-.355 0-.676-.186-.959-.401a1.647 1.647 0 00-1.003-.349c-1.036 0-1.875 1.007-1.875 2.25s.84 2.25 1.875 2.25c.369 0 .713-.128 1.003-.349.283-.215.604-.401.959-.401v0c.31 0 .555.26.532.57a48.039 48.039 0 01-.642 5.056c1.518.19 3.058.309 4.616.354a.64.64 0 00.657-.643v0c0-.355-.186-.676-.401-.959a1.647 1.647 0 01-.349-1.003c0-1.035 1.008-1.875 2.25-1.875 1.243 0 2.25.84 2.25 1.875 0 .369-.128.713-.349 1.003-.215.283-.4.604-.4.959v0c0 .333.277.599.61.58a48.1 48.1 0 005.427-.63 48.05 48.05 0 00.582-4.717.532.532 0 00-.533-.57v0c-.355 0-.676.186-.959.401-.29.221-.634.349-1.003.349-1.035 0-1.875-1.007-1.875-2.25s.84-2.25 1.875-2.25c.37 0 .713.128 1.003.349.283.215.604.401.96.401v0a.656.656 0 00.658-.663 48.422 48.422 0 00-.37-5.36c-1.886.342-3.81.574-5.766.689a.578.578 0 01-.61-.58v0z"/>'
+};
+
+class ToolRegistry {
+  constructor(services) {
+    this.services = services;
+    this.tools = new Map();
+
+    for (const tool of this.builtinTools()) {
+      this.register(tool, 'builtin');
+    }
+  }
+
+  /**
+   * Register a tool definition
+   */
+  register(tool, source = 'plugin') {
+    if (!tool || typeof tool.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      throw new Error('Tool must have a name matching [a-zA-Z0-9_-]{1,64}');
+    }
+    if (!tool.description) {
+      throw new Error(`Tool "${tool.name}" must have a description`);
+    }
+    if (tool.handler && typeof tool.handler !== 'function') {
+      throw new Error(`Tool "${tool.name}" handler must be a function`);
+    }
+    if (tool.handler && tool.parameters?.type !== 'object') {
+      throw new Error(`Tool "${tool.name}" parameters must be a JSON schema object`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool "${tool.name}" is already registered`);
+    }
+
+    this.tools.set(tool.name, {
+      ...tool,
+      source,
+      isAvailable: tool.isAvailable || (() => true)
+    });
+
+    // Prompt patch joins the constructive system prompt
+    if (tool.patch) {
+      promptConfig.registerToolPatch(tool.name, tool.patch);
+    }
+  }
+
+  /**
+   * Load every plugin module in a directory
+   * Files starting with "_" are skipped (templates, disabled plugins)
+   */
+  loadPlugins(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const loaded = [];
+    const files = fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+      .sort();
+
+    for (const file of files) {
+      try {
+        const tool = require(path.join(dir, file));
+        this.register(tool, 'plugin');
+        loaded.push(tool.name);
+      } catch (error) {
+        console.error(`[Tools] Failed to load plugin ${file}:`, error.message);
+      }
+    }
+
+    if (loaded.length > 0) {
+      console.log(`[Tools] Loaded plugins: ${loaded.join(', ')}`);
+    }
+    return loaded;
+  }
+
+  get(name) {
+    const tool = this.tools.get(name);
+    return tool && tool.isAvailable(this.services) ? tool : null;
+  }
+
+  has(name) {
+    return !!this.get(name);
+  }
+
+  /**
+   * True for plugin tools (they only run through the agent loop)
+   */
+  isPlugin(name) {
+    return this.tools.get(name)?.source === 'plugin';
+  }
+
+  /**
+   * Available tools, ordered for display
+   */
+  list() {
+    return Array.from(this.tools.values())
+      .filter(tool => tool.isAvailable(this.services))
+      .sort((a, b) => (a.ui?.order ?? 100) - (b.ui?.order ?? 100));
+  }
+
+  /**
+   * Public description for GET /api/tools
+   */
+  describe() {
+    return this.list().map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters || null,
+      callable: !!tool.handler,
+      source: tool.source,
+      ui: tool.ui ? { icon: ICONS.plugin, ...tool.ui } : null
+    }));
+  }
+
+  /**
+   * Tool list for the planner prompt
+   */
+  describeForPlanner() {
+    return this.list()
+      .map(tool => `- ${tool.name}: ${tool.description}`)
+      .join('\n');
+  }
+
+  /**
+   * Callable tool definitions in chat completions `tools` format
+   */
+  getDefinitions(names = null) {
+    return this.list()
+      .filter(tool => tool.handler && (!names || names.includes(tool.name)))
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+  }
+
+  /**
+   * Execute a tool call
+   * Returns { result, sources } - unknown tools and bad arguments throw
+   */
+  async execute(name, args, run = {}) {
+    const tool = this.get(name);
+    if (!tool || !tool.handler) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    for (const field of tool.parameters.required || []) {
+      if (args[field] === undefined || args[field] === '') {
+        throw new Error(`Missing required argument "${field}" for ${name}`);
+      }
+    }
+
+    const output = await tool.handler(args, {
+      services: this.services,
+      signal: run.signal,
+      userId: run.userId ?? null,
+      memoryScopes: run.memoryScopes ?? null
+    });
+    return {
+      result: output?.result !== undefined ? output.result : output,
+      sources: output?.sources || []
+    };
+  }
+
+  // ==================== BUILT-IN TOOLS ====================
+
+  builtinTools() {
+    return [
+      {
+        name: 'web_search',
+        description: 'Search the web for current information. Returns titles, URLs and snippets.',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Search query' },
+            limit: { type: 'integer', description: 'Number of results (1-10)', default: 5 }
+          },
+          required: ['query']
+        },
+        ui: { label: 'Search', title: 'Web Search', icon: ICONS.search, toggle: true, order: 10 },
+        isAvailable: (services) => !!services.search,
+        handler: (args, context) => this.webSearch(args, context)
+      },
+      {
+        name: 'fetch_url',
+        description: 'Fetch a web page and return its readable text content.',
+        parameters: {
+          type: 'object',
+          properties: {
+            url: { type: 'string', description: 'Absolute http(s) URL' }
+          },
+          required: ['url']
+        },
+        isAvailable: (services) => !!services.fetcher,
+        handler: (args, context) => this.fetchUrl(args, context)
+      },
+      {
+        name: 'research',
+        description: 'Run multi-source deep research on a question and return a cited report. Slow; use for in-depth questions only.',
+        parameters: {
+          type: 'object',
+          properties: {
+            question: { type: 'string', description: 'Research question' }
+          },
+          required: ['question']
+        },
+        ui: { label: 'Research', title: 'Deep Research', icon: ICONS.research, toggle: true, order: 20 },
+        isAvailable: (services) => !!services.research,
+        handler: (args, context) => this.research(args, context)
+      },
+      {
+        name: 'study',
+        description: 'Generate study material: a lesson, practice questions, flashcards, a quiz or a simple explanation.',
+        parameters: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: STUDY_TYPES },
+            topic: { type: 'string', description: 'Topic or concept' },
+            level: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'], default: 'intermediate' }
+          },
+          required: ['type', 'topic']
+        },
+        ui: { label: 'Study', title: 'Study Mode', icon: ICONS.study, toggle: true, order: 30 },
+        isAvailable: (services) => !!services.study,
+        handler: (args, context) => this.study(args, context)
+      },
+      {
+        name: 'code',
+        description: 'Code assistance mode: writing, debugging and explaining code.',
+        ui: { label: 'Code', title: 'Code Assistant', icon: ICONS.code, toggle: true, order: 40 }
+      },
+      {
+        name: 'code_exec',
+        description: 'Run a short JavaScript (Node.js) or Python program in a sandbox and return stdout, stderr and the exit code. No network or file access outside a scratch directory; print results to stdout.',
+        parameters: {
+          type: 'object',
+          properties: {
+            language: { type: 'string', enum: CODE_LANGUAGES },
+            code: { type: 'string', description: 'Complete program source' }
+          },
+          required: ['language', 'code']
+        },
+        isAvailable: (services) => !!services.codeExecutor && services.codeExecutor.getLanguages().length > 0,
+        handler: (args, context) => this.codeExec(args, context)
+      },
+      {
+        name: 'creative',
+        description: 'Creative mode: writing, brainstorming and ideas.',
+        ui: { label: 'Creative', title: 'Creative Mode', icon: ICONS.creative, toggle: true, order: 50 }
+      },
+      {
+        name: 'memory_search',
+        description: "Search the user's saved memories (preferences, facts, notes).",
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'What to look for' },
+            limit: { type: 'integer', default: 5 }
+          },
+          required: ['query']
+        },
+        isAvailable: (services) => !!services.memory,
+        handler: (args, context) => this.memorySearch(args, context)
+      }
+    ];
+  }
+
+  async webSearch({ query, limit = 5 }, { services, signal }) {
+    const results = await services.search.search(query, Math.min(Math.max(limit, 1), 10), { signal });
+    return {
+      result: results.map((r, i) => ({ id: i + 1, title: r.title, url: r.url, snippet: r.snippet })),
+      sources: results.map(r => ({ title: r.title, url: r.url }))
+    };
+  }
+
+  async fetchUrl({ url }, { services, signal }) {
+    if (!/^https?:\/\//i.test(url)) {
+      throw new Error('Only http(s) URLs can be fetched');
+    }
+    const page = await services.fetcher.fetch(url, { signal });
+    if (!page.success) {
+      throw new Error(`Fetch failed: ${page.error}`);
+    }
+    return {
+      result: { title: page.title, url: page.url, content: page.content },
+      sources: [{ title: page.title, url: page.url }]
+    };
+  }
+
+  async research({ question }, { services, signal }) {
+    const report = await services.research.research(question, {
+      depth: 1,
+      maxSources: 5,
+      signal
+    });
+    return {
+      result: { report: report.synthesis, sources: report.sources },
+      sources: report.sources.map(s => ({ title: s.title, url: s.url }))
+    };
+  }
+
+  async study({ type, topic, level = 'intermediate' }, { services, signal }) {
+    const study = services.study;
+    let material;
+    switch (type) {
+      case 'lesson':
+        material = await study.generateLesson(topic, level, { signal });
+        break;
+      case 'practice':
+        material = await study.generatePractice(topic, level, { signal });
+        break;
+      case 'flashcards':
+        material = await study.generateFlashcards(topic, { signal });
+        break;
+      case 'quiz':
+        material = await study.generateQuiz(topic, { signal });
+        break;
+      case 'explain':
+        material = await study.explain(topic, '', { signal });
+        break;
+      default:
+        throw new Error(`Unknown study type "${type}" (expected ${STUDY_TYPES.join(', ')})`);
+    }
+    return { result: { type: material.type, content: material.content } };
+  }
+
+  async codeExec({ language, code }, { services, signal }) {
+    const execution = await services.codeExecutor.execute(language, code, { signal });
+    return { result: execution };
+  }
+
+  async memorySearch({ query, limit = 5 }, { services, userId, memoryScopes }) {
+    const memories = await services.memory.search(query, { limit, userId, scopes: memoryScopes });
+    return {
+      result: memories.map(m => ({ id: m.id, content: m.content, type: m.type, scope: m.scope, timestamp: m.timestamp }))
+    };
+  }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,221 @@
+/**
+ * Usage Service
+ *
+ * Ledger of every model call: who made it (user, session, request), why (purpose:
+ * planner, executor, research_synthesis, title, ...), which model answered and the
+ * prompt/completion tokens with their estimated cost. Rows live in Postgres
+ * (usage_events); without the database nothing is recorded and budgets are off.
+ *
+ * Request context (user, session, request id) is carried with AsyncLocalStorage so
+ * services deep in a request don't need to thread it through every call.
+ *
+ * Monthly budgets (aiConfig.budget) either block further calls (402) or downgrade
+ * them to a cheaper model once a user - or everyone combined - has spent the limit.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const database = require('./storage/database');
+const aiConfig = require('../../config/ai-config');
+
+// How long a cached monthly spend is trusted before re-reading the ledger
+const SPEND_CACHE_MS = 60 * 1000;
+
+class BudgetExceededError extends Error {
+  constructor(message, scope) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.status = 402;
+    this.scope = scope;
+  }
+}
+
+class UsageService {
+  constructor(config = aiConfig.budget) {
+    this.config = config;
+    this.storage = new AsyncLocalStorage();
+    this.spendCache = new Map();
+  }
+
+  get available() {
+    return database.initialized;
+  }
+
+  // ==================== REQUEST CONTEXT ====================
+
+  /**
+   * Run fn with { userId, sessionId, requestId } attached to every model call it makes
+   */
+  runWithContext(context, fn) {
+    return this.storage.run({ userId: null, sessionId: null, requestId: null, ...context }, fn);
+  }
+
+  getContext() {
+    return this.storage.getStore() || {};
+  }
+
+  /**
+   * Fill in context fields learned later in the request (e.g. the chat session id)
+   */
+  setContext(fields) {
+    const store = this.storage.getStore();
+    if (store) {
+      Object.assign(store, fields);
+    }
+  }
+
+  // ==================== RECORDING ====================
+
+  /**
+   * Record one model call. Never throws: a failed write must not fail the request.
+   */
+  async record({ purpose, model, provider, usage }) {
+    if (!this.available || !usage) return;
+
+    const { userId, sessionId, requestId } = this.getContext();
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const costUsd = aiConfig.estimateCost(promptTokens, completionTokens, model).total;
+
+    try {
+      await database.insertUsage({
+        userId: userId || null,
+        sessionId: sessionId || null,
+        requestId: requestId || null,
+        purpose: purpose || 'other',
+        model,
+        provider,
+        promptTokens,
+        completionTokens,
+        costUsd
+      });
+      this.addToCachedSpend(userId || null, costUsd);
+    } catch (error) {
+      console.error('[Usage] Failed to record usage:', error.message);
+    }
+  }
+
+  /**
+   * Wrap a streaming response so usage is recorded when the final chunk arrives
+   */
+  async *recordStream(stream, details) {
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        this.record({ ...details, usage: chunk.usage });
+      }
+      yield chunk;
+    }
+  }
+
+  // ==================== REPORTING ====================
+
+  /**
+   * Totals plus daily/model/session/purpose breakdowns for [from, to)
+   * userId null reports every user
+   */
+  async getSummary(userId, { from, to }) {
+    const summary = await database.getUsageSummary(userId, from, to);
+    return {
+      from,
+      to,
+      ...summary,
+      budget: await this.getBudgetStatus(userId)
+    };
+  }
+
+  // ==================== BUDGETS ====================
+
+  /**
+   * Check the caller's budgets before a model call.
+   * Returns the params to send: unchanged, or with a cheaper model when the budget
+   * action is 'downgrade'. Throws BudgetExceededError when the action is 'block'.
+   */
+  async applyBudget(params) {
+    if (!this.available || (!this.config.monthlyUsd && !this.config.globalMonthlyUsd)) {
+      return params;
+    }
+
+    const exceeded = await this.getExceededBudget(this.getContext().userId || null);
+    if (!exceeded) return params;
+
+    if (this.config.action === 'downgrade') {
+      if (params.model !== this.config.downgradeModel) {
+        console.log(`[Usage] ${exceeded.scope} budget exceeded - using ${this.config.downgradeModel} instead of ${params.model}`);
+      }
+      return { ...params, model: this.config.downgradeModel };
+    }
+
+    throw new BudgetExceededError(
+      `Monthly ${exceeded.scope === 'global' ? 'global ' : ''}budget of $${exceeded.limit.toFixed(2)} reached ($${exceeded.spent.toFixed(2)} spent)`,
+      exceeded.scope
+    );
+  }
+
+  /**
+   * The first exceeded budget ({ scope, limit, spent }) or null
+   */
+  async getExceededBudget(userId) {
+    if (this.config.monthlyUsd) {
+      const spent = await this.getMonthlySpend(userId);
+      if (spent >= this.config.monthlyUsd) {
+        return { scope: 'user', limit: this.config.monthlyUsd, spent };
+      }
+    }
+    if (this.config.globalMonthlyUsd) {
+      const spent = await this.getMonthlySpend(null);
+      if (spent >= this.config.globalMonthlyUsd) {
+        return { scope: 'global', limit: this.config.globalMonthlyUsd, spent };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Budget limits and this month's spend (for GET /api/usage)
+   */
+  async getBudgetStatus(userId) {
+    return {
+      action: this.config.action,
+      monthStart: this.getMonthStart(),
+      monthlyUsd: this.config.monthlyUsd || null,
+      spentUsd: await this.getMonthlySpend(userId),
+      globalMonthlyUsd: this.config.globalMonthlyUsd || null
+    };
+  }
+
+  /**
+   * Spend since the start of the current UTC month (userId null = everyone), cached briefly
+   */
+  async getMonthlySpend(userId) {
+    const monthStart = this.getMonthStart();
+    const cached = this.spendCache.get(userId);
+    if (cached && cached.monthStart === monthStart && Date.now() - cached.loadedAt < SPEND_CACHE_MS) {
+      return cached.spent;
+    }
+
+    const spent = await database.getSpendSince(userId, monthStart);
+    this.spendCache.set(userId, { spent, monthStart, loadedAt: Date.now() });
+    return spent;
+  }
+
+  /**
+   * Keep cached totals current between reloads (the user's and the global one)
+   */
+  addToCachedSpend(userId, cost) {
+    for (const key of new Set([userId, null])) {
+      const cached = this.spendCache.get(key);
+      if (cached) {
+        cached.spent += cost;
+      }
+    }
+  }
+
+  getMonthStart() {
+    const now = new Date();
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+  }
+}
+
+UsageService.BudgetExceededError = BudgetExceededError;
+
+module.exports = UsageService;
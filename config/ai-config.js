@@ -3,6 +3,8 @@
  * Centralized settings for OpenAI API calls
  */
 
+const modelRegistry = require('./model-registry');
+
 module.exports = {
   // Default model
   model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
@@ -74,18 +76,156 @@ module.exports = {
     }
   },
 
-  // Rate limiting (requests per minute)
+  // Retrying transient provider errors (429, 5xx, dropped connections) before failing
+  // over to the model's fallback chain (config/models.js)
+  retry: {
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES ?? 2),  // Per model, after the first attempt
+    baseDelayMs: 500,         // Doubles per retry, with jitter
+    maxDelayMs: 8000,
+    maxRetryAfterMs: 30000    // A longer Retry-After fails over at once instead of waiting
+  },
+
+  // Fitting conversation history into the model's context window (services/contextBuilder.js)
+  // Shares are of the tokens left after the system prompt, reserved output and safety margin
+  context: {
+    safetyMarginTokens: 1000,       // Room for search results / tool output added by handlers
+    summaryShare: 0.25,             // Conversation summary
+    memoryShare: 0.15,              // Injected memories
+    messageShare: 0.5,              // Any single earlier message (long pastes get trimmed)
+    minTrimmedTokens: 200,          // A message trimmed below this is dropped instead
+    summarizerMessageTokens: 2000,  // Per-message cap when sending history to the summarizer
+    plannerMessageTokens: 2000      // The planner sees at most this much of the user's message
+  },
+
+  // How much conversation the planner sees to resolve follow-ups
+  planner: {
+    historyMessages: 6,       // Most recent turns (user + assistant)
+    messageTokens: 150,       // Each turn is cut to this
+    summaryTokens: 300        // Session summary is cut to this
+  },
+
+  // Ask what the user wants instead of guessing when the planner isn't sure
+  clarification: {
+    enabled: process.env.CLARIFICATION_ENABLED !== 'false',
+    confidenceThreshold: parseFloat(process.env.CLARIFICATION_THRESHOLD) || 0.5,  // Planner confidence below this asks
+    maxChoices: 3,
+    labels: {
+      chat: 'Just explain',
+      search: 'Search the web',
+      research: 'Research it in depth',
+      study: 'Teach me step by step',
+      code: 'Write code',
+      creative: 'Brainstorm ideas',
+      agent: 'Use tools'
+    }
+  },
+
+  // Long-term memory added to the system prompt each turn (services/memory.js getContext)
+  // Can be turned off per request (useMemory: false) or per session (PATCH memoryEnabled)
+  memory: {
+    enabled: process.env.MEMORY_CONTEXT_ENABLED !== 'false',
+    contextTokens: parseInt(process.env.MEMORY_CONTEXT_TOKENS) || 500
+  },
+
+  // Embeddings for semantic memory search (services/embeddings.js)
+  // embedder: 'auto' (provider's embeddings API when it has one, else local), 'provider' or 'local' (offline, no API calls)
+  embeddings: {
+    embedder: process.env.EMBEDDER || 'auto',
+    provider: process.env.EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || 'openai',
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    localDimensions: 512,
+    batchSize: 64,              // Texts per embeddings API call
+    inputTokens: 2000           // Longer texts are cut before embedding
+  },
+
+  // Hybrid memory ranking (services/memory.js search): semantic similarity blended with keyword score
+  memorySearch: {
+    semanticWeight: 0.7,        // Share of the score from embeddings (the rest from keywords)
+    minSimilarity: parseFloat(process.env.MEMORY_MIN_SIMILARITY) || 0.3,  // Below this a memory doesn't count as a semantic match
+    minRelevance: parseFloat(process.env.MEMORY_MIN_RELEVANCE) || 0.05,   // Blended match score a memory needs before recency and importance count
+    importanceWeight: 0.1       // Score bonus per unit of importance (0..1)
+  },
+
+  // Memory lifecycle (services/memory.js): promotion, decay, expiry and consolidation
+  memoryLifecycle: {
+    maintenanceMinutes: parseInt(process.env.MEMORY_MAINTENANCE_MINUTES ?? 60),  // 0 turns the periodic job off
+    defaultImportance: 0.5,
+    promoteAfterUses: 3,        // Short-term memories used this often in prompts move to long-term
+    importantThreshold: 0.8,    // Short-term memories this important are promoted instead of dropped
+    shortTermDays: parseInt(process.env.MEMORY_SHORT_TERM_DAYS) || 14,  // Unused short-term memories decay after this
+    mergeSimilarity: 0.9,       // Cosine similarity at which long-term memories are merged
+    mergeWordOverlap: 0.8,      // Word overlap used instead when either memory has no vector
+    historyLimit: 20            // Edits and merges kept per memory
+  },
+
+  // Automatic memory extraction from conversations (services/memoryExtractor.js)
+  // Runs after each assistant turn ('turn') or when a session is summarized ('summary')
+  memoryExtraction: {
+    enabled: process.env.MEMORY_EXTRACTION_ENABLED !== 'false',
+    trigger: process.env.MEMORY_EXTRACTION_TRIGGER || 'turn',
+    autoAccept: process.env.MEMORY_EXTRACTION_AUTO_ACCEPT === 'true', // Skip the pending review queue
+    minConfidence: 0.7,
+    maxPerTurn: 3,
+    messageTokens: 1000,        // Per message in the extraction transcript
+    similarityThreshold: 0.8    // Word overlap above which a memory counts as a duplicate
+  },
+
+  // Multi-step execution plans for complex requests (services/planExecutor.js)
+  execution: {
+    enabled: process.env.EXECUTION_PLANS_ENABLED !== 'false',
+    skipIntents: ['research', 'study', 'agent'],  // Intents with their own multi-step pipelines
+    maxSteps: 6,
+    planTokens: 800,            // Completion tokens for the plan itself
+    searchResults: 5,           // Results per search_web step
+    fetchUrls: 3,               // Pages read by fetch_content when it takes URLs from searches
+    stepOutputTokens: 2000,     // Each step's output as passed to later steps
+    resultTokens: 6000          // All step results given to the final step (reserved in its context)
+  },
+
+  // Function-calling agent loop
+  agent: {
+    maxIterations: parseInt(process.env.AGENT_MAX_ITERATIONS) || 5,   // Model turns before forcing an answer
+    tokenBudget: parseInt(process.env.AGENT_TOKEN_BUDGET) || 20000,   // Total tokens across all turns
+    maxToolResultChars: 4000                                          // Tool output sent back to the model
+  },
+
+  // Sandboxed code execution (code_exec tool)
+  codeExec: {
+    enabled: process.env.CODE_EXEC_ENABLED !== 'false',
+    // Python only runs under OS isolation (Linux namespaces); without it Python is left out
+    python: process.env.CODE_EXEC_PYTHON !== 'false',
+    timeoutMs: parseInt(process.env.CODE_EXEC_TIMEOUT_MS) || 5000,
+    memoryMb: parseInt(process.env.CODE_EXEC_MEMORY_MB) || 128,
+    maxOutputChars: 10000
+  },
+
+  // Rate limiting (requests per minute, per user - or per IP when auth is disabled)
+  // Each limit can be overridden with RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_CHAT=60; 0 disables it
   rateLimit: {
-    chat: 20,
-    search: 10,
-    research: 5
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    store: process.env.RATE_LIMIT_STORE || 'memory', // 'memory' or 'postgres' (shared across instances)
+    windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60,
+    chat: parseInt(process.env.RATE_LIMIT_CHAT ?? 20),
+    search: parseInt(process.env.RATE_LIMIT_SEARCH ?? 10),
+    research: parseInt(process.env.RATE_LIMIT_RESEARCH ?? 5),
+    study: parseInt(process.env.RATE_LIMIT_STUDY ?? 10),
+
+    // Which /api paths count against which limit (prefix match)
+    routes: {
+      chat: ['/chat'],
+      search: ['/search', '/search-summarize'],
+      research: ['/research'],
+      study: ['/study/']
+    }
   },
 
-  // Cost estimation (per 1K tokens, USD)
-  // Based on gpt-4o-mini pricing as of 2024
-  costPer1kTokens: {
-    input: 0.00015,
-    output: 0.0006
+  // Monthly spending budgets (USD, calendar month in UTC); 0 = unlimited
+  // When exceeded, 'block' rejects model calls with 402 and 'downgrade' switches them to downgradeModel
+  budget: {
+    monthlyUsd: parseFloat(process.env.BUDGET_MONTHLY_USD) || 0,               // Per user
+    globalMonthlyUsd: parseFloat(process.env.BUDGET_GLOBAL_MONTHLY_USD) || 0,  // All users combined
+    action: process.env.BUDGET_ACTION || 'block',
+    downgradeModel: process.env.BUDGET_DOWNGRADE_MODEL || process.env.PLANNER_MODEL || 'gpt-4o-mini'
   },
 
   // Helper function to get token config
@@ -99,14 +239,8 @@ module.exports = {
     return this.tokens.chat.maxOutput; // fallback
   },
 
-  // Helper to estimate cost
-  estimateCost(inputTokens, outputTokens) {
-    const inputCost = (inputTokens / 1000) * this.costPer1kTokens.input;
-    const outputCost = (outputTokens / 1000) * this.costPer1kTokens.output;
-    return {
-      input: inputCost,
-      output: outputCost,
-      total: inputCost + outputCost
-    };
+  // Helper to estimate cost (per-model prices live in config/model-registry.js)
+  estimateCost(inputTokens, outputTokens, model = this.model) {
+    return modelRegistry.estimateCost(model, inputTokens, outputTokens);
   }
 };
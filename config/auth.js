@@ -0,0 +1,37 @@
+/**
+ * Authentication Configuration
+ * Local username/password accounts and API tokens
+ */
+
+module.exports = {
+  // Accounts are required unless AUTH_ENABLED=false; requests fail with 503
+  // while PostgreSQL is down. false: single-user local setups, where every
+  // request runs as an unscoped "local" user that sees all data (the
+  // pre-accounts behaviour).
+  enabled: process.env.AUTH_ENABLED !== 'false',
+
+  // The first account can always be created; later sign-ups need this flag
+  allowRegistration: process.env.AUTH_ALLOW_REGISTRATION === 'true',
+
+  // Browser login sessions (cookie + bearer token)
+  sessionTtlHours: parseInt(process.env.AUTH_SESSION_TTL_HOURS) || 24 * 14,
+  cookieName: 'auth_token',
+
+  // Account rules
+  username: {
+    pattern: /^[a-zA-Z0-9_.-]{3,32}$/,
+    description: '3-32 characters: letters, digits, "_", "." or "-"'
+  },
+  passwordMinLength: 8,
+
+  // scrypt parameters for password hashing
+  scrypt: {
+    keyLength: 64,
+    cost: 16384,
+    blockSize: 8,
+    parallelization: 1
+  },
+
+  // Prefix for generated tokens (makes leaked tokens easy to grep for)
+  tokenPrefix: 'dcg_'
+};
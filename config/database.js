@@ -33,5 +33,16 @@ module.exports = {
     summaryModel: 'gpt-4o-mini',     // Cheap model for summarization
     titleModel: 'gpt-4o-mini',       // Model for auto-titling
     defaultPageSize: 4,              // Default messages per page (2 user + 2 agent)
+  },
+
+  // Session search (GET /api/sessions/search)
+  search: {
+    snippetsPerSession: 3,           // Best-matching messages shown per session
+    maxResults: 50,                  // Most sessions per page
+  },
+
+  // Conversation import (POST /api/import)
+  import: {
+    maxSizeMb: parseInt(process.env.IMPORT_MAX_MB) || 50,  // Largest export file accepted
   }
 };
@@ -0,0 +1,114 @@
+/**
+ * Model Registry
+ * What each model can do and what it costs, independent of which role uses it
+ *
+ * - contextWindow: max prompt + completion tokens
+ * - maxOutput: max completion tokens per call
+ * - pricing: USD per 1K input/output tokens
+ * - capabilities: json (JSON mode, emulated for Anthropic), tools (function calling), vision (image input)
+ * - encoding: BPE vocabulary used to count tokens (Anthropic doesn't publish one; cl100k_base is close)
+ *
+ * Dated snapshots resolve to their family (gpt-4o-2024-08-06 → gpt-4o).
+ * Add or override entries (e.g. for local models) with a JSON file of the same
+ * shape at MODEL_REGISTRY_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ALL = { json: true, tools: true, vision: true };
+const NO_VISION = { json: true, tools: true, vision: false };
+const NONE = { json: false, tools: false, vision: false };
+
+const models = {
+  // OpenAI
+  'gpt-4o-mini': { contextWindow: 128000, maxOutput: 16384, pricing: { input: 0.00015, output: 0.0006 }, capabilities: ALL, encoding: 'o200k_base' },
+  'gpt-4o': { contextWindow: 128000, maxOutput: 16384, pricing: { input: 0.0025, output: 0.01 }, capabilities: ALL, encoding: 'o200k_base' },
+  'gpt-4.1': { contextWindow: 1047576, maxOutput: 32768, pricing: { input: 0.002, output: 0.008 }, capabilities: ALL, encoding: 'o200k_base' },
+  'gpt-4.1-mini': { contextWindow: 1047576, maxOutput: 32768, pricing: { input: 0.0004, output: 0.0016 }, capabilities: ALL, encoding: 'o200k_base' },
+  'gpt-4.1-nano': { contextWindow: 1047576, maxOutput: 32768, pricing: { input: 0.0001, output: 0.0004 }, capabilities: ALL, encoding: 'o200k_base' },
+  'gpt-4-turbo': { contextWindow: 128000, maxOutput: 4096, pricing: { input: 0.01, output: 0.03 }, capabilities: ALL, encoding: 'cl100k_base' },
+  'gpt-3.5-turbo': { contextWindow: 16385, maxOutput: 4096, pricing: { input: 0.0005, output: 0.0015 }, capabilities: NO_VISION, encoding: 'cl100k_base' },
+  'o3-mini': { contextWindow: 200000, maxOutput: 100000, pricing: { input: 0.0011, output: 0.0044 }, capabilities: NO_VISION, encoding: 'o200k_base' },
+
+  // Anthropic
+  'claude-3-haiku': { contextWindow: 200000, maxOutput: 4096, pricing: { input: 0.00025, output: 0.00125 }, capabilities: ALL, encoding: 'cl100k_base' },
+  'claude-3-5-haiku': { contextWindow: 200000, maxOutput: 8192, pricing: { input: 0.0008, output: 0.004 }, capabilities: NO_VISION, encoding: 'cl100k_base' },
+  'claude-3-5-sonnet': { contextWindow: 200000, maxOutput: 8192, pricing: { input: 0.003, output: 0.015 }, capabilities: ALL, encoding: 'cl100k_base' },
+  'claude-3-7-sonnet': { contextWindow: 200000, maxOutput: 64000, pricing: { input: 0.003, output: 0.015 }, capabilities: ALL, encoding: 'cl100k_base' },
+  'claude-sonnet-4': { contextWindow: 200000, maxOutput: 64000, pricing: { input: 0.003, output: 0.015 }, capabilities: ALL, encoding: 'cl100k_base' },
+  'claude-opus-4': { contextWindow: 200000, maxOutput: 32000, pricing: { input: 0.015, output: 0.075 }, capabilities: ALL, encoding: 'cl100k_base' },
+
+  // Embeddings (input tokens only; used for semantic memory search)
+  'text-embedding-3-small': { contextWindow: 8191, maxOutput: 0, pricing: { input: 0.00002, output: 0 }, capabilities: NONE, encoding: 'cl100k_base' },
+  'text-embedding-3-large': { contextWindow: 8191, maxOutput: 0, pricing: { input: 0.00013, output: 0 }, capabilities: NONE, encoding: 'cl100k_base' }
+};
+
+// Used for models not listed above (priced like gpt-4o-mini, the default model)
+const defaults = {
+  contextWindow: 128000,
+  maxOutput: 4096,
+  pricing: { input: 0.00015, output: 0.0006 },
+  capabilities: NO_VISION,
+  encoding: 'cl100k_base'
+};
+
+function loadOverrides() {
+  const file = process.env.MODEL_REGISTRY_FILE;
+  if (!file) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+  } catch (error) {
+    console.error(`[Models] Could not load MODEL_REGISTRY_FILE ${file}:`, error.message);
+    return {};
+  }
+}
+
+for (const [name, entry] of Object.entries(loadOverrides())) {
+  const base = models[name] || defaults;
+  models[name] = {
+    ...base,
+    ...entry,
+    pricing: { ...base.pricing, ...entry.pricing },
+    capabilities: { ...base.capabilities, ...entry.capabilities }
+  };
+}
+
+module.exports = {
+  models,
+  defaults,
+
+  // Registry entry for a model name: exact match, else the longest family prefix, else defaults
+  getModelInfo(modelName) {
+    if (models[modelName]) {
+      return { name: modelName, known: true, ...models[modelName] };
+    }
+
+    const family = Object.keys(models)
+      .filter(key => modelName?.startsWith(key + '-'))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return family
+      ? { name: modelName, known: true, ...models[family] }
+      : { name: modelName, known: false, ...defaults };
+  },
+
+  // Whether a model has every required capability ({ tools: true, ... })
+  supports(modelName, required = {}) {
+    const { capabilities } = this.getModelInfo(modelName);
+    return Object.entries(required).every(([capability, needed]) => !needed || capabilities[capability]);
+  },
+
+  // Cost of a call in USD
+  estimateCost(modelName, inputTokens, outputTokens) {
+    const { pricing } = this.getModelInfo(modelName);
+    const inputCost = (inputTokens / 1000) * pricing.input;
+    const outputCost = (outputTokens / 1000) * pricing.output;
+    return {
+      input: inputCost,
+      output: outputCost,
+      total: inputCost + outputCost
+    };
+  }
+};
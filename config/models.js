@@ -1,49 +1,75 @@
 /**
  * Model Configuration
  * Dynamic model selection based on task type
+ *
+ * Each model points at a provider from config/providers.js
+ * (override per role with PLANNER_PROVIDER, CHAT_PROVIDER, ... or globally with LLM_PROVIDER)
+ *
+ * fallbacks lists the roles whose models take over when a role's model keeps
+ * failing (rate limits, outages); chains are followed, so reasoning → chat → planner.
+ * Override with PLANNER_FALLBACKS, REASONING_FALLBACKS, ... (comma-separated roles).
  */
 
+const { defaultProvider } = require('./providers');
+const modelRegistry = require('./model-registry');
+
+function fallbackRoles(envName, defaults) {
+  const value = process.env[envName];
+  if (value === undefined) return defaults;
+  return value.split(',').map(role => role.trim()).filter(Boolean);
+}
+
 module.exports = {
   // Available models (can be swapped based on API provider)
   models: {
     // Planner/Router model - fast, cheap, good at classification
     planner: {
       name: process.env.PLANNER_MODEL || 'gpt-4o-mini',
+      provider: process.env.PLANNER_PROVIDER || defaultProvider,
       maxTokens: 500,
       temperature: 0.3,
-      description: 'Fast model for intent detection and task planning'
+      description: 'Fast model for intent detection and task planning',
+      fallbacks: fallbackRoles('PLANNER_FALLBACKS', ['chat'])
     },
     
     // Main chat model - balanced
     chat: {
       name: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      provider: process.env.CHAT_PROVIDER || defaultProvider,
       maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 2000,
       temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
-      description: 'Primary conversational model'
+      description: 'Primary conversational model',
+      fallbacks: fallbackRoles('CHAT_FALLBACKS', ['planner'])
     },
     
     // Deep reasoning model - for complex tasks
     reasoning: {
       name: process.env.REASONING_MODEL || 'gpt-4o',
+      provider: process.env.REASONING_PROVIDER || defaultProvider,
       maxTokens: 4000,
       temperature: 0.5,
-      description: 'Advanced model for complex reasoning and research'
+      description: 'Advanced model for complex reasoning and research',
+      fallbacks: fallbackRoles('REASONING_FALLBACKS', ['chat'])
     },
     
     // Creative model - for writing, brainstorming
     creative: {
       name: process.env.CREATIVE_MODEL || 'gpt-4o-mini',
+      provider: process.env.CREATIVE_PROVIDER || defaultProvider,
       maxTokens: 3000,
       temperature: 0.9,
-      description: 'Higher temperature for creative tasks'
+      description: 'Higher temperature for creative tasks',
+      fallbacks: fallbackRoles('CREATIVE_FALLBACKS', ['chat'])
     },
     
     // Coding model - precise, deterministic
     code: {
       name: process.env.CODE_MODEL || 'gpt-4o-mini',
+      provider: process.env.CODE_PROVIDER || defaultProvider,
       maxTokens: 2500,
       temperature: 0.2,
-      description: 'Low temperature for code generation'
+      description: 'Low temperature for code generation',
+      fallbacks: fallbackRoles('CODE_FALLBACKS', ['chat'])
     }
   },
 
@@ -56,6 +82,7 @@ module.exports = {
     'code': 'code',
     'creative': 'creative',
     'analysis': 'reasoning',
+    'agent': 'reasoning',
     'planning': 'planner'
   },
 
@@ -68,5 +95,71 @@ module.exports = {
   // Get planner model
   getPlannerModel() {
     return this.models.planner;
+  },
+
+  // Pick a model for a task that has the required capabilities ({ tools, json, vision })
+  // and whose context window fits promptTokens plus the task's max output. Tries the
+  // task's own model first, then the other roles' models cheapest first; null if none
+  // qualifies. A substitute keeps the task's temperature and maxTokens (capped at the
+  // model's max output).
+  selectModel(task, { capabilities = {}, promptTokens = 0 } = {}) {
+    const preferred = this.getModelForTask(task);
+    const price = model => modelRegistry.getModelInfo(model.name).pricing.input;
+    const candidates = [preferred];
+    for (const model of Object.values(this.models).sort((a, b) => price(a) - price(b))) {
+      if (!candidates.some(candidate => candidate.name === model.name)) {
+        candidates.push(model);
+      }
+    }
+
+    for (const model of candidates) {
+      const info = modelRegistry.getModelInfo(model.name);
+      const maxTokens = Math.min(preferred.maxTokens, info.maxOutput);
+      if (!modelRegistry.supports(model.name, capabilities)) continue;
+      if (promptTokens + maxTokens > info.contextWindow) continue;
+
+      return {
+        ...preferred,
+        name: model.name,
+        provider: model.provider,
+        maxTokens,
+        contextWindow: info.contextWindow,
+        substitutedFor: model === preferred ? null : preferred.name
+      };
+    }
+    return null;
+  },
+
+  // Models to fail over to when modelName keeps failing: the fallback chains of every
+  // role using it, followed breadth-first, without repeats or modelName itself
+  getFallbackModels(modelName) {
+    const roles = Object.keys(this.models).filter(role => this.models[role].name === modelName);
+    const visited = new Set(roles);
+    const queue = roles.flatMap(role => this.models[role].fallbacks || []);
+    const names = [];
+
+    while (queue.length > 0) {
+      const role = queue.shift();
+      if (visited.has(role) || !this.models[role]) continue;
+      visited.add(role);
+
+      const { name } = this.models[role];
+      if (name !== modelName && !names.includes(name)) {
+        names.push(name);
+      }
+      queue.push(...(this.models[role].fallbacks || []));
+    }
+    return names;
+  },
+
+  // Find the provider for a model name (first matching role wins)
+  getProviderForModel(modelName) {
+    const model = Object.values(this.models).find(m => m.name === modelName);
+    return model?.provider || defaultProvider;
+  },
+
+  // Providers referenced by any configured model
+  getActiveProviders() {
+    return [...new Set(Object.values(this.models).map(m => m.provider))];
   }
 };
@@ -101,6 +101,17 @@ Emphasize programming and technical excellence:
 - Provide runnable examples when possible`
     },
 
+    code_exec: {
+      // Added when sandboxed code execution is available for a code request
+      patch: `
+## Code Execution Available
+You can run JavaScript (Node.js) or Python with the code_exec tool:
+- Run code when executing it would verify an answer, compute a result or reproduce a bug
+- Programs must be self-contained and print their results to stdout
+- There is no network access and only a scratch directory is writable
+- Report the actual output; if a run fails, fix the code and try again`
+    },
+
     creative: {
       // Added when creative mode is enabled
       // Tilts toward creative, exploratory responses
@@ -125,34 +136,79 @@ Approach with creative freedom:
 
 Output ONLY valid JSON:
 {
-  "intent": "chat|search|research|study|code|creative",
+  "intent": "chat|search|research|study|code|creative|agent",
   "confidence": 0.0-1.0,
-  "needs_tools": ["web_search", "code_exec", "none"],
+  "needs_tools": ["tool names from the Available tools list, or none"],
   "complexity": "simple|moderate|complex",
-  "extracted_query": "refined search query if applicable"
+  "extracted_query": "standalone search query or question (see Follow-ups)",
+  "topic_changed": true/false,
+  "alternatives": ["other intents that could fit, most likely first"],
+  "clarifying_question": "short question asking which kind of help the user wants"
 }
 
+Confidence:
+- Use a low confidence (below 0.5) when the message could reasonably mean different kinds of help
+  (e.g. a bare topic like "python" or "the french revolution")
+- Fill alternatives and clarifying_question whenever confidence is below 0.7; otherwise leave them empty
+
+Follow-ups:
+- The current message may come with a conversation summary, recent turns and the previous intent; classify the CURRENT message
+- Use the history to resolve pronouns and ellipsis ("it", "that one", "what about the price?")
+- extracted_query must make sense on its own: replace references with the names they refer to
+  (e.g. after a discussion of the Pixel 8: "what about its price?" → "Google Pixel 8 price")
+- If the message continues the same topic, keep the previous intent unless the user clearly asks for a different kind of help
+- Set topic_changed to true when the message starts a new, unrelated topic (or there is no history)
+
 Classification rules:
 - "search": User wants current/recent info, news, prices, weather, or explicitly asks to search
 - "research": User wants in-depth analysis, comprehensive reports, multiple perspectives
 - "study": User wants to learn, be taught, get explanations, flashcards, quizzes
 - "code": User wants code written, debugged, or explained
 - "creative": User wants creative writing, brainstorming, ideas
-- "chat": General conversation, questions about concepts, opinions`,
+- "chat": General conversation, questions about concepts, opinions
+- "agent": Multi-step requests that combine tools (e.g. search for something, then write code using it)`,
 
-    // Planner prompt (decides execution strategy)
-    plan_execution: `You are an execution planner. Given the user intent and available tools, create an execution plan.
+    // Planner prompt (decides execution strategy for complex requests)
+    plan_execution: `You are an execution planner. Given the user request and its intent, break the work into steps.
 
 Output ONLY valid JSON:
 {
   "steps": [
-    {"action": "action_name", "params": {}, "model": "chat|reasoning|code"}
+    {"id": 1, "action": "action_name", "params": {}, "model": "chat|reasoning|code", "depends_on": []}
   ],
   "estimated_tokens": 1000,
   "requires_followup": true/false
 }
 
-Available actions: search_web, fetch_content, analyze_content, generate_response, generate_code`,
+Available actions:
+- search_web: {"query": "..."} - search the web
+- fetch_content: {"urls": ["..."]} - read pages; omit urls to read the top results of the searches it depends on
+- analyze_content: {"instruction": "..."} - compare, extract or reason over the outputs it depends on
+- generate_response: {"instruction": "..."} - write the final answer
+- generate_code: {"instruction": "..."} - write the final answer as code
+
+Rules:
+- depends_on lists the ids of earlier steps whose output the step needs
+- Steps that don't depend on each other run in parallel: use one search_web step per independent sub-question
+- End with exactly one generate_response or generate_code step
+- Use "reasoning" only for steps that need deep analysis
+- Use as few steps as the request needs (at most 6)`,
+
+    // One intermediate step of an execution plan
+    plan_step: `You are carrying out one step of a larger plan. Do only what the step asks, using the inputs from earlier steps.
+
+Instructions:
+- Be concise and factual; the output is read by the next step, not the user
+- Keep source URLs next to the facts they support
+- Say so when the inputs don't contain what the step needs`,
+
+    // Function-calling agent loop
+    agent_loop: `You can call tools to complete the request. Work step by step:
+- Call a tool whenever you need information you don't have; you may call several in sequence
+- Use the results of earlier calls to decide the next step
+- Don't repeat a call with the same arguments
+- When you have enough information, answer directly without calling more tools
+- Cite web sources as [1], [2], etc. using their URLs`,
 
     // Search result synthesis
     search_synthesis: `You have performed a web search. Synthesize the results into a helpful response.
@@ -192,7 +248,26 @@ Structure:
 2. Analogy to something familiar
 3. Key points to remember
 4. Common mistakes to avoid
-5. Quick test question`
+5. Quick test question`,
+
+    // Memory extraction (for planner model, runs in the background after a turn)
+    memory_extraction: `You pick out information about the user worth remembering in future conversations.
+
+Output ONLY valid JSON:
+{
+  "memories": [
+    { "content": "one short sentence", "category": "fact|preference|goal|context", "confidence": 0.0-1.0 }
+  ]
+}
+
+Rules:
+- Only durable information: facts about the user, lasting preferences, ongoing goals or projects
+- Only what the USER said about themselves; ignore the assistant's suggestions and general knowledge
+- Write each memory in the third person ("The user prefers TypeScript over JavaScript")
+- Skip one-off requests, small talk and anything that only matters for the current question
+- Skip passwords, financial details, health information and other sensitive data
+- Skip anything already listed under Already Saved
+- Return an empty list when nothing qualifies; that is the usual case`
   },
 
   // ============================================
@@ -206,12 +281,13 @@ Structure:
    * 1. Start with BASE prompt (always included)
    * 2. ADD tool patches for enabled tools (tilts behavior)
    * 3. ADD task-specific context if applicable
-   * 4. ADD custom instructions last
+   * 4. ADD long-term memory relevant to the turn
+   * 5. ADD custom instructions last
    * 
    * Nothing is replaced - only added/enhanced
    */
   buildSystemPrompt(options = {}) {
-    const { tools = [], task = null, customInstructions = '' } = options;
+    const { tools = [], task = null, memory = '', customInstructions = '' } = options;
     
     // Layer 1: Base prompt (always present)
     let prompt = this.base;
@@ -228,7 +304,14 @@ Structure:
       prompt += '\n\n## Task Context\n' + this.tasks[task];
     }
     
-    // Layer 4: Custom user instructions (highest priority)
+    // Layer 4: Long-term memory (saved information relevant to this turn)
+    if (memory) {
+      prompt += '\n\n## Memory\n' +
+        'Saved information about the user from earlier conversations. Use it when it is relevant; ' +
+        'don\'t bring it up otherwise.\n\n' + memory;
+    }
+    
+    // Layer 5: Custom user instructions (highest priority)
     if (customInstructions) {
       prompt += '\n\n## Custom Instructions\n' + customInstructions;
     }
@@ -257,6 +340,13 @@ Structure:
     return this.tasks[task] || null;
   },
 
+  /**
+   * Register a patch for a tool added at runtime (plugins)
+   */
+  registerToolPatch(toolName, patch) {
+    this.tools[toolName] = { patch };
+  },
+
   /**
    * List all available tools
    */
@@ -265,9 +355,10 @@ Structure:
   },
 
   /**
-   * Estimate token count (rough: ~4 chars per token)
+   * Count tokens with the model's BPE tokenizer (default model when omitted)
    */
-  estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+  estimateTokens(text, model) {
+    // Required lazily: the tokenizer loads vocabularies and isn't needed to read prompts
+    return require('../backend/services/tokenizer').count(text, model);
   }
 };
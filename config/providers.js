@@ -0,0 +1,67 @@
+/**
+ * LLM Provider Configuration
+ * Backends that model entries in config/models.js can point at
+ *
+ * Types:
+ * - openai: OpenAI API (or any OpenAI-compatible base URL: llama.cpp server, vLLM, Ollama)
+ * - anthropic: Anthropic Messages API
+ * - mock: Deterministic offline provider for development and tests (no API key)
+ */
+
+// Placeholder keys shipped in .env.example - treated as "not configured"
+const PLACEHOLDER_KEYS = ['sk-your-openai-api-key-here', 'sk-your-api-key-here'];
+
+module.exports = {
+  // Provider used by models that don't set one explicitly
+  defaultProvider: process.env.LLM_PROVIDER || 'openai',
+
+  providers: {
+    openai: {
+      type: 'openai',
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL || undefined,
+      organization: process.env.OPENAI_ORG_ID || undefined,
+      description: 'OpenAI API'
+    },
+
+    // Any server speaking the OpenAI chat completions API
+    local: {
+      type: 'openai',
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+      baseURL: process.env.LOCAL_LLM_BASE_URL,
+      requiresApiKey: false,
+      description: 'OpenAI-compatible local server (llama.cpp, vLLM, Ollama)'
+    },
+
+    anthropic: {
+      type: 'anthropic',
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      version: process.env.ANTHROPIC_VERSION || '2023-06-01',
+      description: 'Anthropic Messages API'
+    },
+
+    mock: {
+      type: 'mock',
+      description: 'Deterministic offline responses (no network, no API key)'
+    }
+  },
+
+  // Check whether a provider has what it needs to make calls
+  isConfigured(name) {
+    const provider = this.providers[name];
+    if (!provider) return false;
+
+    switch (provider.type) {
+      case 'mock':
+        return true;
+      case 'openai':
+        if (provider.requiresApiKey === false) {
+          return !!provider.baseURL;
+        }
+        return !!provider.apiKey && !PLACEHOLDER_KEYS.includes(provider.apiKey);
+      default:
+        return !!provider.apiKey;
+    }
+  }
+};
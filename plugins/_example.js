@@ -0,0 +1,49 @@
+/**
+ * Example Tool Plugin (template - files starting with "_" are not loaded)
+ *
+ * Copy to plugins/<name>.js and restart the server. The tool then appears in
+ * GET /api/tools, the planner prompt, the agent loop and (with ui.toggle) the toolbar.
+ */
+
+module.exports = {
+  // Unique name, [a-zA-Z0-9_-]
+  name: 'current_time',
+
+  // Shown to the planner and to the model when deciding whether to call the tool
+  description: 'Get the current date and time, optionally for a specific IANA time zone.',
+
+  // JSON schema for the tool arguments
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: { type: 'string', description: 'IANA time zone, e.g. "Europe/Berlin"' }
+    },
+    required: []
+  },
+
+  // Optional system prompt patch, added when the tool is enabled in the toolbar
+  patch: `
+## Time Tool Active
+Use the current_time tool instead of guessing today's date or time.`,
+
+  // Optional toolbar metadata (icon is SVG path markup for a 24x24 stroked icon)
+  ui: {
+    label: 'Time',
+    title: 'Current Time',
+    icon: '<circle cx="12" cy="12" r="9"/><path d="M12 7v5l3 3"/>',
+    toggle: true,
+    order: 60
+  },
+
+  // context: { services, signal, userId } - services holds search, fetcher, study, research, memory, codeExecutor;
+  // userId is the requesting account (null when auth is disabled) - use it to scope any per-user data
+  async handler({ timeZone }, context) {
+    const now = new Date();
+    return {
+      result: {
+        iso: now.toISOString(),
+        local: now.toLocaleString('en-US', timeZone ? { timeZone } : {})
+      }
+    };
+  }
+};
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Import legacy conversations
+ * Turns the conversations saved through /api/conversations (data/conversations/*.json)
+ * into sessions, for every user, keeping titles, messages and timestamps.
+ * Imported files are renamed to <id>.json.imported. Needs PostgreSQL.
+ *
+ * Usage: npm run conversations:import
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const SessionService = require('../backend/services/session');
+const MemoryService = require('../backend/services/memory');
+const ConversationImporter = require('../backend/services/conversationImporter');
+const database = require('../backend/services/storage/database');
+
+async function main() {
+  await database.initialize();
+
+  // Importing needs neither titles from a model nor summaries
+  const importer = new ConversationImporter(new SessionService(null, null), new MemoryService({ dataDir: process.env.DATA_DIR }));
+  const { imported, failed } = await importer.importAll();
+
+  for (const { conversationId, sessionId, messageCount } of imported) {
+    console.log(`${conversationId} → session ${sessionId} (${messageCount} messages)`);
+  }
+  for (const { conversationId, error } of failed) {
+    console.log(`${conversationId} failed: ${error}`);
+  }
+  console.log(`Imported ${imported.length} conversation(s), ${failed.length} failed`);
+  await database.close();
+  if (failed.length > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
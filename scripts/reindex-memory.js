@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Reindex memory embeddings
+ * Embeds the memories that have no vector yet (every memory with --force) using
+ * the embedder configured in .env (aiConfig.embeddings). Memories are read from
+ * PostgreSQL when it is reachable, otherwise from data/memory.json.
+ *
+ * Usage: npm run memory:reindex [-- --force]
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const LLMService = require('../backend/services/llm');
+const EmbeddingService = require('../backend/services/embeddings');
+const MemoryService = require('../backend/services/memory');
+const database = require('../backend/services/storage/database');
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const memory = new MemoryService({ embeddings: new EmbeddingService(new LLMService()), dataDir: process.env.DATA_DIR });
+
+  try {
+    await database.initialize();
+    await memory.useDatabase();
+  } catch (error) {
+    console.log(`Database unavailable (${error.message}), using data/memory.json`);
+  }
+
+  const { embedder, indexed, total } = await memory.reindex({ force });
+  console.log(`Indexed ${indexed} of ${total} memories with ${embedder}`);
+  await database.close();
+}
+
+main().catch(error => {
+  console.error('Reindex failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,212 @@
+const axios = require('axios');
+const AnthropicProvider = require('../backend/services/providers/anthropic');
+
+const provider = new AnthropicProvider('anthropic', {
+  baseURL: 'https://api.anthropic.test/',
+  apiKey: 'test-key',
+  version: '2023-06-01'
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// An SSE body delivered in the given pieces (events may be split across them)
+async function* sseBody(...pieces) {
+  for (const piece of pieces) {
+    yield Buffer.from(piece, 'utf-8');
+  }
+}
+
+const sse = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+
+async function collect(iterable) {
+  const chunks = [];
+  for await (const chunk of iterable) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe('buildRequest', () => {
+  test('hoists system messages and merges consecutive turns of one role', () => {
+    const body = provider.buildRequest({
+      model: 'claude-3-5-haiku-latest',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'user', content: 'Still there?' },
+        { role: 'system', content: 'Use British spelling.' },
+        { role: 'assistant', content: 'Yes.' }
+      ]
+    });
+
+    expect(body).toEqual({
+      model: 'claude-3-5-haiku-latest',
+      system: 'Be brief.\n\nUse British spelling.',
+      max_tokens: 1024,
+      messages: [
+        { role: 'user', content: [{ type: 'text', text: 'Hi' }, { type: 'text', text: 'Still there?' }] },
+        { role: 'assistant', content: [{ type: 'text', text: 'Yes.' }] }
+      ]
+    });
+  });
+
+  test('starts with a user turn when the conversation does not', () => {
+    const body = provider.buildRequest({
+      model: 'claude-3-5-haiku-latest',
+      messages: [{ role: 'assistant', content: 'Hello' }]
+    });
+
+    expect(body.messages[0]).toEqual({ role: 'user', content: [{ type: 'text', text: '(continue)' }] });
+    expect(body.system).toBeUndefined();
+  });
+
+  test('maps tool calls and tool results to tool_use and tool_result blocks', () => {
+    const body = provider.buildRequest({
+      model: 'claude-3-5-haiku-latest',
+      messages: [
+        { role: 'user', content: 'Time in Paris?' },
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'current_time', arguments: '{"timezone":"Europe/Paris"}' } }]
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: '14:00' }
+      ],
+      tools: [{ type: 'function', function: { name: 'current_time', description: 'Current time', parameters: { type: 'object' } } }],
+      tool_choice: 'required'
+    });
+
+    expect(body.messages.slice(1)).toEqual([
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'current_time', input: { timezone: 'Europe/Paris' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '14:00' }] }
+    ]);
+    expect(body.tools).toEqual([{ name: 'current_time', description: 'Current time', input_schema: { type: 'object' } }]);
+    expect(body.tool_choice).toEqual({ type: 'any' });
+  });
+
+  test('caps temperature at 1, keeps max_tokens and asks for JSON in the system prompt', () => {
+    const body = provider.buildRequest({
+      model: 'claude-3-5-haiku-latest',
+      messages: [{ role: 'user', content: 'Classify this' }],
+      temperature: 1.5,
+      max_tokens: 300,
+      response_format: { type: 'json_object' },
+      stream: true
+    });
+
+    expect(body).toMatchObject({ temperature: 1, max_tokens: 300, stream: true });
+    expect(body.system).toBe('Respond with a single valid JSON object and nothing else.');
+  });
+});
+
+describe('createChatCompletion', () => {
+  test('posts to the Messages API and maps the response to the chat completion shape', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({
+      data: {
+        id: 'msg_1',
+        model: 'claude-3-5-haiku-latest',
+        stop_reason: 'tool_use',
+        content: [
+          { type: 'text', text: 'Let me check.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'current_time', input: { timezone: 'UTC' } }
+        ],
+        usage: { input_tokens: 12, output_tokens: 8 }
+      }
+    });
+    const { signal } = new AbortController();
+
+    const completion = await provider.createChatCompletion({
+      model: 'claude-3-5-haiku-latest',
+      messages: [{ role: 'user', content: 'Time?' }]
+    }, { signal });
+
+    expect(post).toHaveBeenCalledWith('https://api.anthropic.test/v1/messages', expect.any(Object), {
+      headers: { 'x-api-key': 'test-key', 'anthropic-version': '2023-06-01', 'content-type': 'application/json' },
+      signal,
+      responseType: 'json'
+    });
+    expect(completion).toEqual({
+      id: 'msg_1',
+      model: 'claude-3-5-haiku-latest',
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: 'Let me check.',
+          tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'current_time', arguments: '{"timezone":"UTC"}' } }]
+        },
+        finish_reason: 'tool_calls'
+      }],
+      usage: { prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 }
+    });
+  });
+
+  test('maps stop reasons and leaves tool_calls out of plain answers', () => {
+    const completion = provider.toCompletion({
+      id: 'msg_2',
+      model: 'claude-3-5-haiku-latest',
+      stop_reason: 'max_tokens',
+      content: [{ type: 'text', text: 'Cut ' }, { type: 'text', text: 'off' }]
+    });
+
+    expect(completion.choices[0]).toEqual({
+      index: 0,
+      message: { role: 'assistant', content: 'Cut off' },
+      finish_reason: 'length'
+    });
+    expect(completion.usage).toEqual({ prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+  });
+
+  test('API errors keep their status and headers', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue(Object.assign(new Error('Request failed with status code 429'), {
+      response: { status: 429, headers: { 'retry-after': '3' }, data: { error: { message: 'Rate limited' } } }
+    }));
+
+    await expect(provider.createChatCompletion({ model: 'claude-3-5-haiku-latest', messages: [{ role: 'user', content: 'Hi' }] }))
+      .rejects.toMatchObject({
+        message: 'Anthropic API error (429): Rate limited',
+        status: 429,
+        headers: { 'retry-after': '3' }
+      });
+  });
+});
+
+describe('streaming', () => {
+  test('yields text deltas and a final chunk with usage', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: sseBody(
+        sse('message_start', { message: { usage: { input_tokens: 9, output_tokens: 1 } } }),
+        sse('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+        sse('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Hello' } }) + 'event: ping\n',
+        'data: {"type":"ping"}\n\n' + sse('content_block_delta', { index: 0, delta: { type: 'text_delta', text: ' there' } }),
+        sse('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } }),
+        sse('message_stop', {})
+      )
+    });
+
+    const stream = await provider.createChatCompletion({
+      model: 'claude-3-5-haiku-latest',
+      messages: [{ role: 'user', content: 'Hi' }],
+      stream: true
+    });
+
+    expect(axios.post.mock.calls[0][1].stream).toBe(true);
+    expect(axios.post.mock.calls[0][2].responseType).toBe('stream');
+    expect(await collect(stream)).toEqual([
+      { model: 'claude-3-5-haiku-latest', choices: [{ index: 0, delta: { content: 'Hello' } }] },
+      { model: 'claude-3-5-haiku-latest', choices: [{ index: 0, delta: { content: ' there' } }] },
+      { model: 'claude-3-5-haiku-latest', choices: [], usage: { prompt_tokens: 9, completion_tokens: 4, total_tokens: 13 } }
+    ]);
+  });
+
+  test('an error event fails the stream', async () => {
+    const stream = provider.streamChunks(sseBody(
+      sse('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Hel' } }),
+      sse('error', { error: { type: 'overloaded_error', message: 'Overloaded' } })
+    ), 'claude-3-5-haiku-latest');
+
+    await expect(collect(stream)).rejects.toThrow('Anthropic stream error: Overloaded');
+  });
+});
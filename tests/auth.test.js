@@ -0,0 +1,135 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const database = require('../backend/services/storage/database');
+const authConfig = require('../config/auth');
+const AuthService = require('../backend/services/auth');
+
+const PASSWORD = 'correct horse battery';
+
+let auth;
+
+beforeEach(() => {
+  database.reset();
+  auth = new AuthService();
+  auth.config = { ...authConfig, allowRegistration: false };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('register', () => {
+  test('the first account becomes admin and later sign-ups need registration open', async () => {
+    const admin = await auth.register('alice', PASSWORD);
+    expect(admin).toMatchObject({ username: 'alice', isAdmin: true });
+    expect(admin.passwordHash).toBeUndefined();
+
+    await expect(auth.register('bob', PASSWORD)).rejects.toMatchObject({ status: 403 });
+
+    auth.config.allowRegistration = true;
+    expect(await auth.register('bob', PASSWORD)).toMatchObject({ isAdmin: false });
+    await expect(auth.register('BOB', PASSWORD)).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('concurrent first sign-ups produce exactly one admin', async () => {
+    auth.config.allowRegistration = true;
+
+    const users = await Promise.all(['alice', 'bob', 'carol'].map(name => auth.register(name, PASSWORD)));
+
+    expect(users.filter(u => u.isAdmin)).toHaveLength(1);
+    expect(database.users).toHaveLength(3);
+  });
+
+  test('the first account adopts sessions created before accounts existed', async () => {
+    database.sessions.push({ id: 'old', userId: null });
+    const onFirstUser = jest.fn();
+    auth.onFirstUser = onFirstUser;
+
+    const admin = await auth.register('alice', PASSWORD);
+
+    expect(database.sessions[0].userId).toBe(admin.id);
+    expect(onFirstUser).toHaveBeenCalledWith(admin.id);
+  });
+
+  test('rejects invalid usernames and short passwords', async () => {
+    await expect(auth.register('a b', PASSWORD)).rejects.toThrow(AuthService.AuthError);
+    await expect(auth.register('alice', 'short')).rejects.toThrow(/at least/);
+  });
+
+  test('rejects non-string credentials', async () => {
+    await expect(auth.register('alice', 12345678)).rejects.toMatchObject({ status: 400 });
+    await expect(auth.register('alice', Array(8).fill('a'))).rejects.toMatchObject({ status: 400 });
+    expect(database.users).toHaveLength(0);
+  });
+});
+
+describe('login', () => {
+  beforeEach(async () => {
+    await auth.register('alice', PASSWORD);
+  });
+
+  test('issues a session token that authenticates the user until logout', async () => {
+    const { user, token } = await auth.login('alice', PASSWORD);
+
+    expect(token.startsWith(authConfig.tokenPrefix)).toBe(true);
+    expect((await auth.authenticate(token)).user).toMatchObject({ id: user.id, username: 'alice' });
+
+    await auth.logout(token);
+    expect(await auth.authenticate(token)).toBeNull();
+  });
+
+  test('wrong passwords and unknown users get the same error', async () => {
+    const wrong = auth.login('alice', 'wrong password');
+    const unknown = auth.login('nobody', PASSWORD);
+
+    await expect(wrong).rejects.toMatchObject({ status: 401, message: 'Invalid username or password' });
+    await expect(unknown).rejects.toMatchObject({ status: 401, message: 'Invalid username or password' });
+  });
+
+  test('non-string credentials are a 400, not a crash', async () => {
+    await expect(auth.login('alice', 123)).rejects.toMatchObject({ status: 400 });
+    await expect(auth.login({}, PASSWORD)).rejects.toMatchObject({ status: 400 });
+    await expect(auth.login('alice')).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('unknown users still cost a password check', async () => {
+    const verify = jest.spyOn(auth, 'verifyPassword');
+
+    await expect(auth.login('nobody', PASSWORD)).rejects.toThrow();
+
+    expect(verify).toHaveBeenCalledWith(PASSWORD, await auth.dummyHash());
+  });
+
+  test('tokens only authenticate with the right prefix and hash', async () => {
+    const { token } = await auth.login('alice', PASSWORD);
+
+    expect(await auth.authenticate(token.slice(authConfig.tokenPrefix.length))).toBeNull();
+    expect(await auth.authenticate(`${token}x`)).toBeNull();
+    expect(database.tokens.every(t => t.tokenHash !== token)).toBe(true);
+  });
+});
+
+describe('enabled', () => {
+  const loadConfig = (value) => {
+    const previous = process.env.AUTH_ENABLED;
+    if (value === undefined) delete process.env.AUTH_ENABLED;
+    else process.env.AUTH_ENABLED = value;
+    try {
+      let config;
+      jest.isolateModules(() => { config = require('../config/auth'); });
+      return config;
+    } finally {
+      if (previous === undefined) delete process.env.AUTH_ENABLED;
+      else process.env.AUTH_ENABLED = previous;
+    }
+  };
+
+  test('accounts are required unless AUTH_ENABLED=false', () => {
+    expect(loadConfig(undefined).enabled).toBe(true);
+    expect(loadConfig('').enabled).toBe(true);
+    expect(loadConfig('true').enabled).toBe(true);
+    expect(loadConfig('false').enabled).toBe(false);
+  });
+});
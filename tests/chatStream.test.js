@@ -0,0 +1,170 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const database = require('../backend/services/storage/database');
+const AuthService = require('../backend/services/auth');
+const MockProvider = require('../backend/services/providers/mock');
+
+// The app runs offline against the mock LLM, with accounts on the fake database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-stream-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.AUTH_ENABLED = 'true';
+process.env.DATA_DIR = dataDir;
+database.initialize = async () => {};
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+const app = require('../backend/server');
+
+const tokens = {};
+
+beforeAll(async () => {
+  const auth = new AuthService();
+  for (const id of ['alice', 'bob']) {
+    database.users.push({ id, username: id, isAdmin: false });
+    tokens[id] = (await auth.issueToken(id, { kind: 'api' })).token;
+  }
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const as = userId => ({ Authorization: `Bearer ${tokens[userId]}` });
+
+// Split an SSE body into { event, data } pairs
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const [, event] = block.match(/^event: (.*)$/m);
+    const [, data] = block.match(/^data: (.*)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+describe('streaming chat', () => {
+  test('sends the request, the plan, content deltas and finally done', async () => {
+    const res = await request(app)
+      .post('/api/chat')
+      .set(as('alice'))
+      .send({ message: 'Tell me about tea', stream: true });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    const events = parseEvents(res.text);
+    const names = events.map(e => e.event);
+    expect(names[0]).toBe('request');
+    expect(names[names.length - 1]).toBe('done');
+    expect(names.indexOf('plan')).toBeLessThan(names.indexOf('delta'));
+
+    const { requestId } = events[0].data;
+    expect(res.headers['x-request-id']).toBe(requestId);
+
+    const done = events[events.length - 1].data;
+    const streamed = events.filter(e => e.event === 'delta').map(e => e.data.content).join('');
+    expect(streamed).toBe(done.content);
+    expect(done.content).toContain('Tell me about tea');
+    expect(done.requestId).toBe(requestId);
+  });
+
+  test('the Accept header alone asks for a stream', async () => {
+    const res = await request(app)
+      .post('/api/chat')
+      .set(as('alice'))
+      .set('Accept', 'text/event-stream')
+      .send({ message: 'Tell me about tea' });
+
+    expect(parseEvents(res.text).map(e => e.event)).toContain('done');
+  });
+});
+
+// The mock model streams one delta and then waits until the request is aborted.
+// Resolves with the request's signal once that delta has been sent.
+function holdStream() {
+  return new Promise(resolve => {
+    jest.spyOn(MockProvider.prototype, 'streamChunks').mockImplementation(async function* (content, model, usage, signal) {
+      yield { model, choices: [{ index: 0, delta: { content: 'Partial ' } }] };
+      resolve(signal);
+      await new Promise(aborted => signal.addEventListener('abort', aborted));
+      signal.throwIfAborted();
+    });
+  });
+}
+
+describe('cancelling a streamed chat', () => {
+  test('POST /api/requests/:id/cancel ends the stream with what was generated', async () => {
+    const streaming = holdStream();
+    const chat = request(app)
+      .post('/api/chat')
+      .set(as('alice'))
+      .send({ message: 'Tell me about tea', stream: true, requestId: 'tea-request' })
+      .then(res => res);
+    await streaming;
+
+    const cancel = await request(app).post('/api/requests/tea-request/cancel').set(as('alice'));
+    expect(cancel.status).toBe(200);
+    expect(cancel.body).toEqual({ success: true, requestId: 'tea-request' });
+
+    const events = parseEvents((await chat).text);
+    expect(events.map(e => e.event)).not.toContain('done');
+    expect(events[events.length - 1]).toEqual({
+      event: 'cancelled',
+      data: expect.objectContaining({ cancelled: true, content: 'Partial ', requestId: 'tea-request' })
+    });
+
+    const again = await request(app).post('/api/requests/tea-request/cancel').set(as('alice'));
+    expect(again.status).toBe(404);
+  });
+
+  test("another user can't cancel the request", async () => {
+    const streaming = holdStream();
+    const chat = request(app)
+      .post('/api/chat')
+      .set(as('alice'))
+      .send({ message: 'Tell me about tea', stream: true, requestId: 'alice-request' })
+      .then(res => res);
+    const signal = await streaming;
+
+    const cancel = await request(app).post('/api/requests/alice-request/cancel').set(as('bob'));
+    expect(cancel.status).toBe(404);
+    expect(signal.aborted).toBe(false);
+
+    await request(app).post('/api/requests/alice-request/cancel').set(as('alice'));
+    await chat;
+  });
+
+  test('a client that disconnects aborts the request', async () => {
+    const streaming = holdStream();
+    const server = app.listen(0);
+    try {
+      const req = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: '/api/chat',
+        headers: { ...as('alice'), 'Content-Type': 'application/json' }
+      });
+      req.on('error', () => {});
+      req.end(JSON.stringify({ message: 'Tell me about tea', stream: true, requestId: 'gone-request' }));
+
+      const signal = await streaming;
+      req.destroy();
+      await new Promise(aborted => signal.addEventListener('abort', aborted));
+
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('gone-request (client disconnected)'));
+    } finally {
+      await new Promise(closed => server.close(closed));
+    }
+  });
+});
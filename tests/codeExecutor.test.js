@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CodeExecutor = require('../backend/services/codeExecutor');
+
+// Each snippet prints "blocked" when the sandbox stops it and "escaped" when it doesn't
+const HOST_FILE = path.resolve(__dirname, '../package.json');
+
+let executor;
+let tempDir;
+
+beforeAll(() => {
+  executor = new CodeExecutor();
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-exec-'));
+  executor.tempDir = tempDir;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function expectBlocked(language, code) {
+  const result = await executor.execute(language, code);
+  expect(result.stdout).not.toContain('escaped');
+  expect(result.stdout).toContain('blocked');
+  return result;
+}
+
+// Both sandboxes need Linux namespaces; without them a language isn't offered at all
+const languages = new CodeExecutor().getLanguages();
+const describeJavascript = languages.includes('javascript') ? describe : describe.skip;
+
+describeJavascript('javascript', () => {
+  test('runs code and captures its output', async () => {
+    const result = await executor.execute('javascript', 'console.log(6 * 7)');
+
+    expect(result).toMatchObject({ exitCode: 0, timedOut: false, stdout: '42\n' });
+  });
+
+  test('works in its scratch dir', async () => {
+    const result = await executor.execute('javascript', [
+      "const fs = require('fs');",
+      "fs.writeFileSync('notes.txt', 'kept');",
+      "console.log(fs.readFileSync('notes.txt', 'utf8'));"
+    ].join('\n'));
+
+    expect(result).toMatchObject({ exitCode: 0, stdout: 'kept\n' });
+  });
+
+  test("can't allocate memory outside the heap limit", async () => {
+    await expectBlocked('javascript', `
+      const buffers = [];
+      try {
+        for (let i = 0; i < 256; i++) buffers.push(Buffer.alloc(64 * 1024 * 1024, 1));
+        console.log('escaped');
+      } catch (e) {
+        console.log('blocked');
+      }
+    `);
+  });
+
+  test("can't start processes", async () => {
+    await expectBlocked('javascript', `
+      try {
+        require('child_process').execSync('id');
+        console.log('escaped');
+      } catch (e) {
+        console.log('blocked');
+      }
+    `);
+  });
+
+  test("can't read files outside its scratch dir", async () => {
+    await expectBlocked('javascript', `
+      try {
+        require('fs').readFileSync(${JSON.stringify(HOST_FILE)});
+        console.log('escaped');
+      } catch (e) {
+        console.log('blocked');
+      }
+    `);
+  });
+
+  test("can't open network connections", async () => {
+    await expectBlocked('javascript', `
+      try {
+        const socket = require('net').connect(53, '1.1.1.1');
+        socket.setTimeout(2000, () => { console.log('blocked'); socket.destroy(); });
+        socket.on('connect', () => { console.log('escaped'); socket.destroy(); });
+        socket.on('error', () => console.log('blocked'));
+      } catch (e) {
+        console.log('blocked');
+      }
+    `);
+  });
+
+  test('leaves nothing behind in the temp dir', () => {
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+});
+
+test('refuses to run code without Linux namespaces', async () => {
+  const unsandboxed = new CodeExecutor();
+  unsandboxed.namespaces = false;
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  expect(unsandboxed.getLanguages()).toEqual([]);
+  await expect(unsandboxed.execute('javascript', 'console.log(1)')).rejects.toThrow(/unavailable/);
+});
+
+const describePython = languages.includes('python') ? describe : describe.skip;
+
+describePython('python', () => {
+  test('runs code and can use its scratch dir', async () => {
+    const result = await executor.execute('python', [
+      "open('notes.txt', 'w').write('kept')",
+      "print(open('notes.txt').read())"
+    ].join('\n'));
+
+    expect(result).toMatchObject({ exitCode: 0, stdout: 'kept\n' });
+  });
+
+  test("can't start processes", async () => {
+    await expectBlocked('python', [
+      'import subprocess',
+      'try:',
+      "    subprocess.run(['id'])",
+      "    print('escaped')",
+      'except Exception:',
+      "    print('blocked')"
+    ].join('\n'));
+  });
+
+  test("can't reach the network through the raw socket module", async () => {
+    await expectBlocked('python', [
+      'import _socket',
+      'try:',
+      '    s = _socket.socket(_socket.AF_INET, _socket.SOCK_STREAM)',
+      '    s.settimeout(2)',
+      "    s.connect(('1.1.1.1', 53))",
+      "    print('escaped')",
+      'except Exception:',
+      "    print('blocked')"
+    ].join('\n'));
+  });
+
+  test("can't see host files", async () => {
+    await expectBlocked('python', [
+      'try:',
+      `    open(${JSON.stringify(HOST_FILE)}).read()`,
+      "    print('escaped')",
+      'except Exception:',
+      "    print('blocked')"
+    ].join('\n'));
+  });
+
+  test("can't undo the sandbox from inside", async () => {
+    await expectBlocked('python', [
+      'import os',
+      'try:',
+      "    os.chroot('/')",
+      "    print('escaped')",
+      'except Exception:',
+      "    print('blocked')"
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,166 @@
+const ContextBuilder = require('../backend/services/contextBuilder');
+const tokenizer = require('../backend/services/tokenizer');
+const modelRegistry = require('../config/model-registry');
+
+const MODEL = 'gpt-4o-mini';
+const CONFIG = { safetyMarginTokens: 100, summaryShare: 0.25, memoryShare: 0.15, messageShare: 0.5, minTrimmedTokens: 50 };
+const WINDOW = 2000;
+const SYSTEM = 'You are a helpful assistant.';
+
+let builder;
+
+beforeEach(() => {
+  builder = new ContextBuilder(CONFIG);
+  // A small window so a few short messages overflow it
+  jest.spyOn(modelRegistry, 'getModelInfo').mockImplementation(name => ({ name, known: true, contextWindow: WINDOW }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Text of about n tokens whose first and last words are recognisable
+const text = (n, tag = 'x') => `start-${tag} ${'word '.repeat(n)}end-${tag}`;
+const turn = (index, tokens = 100) => ({ role: index % 2 ? 'assistant' : 'user', content: text(tokens, index) });
+const tokensOf = messages => tokenizer.countMessages(messages, MODEL);
+
+const systemTokens = tokenizer.countMessages([{ role: 'system', content: SYSTEM }], MODEL);
+const available = (maxOutput, reserved = 0) => WINDOW - maxOutput - reserved - CONFIG.safetyMarginTokens - systemTokens;
+
+const build = (input) => builder.build({ model: MODEL, systemPrompt: SYSTEM, maxOutput: 500, ...input });
+
+describe('build', () => {
+  test('a conversation that fits is sent unchanged', () => {
+    const messages = [turn(0), turn(1), turn(2)];
+
+    const { messages: fitted, report } = build({ messages });
+
+    expect(fitted).toEqual(messages);
+    expect(report).toMatchObject({ contextWindow: WINDOW, reservedOutput: 500, trimmed: [], dropped: [] });
+    expect(report.tokens.total).toBe(systemTokens + tokenizer.countMessages(messages, MODEL) - tokensOf([]));
+  });
+
+  test('an over-long history keeps the newest turns and drops the oldest, contiguously', () => {
+    const messages = Array.from({ length: 30 }, (_, i) => turn(i));
+
+    const { messages: fitted, report } = build({ messages });
+
+    // The oldest turn kept may be trimmed into the space left
+    const kept = messages.length - report.dropped.length;
+    expect(kept).toBeGreaterThan(1);
+    expect(fitted.slice(1)).toEqual(messages.slice(1 - kept));
+    expect(fitted[0].content).toMatch(new RegExp(`^start-${messages.length - kept} `));
+    expect(report.dropped.map(d => d.index)).toEqual([...Array(messages.length - kept).keys()]);
+    expect(report.tokens.total).toBeLessThanOrEqual(WINDOW - 500 - CONFIG.safetyMarginTokens);
+  });
+
+  test('reserved output and reserved input tokens shrink the room for history', () => {
+    const messages = Array.from({ length: 30 }, (_, i) => turn(i));
+
+    const roomy = build({ messages, maxOutput: 100 });
+    const tight = build({ messages, maxOutput: 500, reservedTokens: 600 });
+
+    expect(tight.messages.length).toBeLessThan(roomy.messages.length);
+    expect(tight.report).toMatchObject({ reservedOutput: 500, reservedInput: 600 });
+    expect(tight.report.tokens.total - systemTokens).toBeLessThanOrEqual(available(500, 600));
+  });
+
+  test('a long earlier message is trimmed to its share, keeping its start and end', () => {
+    const messages = [turn(0, 2000), turn(1, 50), turn(2, 50)];
+
+    const { messages: fitted, report } = build({ messages });
+
+    const cap = Math.floor(available(500) * CONFIG.messageShare);
+    expect(fitted).toHaveLength(3);
+    expect(fitted[0].content).toMatch(/^start-0 .*tokens omitted.*end-0$/s);
+    expect(report.trimmed).toEqual([{ index: 0, role: 'user', from: expect.any(Number), to: expect.any(Number) }]);
+    expect(report.trimmed[0].to).toBeLessThanOrEqual(cap);
+  });
+
+  test('a latest message larger than the window is trimmed and everything else dropped', () => {
+    const messages = [turn(0), turn(1), turn(2, 5000)];
+
+    const { messages: fitted, report } = build({ messages });
+
+    expect(fitted).toHaveLength(1);
+    expect(fitted[0].content).toMatch(/^start-2 .*tokens omitted.*end-2$/s);
+    expect(report.trimmed[0]).toMatchObject({ index: 2, from: expect.any(Number) });
+    expect(report.dropped.map(d => d.index)).toEqual([0, 1]);
+    expect(report.tokens.total - systemTokens).toBeLessThanOrEqual(available(500));
+  });
+
+  test('an earlier message that would be cut below minTrimmedTokens is dropped instead', () => {
+    // The latest turn leaves room for less than minTrimmedTokens of anything else
+    const latestTokens = available(500) - CONFIG.minTrimmedTokens;
+    const messages = [turn(0, 300), turn(1, latestTokens + 10)];
+
+    const { messages: fitted, report } = build({ messages });
+
+    expect(fitted).toEqual([messages[1]]);
+    expect(report.dropped).toEqual([{ index: 0, role: 'user', tokens: expect.any(Number) }]);
+    expect(report.trimmed).toEqual([]);
+  });
+
+  test('summary and memory come first, each capped at its share of the window', () => {
+    const messages = [turn(0), turn(1)];
+
+    const { messages: fitted, report } = build({ messages, summary: text(3000, 'summary'), memory: text(3000, 'memory') });
+
+    expect(fitted.map(m => m.role)).toEqual(['system', 'system', 'user', 'assistant']);
+    expect(fitted[0].content).toMatch(/^## Previous Conversation Summary\nstart-summary .*tokens omitted/s);
+    expect(fitted[1].content).toMatch(/^start-memory .*tokens omitted/s);
+    expect(report.tokens.summary).toBeLessThanOrEqual(Math.floor(available(500) * CONFIG.summaryShare));
+    expect(report.tokens.memory).toBeLessThanOrEqual(Math.floor(available(500) * CONFIG.memoryShare));
+    expect(report.trimmed.map(t => t.section)).toEqual(['summary', 'memory']);
+    expect(fitted.slice(2)).toEqual(messages);
+  });
+
+  test('summary and memory are skipped once the latest turn leaves too little room', () => {
+    const messages = [turn(0, available(500) - 40)];
+
+    const { messages: fitted, report } = build({ messages, summary: 'Earlier we talked about tea.', memory: 'Likes tea' });
+
+    expect(fitted).toEqual(messages);
+    expect(report.tokens).toMatchObject({ summary: 0, memory: 0 });
+  });
+
+  test('when the system prompt and reserved output fill the window only the latest turn is sent', () => {
+    const messages = [turn(0), turn(1), turn(2)];
+
+    const { messages: fitted, report } = build({ messages, maxOutput: WINDOW });
+
+    expect(fitted).toEqual([messages[2]]);
+    expect(report.dropped.map(d => d.index)).toEqual([0, 1]);
+  });
+
+  test('the same input always gives the same context', () => {
+    const input = { messages: Array.from({ length: 12 }, (_, i) => turn(i, 150)), summary: text(800, 'summary') };
+
+    expect(build(input)).toEqual(build(input));
+  });
+});
+
+describe('tokenizer.truncate', () => {
+  const long = text(1000, 'doc');
+
+  test('keeps the start and end within the token limit', () => {
+    const result = tokenizer.truncate(long, 100, MODEL);
+
+    expect(result.trimmed).toBe(true);
+    expect(result.tokens).toBeLessThanOrEqual(100);
+    expect(result.tokens).toBe(tokenizer.count(result.text, MODEL));
+    expect(result.text).toMatch(/^start-doc .*\[\.\.\. \d+ tokens omitted \.\.\.\].*end-doc$/s);
+  });
+
+  test("keep: 'head' keeps only the start", () => {
+    const result = tokenizer.truncate(long, 100, MODEL, { keep: 'head' });
+
+    expect(result.tokens).toBeLessThanOrEqual(100);
+    expect(result.text).toMatch(/^start-doc /);
+    expect(result.text).not.toContain('end-doc');
+  });
+
+  test('text within the limit is returned as is', () => {
+    expect(tokenizer.truncate('short text', 100, MODEL)).toEqual({ text: 'short text', tokens: tokenizer.count('short text', MODEL), trimmed: false });
+  });
+});
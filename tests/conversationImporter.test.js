@@ -0,0 +1,74 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const crypto = require('crypto');
+const database = require('../backend/services/storage/database');
+const ConversationImporter = require('../backend/services/conversationImporter');
+
+// Stores sessions in the fake database, skipping messages the way SessionService does
+const sessions = {
+  async importSession({ title, userId, metadata, messages }) {
+    const session = { id: crypto.randomUUID(), title, userId, metadata, messages: [] };
+    database.sessions.push(session);
+    return { ...session, messageCount: await sessions.appendMessages(session.id, messages) };
+  },
+
+  async appendMessages(sessionId, messages) {
+    const stored = messages.filter(m => ['user', 'assistant', 'system'].includes(m.role) && typeof m.content === 'string');
+    database.sessions.find(s => s.id === sessionId).messages.push(...stored);
+    return stored.length;
+  },
+
+  async updateTitle(sessionId, title) {
+    database.sessions.find(s => s.id === sessionId).title = title;
+  }
+};
+
+const importer = new ConversationImporter(sessions, {});
+
+const contents = () => database.sessions[0].messages.map(m => m.content);
+
+beforeEach(() => {
+  database.reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('save', () => {
+  const first = [
+    { role: 'user', content: 'hello' },
+    { role: 'tool', content: 'skipped' },
+    { role: 'assistant', content: 'hi' }
+  ];
+
+  test('a later save adds only the new messages after one was skipped', async () => {
+    const created = await importer.save('conv-1', first, {}, 'user-a');
+    const again = await importer.save('conv-1', [...first, { role: 'user', content: 'next' }], {}, 'user-a');
+
+    expect(created).toMatchObject({ created: true, added: 2 });
+    expect(again).toMatchObject({ sessionId: created.sessionId, created: false, added: 1 });
+    expect(contents()).toEqual(['hello', 'hi', 'next']);
+    expect(database.sessions[0].metadata.legacyMessageCount).toBe(4);
+  });
+
+  test('chat turns in the same session do not hide legacy messages', async () => {
+    await importer.save('conv-1', first, {}, 'user-a');
+    database.sessions[0].messages.push({ role: 'user', content: 'from /api/chat' });
+
+    const again = await importer.save('conv-1', [...first, { role: 'user', content: 'next' }], {}, 'user-a');
+
+    expect(again.added).toBe(1);
+    expect(contents()).toEqual(['hello', 'hi', 'from /api/chat', 'next']);
+  });
+
+  test('saving the same list again adds nothing', async () => {
+    await importer.save('conv-1', first, { title: 'Greeting' }, 'user-a');
+    const again = await importer.save('conv-1', first, { title: 'Renamed' }, 'user-a');
+
+    expect(again.added).toBe(0);
+    expect(contents()).toEqual(['hello', 'hi']);
+    expect(database.sessions[0].title).toBe('Renamed');
+  });
+});
@@ -0,0 +1,60 @@
+const http = require('http');
+const axios = require('axios');
+const ContentFetcher = require('../backend/services/fetcher');
+
+const fetcher = new ContentFetcher();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('isPublicAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', 'fe80::1', 'fc00::1', '::ffff:127.0.0.1'
+  ])('%s is not public', (address) => {
+    expect(ContentFetcher.isPublicAddress(address)).toBe(false);
+  });
+
+  test.each(['1.1.1.1', '8.8.8.8', '2606:4700:4700::1111'])('%s is public', (address) => {
+    expect(ContentFetcher.isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe('request', () => {
+  test('refuses non-public IP literals and non-http URLs before connecting', async () => {
+    const get = jest.spyOn(axios, 'get');
+
+    await expect(fetcher.request('http://169.254.169.254/latest/meta-data')).rejects.toThrow(/Blocked/);
+    await expect(fetcher.request('http://[::1]:8080/')).rejects.toThrow(/Blocked/);
+    await expect(fetcher.request('file:///etc/passwd')).rejects.toThrow(/Only http/);
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test('refuses hostnames that resolve to a non-public address', async () => {
+    const server = http.createServer((req, res) => res.end('internal'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      await expect(fetcher.request(`http://localhost:${server.address().port}/`)).rejects.toThrow(/Blocked/);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('checks every redirect target', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValueOnce({
+      status: 302,
+      headers: { location: 'http://127.0.0.1:6379/' },
+      data: ''
+    });
+
+    await expect(fetcher.request('http://example.com/')).rejects.toThrow(/Blocked/);
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after too many redirects', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ status: 301, headers: { location: '/again' }, data: '' });
+
+    await expect(fetcher.request('http://example.com/')).rejects.toThrow(/Too many redirects/);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * In-memory stand-in for storage/database.js
+ * Covers the calls made by the auth, session and import services, the legacy
+ * conversation importer, the memory store and the usage ledger. transaction(fn) runs fn with a
+ * client and restores the memories if fn throws, like a rollback;
+ * lockRegistration holds a lock until that transaction ends, like
+ * pg_advisory_xact_lock.
+ */
+
+const crypto = require('crypto');
+
+function createFakeDatabase() {
+  let registrationLock = Promise.resolve();
+
+  const db = {
+    initialized: true,
+    users: [],
+    tokens: [],
+    sessions: [],
+    memories: [],
+    usage: [],
+
+    reset() {
+      db.users = [];
+      db.tokens = [];
+      db.sessions = [];
+      db.memories = [];
+      db.usage = [];
+      registrationLock = Promise.resolve();
+    },
+
+    async transaction(fn) {
+      const client = { releases: [] };
+      const memories = db.memories.map(m => ({ ...m }));
+      try {
+        return await fn(client);
+      } catch (error) {
+        db.memories = memories;
+        throw error;
+      } finally {
+        client.releases.forEach(release => release());
+      }
+    },
+
+    async lockRegistration(client) {
+      const previous = registrationLock;
+      let release;
+      registrationLock = new Promise(resolve => { release = resolve; });
+      client.releases.push(release);
+      await previous;
+    },
+
+    // ==================== USERS ====================
+
+    async countUsers() {
+      await tick();
+      return db.users.length;
+    },
+
+    async getUserByUsername(username) {
+      await tick();
+      return db.users.find(u => u.username.toLowerCase() === username.toLowerCase()) || null;
+    },
+
+    async getUserById(id) {
+      return db.users.find(u => u.id === id) || null;
+    },
+
+    async createUser({ username, passwordHash, isAdmin }) {
+      await tick();
+      const user = { id: crypto.randomUUID(), username, passwordHash, isAdmin, createdAt: Date.now() };
+      db.users.push(user);
+      return user;
+    },
+
+    async recordLogin() {},
+
+    // ==================== AUTH TOKENS ====================
+
+    async createAuthToken(userId, { tokenHash, kind, name, expiresAt }) {
+      const record = { id: crypto.randomUUID(), userId, tokenHash, kind, name, expiresAt };
+      db.tokens.push(record);
+      return { id: record.id, kind, name, expiresAt };
+    },
+
+    async getAuthToken(tokenHash) {
+      const record = db.tokens.find(t => t.tokenHash === tokenHash && (!t.expiresAt || t.expiresAt > Date.now()));
+      if (!record) return null;
+      const user = db.users.find(u => u.id === record.userId);
+      return { id: record.id, kind: record.kind, user: { id: user.id, username: user.username, isAdmin: user.isAdmin } };
+    },
+
+    async touchAuthToken() {},
+
+    async deleteAuthTokenByHash(tokenHash) {
+      db.tokens = db.tokens.filter(t => t.tokenHash !== tokenHash);
+    },
+
+    async deleteExpiredAuthTokens() {},
+
+    // ==================== SESSIONS ====================
+
+    async getSession(id) {
+      return db.sessions.find(s => s.id === id) || null;
+    },
+
+    async claimUnownedSessions(userId) {
+      const unowned = db.sessions.filter(s => s.userId === null);
+      unowned.forEach(s => { s.userId = userId; });
+      return unowned.length;
+    },
+
+    async updateSession(id, { title, metadataChanges }) {
+      const session = db.sessions.find(s => s.id === id);
+      if (title !== undefined) session.title = title;
+      if (metadataChanges !== undefined) session.metadata = { ...session.metadata, ...metadataChanges };
+    },
+
+    async findSessionByImportId(importId, userId) {
+      return db.sessions.find(s => s.metadata?.importId === importId && s.userId === userId) || null;
+    },
+
+    async findSessionByLegacyId(conversationId, userId) {
+      const session = db.sessions.find(s =>
+        s.metadata?.legacyConversationId === conversationId && (userId === null || s.userId === userId));
+      return session?.id || null;
+    },
+
+    async countMessages(id) {
+      return db.sessions.find(s => s.id === id).messages.length;
+    },
+
+    // ==================== MEMORIES ====================
+
+    async listMemories({ userId = null, types = null } = {}) {
+      await tick();
+      return db.memories
+        .filter(m => (userId === null || m.userId === userId) && (!types || types.includes(m.type)))
+        .map(m => ({ ...m }));
+    },
+
+    async getMemory(id) {
+      const memory = db.memories.find(m => m.id === id);
+      return memory ? { ...memory } : null;
+    },
+
+    async insertMemory(memory) {
+      await tick();
+      if (!db.memories.some(m => m.id === memory.id)) db.memories.push({ ...memory });
+      return memory;
+    },
+
+    async updateMemory(id, updates) {
+      const memory = db.memories.find(m => m.id === id);
+      if (!memory) return null;
+      Object.assign(memory, updates);
+      return { ...memory };
+    },
+
+    async deleteMemories(ids) {
+      const before = db.memories.length;
+      db.memories = db.memories.filter(m => !ids.includes(m.id));
+      return before - db.memories.length;
+    },
+
+    async lockMemoryOwner() {},
+
+    // ==================== USAGE ====================
+
+    async insertUsage(event) {
+      const record = { id: crypto.randomUUID(), ...event, createdAt: Date.now() };
+      db.usage.push(record);
+      return { id: record.id, createdAt: record.createdAt };
+    },
+
+    async getSpendSince(userId, since) {
+      return db.usage
+        .filter(e => (userId === null || e.userId === userId) && e.createdAt >= since)
+        .reduce((sum, e) => sum + e.costUsd, 0);
+    }
+  };
+
+  return db;
+}
+
+// Lets concurrent callers interleave between queries, as they would against PostgreSQL
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+module.exports = createFakeDatabase;
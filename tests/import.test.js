@@ -0,0 +1,183 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const crypto = require('crypto');
+const database = require('../backend/services/storage/database');
+const ImportService = require('../backend/services/import');
+
+// Stores imported sessions in the fake database so findSessionByImportId sees them
+const sessions = {
+  async importSession({ title, userId, createdAt, metadata, messages }) {
+    const session = { id: crypto.randomUUID(), title, userId, createdAt, metadata, messageCount: messages.length, messages };
+    database.sessions.push(session);
+    return session;
+  }
+};
+
+const importer = new ImportService(sessions);
+
+// A ChatGPT conversation where the first answer was regenerated:
+// root → q1 → (a1-old | a1-new) → q2 under a1-new
+function chatgptConversation(overrides = {}) {
+  const node = (id, parent, children, message = null) => ({ id, parent, children, message });
+  const msg = (role, text, extra = {}) => ({
+    author: { role },
+    content: { content_type: 'text', parts: [text] },
+    create_time: 1700000000,
+    ...extra
+  });
+  return {
+    conversation_id: 'conv-1',
+    title: 'Regenerated answer',
+    create_time: 1700000000,
+    current_node: 'q2',
+    mapping: {
+      root: node('root', null, ['sys']),
+      sys: node('sys', 'root', ['q1'], msg('system', 'hidden context', { metadata: { is_visually_hidden_from_conversation: true } })),
+      q1: node('q1', 'sys', ['a1-old', 'a1-new'], msg('user', 'What is 2+2?')),
+      'a1-old': node('a1-old', 'q1', [], msg('assistant', 'Five')),
+      'a1-new': node('a1-new', 'q1', ['tool'], msg('assistant', 'Four')),
+      tool: node('tool', 'a1-new', ['q2'], msg('assistant', 'search("2+2")', { recipient: 'browser' })),
+      q2: node('q2', 'tool', [], msg('user', 'Thanks'))
+    },
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  database.reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ChatGPT exports', () => {
+  test('keeps only the branch that was on screen', () => {
+    const { format, conversations } = importer.parse(JSON.stringify([chatgptConversation()]));
+
+    expect(format).toBe('chatgpt');
+    expect(conversations).toHaveLength(1);
+    expect(conversations[0].messages.map(m => [m.role, m.content])).toEqual([
+      ['user', 'What is 2+2?'],
+      ['assistant', 'Four'],
+      ['user', 'Thanks']
+    ]);
+    expect(conversations[0].skippedMessages).toBe(2);
+    expect(conversations[0].sourceId).toBe('conv-1');
+  });
+
+  test('follows the newest child when there is no current node', () => {
+    const conversation = chatgptConversation({ current_node: undefined });
+    const { conversations } = importer.parse([conversation], 'chatgpt');
+
+    expect(conversations[0].messages.map(m => m.content)).toEqual(['What is 2+2?', 'Four', 'Thanks']);
+  });
+
+  test('reports malformed entries instead of failing the file', () => {
+    const { conversations, skipped } = importer.parse([chatgptConversation(), { title: 'Broken' }], 'chatgpt');
+
+    expect(conversations).toHaveLength(1);
+    expect(skipped).toEqual([{ index: 1, title: 'Broken', reason: 'Not a ChatGPT conversation (no mapping)' }]);
+  });
+});
+
+describe('JSON exports', () => {
+  test('reads message lists with different field names', () => {
+    const { format, conversations } = importer.parse(JSON.stringify({
+      conversations: [{
+        uuid: 'abc',
+        name: 'Trip planning',
+        chat_messages: [
+          { sender: 'human', text: 'Plan a trip', created_at: '2024-01-01T10:00:00Z' },
+          { sender: 'assistant', content: [{ type: 'text', text: 'Sure.' }] },
+          { sender: 'assistant', content: '' }
+        ]
+      }]
+    }));
+
+    expect(format).toBe('json');
+    expect(conversations[0]).toMatchObject({ sourceId: 'abc', title: 'Trip planning', skippedMessages: 1 });
+    expect(conversations[0].messages.map(m => [m.role, m.content])).toEqual([
+      ['user', 'Plan a trip'],
+      ['assistant', 'Sure.']
+    ]);
+    expect(conversations[0].messages[0].createdAt).toBe(Date.parse('2024-01-01T10:00:00Z'));
+  });
+
+  test('rejects files that are neither JSON conversations nor ChatGPT exports', () => {
+    expect(() => importer.parse('{"hello": "world"}')).toThrow(ImportService.ImportError);
+    expect(() => importer.parse('not json', 'json')).toThrow(/Not valid JSON/);
+    expect(() => importer.parse('[]', 'yaml')).toThrow(/format must be one of/);
+  });
+});
+
+describe('Markdown transcripts', () => {
+  test('splits on speaker headings and labels, ignoring code fences', () => {
+    const text = [
+      '# Debugging session',
+      'Exported: 2024-03-01T12:00:00Z',
+      '',
+      '## 👤 User',
+      'Why does this fail?',
+      '```',
+      'Assistant: this line is code, not a speaker',
+      '```',
+      '---',
+      '**ChatGPT:** Because of the typo.',
+      'User: Thanks'
+    ].join('\n');
+
+    const { format, conversations } = importer.parse(text);
+
+    expect(format).toBe('markdown');
+    expect(conversations[0].title).toBe('Debugging session');
+    expect(conversations[0].createdAt).toBe(Date.parse('2024-03-01T12:00:00Z'));
+    expect(conversations[0].messages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(conversations[0].messages[0].content).toContain('this line is code, not a speaker');
+    expect(conversations[0].messages[1].content).toBe('Because of the typo.');
+  });
+
+  test('a file without speakers is skipped', () => {
+    const { conversations, skipped } = importer.parse('Just some notes', 'markdown');
+
+    expect(conversations).toHaveLength(0);
+    expect(skipped[0].reason).toMatch(/No "User:"/);
+  });
+});
+
+describe('import', () => {
+  test('importing the same file twice skips conversations already there', async () => {
+    const file = JSON.stringify([chatgptConversation()]);
+
+    const first = await importer.import(file, { userId: 'user-a' });
+    const second = await importer.import(file, { userId: 'user-a' });
+
+    expect(first.imported).toHaveLength(1);
+    expect(database.sessions[0].metadata).toEqual({ importedFrom: 'chatgpt', importId: 'chatgpt:conv-1' });
+    expect(second.imported).toHaveLength(0);
+    expect(second.skipped).toEqual([{ index: 0, title: 'Regenerated answer', reason: 'Already imported' }]);
+  });
+
+  test('conversations without a source id are matched by their content', async () => {
+    const markdown = 'User: hello\nAssistant: hi there';
+
+    await importer.import(markdown, { format: 'markdown', filename: 'notes/greeting.md', userId: 'user-a' });
+    const again = await importer.import(markdown, { format: 'markdown', userId: 'user-a' });
+
+    expect(database.sessions).toHaveLength(1);
+    expect(database.sessions[0].title).toBe('greeting');
+    expect(again.skipped[0].reason).toBe('Already imported');
+  });
+
+  test('another user importing the same file gets their own copy', async () => {
+    const file = JSON.stringify([chatgptConversation()]);
+
+    await importer.import(file, { userId: 'user-a' });
+    const other = await importer.import(file, { userId: 'user-b' });
+
+    expect(other.imported).toHaveLength(1);
+    expect(database.sessions.map(s => s.userId)).toEqual(['user-a', 'user-b']);
+  });
+});
@@ -0,0 +1,147 @@
+const LLMService = require('../backend/services/llm');
+const modelConfig = require('../config/models');
+const providerConfig = require('../config/providers');
+const aiConfig = require('../config/ai-config');
+
+// gpt-4o falls back to gpt-4o-mini; both are served by a stub provider whose
+// answers are set per model (an Error to throw, or a response)
+const FALLBACKS = { 'gpt-4o': ['gpt-4o-mini'] };
+
+let llm;
+let provider;
+let answers;
+
+const retryConfig = aiConfig.retry;
+
+function httpError(status, headers = undefined) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+function completion(model) {
+  return { model, choices: [{ message: { role: 'assistant', content: `from ${model}` } }], usage: {} };
+}
+
+const request = (params = {}) => llm.chat.completions.create({
+  model: 'gpt-4o',
+  messages: [{ role: 'user', content: 'hello' }],
+  ...params
+});
+
+beforeEach(() => {
+  answers = {};
+  provider = {
+    createChatCompletion: jest.fn(async ({ model }) => {
+      const queue = answers[model] || [];
+      const answer = queue.length > 1 ? queue.shift() : queue[0];
+      if (answer instanceof Error) throw answer;
+      return answer || completion(model);
+    })
+  };
+  llm = new LLMService();
+  llm.providers.set('stub', provider);
+
+  jest.spyOn(modelConfig, 'getProviderForModel').mockReturnValue('stub');
+  jest.spyOn(modelConfig, 'getFallbackModels').mockImplementation(model => FALLBACKS[model] || []);
+  jest.spyOn(providerConfig, 'isConfigured').mockReturnValue(true);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  aiConfig.retry = { ...retryConfig, maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1 };
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  aiConfig.retry = retryConfig;
+});
+
+const calledModels = () => provider.createChatCompletion.mock.calls.map(([params]) => params.model);
+
+describe('retries', () => {
+  test('waits as long as Retry-After asks after a 429', async () => {
+    jest.useFakeTimers();
+    answers['gpt-4o'] = [httpError(429, { 'retry-after': '2' }), completion('gpt-4o')];
+
+    const response = request();
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(provider.createChatCompletion).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    const result = await response;
+    expect(provider.createChatCompletion).toHaveBeenCalledTimes(2);
+    expect(result.served).toMatchObject({ model: 'gpt-4o', attempts: 2 });
+  });
+
+  test('a Retry-After longer than maxRetryAfterMs fails over at once', async () => {
+    answers['gpt-4o'] = [httpError(429, { 'retry-after': String(retryConfig.maxRetryAfterMs / 1000 + 60) })];
+
+    const result = await request();
+
+    expect(calledModels()).toEqual(['gpt-4o', 'gpt-4o-mini']);
+    expect(result.served.model).toBe('gpt-4o-mini');
+  });
+
+  test('errors that retrying cannot fix are thrown as they are', async () => {
+    answers['gpt-4o'] = [httpError(400)];
+
+    await expect(request()).rejects.toMatchObject({ status: 400 });
+    expect(calledModels()).toEqual(['gpt-4o']);
+  });
+});
+
+describe('failover', () => {
+  test('a model that keeps failing with 5xx hands over to its fallback', async () => {
+    answers['gpt-4o'] = [httpError(502)];
+
+    const result = await request();
+
+    expect(calledModels()).toEqual(['gpt-4o', 'gpt-4o', 'gpt-4o', 'gpt-4o-mini']);
+    expect(result.choices[0].message.content).toBe('from gpt-4o-mini');
+    expect(result.served).toEqual({ model: 'gpt-4o-mini', provider: 'stub', requestedModel: 'gpt-4o', attempts: 4 });
+  });
+
+  test('503 ProviderUnavailableError when the whole chain fails', async () => {
+    answers['gpt-4o'] = [httpError(503)];
+    answers['gpt-4o-mini'] = [httpError(500)];
+
+    const error = await request().catch(e => e);
+
+    expect(error).toBeInstanceOf(LLMService.ProviderUnavailableError);
+    expect(error.status).toBe(503);
+    expect(error.attempts.map(a => a.model)).toEqual(['gpt-4o', 'gpt-4o', 'gpt-4o', 'gpt-4o-mini', 'gpt-4o-mini', 'gpt-4o-mini']);
+  });
+
+  test('a stream is not retried once its first chunk arrived', async () => {
+    async function* stream() {
+      yield { choices: [{ delta: { content: 'Hel' } }] };
+      throw httpError(500);
+    }
+    answers['gpt-4o'] = [stream()];
+
+    const response = await request({ stream: true });
+    const chunks = [];
+    await expect((async () => {
+      for await (const chunk of response) chunks.push(chunk);
+    })()).rejects.toMatchObject({ status: 500 });
+
+    expect(chunks).toHaveLength(1);
+    expect(calledModels()).toEqual(['gpt-4o']);
+  });
+});
+
+describe('context window', () => {
+  test('a prompt that cannot fit is a 413 before any provider call', async () => {
+    const error = await request({
+      model: 'gpt-3.5-turbo',
+      messages: [{ role: 'user', content: 'lorem ipsum '.repeat(10000) }]
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(LLMService.ContextLengthError);
+    expect(error.status).toBe(413);
+    expect(provider.createChatCompletion).not.toHaveBeenCalled();
+  });
+
+  test('max_tokens is capped at the model\'s max output', async () => {
+    await request({ max_tokens: 1000000 });
+
+    expect(provider.createChatCompletion.mock.calls[0][0].max_tokens).toBe(16384);
+  });
+});
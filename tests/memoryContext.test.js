@@ -0,0 +1,92 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryService = require('../backend/services/memory');
+const Orchestrator = require('../backend/services/orchestrator');
+const { FileMemoryStore } = require('../backend/services/storage/memoryStore');
+
+let dataDir;
+let memory;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-context-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  memory = new MemoryService();
+  memory.dataDir = dataDir;
+  memory.memoryFile = path.join(dataDir, 'memory.json');
+  memory.conversationsDir = path.join(dataDir, 'conversations');
+  memory.store = new FileMemoryStore(memory.memoryFile);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const chatPlan = { intent: 'chat', needsTools: [], complexity: 'simple', extractedQuery: 'what tea does Alice like' };
+
+describe('getContext', () => {
+  test('reading the context leaves access counts and types alone', async () => {
+    const saved = await memory.addShortTerm('Alice likes green tea');
+
+    for (let i = 0; i < memory.lifecycle.promoteAfterUses; i++) {
+      const context = await memory.getContext('green tea');
+      expect(context).toMatchObject({ ids: [saved.id], matchedIds: [saved.id] });
+    }
+
+    expect(await memory.getMemory(saved.id)).toMatchObject({ type: 'short_term', accessCount: 0, lastAccessedAt: null });
+  });
+
+  test('matchedIds leaves out recent memories that did not match the query', async () => {
+    const tea = await memory.addShortTerm('Alice likes green tea');
+    const bike = await memory.addShortTerm('Bob rides his bike to work');
+
+    const { ids, matchedIds } = await memory.getContext('green tea');
+
+    expect(ids).toEqual([tea.id, bike.id]);
+    expect(matchedIds).toEqual([tea.id]);
+  });
+});
+
+describe('a chat turn', () => {
+  function orchestrator() {
+    const orchestrator = new Orchestrator({}, { memory, tools: null });
+    jest.spyOn(orchestrator, 'runHandler').mockResolvedValue({ content: 'Green tea', metadata: {} });
+    return orchestrator;
+  }
+
+  test('counts a use of the matched memories it puts in the prompt', async () => {
+    const tea = await memory.addShortTerm('Alice likes green tea');
+    const bike = await memory.addShortTerm('Bob rides his bike to work');
+    const messages = [{ role: 'user', content: 'What tea does Alice like?' }];
+
+    const result = await orchestrator().execute(messages, chatPlan, '', {}, { useMemory: true });
+
+    expect(result.metadata.memoryIds).toEqual([tea.id, bike.id]);
+    expect(await memory.getMemory(tea.id)).toMatchObject({ accessCount: 1, lastAccessedAt: expect.any(String) });
+    expect((await memory.getMemory(bike.id)).accessCount).toBe(0);
+  });
+
+  test('used often enough, a short-term memory is promoted', async () => {
+    const tea = await memory.addShortTerm('Alice likes green tea');
+    const messages = [{ role: 'user', content: 'What tea does Alice like?' }];
+
+    for (let i = 0; i < memory.lifecycle.promoteAfterUses; i++) {
+      await orchestrator().execute(messages, chatPlan, '', {}, { useMemory: true });
+    }
+
+    expect((await memory.getMemory(tea.id)).type).toBe('long_term');
+  });
+
+  test('a failure to record access does not fail the turn', async () => {
+    await memory.addShortTerm('Alice likes green tea');
+    jest.spyOn(memory, 'recordAccess').mockRejectedValue(new Error('disk full'));
+    const messages = [{ role: 'user', content: 'What tea does Alice like?' }];
+
+    const result = await orchestrator().execute(messages, chatPlan, '', {}, { useMemory: true });
+
+    expect(result.content).toBe('Green tea');
+  });
+});
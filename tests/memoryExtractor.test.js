@@ -0,0 +1,140 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../backend/services/storage/database');
+const MemoryService = require('../backend/services/memory');
+const MemoryExtractor = require('../backend/services/memoryExtractor');
+const { DatabaseMemoryStore } = require('../backend/services/storage/memoryStore');
+const aiConfig = require('../config/ai-config');
+
+const CONFIG = { ...aiConfig.memoryExtraction, enabled: true, autoAccept: false, minConfidence: 0.7, maxPerTurn: 3, similarityThreshold: 0.8 };
+
+let dataDir;
+let memory;
+let llm;
+let candidates;
+
+// The LLM answers every extraction with `candidates`
+beforeEach(() => {
+  database.reset();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-extractor-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  candidates = [];
+  llm = {
+    chat: {
+      completions: {
+        create: jest.fn(async () => ({ choices: [{ message: { content: JSON.stringify({ memories: candidates }) } }] }))
+      }
+    }
+  };
+  memory = new MemoryService();
+  memory.dataDir = dataDir;
+  memory.conversationsDir = path.join(dataDir, 'conversations');
+  memory.store = new DatabaseMemoryStore();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const extractor = (config = {}) => new MemoryExtractor(llm, memory, { ...CONFIG, ...config });
+
+const turn = (content, extra = {}) => ({
+  userId: 'alice',
+  sessionId: 'session-1',
+  userMessage: { id: 'm1', content },
+  assistantMessage: { id: 'm2', content: 'Noted.' },
+  ...extra
+});
+
+describe('extract', () => {
+  test('messages that say nothing about the user skip the model call', async () => {
+    expect(await extractor().extractFromTurn(turn('What is the capital of Peru?'))).toEqual([]);
+    expect(llm.chat.completions.create).not.toHaveBeenCalled();
+
+    candidates = [{ content: 'Alice lives in Lima', category: 'fact', confidence: 0.9 }];
+    expect(await extractor().extractFromTurn(turn('I live in Lima'))).toHaveLength(1);
+  });
+
+  test('disabled extraction does nothing', async () => {
+    expect(await extractor({ enabled: false }).extractFromTurn(turn('I live in Lima'))).toEqual([]);
+    expect(llm.chat.completions.create).not.toHaveBeenCalled();
+  });
+
+  test('candidates below minConfidence are dropped and the rest queued for review, most confident first', async () => {
+    candidates = [
+      { content: 'Alice might like jazz', category: 'preference', confidence: 0.4 },
+      { content: 'Alice is a nurse', category: 'fact', confidence: 0.8 },
+      { content: 'Alice wants to run a marathon', category: 'goal', confidence: 0.95 },
+      { content: 'Alice is left-handed', category: 'bogus', confidence: 0.7 }
+    ];
+
+    const stored = await extractor().extractFromTurn(turn('I am a nurse training for a marathon'));
+
+    expect(stored.map(m => [m.content, m.type, m.tags])).toEqual([
+      ['Alice wants to run a marathon', 'pending', ['goal']],
+      ['Alice is a nurse', 'pending', ['fact']],
+      ['Alice is left-handed', 'pending', ['fact']]
+    ]);
+    expect(stored[0]).toMatchObject({
+      userId: 'alice',
+      scope: 'global',
+      metadata: { source: 'extraction', category: 'goal', confidence: 0.95, sessionId: 'session-1', messageIds: ['m1'] }
+    });
+    expect(database.memories).toHaveLength(3);
+  });
+
+  test('at most maxPerTurn memories are saved per turn', async () => {
+    candidates = ['tea', 'coffee', 'cocoa', 'juice'].map(drink => ({ content: `Alice drinks ${drink} daily`, category: 'preference', confidence: 0.9 }));
+
+    expect(await extractor({ maxPerTurn: 2 }).extractFromTurn(turn('I drink a lot'))).toHaveLength(2);
+    expect(database.memories).toHaveLength(2);
+  });
+
+  test('candidates that repeat a saved or pending memory are skipped', async () => {
+    await memory.addLongTerm('Alice lives in Lima Peru', {}, 'alice');
+    await memory.addPending('Alice has two cats', {}, 'alice');
+    await memory.addLongTerm('Bob works as a chef', {}, 'bob');
+    candidates = [
+      { content: 'Alice lives in Lima, Peru', category: 'fact', confidence: 0.9 },
+      { content: 'Alice has two cats', category: 'fact', confidence: 0.9 },
+      { content: 'Bob works as a chef', category: 'fact', confidence: 0.9 }
+    ];
+
+    const stored = await extractor().extractFromTurn(turn('I live in Lima with my cats and I am friends with Bob'));
+
+    // Only Alice's own memories count as duplicates
+    expect(stored.map(m => m.content)).toEqual(['Bob works as a chef']);
+    const prompt = llm.chat.completions.create.mock.calls[0][0].messages[1].content;
+    expect(prompt).toContain('## Already Saved\n- Alice lives in Lima Peru\n- Alice has two cats');
+    expect(prompt).not.toContain('Bob works');
+  });
+
+  test('autoAccept saves straight to long-term memory', async () => {
+    candidates = [{ content: 'Alice is vegetarian', category: 'preference', confidence: 0.9 }];
+
+    const [saved] = await extractor({ autoAccept: true }).extractFromTurn(turn("I'm vegetarian"));
+
+    expect(saved.type).toBe('long_term');
+    expect(await memory.getPending('alice')).toEqual([]);
+  });
+
+  test("memories from a project session are scoped to that project", async () => {
+    candidates = [{ content: 'Alice deploys on Fridays', category: 'context', confidence: 0.9 }];
+
+    const [saved] = await extractor().extractFromTurn(turn('We deploy on Fridays', { project: 'website' }));
+
+    expect(saved).toMatchObject({ scope: 'project', scopeId: 'website' });
+  });
+
+  test('an unparseable model answer saves nothing', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    llm.chat.completions.create.mockResolvedValue({ choices: [{ message: { content: 'Sure! Here are the memories:' } }] });
+
+    expect(await extractor().extractFromTurn(turn('I live in Lima'))).toEqual([]);
+    expect(database.memories).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../backend/services/storage/database');
+const MemoryService = require('../backend/services/memory');
+const VectorIndex = require('../backend/services/storage/vectorIndex');
+const { FileMemoryStore } = require('../backend/services/storage/memoryStore');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+let dataDir;
+
+beforeEach(() => {
+  database.reset();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-migration-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const memoryFile = () => path.join(dataDir, 'memory.json');
+
+// memory.json as saved before memories had UUIDs, and a vector for one of them
+function writeLegacyFiles() {
+  const memory = (id, content) => ({ id, content, metadata: {}, userId: null, timestamp: '2024-01-01T00:00:00.000Z' });
+  fs.writeFileSync(memoryFile(), JSON.stringify({
+    shortTerm: [memory('mem_1', 'Likes tea')],
+    longTerm: [memory('mem_2', 'Lives in Oslo'), memory('mem_3', 'Works on compilers')],
+    pending: []
+  }));
+  fs.writeFileSync(path.join(dataDir, 'memory-vectors.json'), JSON.stringify({
+    embedder: 'stub', dimensions: 2, vectors: { mem_2: [1, 0] }
+  }));
+}
+
+// A memory service on the test's temp dir, with a stub embedder so vectors are kept
+function memoryService() {
+  const memory = new MemoryService({
+    embeddings: { id: 'stub', embed: async texts => texts.map(() => [0, 1]) }
+  });
+  memory.dataDir = dataDir;
+  memory.memoryFile = memoryFile();
+  memory.conversationsDir = path.join(dataDir, 'conversations');
+  memory.vectorIndex = new VectorIndex(path.join(dataDir, 'memory-vectors.json'));
+  memory.store = new FileMemoryStore(memory.memoryFile);
+  return memory;
+}
+
+describe('useDatabase', () => {
+  test('moves memory.json into the database with UUIDs and keeps the vectors', async () => {
+    writeLegacyFiles();
+    const memory = memoryService();
+
+    await memory.useDatabase();
+
+    expect(memory.store.name).toBe('postgres');
+    expect(database.memories.map(m => [m.type, m.content, m.metadata.legacyId])).toEqual([
+      ['short_term', 'Likes tea', 'mem_1'],
+      ['long_term', 'Lives in Oslo', 'mem_2'],
+      ['long_term', 'Works on compilers', 'mem_3']
+    ]);
+    expect(database.memories.every(m => UUID.test(m.id))).toBe(true);
+
+    expect(fs.existsSync(memoryFile())).toBe(false);
+    expect(fs.existsSync(`${memoryFile()}.migrated`)).toBe(true);
+
+    const oslo = database.memories.find(m => m.metadata.legacyId === 'mem_2');
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'memory-vectors.json'), 'utf8'));
+    expect(Object.keys(saved.vectors)).toEqual([oslo.id]);
+  });
+
+  test('after a restart the vectors of migrated memories are kept', async () => {
+    writeLegacyFiles();
+    await memoryService().useDatabase();
+    const oslo = database.memories.find(m => m.metadata.legacyId === 'mem_2');
+    const vectorsFile = path.join(dataDir, 'memory-vectors.json');
+    const saved = JSON.parse(fs.readFileSync(vectorsFile, 'utf8'));
+    fs.writeFileSync(vectorsFile, JSON.stringify({ ...saved, vectors: { ...saved.vectors, deleted: [0, 1] } }));
+
+    const restarted = memoryService();
+    await restarted.initialize();
+    expect(restarted.vectorIndex.has(oslo.id)).toBe(true);
+    await restarted.useDatabase();
+
+    // Pruned against the database: the migrated memory's vector stays, the orphan goes
+    expect(Object.keys(JSON.parse(fs.readFileSync(vectorsFile, 'utf8')).vectors)).toEqual([oslo.id]);
+    expect(restarted.vectorIndex.has(oslo.id)).toBe(true);
+  });
+
+  test('an interrupted migration leaves memory.json in place and can run again', async () => {
+    writeLegacyFiles();
+    const memory = memoryService();
+    const insert = database.insertMemory;
+    jest.spyOn(database, 'insertMemory')
+      .mockImplementationOnce(insert)
+      .mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(memory.useDatabase()).rejects.toThrow('connection lost');
+
+    expect(database.memories).toEqual([]);
+    expect(memory.store.name).toBe('file');
+    expect(fs.existsSync(memoryFile())).toBe(true);
+    expect((await memory.store.list()).map(m => m.id)).toEqual(['mem_1', 'mem_2', 'mem_3']);
+
+    await memory.useDatabase();
+
+    expect(database.memories).toHaveLength(3);
+    expect(fs.existsSync(`${memoryFile()}.migrated`)).toBe(true);
+  });
+
+  test('a write queued behind the migration lands in the database', async () => {
+    writeLegacyFiles();
+    const memory = memoryService();
+    await memory.initialize();
+
+    const migration = memory.useDatabase();
+    const write = memory.addLongTerm('Prefers metric units', {}, null);
+    await Promise.all([migration, write]);
+
+    // Forwarded to the database, not written to memory.json and migrated from there
+    const added = database.memories.find(m => m.content === 'Prefers metric units');
+    expect(added.metadata.legacyId).toBeUndefined();
+    expect(fs.readFileSync(`${memoryFile()}.migrated`, 'utf8')).not.toContain('Prefers metric units');
+    expect(fs.existsSync(memoryFile())).toBe(false);
+  });
+});
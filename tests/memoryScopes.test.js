@@ -0,0 +1,198 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { newDb } = require('pg-mem');
+const database = require('../backend/services/storage/database');
+const MemoryService = require('../backend/services/memory');
+
+// The app runs offline: mock LLM, no accounts, memories in a temp dir
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-scopes-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.AUTH_ENABLED = 'false';
+process.env.DATA_DIR = path.join(dataDir, 'app');
+database.initialize = async () => { throw new Error('no database in tests'); };
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+const app = require('../backend/server');
+
+const SESSION_A = '00000000-0000-4000-8000-00000000000a';
+const SESSION_B = '00000000-0000-4000-8000-00000000000b';
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// One memory per scope, all mentioning tea
+async function addScopedMemories(memory, userId = null) {
+  const add = (content, scope, scopeId) => memory.addLongTerm(content, {}, userId, { scope, scopeId });
+  return {
+    global: await add('Global: tea is served at noon', 'global'),
+    sessionA: await add('Session A: green tea was chosen', 'session', SESSION_A),
+    sessionB: await add('Session B: black tea was chosen', 'session', SESSION_B),
+    project: await add('Project garden: mint tea grows here', 'project', 'garden'),
+    otherProject: await add('Project kitchen: tea towels are blue', 'project', 'kitchen')
+  };
+}
+
+const contents = memories => memories.map(m => m.content.split(':')[0]).sort();
+
+describe('MemoryService scopes', () => {
+  let memory;
+  let serviceDir;
+
+  beforeEach(async () => {
+    serviceDir = fs.mkdtempSync(path.join(dataDir, 'service-'));
+    memory = new MemoryService({ dataDir: serviceDir });
+    await addScopedMemories(memory);
+  });
+
+  test('contextScopes lists the session, then its project, then global', () => {
+    expect(memory.contextScopes({ sessionId: SESSION_A, project: 'garden' }))
+      .toEqual([`session:${SESSION_A}`, 'project:garden', 'global']);
+    expect(memory.contextScopes({})).toEqual(['global']);
+  });
+
+  test("search in a session's scopes never returns another session's or project's memories", async () => {
+    const scopes = memory.contextScopes({ sessionId: SESSION_A, project: 'garden' });
+
+    const results = await memory.search('tea', { scopes });
+
+    expect(contents(results)).toEqual(['Global', 'Project garden', 'Session A']);
+  });
+
+  test('without scopes every memory is searched', async () => {
+    expect(await memory.search('tea')).toHaveLength(5);
+  });
+
+  test("a session's context holds its own and global memories, its own first", async () => {
+    const context = await memory.getContext('tea', 1000, null, memory.contextScopes({ sessionId: SESSION_B }));
+
+    expect(context.text).toContain('Session B');
+    expect(context.text).not.toMatch(/Session A|Project/);
+    expect(context.text.indexOf('Session B')).toBeLessThan(context.text.indexOf('Global'));
+  });
+
+  test('recent, pending and clearing are limited to the scopes asked for', async () => {
+    await memory.addShortTerm('Session A: short note', {}, null, { scope: 'session', scopeId: SESSION_A });
+    await memory.addShortTerm('Session B: short note', {}, null, { scope: 'session', scopeId: SESSION_B });
+    await memory.addPending('Session A: pending note', {}, null, { scope: 'session', scopeId: SESSION_A });
+
+    expect(contents(await memory.getRecent(10, 'short_term', null, [`session:${SESSION_A}`]))).toEqual(['Session A']);
+    expect(await memory.getPending(null, [`session:${SESSION_B}`])).toEqual([]);
+
+    await memory.clearShortTerm(null, [`session:${SESSION_A}`]);
+    expect(contents(await memory.getRecent(10, 'short_term'))).toEqual(['Session B']);
+  });
+});
+
+describe('PostgreSQL scope filter', () => {
+  const postgres = jest.requireActual('../backend/services/storage/database');
+
+  beforeAll(async () => {
+    const { Pool } = newDb().adapters.createPg();
+    postgres.pool = new Pool();
+    await postgres.pool.query(`
+      CREATE TABLE users (id UUID PRIMARY KEY);
+      CREATE TABLE memories (
+        id UUID PRIMARY KEY, user_id UUID, type TEXT NOT NULL, content TEXT NOT NULL,
+        metadata JSONB DEFAULT '{}'::jsonb, created_at BIGINT NOT NULL, tags TEXT[] DEFAULT '{}',
+        importance REAL DEFAULT 0.5, expires_at BIGINT, access_count INTEGER DEFAULT 0,
+        last_accessed_at BIGINT, history JSONB DEFAULT '[]'::jsonb, updated_at BIGINT,
+        scope TEXT NOT NULL DEFAULT 'global', scope_id TEXT
+      )`);
+
+    const memories = await addScopedMemories(new MemoryService({ dataDir: fs.mkdtempSync(path.join(dataDir, 'pg-')) }));
+    for (const memory of Object.values(memories)) {
+      await postgres.insertMemory(memory);
+    }
+  });
+
+  afterAll(() => {
+    postgres.pool = null;
+  });
+
+  // pg-mem can't run ANY(NULL), so types and scopes are always given
+  const list = scopes => postgres.listMemories({ types: ['long_term'], scopes });
+
+  test('listMemories returns only the memories of the scope keys asked for', async () => {
+    expect(contents(await list([`session:${SESSION_A}`, 'project:garden', 'global']))).toEqual(['Global', 'Project garden', 'Session A']);
+    expect(contents(await list(['project:kitchen']))).toEqual(['Project kitchen']);
+    expect(await list(['session:'])).toEqual([]);
+    expect(await list([`session:${SESSION_B}`, 'project:garden', 'project:kitchen', 'global'])).toHaveLength(4);
+  });
+});
+
+describe('memory routes', () => {
+  let memories;
+
+  beforeAll(() => {
+    database.sessions.push({ id: SESSION_A, userId: null }, { id: SESSION_B, userId: null });
+  });
+
+  beforeEach(async () => {
+    // Start each test from an empty store
+    await request(app).delete('/api/memory?type=all');
+    const add = async (content, scope, scopeId) => (await request(app).post('/api/memory')
+      .send({ content, type: 'long_term', scope, scopeId })).body;
+    memories = {
+      global: await add('Global: tea is served at noon', 'global'),
+      sessionA: await add('Session A: green tea was chosen', 'session', SESSION_A),
+      sessionB: await add('Session B: black tea was chosen', 'session', SESSION_B),
+      project: await add('Project garden: mint tea grows here', 'project', 'garden')
+    };
+  });
+
+  test('new memories record their scope', () => {
+    expect(memories.sessionA).toMatchObject({ scope: 'session', scopeId: SESSION_A });
+    expect(memories.project).toMatchObject({ scope: 'project', scopeId: 'garden' });
+    expect(memories.global).toMatchObject({ scope: 'global', scopeId: null });
+  });
+
+  test('invalid scopes and unknown sessions are rejected', async () => {
+    const post = body => request(app).post('/api/memory').send({ content: 'Likes tea', ...body });
+
+    expect((await post({ scope: 'team' })).status).toBe(400);
+    expect((await post({ scope: 'session' })).body.error).toMatch(/scopeId is required/);
+    expect((await post({ scope: 'project', scopeId: '  ' })).status).toBe(400);
+    expect((await post({ scope: 'session', scopeId: '00000000-0000-4000-8000-0000000000ff' })).body.error)
+      .toBe('Session not found for scopeId');
+    expect((await request(app).get('/api/memory/search?q=tea&scope=session')).status).toBe(400);
+  });
+
+  test('search with a scope filter returns only that scope', async () => {
+    const search = async query => contents((await request(app).get(`/api/memory/search?q=tea&${query}`)).body.results);
+
+    expect(await search(`scope=session&scopeId=${SESSION_A}`)).toEqual(['Session A']);
+    expect(await search('scope=project&scopeId=garden')).toEqual(['Project garden']);
+    expect(await search('scope=global')).toEqual(['Global']);
+    expect(await search('')).toEqual(['Global', 'Project garden', 'Session A', 'Session B']);
+  });
+
+  test("a session's context never includes another session's memories", async () => {
+    const { body } = await request(app).get(`/api/memory/context?query=tea&sessionId=${SESSION_A}&project=garden`);
+
+    expect(body.memoryIds.sort()).toEqual([memories.global.id, memories.sessionA.id, memories.project.id].sort());
+    expect(body.context).not.toContain('Session B');
+
+    const global = await request(app).get('/api/memory/context?query=tea');
+    expect(global.body.memoryIds).toEqual([memories.global.id]);
+  });
+
+  test('moving a memory to another scope takes it out of the old one', async () => {
+    const moved = await request(app).patch(`/api/memory/${memories.sessionA.id}`).send({ scope: 'session', scopeId: SESSION_B });
+    expect(moved.body).toMatchObject({ scope: 'session', scopeId: SESSION_B });
+
+    const { body } = await request(app).get(`/api/memory/search?q=tea&scope=session&scopeId=${SESSION_A}`);
+    expect(body.results).toEqual([]);
+  });
+
+  test("clearing a session's memories leaves the others", async () => {
+    await request(app).delete(`/api/memory?type=all&scope=session&scopeId=${SESSION_A}`);
+
+    const { body } = await request(app).get('/api/memory/search?q=tea');
+    expect(contents(body.results)).toEqual(['Global', 'Project garden', 'Session B']);
+  });
+});
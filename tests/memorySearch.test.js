@@ -0,0 +1,135 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryService = require('../backend/services/memory');
+const EmbeddingService = require('../backend/services/embeddings');
+const VectorIndex = require('../backend/services/storage/vectorIndex');
+const { FileMemoryStore } = require('../backend/services/storage/memoryStore');
+
+// Fixed vectors per text, so similarities are known: unlisted texts point away from the query
+const VECTORS = {
+  'hot drinks': [1, 0],
+  'garden party plans tomorrow': [1, 0],
+  'Alice prefers tea': [0.9, Math.sqrt(1 - 0.81)]
+};
+const stubEmbedder = {
+  id: 'stub-2',
+  embed: async texts => texts.map(text => VECTORS[text] || [0, 1])
+};
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-search-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A memory service that keeps its files in the test's temp dir
+function memoryService({ embedder = null } = {}) {
+  const memory = new MemoryService({ embeddings: embedder && new EmbeddingService(null, { embedder }) });
+  memory.dataDir = dataDir;
+  memory.memoryFile = path.join(dataDir, 'memory.json');
+  memory.conversationsDir = path.join(dataDir, 'conversations');
+  memory.store = new FileMemoryStore(memory.memoryFile);
+  memory.vectorIndex = new VectorIndex(path.join(dataDir, 'memory-vectors.json'));
+  return memory;
+}
+
+describe('search', () => {
+  test('blends semantic similarity with keyword matches', async () => {
+    const memory = memoryService({ embedder: stubEmbedder });
+    await memory.addLongTerm('Alice prefers tea');
+    await memory.addLongTerm('Hot drinks are banned in the lab');
+    await memory.addLongTerm('Bob rides his bike to work');
+
+    const results = await memory.search('hot drinks');
+
+    expect(results.map(m => m.content)).toEqual(['Alice prefers tea', 'Hot drinks are banned in the lab']);
+    expect(results[0]).toMatchObject({ keywordScore: 0, semanticScore: expect.closeTo(0.9) });
+    expect(results[1]).toMatchObject({ keywordScore: 1, semanticScore: expect.closeTo(0) });
+  });
+
+  test('without an embedder memories rank by keywords alone', async () => {
+    const memory = memoryService();
+    await memory.addLongTerm('Alice prefers tea');
+    await memory.addLongTerm('Hot drinks are banned in the lab');
+
+    const results = await memory.search('hot drinks');
+
+    expect(results.map(m => m.content)).toEqual(['Hot drinks are banned in the lab']);
+    expect(results[0].semanticScore).toBeNull();
+  });
+
+  test('memories below minRelevance are dropped however recent or important', async () => {
+    const memory = memoryService({ embedder: stubEmbedder });
+    // One word of four matches: 2/18 keyword, 0.3 × that once blended with no similarity
+    await memory.addLongTerm('The garden needs water', {}, null, { importance: 1 });
+
+    expect(await memory.search('garden party plans tomorrow')).toEqual([]);
+
+    memory.embeddings = null;
+    expect(await memory.search('garden party plans tomorrow')).toHaveLength(1);
+  });
+
+  test('limit caps the results and must be a positive integer', async () => {
+    const memory = memoryService();
+    for (const drink of ['tea', 'coffee', 'cocoa']) {
+      await memory.addLongTerm(`Alice drinks ${drink}`);
+    }
+
+    expect(await memory.search('alice drinks', { limit: 2 })).toHaveLength(2);
+    expect(await memory.search('alice drinks', { limit: Infinity })).toHaveLength(3);
+    for (const limit of [0, -1, 1.5, NaN, '2']) {
+      await expect(memory.search('alice drinks', { limit })).rejects.toMatchObject({ status: 400 });
+    }
+  });
+});
+
+describe('VectorIndex.persist', () => {
+  let filePath;
+  let index;
+
+  beforeEach(async () => {
+    filePath = path.join(dataDir, 'vectors.json');
+    index = new VectorIndex(filePath);
+    index.reset('stub-2');
+    index.set('old', [1, 0]);
+    await index.persist();
+    index.set('new', [0, 1]);
+  });
+
+  const saved = () => JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const tempFiles = () => fs.readdirSync(dataDir).filter(name => name.endsWith('.tmp'));
+
+  test('a write that dies part way leaves the previous index intact', async () => {
+    const writeFile = fs.promises.writeFile;
+    jest.spyOn(fs.promises, 'writeFile').mockImplementation(async (file, data) => {
+      await writeFile(file, data.slice(0, 10));
+      throw new Error('ENOSPC: no space left on device');
+    });
+
+    await index.persist();
+
+    expect(Object.keys(saved().vectors)).toEqual(['old']);
+    expect(tempFiles()).toEqual([]);
+  });
+
+  test('concurrent writes each use their own temp file and leave a complete index', async () => {
+    await Promise.all([index.persist(), index.persist(), index.persist()]);
+
+    expect(saved()).toMatchObject({ embedder: 'stub-2', dimensions: 2, vectors: { old: [1, 0], new: [0, 1] } });
+    expect(tempFiles()).toEqual([]);
+
+    const reloaded = new VectorIndex(filePath);
+    await reloaded.load();
+    expect(reloaded.get('new')).toEqual([0, 1]);
+  });
+});
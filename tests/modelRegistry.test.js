@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const modelRegistry = require('../config/model-registry');
+const aiConfig = require('../config/ai-config');
+
+describe('getModelInfo', () => {
+  test('known models get their own entry', () => {
+    expect(modelRegistry.getModelInfo('gpt-4o')).toMatchObject({
+      name: 'gpt-4o', known: true, contextWindow: 128000, maxOutput: 16384, pricing: { input: 0.0025, output: 0.01 }, encoding: 'o200k_base'
+    });
+    expect(modelRegistry.getModelInfo('gpt-3.5-turbo')).toMatchObject({ contextWindow: 16385, capabilities: { vision: false } });
+  });
+
+  test('dated snapshots resolve to the longest matching family', () => {
+    expect(modelRegistry.getModelInfo('gpt-4o-2024-08-06')).toMatchObject({ name: 'gpt-4o-2024-08-06', known: true, pricing: { input: 0.0025 } });
+    expect(modelRegistry.getModelInfo('gpt-4o-mini-2024-07-18')).toMatchObject({ known: true, pricing: { input: 0.00015 } });
+    expect(modelRegistry.getModelInfo('gpt-4.1-nano-2025-04-14')).toMatchObject({ pricing: { input: 0.0001 } });
+    expect(modelRegistry.getModelInfo('claude-3-5-sonnet-20241022')).toMatchObject({ contextWindow: 200000, maxOutput: 8192 });
+  });
+
+  test('unknown models, and names that only share a prefix without a dash, get the defaults', () => {
+    for (const name of ['llama3:70b', 'gpt-4oo', undefined]) {
+      expect(modelRegistry.getModelInfo(name)).toEqual({ name, known: false, ...modelRegistry.defaults });
+    }
+  });
+
+  test('supports checks every required capability', () => {
+    expect(modelRegistry.supports('gpt-4o', { tools: true, vision: true })).toBe(true);
+    expect(modelRegistry.supports('o3-mini', { tools: true, vision: true })).toBe(false);
+    expect(modelRegistry.supports('o3-mini', { tools: true, vision: false })).toBe(true);
+  });
+});
+
+describe('estimateCost', () => {
+  test('prices input and output tokens per 1K', () => {
+    const cost = modelRegistry.estimateCost('gpt-4o', 2000, 500);
+
+    expect(cost.input).toBeCloseTo(0.005, 10);
+    expect(cost.output).toBeCloseTo(0.005, 10);
+    expect(cost.total).toBeCloseTo(0.01, 10);
+  });
+
+  test('snapshots cost what their family does and unknown models cost the default', () => {
+    expect(modelRegistry.estimateCost('claude-opus-4-20250514', 1000, 1000).total).toBeCloseTo(0.09, 10);
+    expect(modelRegistry.estimateCost('my-local-model', 1000, 1000).total).toBeCloseTo(0.00075, 10);
+    expect(modelRegistry.estimateCost('text-embedding-3-small', 1000, 0)).toEqual({ input: 0.00002, output: 0, total: 0.00002 });
+  });
+
+  test('ai-config.estimateCost uses the registry', () => {
+    expect(aiConfig.estimateCost(1234, 567, 'gpt-4.1')).toEqual(modelRegistry.estimateCost('gpt-4.1', 1234, 567));
+    expect(aiConfig.estimateCost(1000, 1000)).toEqual(modelRegistry.estimateCost(aiConfig.model, 1000, 1000));
+  });
+});
+
+describe('MODEL_REGISTRY_FILE', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.MODEL_REGISTRY_FILE;
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const loadWith = (contents) => {
+    const file = path.join(dir, 'models.json');
+    fs.writeFileSync(file, contents);
+    process.env.MODEL_REGISTRY_FILE = file;
+    let registry;
+    jest.isolateModules(() => { registry = require('../config/model-registry'); });
+    return registry;
+  };
+
+  test('adds models and overrides single fields of existing ones', () => {
+    const registry = loadWith(JSON.stringify({
+      'llama3:70b': { contextWindow: 8192, pricing: { input: 0, output: 0 } },
+      'gpt-4o': { pricing: { output: 0.02 } }
+    }));
+
+    expect(registry.getModelInfo('llama3:70b')).toMatchObject({ known: true, contextWindow: 8192, maxOutput: 4096, pricing: { input: 0, output: 0 } });
+    expect(registry.getModelInfo('gpt-4o')).toMatchObject({ contextWindow: 128000, pricing: { input: 0.0025, output: 0.02 }, capabilities: { vision: true } });
+    expect(registry.estimateCost('llama3:70b', 5000, 5000).total).toBe(0);
+  });
+
+  test('an unreadable file is reported and ignored', () => {
+    const registry = loadWith('{ not json');
+
+    expect(console.error).toHaveBeenCalled();
+    expect(registry.getModelInfo('gpt-4o').pricing).toEqual({ input: 0.0025, output: 0.01 });
+  });
+});
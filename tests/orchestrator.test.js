@@ -0,0 +1,167 @@
+const Orchestrator = require('../backend/services/orchestrator');
+const tokenizer = require('../backend/services/tokenizer');
+const modelConfig = require('../config/models');
+const aiConfig = require('../config/ai-config');
+
+const clarificationConfig = aiConfig.clarification;
+
+let orchestrator;
+let classification;
+let events;
+
+// The planner is a stub LLM answering with `classification`; execution is stubbed out
+beforeEach(() => {
+  classification = { intent: 'chat', confidence: 0.9, needs_tools: [] };
+  events = [];
+  const llm = {
+    chat: {
+      completions: {
+        create: jest.fn(async () => ({ choices: [{ message: { content: JSON.stringify(classification) } }], usage: { total_tokens: 30 } }))
+      }
+    }
+  };
+  const tools = { describeForPlanner: () => '- web_search: Search the web', isPlugin: () => false };
+  orchestrator = new Orchestrator(llm, { tools });
+  jest.spyOn(orchestrator, 'execute').mockResolvedValue({ role: 'assistant', content: 'answer', metadata: {} });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  aiConfig.clarification = { ...clarificationConfig, enabled: true, confidenceThreshold: 0.5, maxChoices: 3 };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  aiConfig.clarification = clarificationConfig;
+});
+
+const ask = (content, options = {}) =>
+  orchestrator.process([{ role: 'user', content }], { onEvent: event => events.push(event), ...options });
+
+describe('clarification', () => {
+  test('a low-confidence plan asks instead of answering', async () => {
+    classification = {
+      intent: 'research', confidence: 0.3, alternatives: ['study'], clarifying_question: 'Do you want a deep dive or a lesson?'
+    };
+
+    const result = await ask('quantum computing');
+
+    expect(orchestrator.execute).not.toHaveBeenCalled();
+    expect(result.content).toBe('Do you want a deep dive or a lesson?');
+    expect(result.metadata).toEqual({
+      clarification: {
+        question: 'Do you want a deep dive or a lesson?',
+        choices: [
+          { label: 'Research it in depth', mode: 'research' },
+          { label: 'Teach me step by step', mode: 'study' },
+          { label: 'Search the web', mode: 'search' }
+        ],
+        query: 'quantum computing',
+        confidence: 0.3
+      },
+      plannerTokens: 30
+    });
+    expect(events.map(event => event.type)).toEqual(['clarification', 'delta']);
+  });
+
+  test('choices skip unknown intents and duplicates, are capped at maxChoices, and fall back to the intent name', async () => {
+    aiConfig.clarification.maxChoices = 2;
+    aiConfig.clarification.labels = { chat: 'Just explain' };
+    classification = { intent: 'chat', confidence: 0.2, alternatives: ['dance', 'chat', 'code'] };
+
+    const { metadata } = await ask('hmm');
+
+    expect(metadata.clarification.choices).toEqual([
+      { label: 'Just explain', mode: 'chat' },
+      { label: 'code', mode: 'code' }
+    ]);
+    expect(metadata.clarification.question).toBe('What kind of help are you looking for?');
+  });
+
+  test('confident plans, including one exactly at the threshold, are executed', async () => {
+    for (const confidence of [0.9, 0.5]) {
+      classification = { intent: 'search', confidence, needs_tools: ['web_search'] };
+
+      const result = await ask('weather in Oslo');
+
+      expect(result.content).toBe('answer');
+    }
+    expect(orchestrator.execute).toHaveBeenCalledTimes(2);
+    expect(events.filter(event => event.type === 'plan').map(event => event.confidence)).toEqual([0.9, 0.5]);
+  });
+
+  test('with clarification disabled a low-confidence plan is executed', async () => {
+    aiConfig.clarification.enabled = false;
+    classification = { intent: 'research', confidence: 0.1 };
+
+    await ask('quantum computing');
+
+    expect(orchestrator.execute).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ intent: 'research', confidence: 0.1 }), '', expect.any(Object), expect.any(Object));
+  });
+
+  test('a pattern fallback after a planner failure never asks', async () => {
+    orchestrator.llm.chat.completions.create.mockRejectedValue(new Error('planner down'));
+
+    await ask('what now?', { previousIntent: 'study' });
+
+    expect(orchestrator.execute.mock.calls[0][1]).toMatchObject({ intent: 'study', confidence: 0.5, fallback: true });
+  });
+
+  test('the picked choice comes back as forceMode and skips the planner', async () => {
+    await ask('quantum computing', { forceMode: 'study' });
+
+    expect(orchestrator.llm.chat.completions.create).not.toHaveBeenCalled();
+    expect(orchestrator.execute.mock.calls[0][1]).toMatchObject({ intent: 'study', confidence: 1 });
+  });
+});
+
+describe('planner input', () => {
+  const { historyMessages, messageTokens, summaryTokens } = aiConfig.planner;
+  const plannerModel = () => modelConfig.getPlannerModel().name;
+
+  const long = (tag, words = 1000) => `start-${tag} ${'word '.repeat(words)}end-${tag}`;
+  const plannerInput = () => orchestrator.llm.chat.completions.create.mock.calls[0][0].messages[1].content;
+  const section = (input, heading) => input.split('\n\n## ').find(part => part.replace(/^## /, '').startsWith(heading))
+    .replace(/^(## )?[^\n]+\n/, '');
+
+  test('a new conversation sends the message alone', async () => {
+    await ask('What is a monad?');
+
+    expect(plannerInput()).toBe('What is a monad?');
+  });
+
+  test('a long session is cut to the recent turns, each truncated, plus a short summary', async () => {
+    const messages = Array.from({ length: 20 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: long(i) }));
+    messages.push({ role: 'user', content: 'and the second one?' });
+
+    await orchestrator.process(messages, { summary: long('summary', 2000), previousIntent: 'research' });
+
+    const input = plannerInput();
+    expect(input.split('\n\n## ').map(part => part.split('\n')[0].replace(/^## /, ''))).toEqual([
+      'Conversation Summary', 'Recent Conversation', 'Previous Intent', 'Current Message'
+    ]);
+
+    const summary = section(input, 'Conversation Summary');
+    expect(summary).toMatch(/^start-summary /);
+    expect(summary).not.toContain('end-summary');
+    expect(tokenizer.count(summary, plannerModel())).toBeLessThanOrEqual(summaryTokens);
+
+    // Only the last historyMessages turns, each keeping its start and end
+    const turns = section(input, 'Recent Conversation').split(/\n\n(?=User: |Assistant: )/);
+    expect(turns).toHaveLength(historyMessages);
+    turns.forEach((turn, i) => {
+      const index = 20 - historyMessages + i;
+      expect(turn).toMatch(new RegExp(`^${index % 2 ? 'Assistant' : 'User'}: start-${index} .*tokens omitted.*end-${index}$`, 's'));
+      expect(tokenizer.count(turn.replace(/^\w+: /, ''), plannerModel())).toBeLessThanOrEqual(messageTokens);
+    });
+    expect(input).not.toContain(`start-${19 - historyMessages} `);
+
+    expect(section(input, 'Previous Intent')).toBe('research');
+    expect(section(input, 'Current Message')).toBe('and the second one?');
+  });
+
+  test('a very long current message keeps only its start', async () => {
+    await ask(long('question', 5000));
+
+    expect(plannerInput()).toMatch(/^start-question /);
+    expect(plannerInput()).not.toContain('end-question');
+    expect(tokenizer.count(plannerInput(), plannerModel())).toBeLessThanOrEqual(aiConfig.context.plannerMessageTokens);
+  });
+});
@@ -0,0 +1,104 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../backend/services/storage/database');
+const SessionService = require('../backend/services/session');
+const MemoryService = require('../backend/services/memory');
+const { FileMemoryStore } = require('../backend/services/storage/memoryStore');
+
+const SESSION_ID = '7d9f3c2e-1b4a-4c8e-9f6d-2a5b8c1e0f3d';
+
+let dataDir;
+
+beforeEach(() => {
+  database.reset();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownership-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A memory service that keeps its files in the test's temp dir
+function memoryService() {
+  const memory = new MemoryService();
+  memory.dataDir = dataDir;
+  memory.memoryFile = path.join(dataDir, 'memory.json');
+  memory.conversationsDir = path.join(dataDir, 'conversations');
+  memory.store = new FileMemoryStore(memory.memoryFile);
+  return memory;
+}
+
+describe('sessions', () => {
+  const sessions = new SessionService(null, null);
+
+  beforeEach(() => {
+    database.sessions.push({ id: SESSION_ID, userId: 'alice' });
+  });
+
+  test('belong only to their owner', async () => {
+    expect(await sessions.isOwnedBy(SESSION_ID, 'alice')).toBe(true);
+    expect(await sessions.isOwnedBy(SESSION_ID, 'mallory')).toBe(false);
+  });
+
+  test('unknown ids and ids that are not UUIDs are never owned', async () => {
+    expect(await sessions.isOwnedBy('7d9f3c2e-0000-4c8e-9f6d-2a5b8c1e0f3d', 'alice')).toBe(false);
+    expect(await sessions.isOwnedBy("' OR 1=1 --", 'alice')).toBe(false);
+  });
+
+  test('without accounts (userId null) every session is reachable', async () => {
+    expect(await sessions.isOwnedBy(SESSION_ID, null)).toBe(true);
+  });
+});
+
+describe('memories', () => {
+  test("another user's memory can't be read, edited or deleted", async () => {
+    const memory = memoryService();
+    const saved = await memory.addLongTerm('Alice prefers tea', {}, 'alice');
+
+    expect(await memory.getMemory(saved.id, 'mallory')).toBeNull();
+    expect(await memory.updateMemory(saved.id, 'mallory', { content: 'changed' })).toBeNull();
+    expect((await memory.deleteMemory(saved.id, 'mallory')).success).toBe(false);
+
+    expect((await memory.getMemory(saved.id, 'alice')).content).toBe('Alice prefers tea');
+  });
+
+  test('search only returns the user\'s own memories', async () => {
+    const memory = memoryService();
+    await memory.addLongTerm('Alice uses Postgres', {}, 'alice');
+    await memory.addLongTerm('Mallory uses Postgres', {}, 'mallory');
+
+    const results = await memory.search('postgres', { userId: 'alice' });
+
+    expect(results.map(m => m.content)).toEqual(['Alice uses Postgres']);
+  });
+
+  test("a pending memory can't skip review by changing its type", async () => {
+    const memory = memoryService();
+    const pending = await memory.addPending('Alice is vegetarian', {}, 'alice');
+
+    await expect(memory.updateMemory(pending.id, 'alice', { type: 'long_term' })).rejects.toMatchObject({ status: 400 });
+    expect((await memory.getMemory(pending.id, 'alice')).type).toBe('pending');
+  });
+});
+
+describe('conversations', () => {
+  test("another user's conversation can't be loaded or overwritten", async () => {
+    const memory = memoryService();
+    await memory.saveConversation('shared-id', [{ role: 'user', content: 'secret' }], {}, 'alice');
+
+    expect(await memory.loadConversation('shared-id', 'mallory')).toBeNull();
+    await expect(memory.saveConversation('shared-id', [], {}, 'mallory')).rejects.toMatchObject({ status: 409 });
+    expect((await memory.loadConversation('shared-id', 'alice')).messages[0].content).toBe('secret');
+  });
+
+  test('conversation ids that could escape the data dir are rejected', async () => {
+    const memory = memoryService();
+
+    await expect(memory.saveConversation('../escape', [], {}, 'alice')).rejects.toMatchObject({ status: 400 });
+  });
+});
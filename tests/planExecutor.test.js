@@ -0,0 +1,178 @@
+const PlanExecutor = require('../backend/services/planExecutor');
+const aiConfig = require('../config/ai-config');
+
+const config = { ...aiConfig.execution, enabled: true };
+
+// An orchestrator whose services and model calls are stubs
+function stubOrchestrator() {
+  return {
+    services: {
+      search: { search: jest.fn(async query => [{ title: `About ${query}`, url: `https://example.com/${query}`, snippet: '...' }]) },
+      fetcher: { fetchMultiple: jest.fn(async urls => urls.map(url => ({ success: true, url, title: url, content: 'page text' }))) }
+    },
+    llm: {
+      chat: {
+        completions: {
+          create: jest.fn(async () => ({ choices: [{ message: { content: 'analysis' } }] }))
+        }
+      }
+    },
+    createCompletion: jest.fn(async () => ({ choices: [{ message: { content: 'the answer' } }], usage: { total_tokens: 42 } })),
+    log: jest.fn(),
+    emit: jest.fn()
+  };
+}
+
+let orchestrator;
+let executor;
+
+beforeEach(() => {
+  orchestrator = stubOrchestrator();
+  executor = new PlanExecutor(orchestrator, config);
+});
+
+const summary = steps => steps.map(({ id, action, dependsOn }) => ({ id, action, dependsOn }));
+
+describe('normalizeSteps', () => {
+  test('renumbers step ids 1..n and maps dependencies to the new ids', () => {
+    const steps = executor.normalizeSteps([
+      { id: 'a', action: 'search_web', params: { query: 'x' } },
+      { id: 7, action: 'fetch_content', depends_on: ['a'] },
+      { id: 'final', action: 'generate_response', depends_on: [7] }
+    ]);
+
+    expect(summary(steps)).toEqual([
+      { id: 1, action: 'search_web', dependsOn: [] },
+      { id: 2, action: 'fetch_content', dependsOn: [1] },
+      { id: 3, action: 'generate_response', dependsOn: [2] }
+    ]);
+  });
+
+  test('drops dependencies on later steps, itself and unknown ids, so plans cannot cycle', () => {
+    const steps = executor.normalizeSteps([
+      { id: 1, action: 'search_web', depends_on: [2] },
+      { id: 2, action: 'analyze_content', depends_on: [2, 1, 99] },
+      { id: 3, action: 'analyze_content', depends_on: [4, 2] },
+      { id: 4, action: 'generate_response', depends_on: [3] }
+    ]);
+
+    expect(summary(steps)).toEqual([
+      { id: 1, action: 'search_web', dependsOn: [] },
+      { id: 2, action: 'analyze_content', dependsOn: [1] },
+      { id: 3, action: 'analyze_content', dependsOn: [2] },
+      { id: 4, action: 'generate_response', dependsOn: [3] }
+    ]);
+  });
+
+  test('adds a final answer step when the plan has none', () => {
+    const steps = executor.normalizeSteps([
+      { id: 1, action: 'search_web', params: { query: 'a' } },
+      { id: 2, action: 'fetch_content', depends_on: [1] }
+    ]);
+
+    expect(steps[2]).toMatchObject({ id: 3, action: 'generate_response', role: 'chat', params: {}, dependsOn: [1, 2] });
+  });
+
+  test('the final step also reads every output nothing else used', () => {
+    const steps = executor.normalizeSteps([
+      { id: 1, action: 'search_web', params: { query: 'a' } },
+      { id: 2, action: 'search_web', params: { query: 'b' } },
+      { id: 3, action: 'fetch_content', depends_on: [1] },
+      { id: 4, action: 'generate_response', depends_on: [3] }
+    ]);
+
+    expect(steps[3].dependsOn).toEqual([2, 3]);
+  });
+
+  test('keeps one final step, moved to the end, and drops unknown actions', () => {
+    const steps = executor.normalizeSteps([
+      { id: 1, action: 'generate_code', model: 'code', params: { instruction: 'write it' } },
+      { id: 2, action: 'delete_everything' },
+      { id: 3, action: 'search_web' },
+      { id: 4, action: 'generate_response' }
+    ]);
+
+    expect(summary(steps)).toEqual([
+      { id: 1, action: 'search_web', dependsOn: [] },
+      { id: 2, action: 'generate_code', dependsOn: [1] }
+    ]);
+    expect(steps[1]).toMatchObject({ role: 'code', params: { instruction: 'write it' } });
+  });
+
+  test('steps without depends_on get default dependencies', () => {
+    const steps = executor.normalizeSteps([
+      { action: 'search_web' },
+      { action: 'search_web' },
+      { action: 'fetch_content' },
+      { action: 'analyze_content' }
+    ]);
+
+    expect(summary(steps).map(step => step.dependsOn)).toEqual([[], [], [1, 2], [1, 2, 3], [1, 2, 3, 4]]);
+  });
+
+  test('caps the plan at maxSteps, counting the final step', () => {
+    const raw = Array.from({ length: 10 }, (_, i) => ({ id: i + 1, action: 'search_web' }));
+
+    const steps = executor.normalizeSteps(raw);
+
+    expect(steps).toHaveLength(config.maxSteps);
+    expect(steps[steps.length - 1].action).toBe('generate_response');
+  });
+
+  test('returns null when nothing runs before the answer', () => {
+    expect(executor.normalizeSteps(undefined)).toBeNull();
+    expect(executor.normalizeSteps([{ action: 'generate_response' }])).toBeNull();
+    expect(executor.normalizeSteps([{ action: 'unknown' }])).toBeNull();
+  });
+});
+
+describe('execute', () => {
+  const input = {
+    messages: [{ role: 'user', content: 'Compare the two libraries' }],
+    plan: { intent: 'chat', extractedQuery: 'compare libraries' },
+    systemPrompt: 'You are helpful.',
+    model: { name: 'gpt-4o-mini', maxTokens: 1000, temperature: 0.7 }
+  };
+
+  test('runs steps after their dependencies and passes their outputs on', async () => {
+    const steps = executor.normalizeSteps([
+      { id: 1, action: 'search_web', params: { query: 'libraries' } },
+      { id: 2, action: 'fetch_content', depends_on: [1] },
+      { id: 3, action: 'generate_response', depends_on: [2] }
+    ]);
+
+    const result = await executor.execute({ steps }, input);
+
+    expect(orchestrator.services.fetcher.fetchMultiple).toHaveBeenCalledWith(['https://example.com/libraries'], { signal: undefined });
+    const [prompt] = orchestrator.createCompletion.mock.calls[0][0].messages;
+    expect(prompt.content).toContain('### Step 2: fetch_content');
+    expect(result.content).toBe('the answer');
+    expect(result.sources).toEqual([{ id: 1, title: 'About libraries', url: 'https://example.com/libraries' }]);
+    expect(result.metadata.executionPlan.steps.map(step => step.status)).toEqual(['completed', 'completed', 'completed']);
+  });
+
+  test('a failed step is recorded and its dependents still run without its output', async () => {
+    orchestrator.services.search.search.mockRejectedValue(new Error('search is down'));
+    const steps = executor.normalizeSteps([
+      { id: 1, action: 'search_web' },
+      { id: 2, action: 'analyze_content', depends_on: [1] },
+      { id: 3, action: 'generate_response', depends_on: [2] }
+    ]);
+
+    const result = await executor.execute({ steps }, input);
+
+    const executed = result.metadata.executionPlan.steps;
+    expect(executed.map(step => step.status)).toEqual(['failed', 'completed', 'completed']);
+    expect(executed[0].error).toBe('search is down');
+    const analysisPrompt = orchestrator.llm.chat.completions.create.mock.calls[0][0].messages[1].content;
+    expect(analysisPrompt).toContain('(none - earlier steps failed)');
+    expect(result.content).toBe('the answer');
+  });
+
+  test('a failed final step fails the run', async () => {
+    orchestrator.createCompletion.mockRejectedValue(new Error('model unavailable'));
+    const steps = executor.normalizeSteps([{ action: 'search_web' }]);
+
+    await expect(executor.execute({ steps }, input)).rejects.toThrow('model unavailable');
+  });
+});
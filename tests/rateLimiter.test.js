@@ -0,0 +1,124 @@
+const RateLimitService = require('../backend/services/rateLimiter');
+const aiConfig = require('../config/ai-config');
+
+// Small limits so each route group runs out after a couple of requests
+const config = {
+  ...aiConfig.rateLimit,
+  enabled: true,
+  store: 'memory',
+  windowSeconds: 60,
+  chat: 2,
+  search: 1,
+  research: 1,
+  study: 1
+};
+
+let limiter;
+let middleware;
+
+beforeEach(() => {
+  limiter = new RateLimitService(config);
+  middleware = limiter.middleware();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Run the middleware for one request; resolves with { passed, status, headers, body }
+function send(path, user = { id: 'alice', username: 'alice' }) {
+  return new Promise((resolve) => {
+    const response = { passed: false, status: 200, headers: {}, body: null };
+    const res = {
+      set(name, value) {
+        Object.assign(response.headers, typeof name === 'object' ? name : { [name]: value });
+        return res;
+      },
+      status(code) {
+        response.status = code;
+        return res;
+      },
+      json(body) {
+        response.body = body;
+        resolve(response);
+      }
+    };
+    middleware({ path, user, ip: '127.0.0.1' }, res, () => {
+      response.passed = true;
+      resolve(response);
+    });
+  });
+}
+
+describe('headers', () => {
+  test('allowed requests report the limit, what is left and when it resets', async () => {
+    const response = await send('/chat');
+
+    expect(response.passed).toBe(true);
+    expect(response.headers).toMatchObject({ 'X-RateLimit-Limit': '2', 'X-RateLimit-Remaining': '1' });
+    const reset = parseInt(response.headers['X-RateLimit-Reset']);
+    expect(reset).toBeGreaterThan(Date.now() / 1000);
+    expect(reset).toBeLessThanOrEqual(Math.ceil(Date.now() / 1000) + config.windowSeconds);
+  });
+
+  test('a request over the limit is a 429 with Retry-After', async () => {
+    await send('/chat');
+    await send('/chat');
+    const response = await send('/chat');
+
+    expect(response.passed).toBe(false);
+    expect(response.status).toBe(429);
+    expect(response.headers).toMatchObject({ 'X-RateLimit-Limit': '2', 'X-RateLimit-Remaining': '0' });
+    const retryAfter = parseInt(response.headers['Retry-After']);
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(config.windowSeconds);
+    expect(response.body).toMatchObject({ error: 'Too many requests', limit: 'chat', retryAfter });
+  });
+});
+
+describe('routes', () => {
+  test.each([
+    ['/chat', 'chat'],
+    ['/search', 'search'],
+    ['/search-summarize', 'search'],
+    ['/research', 'research'],
+    ['/study/lesson', 'study']
+  ])('%s counts against the %s limit', async (path, bucket) => {
+    for (let i = 0; i < config[bucket]; i++) {
+      expect((await send(path)).passed).toBe(true);
+    }
+    expect((await send(path)).status).toBe(429);
+  });
+
+  test('each route group has its own counter', async () => {
+    await send('/search');
+
+    expect((await send('/search-summarize')).status).toBe(429);
+    expect((await send('/research')).passed).toBe(true);
+    expect((await send('/study/quiz')).passed).toBe(true);
+  });
+
+  test('other routes are not limited', async () => {
+    for (const path of ['/sessions', '/sessions/search', '/memory/search', '/study', '/health']) {
+      const response = await send(path);
+      expect(response.passed).toBe(true);
+      expect(response.headers).toEqual({});
+    }
+  });
+
+  test('users are counted separately', async () => {
+    await send('/research');
+
+    expect((await send('/research')).status).toBe(429);
+    expect((await send('/research', { id: 'bob', username: 'bob' })).passed).toBe(true);
+  });
+
+  test('a limit of 0 turns that route group off', async () => {
+    middleware = new RateLimitService({ ...config, research: 0 }).middleware();
+
+    for (let i = 0; i < 3; i++) {
+      expect((await send('/research')).passed).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,62 @@
+const RequestTracker = require('../backend/services/requests');
+
+let tracker;
+
+beforeEach(() => {
+  tracker = new RequestTracker();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('start', () => {
+  test("keeps the client's request id unless it is already in flight", () => {
+    const first = tracker.start('chat', 'client-id', 'alice');
+    const second = tracker.start('chat', 'client-id', 'alice');
+
+    expect(first.id).toBe('client-id');
+    expect(second.id).not.toBe('client-id');
+    expect(first.signal.aborted).toBe(false);
+  });
+
+  test('generates an id when the client sends none', () => {
+    const { id } = tracker.start('research');
+    expect(id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('records the owner for the ownership check', () => {
+    const { id } = tracker.start('chat', null, 'alice');
+    expect(tracker.get(id)).toMatchObject({ id, type: 'chat', userId: 'alice' });
+    expect(tracker.get('unknown')).toBeNull();
+  });
+});
+
+describe('cancel', () => {
+  test('aborts the signal of an in-flight request', () => {
+    const { id, signal } = tracker.start('chat');
+
+    expect(tracker.cancel(id)).toBe(true);
+    expect(signal.aborted).toBe(true);
+    expect(tracker.list()).toEqual([expect.objectContaining({ id, cancelled: true })]);
+  });
+
+  test('a second cancel succeeds without aborting again', () => {
+    const { id } = tracker.start('chat');
+    tracker.cancel(id);
+    tracker.cancel(id);
+
+    expect(console.log).toHaveBeenCalledTimes(1);
+  });
+
+  test('unknown and finished requests are not cancelled', () => {
+    const { id, signal } = tracker.start('chat');
+    tracker.finish(id);
+
+    expect(tracker.cancel(id)).toBe(false);
+    expect(tracker.cancel('unknown')).toBe(false);
+    expect(signal.aborted).toBe(false);
+    expect(tracker.list()).toEqual([]);
+  });
+});
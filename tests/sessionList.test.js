@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { newDb } = require('pg-mem');
+const database = require('../backend/services/storage/database');
+const SessionService = require('../backend/services/session');
+
+// Routes run offline: mock LLM, no accounts, sessions in the pg-mem pool set up below
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-list-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.AUTH_ENABLED = 'false';
+process.env.DATA_DIR = dataDir;
+database.initialize = async () => { throw new Error('no database in tests'); };
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+const app = require('../backend/server');
+
+const sessions = new SessionService(null, null);
+
+const ALICE = '00000000-0000-4000-8000-000000000001';
+const BOB = '00000000-0000-4000-8000-000000000002';
+
+// Each session created is more recently active than the one before
+let activity;
+
+async function create(title, userId = ALICE, metadata = {}) {
+  const session = await database.createSession(title, userId, { metadata });
+  await database.pool.query('UPDATE sessions SET last_activity_at = $1 WHERE id = $2', [++activity, session.id]);
+}
+
+const titles = result => result.sessions.map(s => s.title);
+
+beforeEach(async () => {
+  const { Pool } = newDb().adapters.createPg();
+  database.pool = new Pool();
+  await database.pool.query(`
+    CREATE TABLE sessions (
+      id UUID PRIMARY KEY,
+      title TEXT,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL,
+      last_activity_at BIGINT NOT NULL,
+      current_summary_id UUID,
+      metadata JSONB DEFAULT '{}'::jsonb,
+      user_id UUID
+    )`);
+
+  activity = 0;
+  await create('plain');
+  await create('work', ALICE, { project: 'Work', tags: ['billing'] });
+  await create('pinned', ALICE, { pinned: true, tags: ['billing', 'urgent'] });
+  await create('archived', ALICE, { project: 'Work', archived: true });
+  await create('recent');
+  await create('bob', BOB, { project: 'Work', tags: ['billing'] });
+});
+
+afterAll(() => {
+  database.pool = null;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('listSessions', () => {
+  test('lists pinned sessions first, then by activity', async () => {
+    const result = await sessions.listSessions(ALICE);
+
+    expect(titles(result)).toEqual(['pinned', 'recent', 'archived', 'work', 'plain']);
+    expect(result.total).toBe(5);
+  });
+
+  test('archived sessions are left out or listed on their own', async () => {
+    expect(titles(await sessions.listSessions(ALICE, 20, 0, { archived: false })))
+      .toEqual(['pinned', 'recent', 'work', 'plain']);
+    expect(titles(await sessions.listSessions(ALICE, 20, 0, { archived: true }))).toEqual(['archived']);
+  });
+
+  test('filters by project, or by no project', async () => {
+    expect(titles(await sessions.listSessions(ALICE, 20, 0, { project: 'Work', archived: false }))).toEqual(['work']);
+    expect(titles(await sessions.listSessions(ALICE, 20, 0, { project: null, archived: false })))
+      .toEqual(['pinned', 'recent', 'plain']);
+  });
+
+  test('filters by tag and by pinned', async () => {
+    expect(titles(await sessions.listSessions(ALICE, 20, 0, { tag: 'billing' }))).toEqual(['pinned', 'work']);
+    expect(titles(await sessions.listSessions(ALICE, 20, 0, { tag: 'billing', pinned: false }))).toEqual(['work']);
+    expect(titles(await sessions.listSessions(ALICE, 20, 0, { pinned: true }))).toEqual(['pinned']);
+  });
+
+  test('filters count toward the total and pages', async () => {
+    const page = await sessions.listSessions(ALICE, 1, 1, { archived: false });
+
+    expect(titles(page)).toEqual(['recent']);
+    expect(page).toMatchObject({ total: 4, limit: 1, offset: 1 });
+  });
+
+  test("only lists the user's own sessions, unless userId is null", async () => {
+    expect(titles(await sessions.listSessions(BOB))).toEqual(['bob']);
+    expect((await sessions.listSessions(null, 20, 0, { project: 'Work' })).total).toBe(3);
+  });
+});
+
+describe('GET /api/sessions', () => {
+  test('pages with limit and offset', async () => {
+    // Without accounts every user's sessions are listed
+    const res = await request(app).get('/api/sessions?limit=2&offset=1');
+
+    expect(res.status).toBe(200);
+    expect(titles(res.body)).toEqual(['bob', 'recent']);
+    expect(res.body).toMatchObject({ total: 5, limit: 2, offset: 1 });
+  });
+
+  test.each([
+    ['limit=0'],
+    ['limit=-5'],
+    ['limit=ten'],
+    ['limit=2.5'],
+    ['offset=-1'],
+    ['offset=1e3']
+  ])('%s is rejected', async (query) => {
+    const res = await request(app).get(`/api/sessions?${query}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/limit must be a positive integer/);
+  });
+});
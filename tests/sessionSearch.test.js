@@ -0,0 +1,75 @@
+const database = require('../backend/services/storage/database');
+const SessionService = require('../backend/services/session');
+const dbConfig = require('../config/database');
+
+// Records the queries searchMessages sends; every search matches nothing
+let queries;
+const sessions = new SessionService(null, null);
+
+const USER = '00000000-0000-4000-8000-000000000001';
+
+beforeEach(() => {
+  queries = [];
+  database.pool = {
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return { rows: queries.length === 1 ? [{ count: '0' }] : [] };
+    }
+  };
+});
+
+afterAll(() => {
+  database.pool = null;
+});
+
+// Named parameters of the page query: [query, userId, from, to, role, toolUsed, limit, offset, ...]
+const pageParams = () => {
+  const [query, userId, from, to, role, toolUsed, limit, offset] = queries[1].params;
+  return { query, userId, from, to, role, toolUsed, limit, offset };
+};
+
+describe('filters', () => {
+  test('date, role and tool filters limit the matching messages', async () => {
+    const from = Date.parse('2024-05-01');
+    const to = Date.parse('2024-05-31');
+
+    await sessions.search(USER, 'invoice', { from, to, role: 'assistant', toolUsed: 'web_search' });
+
+    expect(pageParams()).toMatchObject({ query: 'invoice', userId: USER, from, to, role: 'assistant', toolUsed: 'web_search' });
+    for (const { sql } of queries) {
+      expect(sql).toContain('m.created_at >= $3');
+      expect(sql).toContain('m.created_at <= $4');
+      expect(sql).toContain('m.role = $5');
+      expect(sql).toContain('m.tool_used = $6');
+    }
+  });
+
+  test('unset filters match everything', async () => {
+    await sessions.search(USER, 'invoice');
+
+    expect(pageParams()).toMatchObject({ from: null, to: null, role: null, toolUsed: null });
+    expect(queries[0].sql).toContain('$3::bigint IS NULL OR');
+    expect(queries[0].sql).toContain('$6::text IS NULL OR');
+  });
+
+  test('both queries use the same filters', async () => {
+    await sessions.search(USER, 'invoice', { role: 'user', toolUsed: 'code_exec' });
+
+    expect(queries[1].params.slice(0, 6)).toEqual(queries[0].params);
+  });
+});
+
+describe('paging', () => {
+  test('negative limits and offsets are clamped', async () => {
+    await sessions.search(USER, 'invoice', { limit: -5, offset: -1 });
+
+    expect(pageParams()).toMatchObject({ limit: 1, offset: 0 });
+  });
+
+  test('limit is capped at search.maxResults', async () => {
+    const result = await sessions.search(USER, 'invoice', { limit: 10000, offset: 40 });
+
+    expect(pageParams()).toMatchObject({ limit: dbConfig.search.maxResults, offset: 40 });
+    expect(result).toMatchObject({ query: 'invoice', total: 0, sessions: [], limit: dbConfig.search.maxResults, offset: 40 });
+  });
+});
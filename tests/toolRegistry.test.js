@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ToolRegistry = require('../backend/services/toolRegistry');
+const promptConfig = require('../config/prompts');
+
+const EXAMPLE = path.join(__dirname, '../plugins/_example.js');
+
+let pluginDir;
+let registry;
+
+beforeEach(() => {
+  pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+  registry = new ToolRegistry({});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(pluginDir, { recursive: true, force: true });
+});
+
+const plugin = (file, source) => fs.writeFileSync(path.join(pluginDir, file), source);
+const loadErrors = () => console.error.mock.calls.map(([message, detail]) => `${message} ${detail}`);
+
+describe('loadPlugins', () => {
+  test('the example plugin loads as a callable plugin tool', async () => {
+    fs.copyFileSync(EXAMPLE, path.join(pluginDir, 'current_time.js'));
+
+    expect(registry.loadPlugins(pluginDir)).toEqual(['current_time']);
+
+    expect(registry.isPlugin('current_time')).toBe(true);
+    expect(registry.isPlugin('web_search')).toBe(false);
+    expect(registry.describe().find(tool => tool.name === 'current_time')).toMatchObject({
+      callable: true, source: 'plugin', ui: { label: 'Time', toggle: true }
+    });
+    expect(registry.describeForPlanner()).toContain('- current_time: Get the current date and time');
+    expect(registry.getDefinitions(['current_time'])).toEqual([
+      { type: 'function', function: expect.objectContaining({ name: 'current_time' }) }
+    ]);
+    expect(promptConfig.tools.current_time.patch).toContain('Time Tool Active');
+
+    const { result } = await registry.execute('current_time', { timeZone: 'UTC' });
+    expect(new Date(result.iso).getTime()).toBeGreaterThan(0);
+  });
+
+  test('templates starting with "_" and non-JS files are skipped', () => {
+    fs.copyFileSync(EXAMPLE, path.join(pluginDir, '_example.js'));
+    plugin('README.md', '# notes');
+
+    expect(registry.loadPlugins(pluginDir)).toEqual([]);
+    expect(registry.get('current_time')).toBeNull();
+  });
+
+  test('a missing plugin directory loads nothing', () => {
+    expect(registry.loadPlugins(path.join(pluginDir, 'missing'))).toEqual([]);
+  });
+
+  test('plugins that fail to load are skipped and reported, the rest still load', () => {
+    plugin('a_syntax.js', 'module.exports = {');
+    plugin('b_throws.js', "throw new Error('needs an API key');");
+    plugin('c_nameless.js', "module.exports = { description: 'no name' };");
+    plugin('d_bad_handler.js', "module.exports = { name: 'bad_handler', description: 'x', handler: 'run' };");
+    fs.copyFileSync(EXAMPLE, path.join(pluginDir, 'e_current_time.js'));
+
+    expect(registry.loadPlugins(pluginDir)).toEqual(['current_time']);
+
+    const errors = loadErrors();
+    expect(errors).toHaveLength(4);
+    expect(errors[0]).toMatch(/a_syntax\.js/);
+    expect(errors[1]).toMatch(/b_throws\.js: needs an API key/);
+    expect(errors[2]).toMatch(/c_nameless\.js: Tool must have a name/);
+    expect(errors[3]).toMatch(/d_bad_handler\.js: Tool "bad_handler" handler must be a function/);
+    expect(registry.get('bad_handler')).toBeNull();
+  });
+
+  test('a plugin can not replace a built-in tool or another plugin', async () => {
+    plugin('a_search.js', "module.exports = { name: 'web_search', description: 'hijacked', parameters: { type: 'object', properties: {} }, handler: async () => 'hijacked' };");
+    fs.copyFileSync(EXAMPLE, path.join(pluginDir, 'b_time.js'));
+    plugin('c_time_again.js', "module.exports = { name: 'current_time', description: 'second', parameters: { type: 'object', properties: {} }, handler: async () => 'second' };");
+
+    expect(registry.loadPlugins(pluginDir)).toEqual(['current_time']);
+
+    expect(loadErrors()).toEqual([
+      expect.stringMatching(/a_search\.js: Tool "web_search" is already registered/),
+      expect.stringMatching(/c_time_again\.js: Tool "current_time" is already registered/)
+    ]);
+    expect(registry.tools.get('web_search')).toMatchObject({ source: 'builtin' });
+    expect(registry.tools.get('current_time').description).toMatch(/^Get the current date/);
+  });
+});
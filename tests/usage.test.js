@@ -0,0 +1,158 @@
+jest.mock('../backend/services/storage/database', () => require('./helpers/fakeDatabase')());
+
+const database = require('../backend/services/storage/database');
+const UsageService = require('../backend/services/usage');
+const LLMService = require('../backend/services/llm');
+const MemoryExtractor = require('../backend/services/memoryExtractor');
+const modelConfig = require('../config/models');
+const providerConfig = require('../config/providers');
+const aiConfig = require('../config/ai-config');
+
+const BUDGET = { monthlyUsd: 1, globalMonthlyUsd: 0, action: 'block', downgradeModel: 'gpt-4o-mini' };
+
+let usage;
+let llm;
+let provider;
+let reply;
+
+// Every model is served by a stub provider answering reply(params)
+beforeEach(() => {
+  database.reset();
+  reply = async ({ model }) => ({ model, choices: [{ message: { role: 'assistant', content: 'hi' } }], usage: { prompt_tokens: 10, completion_tokens: 5 } });
+  provider = { createChatCompletion: jest.fn(params => reply(params)) };
+  usage = new UsageService({ ...BUDGET });
+  llm = new LLMService({ usage });
+  llm.providers.set('stub', provider);
+
+  jest.spyOn(modelConfig, 'getProviderForModel').mockReturnValue('stub');
+  jest.spyOn(modelConfig, 'getFallbackModels').mockReturnValue([]);
+  jest.spyOn(providerConfig, 'isConfigured').mockReturnValue(true);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const spent = (userId, costUsd) => database.usage.push({ userId, costUsd, createdAt: Date.now() });
+
+const request = (userId) => usage.runWithContext({ userId }, () => llm.chat.completions.create({
+  model: 'gpt-4o',
+  messages: [{ role: 'user', content: 'hello' }]
+}, { purpose: 'executor' }));
+
+const calledModels = () => provider.createChatCompletion.mock.calls.map(([params]) => params.model);
+
+describe('budgets', () => {
+  test('a user over their monthly budget is refused with a 402 before any model call', async () => {
+    spent('alice', 1.5);
+
+    await expect(request('alice')).rejects.toMatchObject({ status: 402, code: 'BUDGET_EXCEEDED', scope: 'user' });
+    expect(provider.createChatCompletion).not.toHaveBeenCalled();
+
+    await expect(request('bob')).resolves.toBeDefined();
+  });
+
+  test('the global budget counts every user', async () => {
+    usage.config.globalMonthlyUsd = 2;
+    spent('alice', 0.9);
+    spent('bob', 0.9);
+    spent('carol', 0.9);
+
+    await expect(request('dave')).rejects.toMatchObject({ status: 402, scope: 'global' });
+  });
+
+  test('spend from earlier months does not count', async () => {
+    database.usage.push({ userId: 'alice', costUsd: 5, createdAt: usage.getMonthStart() - 1 });
+
+    await expect(request('alice')).resolves.toBeDefined();
+  });
+
+  test('calls that cross the budget block the next one without re-reading the ledger', async () => {
+    usage.config.monthlyUsd = 0.01;
+    reply = async ({ model }) => ({ model, choices: [{ message: { content: 'hi' } }], usage: { prompt_tokens: 1000, completion_tokens: 1000 } });
+
+    await request('alice');
+    expect(database.usage[0].costUsd).toBeGreaterThan(0.01);
+    const reads = jest.spyOn(database, 'getSpendSince');
+
+    await expect(request('alice')).rejects.toMatchObject({ status: 402 });
+    expect(reads).not.toHaveBeenCalled();
+  });
+
+  test("with action 'downgrade' an over-budget user is moved to the cheaper model", async () => {
+    usage.config.action = 'downgrade';
+    spent('alice', 1.5);
+
+    await request('alice');
+    await request('bob');
+
+    expect(calledModels()).toEqual(['gpt-4o-mini', 'gpt-4o']);
+    expect(database.usage.slice(-2).map(e => [e.userId, e.model])).toEqual([['alice', 'gpt-4o-mini'], ['bob', 'gpt-4o']]);
+  });
+});
+
+describe('request context', () => {
+  test('each call is recorded against the user, session and request that made it', async () => {
+    await usage.runWithContext({ userId: 'alice', requestId: 'req-1' }, async () => {
+      usage.setContext({ sessionId: 'session-1' });
+      await llm.chat.completions.create({ model: 'gpt-4o', messages: [] }, { purpose: 'title' });
+    });
+
+    expect(database.usage[0]).toMatchObject({
+      userId: 'alice', sessionId: 'session-1', requestId: 'req-1', purpose: 'title', model: 'gpt-4o', promptTokens: 10, completionTokens: 5
+    });
+  });
+
+  test('background memory extraction keeps the context of the request that started it', async () => {
+    const memory = {
+      getRecent: async () => [],
+      getPending: async () => [],
+      findDuplicate: async () => null,
+      addPending: jest.fn(async content => ({ content }))
+    };
+    const extractor = new MemoryExtractor(llm, memory, { ...aiConfig.memoryExtraction, enabled: true, autoAccept: false });
+
+    // The extraction call is held until the request has finished
+    let finishRequest;
+    const requestFinished = new Promise(resolve => { finishRequest = resolve; });
+    reply = async ({ model }) => {
+      await requestFinished;
+      const memories = [{ content: 'Alice likes tea', category: 'preference', confidence: 0.9 }];
+      return { model, choices: [{ message: { content: JSON.stringify({ memories }) } }], usage: { prompt_tokens: 50, completion_tokens: 20 } };
+    };
+
+    let extraction;
+    await usage.runWithContext({ userId: 'alice', requestId: 'req-1' }, async () => {
+      usage.setContext({ sessionId: 'session-1' });
+      extraction = extractor.extractFromTurn({
+        userId: 'alice',
+        sessionId: 'session-1',
+        userMessage: { id: 'm1', content: 'I like tea' },
+        assistantMessage: { id: 'm2', content: 'Noted!' }
+      });
+    });
+    expect(usage.getContext()).toEqual({});
+    finishRequest();
+
+    expect(await extraction).toEqual([{ content: 'Alice likes tea' }]);
+    expect(database.usage).toEqual([expect.objectContaining({
+      userId: 'alice', sessionId: 'session-1', requestId: 'req-1', purpose: 'memory_extraction'
+    })]);
+  });
+
+  test("background extraction is held to the user's budget", async () => {
+    spent('alice', 1.5);
+    const extractor = new MemoryExtractor(llm, { getRecent: async () => [], getPending: async () => [] }, { ...aiConfig.memoryExtraction, enabled: true });
+
+    const extraction = usage.runWithContext({ userId: 'alice' }, async () => extractor.extractFromTurn({
+      userId: 'alice',
+      sessionId: 'session-1',
+      userMessage: { content: 'I like tea' },
+      assistantMessage: { content: 'Noted!' }
+    }));
+
+    await expect(extraction).rejects.toMatchObject({ status: 402 });
+    expect(provider.createChatCompletion).not.toHaveBeenCalled();
+  });
+});